@@ -0,0 +1,194 @@
+import crypto from 'crypto';
+import { PublicKey } from '@hashgraph/sdk';
+import { mirrorNodeUrl } from './network.js';
+
+// --- Mirror Node Access ---
+// Public keys and transaction memos are read from the mirror node of the configured network
+// (see network.js), never from user input.
+
+// How long a link challenge stays valid before the user has to request a new one.
+export const CHALLENGE_TTL_MS = 15 * 60 * 1000;
+
+// Prefix added by Hedera wallets (HashPack, Blade, WalletConnect `hedera_signMessage`) before signing.
+const HEDERA_SIGNED_MESSAGE_PREFIX = '\x19Hedera Signed Message:\n';
+
+/**
+ * Creates a new ownership challenge for a Hedera account.
+ * The challenge string is short enough to be used as a transaction memo (max 100 bytes).
+ * @param {string} accountId The Hedera Account ID the user claims to own.
+ * @returns {{accountId: string, nonce: string, message: string, createdAt: string, expiresAt: string}} Challenge object.
+ */
+export function createLinkChallenge(accountId) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    return {
+        accountId,
+        nonce,
+        message: `approvr-link:${accountId}:${nonce}`,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString(),
+    };
+}
+
+/**
+ * Checks whether a challenge has passed its expiry time.
+ * @param {{expiresAt: string}} challenge The challenge object.
+ * @returns {boolean} True if the challenge can no longer be used.
+ */
+export function isChallengeExpired(challenge) {
+    return Date.parse(challenge.expiresAt) <= Date.now();
+}
+
+// Tagged so callers can tell an account without a usable key from a mirror node that can't be reached.
+function accountKeyNotFound(message) {
+    const error = new Error(message);
+    error.code = 'ACCOUNT_KEY_NOT_FOUND';
+    return error;
+}
+
+/**
+ * Fetches the public key of a Hedera account from the mirror node.
+ * Only single-key accounts (ED25519 or ECDSA secp256k1) are supported.
+ * @param {string} accountId The Hedera Account ID.
+ * @returns {Promise<PublicKey>} The account's public key.
+ * @throws {Error} With code 'ACCOUNT_KEY_NOT_FOUND' if the account doesn't exist or has no single supported key;
+ *         any other error means the mirror node couldn't answer.
+ */
+export async function fetchAccountPublicKey(accountId) {
+    const response = await fetch(`${mirrorNodeUrl()}/api/v1/accounts/${encodeURIComponent(accountId)}`);
+    if (response.status === 404) {
+        throw accountKeyNotFound(`Account ${accountId} does not exist on the network.`);
+    }
+    if (!response.ok) {
+        throw new Error(`Mirror node returned ${response.status} for account ${accountId}.`);
+    }
+
+    const account = await response.json();
+    const key = account.key;
+    if (!key || typeof key.key !== 'string') {
+        throw accountKeyNotFound(`Account ${accountId} has no public key.`);
+    }
+
+    switch (key._type) {
+        case 'ED25519':
+            return PublicKey.fromStringED25519(key.key);
+        case 'ECDSA_SECP256K1':
+            return PublicKey.fromStringECDSA(key.key);
+        default:
+            throw accountKeyNotFound(`Account ${accountId} uses an unsupported key type (${key._type}). Only single ED25519 or ECDSA keys can be verified.`);
+    }
+}
+
+/**
+ * Verifies a signature against a known public key.
+ * Accepts both raw signatures and signatures made through a wallet's `signMessage`, which prefixes the message.
+ * @param {PublicKey} publicKey The signer's public key.
+ * @param {string} message The exact message that was signed.
+ * @param {string} signatureHex The signature, hex encoded (a leading 0x is allowed).
+ * @returns {boolean} True if the signature matches.
+ */
+export function verifySignature(publicKey, message, signatureHex) {
+    const normalized = (signatureHex || '').trim().replace(/^0x/i, '');
+    if (!isHexSignature(normalized)) return false;
+
+    const signature = Buffer.from(normalized, 'hex');
+    const candidates = [
+        Buffer.from(message, 'utf8'),
+        Buffer.from(`${HEDERA_SIGNED_MESSAGE_PREFIX}${message.length}${message}`, 'utf8'),
+    ];
+
+    for (const candidate of candidates) {
+        try {
+            if (publicKey.verify(candidate, signature)) {
+                return true;
+            }
+        } catch (e) {
+            // Malformed signatures throw inside the SDK; treat as a failed match.
+        }
+    }
+    return false;
+}
+
+function isHexSignature(value) {
+    return !!value && /^[0-9a-fA-F]+$/.test(value) && value.length % 2 === 0;
+}
+
+/**
+ * Verifies that a message was signed by the key of a Hedera account.
+ * @param {string} accountId The Hedera Account ID that should have signed.
+ * @param {string} message The exact message that was signed.
+ * @param {string} signatureHex The signature, hex encoded (a leading 0x is allowed).
+ * @returns {Promise<{verified: boolean, reason?: string}>} Verification result.
+ */
+export async function verifyAccountSignature(accountId, message, signatureHex) {
+    if (!isHexSignature((signatureHex || '').trim().replace(/^0x/i, ''))) {
+        return { verified: false, reason: 'Signature must be a hex string.' };
+    }
+
+    let publicKey;
+    try {
+        publicKey = await fetchAccountPublicKey(accountId);
+    } catch (error) {
+        return { verified: false, reason: error.message };
+    }
+
+    if (!verifySignature(publicKey, message, signatureHex)) {
+        return { verified: false, reason: `Signature does not match the public key of ${accountId}.` };
+    }
+    return { verified: true };
+}
+
+/**
+ * Verifies a signed link challenge.
+ * @param {object} challenge The challenge created by `createLinkChallenge`.
+ * @param {string} signatureHex The signature over `challenge.message`.
+ * @returns {Promise<{verified: boolean, reason?: string}>} Verification result.
+ */
+export async function verifySignedChallenge(challenge, signatureHex) {
+    if (isChallengeExpired(challenge)) {
+        return { verified: false, reason: 'Challenge expired. Please run /linkaccount again.' };
+    }
+    return verifyAccountSignature(challenge.accountId, challenge.message, signatureHex);
+}
+
+/**
+ * Looks for a transaction paid by the challenged account whose memo is the challenge message.
+ * Any successful transaction works, e.g. a 1 tinybar transfer to yourself.
+ * @param {object} challenge The challenge created by `createLinkChallenge`.
+ * @returns {Promise<{verified: boolean, reason?: string}>} Verification result.
+ */
+export async function verifyMemoTransfer(challenge) {
+    if (isChallengeExpired(challenge)) {
+        return { verified: false, reason: 'Challenge expired. Please run /linkaccount again.' };
+    }
+
+    // Mirror node timestamps are "seconds.nanoseconds".
+    const since = (Date.parse(challenge.createdAt) / 1000).toFixed(9);
+    const url = `${mirrorNodeUrl()}/api/v1/transactions?account.id=${encodeURIComponent(challenge.accountId)}` +
+                `&timestamp=gte:${since}&result=success&order=desc&limit=100`;
+
+    let data;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            return { verified: false, reason: `Mirror node returned ${response.status} while looking up transactions.` };
+        }
+        data = await response.json();
+    } catch (error) {
+        return { verified: false, reason: `Could not reach the mirror node: ${error.message}` };
+    }
+
+    const transactions = Array.isArray(data.transactions) ? data.transactions : [];
+    const match = transactions.find(tx => {
+        const memo = tx.memo_base64 ? Buffer.from(tx.memo_base64, 'base64').toString('utf8') : '';
+        // The payer is the first component of the transaction ID ("0.0.x-seconds-nanos").
+        const payer = typeof tx.transaction_id === 'string' ? tx.transaction_id.split('-')[0] : null;
+        return memo.trim() === challenge.message && payer === challenge.accountId;
+    });
+
+    if (!match) {
+        return { verified: false, reason: 'No transaction with the challenge memo was found yet. Mirror nodes can lag a few seconds, please try again shortly.' };
+    }
+    console.log(`Found memo transaction ${match.transaction_id} for challenge on ${challenge.accountId}`);
+    return { verified: true };
+}
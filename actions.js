@@ -0,0 +1,194 @@
+import {
+    AccountId, Hbar, ScheduleCreateTransaction, TokenId, TopicId, TopicMessageSubmitTransaction, TransferTransaction,
+} from '@hashgraph/sdk';
+
+// --- Proposal Actions ---
+// A proposal can carry the transaction it asks for. Once the proposal is approved, Approvr wraps
+// that transaction in a Hedera scheduled transaction; the schedule executes as soon as every key it
+// needs has signed it. Supported actions:
+//   { "type": "hbar_transfer",  "to": "0.0.x", "amount": "100", "from": "0.0.y" }              amount in HBAR
+//   { "type": "token_transfer", "tokenId": "0.0.t", "to": "0.0.x", "amount": 250, "from": "0.0.y" } amount in the token's smallest unit
+//   { "type": "topic_message",  "topicId": "0.0.z", "message": "..." }
+// Transfers name their source account (`from`, e.g. a shared treasury). Its owners sign the schedule with their
+// own wallets and it executes once enough have signed, so the approval is backed by their keys.
+// The source can't be the Approvr operator account: the operator's key already signs the schedule it creates,
+// so a transfer from it would execute immediately, authorized by that key alone rather than by the approvers.
+
+export const ACTION_TYPES = ['hbar_transfer', 'token_transfer', 'topic_message'];
+
+const TRANSFER_TYPES = ['hbar_transfer', 'token_transfer'];
+const HEDERA_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const HBAR_AMOUNT_PATTERN = /^\d+(\.\d{1,8})?$/;
+const MAX_TOPIC_MESSAGE_BYTES = 1024;
+
+/**
+ * Checks that an action is well-formed.
+ * @param {object} action The action.
+ * @returns {string|null} A human-readable problem, or null if the action is valid.
+ */
+export function validateAction(action) {
+    if (!action || typeof action !== 'object') return 'Action is missing.';
+    if (action.from !== undefined && !HEDERA_ID_PATTERN.test(action.from)) return `Invalid source account: ${action.from}`;
+    if (TRANSFER_TYPES.includes(action.type) && action.from === undefined) return 'A transfer needs a source account (from) whose owners sign it.';
+
+    switch (action.type) {
+        case 'hbar_transfer':
+            if (!HEDERA_ID_PATTERN.test(action.to || '')) return `Invalid recipient account: ${action.to}`;
+            if (!HBAR_AMOUNT_PATTERN.test(String(action.amount)) || Number(action.amount) <= 0) return 'HBAR amount must be a positive number with at most 8 decimals.';
+            return null;
+        case 'token_transfer':
+            if (!HEDERA_ID_PATTERN.test(action.tokenId || '')) return `Invalid token ID: ${action.tokenId}`;
+            if (!HEDERA_ID_PATTERN.test(action.to || '')) return `Invalid recipient account: ${action.to}`;
+            if (!Number.isSafeInteger(action.amount) || action.amount <= 0) return 'Token amount must be a positive whole number of the smallest unit.';
+            return null;
+        case 'topic_message':
+            if (!HEDERA_ID_PATTERN.test(action.topicId || '')) return `Invalid topic ID: ${action.topicId}`;
+            if (typeof action.message !== 'string' || !action.message) return 'Topic message must not be empty.';
+            if (Buffer.byteLength(action.message, 'utf8') > MAX_TOPIC_MESSAGE_BYTES) return `Topic message must be at most ${MAX_TOPIC_MESSAGE_BYTES} bytes.`;
+            return null;
+        default:
+            return `Unknown action type "${action.type}". Supported: ${ACTION_TYPES.join(', ')}.`;
+    }
+}
+
+/**
+ * Checks that an action doesn't move funds out of the operator account, whose key alone would authorize it.
+ * @param {object} action A valid action.
+ * @param {string} operatorAccountId The Approvr operator account.
+ * @returns {string|null} A human-readable problem, or null if the action may be scheduled.
+ */
+export function checkActionSource(action, operatorAccountId) {
+    if (TRANSFER_TYPES.includes(action.type) && action.from === operatorAccountId) {
+        return `A transfer can't come from the Approvr operator account ${operatorAccountId}; name an account whose owners sign it.`;
+    }
+    return null;
+}
+
+/**
+ * Parses the `action=` option of `/create`:
+ *   hbar:<amount>:<to>                  e.g. hbar:100:0.0.5005
+ *   token:<tokenId>:<amount>:<to>       e.g. token:0.0.7007:250:0.0.5005
+ *   message:<topicId>:<text>            e.g. message:0.0.8008:release-v2  (URL-encode spaces as %20)
+ * @param {string} spec The option value.
+ * @param {{from?: string}} [extra] Source account from the `from=` option, required for transfers.
+ * @returns {object} The action.
+ * @throws {Error} If the spec is malformed or the action is invalid.
+ */
+export function parseActionSpec(spec, extra = {}) {
+    const [kind, ...fields] = (spec || '').split(':');
+    let action;
+    switch ((kind || '').toLowerCase()) {
+        case 'hbar':
+            if (fields.length !== 2) throw new Error('Use action=hbar:<amount>:<to_account>.');
+            action = { type: 'hbar_transfer', amount: fields[0], to: fields[1] };
+            break;
+        case 'token':
+            if (fields.length !== 3) throw new Error('Use action=token:<token_id>:<amount>:<to_account>.');
+            action = { type: 'token_transfer', tokenId: fields[0], amount: /^\d+$/.test(fields[1]) ? parseInt(fields[1], 10) : NaN, to: fields[2] };
+            break;
+        case 'message':
+            if (fields.length < 2) throw new Error('Use action=message:<topic_id>:<text>.');
+            action = { type: 'topic_message', topicId: fields[0], message: decodeURIComponent(fields.slice(1).join(':')) };
+            break;
+        default:
+            throw new Error(`Unknown action "${kind}". Use hbar:, token: or message:.`);
+    }
+    if (extra.from && action.type !== 'topic_message') action.from = extra.from;
+
+    const problem = validateAction(action);
+    if (problem) throw new Error(problem);
+    return action;
+}
+
+/**
+ * Describes an action for chat.
+ * @param {object} action The action.
+ * @returns {string} One-line description.
+ */
+export function describeAction(action) {
+    const from = action.from ? ` from ${action.from}` : '';
+    switch (action.type) {
+        case 'hbar_transfer':
+            return `Transfer ${action.amount} HBAR${from} to ${action.to}`;
+        case 'token_transfer':
+            return `Transfer ${action.amount} units of token ${action.tokenId}${from} to ${action.to}`;
+        case 'topic_message':
+            return `Submit message "${action.message}" to topic ${action.topicId}`;
+        default:
+            return `Unknown action (${action.type})`;
+    }
+}
+
+/**
+ * Builds the (unsigned, unfrozen) SDK transaction an action stands for.
+ * @param {object} action A valid action.
+ * @param {string} operatorAccountId The Approvr operator account, which must not be the source of a transfer.
+ * @returns {import('@hashgraph/sdk').Transaction} The transaction.
+ * @throws {Error} If the action is invalid or would transfer from the operator account.
+ */
+export function buildActionTransaction(action, operatorAccountId) {
+    const problem = validateAction(action) || checkActionSource(action, operatorAccountId);
+    if (problem) throw new Error(problem);
+    const from = action.from && AccountId.fromString(action.from);
+    switch (action.type) {
+        case 'hbar_transfer': {
+            const amount = Hbar.fromString(String(action.amount));
+            return new TransferTransaction()
+                .addHbarTransfer(from, amount.negated())
+                .addHbarTransfer(AccountId.fromString(action.to), amount);
+        }
+        case 'token_transfer': {
+            const tokenId = TokenId.fromString(action.tokenId);
+            return new TransferTransaction()
+                .addTokenTransfer(tokenId, from, -action.amount)
+                .addTokenTransfer(tokenId, AccountId.fromString(action.to), action.amount);
+        }
+        case 'topic_message':
+            return new TopicMessageSubmitTransaction()
+                .setTopicId(TopicId.fromString(action.topicId))
+                .setMessage(action.message);
+        default:
+            throw new Error(`Unknown action type "${action.type}".`);
+    }
+}
+
+/**
+ * Wraps an action in a scheduled transaction. The schedule memo ties it to the proposal topic, and the
+ * operator pays the fee for the scheduled transaction so approvers only need to add their signatures.
+ * The operator's signature on the schedule doesn't authorize a transfer: its source account's owners do.
+ * @param {object} action A valid action.
+ * @param {{topicId: string, operatorAccountId: string}} context Proposal topic and operator account.
+ * @returns {ScheduleCreateTransaction} The schedule transaction.
+ */
+export function buildScheduleTransaction(action, { topicId, operatorAccountId }) {
+    return new ScheduleCreateTransaction()
+        .setScheduledTransaction(buildActionTransaction(action, operatorAccountId))
+        .setScheduleMemo(`approvr:${topicId}`)
+        .setPayerAccountId(AccountId.fromString(operatorAccountId));
+}
+
+/**
+ * Formats the outcome of scheduling an action for chat.
+ * @param {object} action The action.
+ * @param {{scheduleId: string, scheduledTransactionId: string, status: string, executedAt?: string}} execution Execution details.
+ * @param {{transactionUrl?: string}} [options] Explorer link to the scheduled transaction.
+ * @returns {string} Human-readable summary.
+ */
+export function formatExecution(action, execution, options = {}) {
+    let message;
+    if (execution.status === 'executed') {
+        message = `⚙️ Action executed: ${describeAction(action)}\n` +
+                  `Schedule: ${execution.scheduleId}\n` +
+                  `Transaction: ${execution.scheduledTransactionId}` +
+                  (execution.executedAt ? `\nExecuted at: ${execution.executedAt}` : '');
+    } else {
+        message = `⚙️ Action scheduled: ${describeAction(action)}\n` +
+                  `Schedule: ${execution.scheduleId}\n` +
+                  `It executes automatically once the keys of ${action.from || 'the source account'} have signed the schedule ` +
+                  `(ScheduleSign transaction for ${execution.scheduleId}, e.g. from HashPack or the Hedera SDK).`;
+    }
+    if (options.transactionUrl) {
+        message += `\n🔗 ${options.transactionUrl}`;
+    }
+    return message;
+}
@@ -3,11 +3,30 @@ import bodyParser from 'body-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { Telegraf } from 'telegraf';
 import crypto from 'crypto';
+import { Telegraf } from 'telegraf';
 
 // Import your agent functions
-import { createProposal, tallyApprovals, submitApproval } from '../approvr-agent.js';
+import { createProposal, tallyApprovals, submitVote, getProposal, executeProposalAction, exportProposalAudit, closeProposalTopic, verifyEncryptionKey, parseProposalRequest, useTopicStateStore } from '../approvr-agent.js';
+import { verifyTelegramInitData } from '../telegram-auth.js';
+import { createStorage } from '../storage.js';
+import { DECISIONS, createVotePayload, votePayloadToSign, validateVoteComment } from '../approvr-protocol.js';
+import { describeRule } from '../policy.js';
+import { describeAction } from '../actions.js';
+import { draftFromParsed, formatDraft, draftToCreateCommand } from '../proposal-drafts.js';
+import { computeTally } from '../tally.js';
+import { formatStatusCard, statusCardKeyboard } from '../status-card.js';
+import { buildProposalView } from '../proposal-view.js';
+import { PROPOSAL_FILTERS, FINAL_OUTCOMES, sealOrigin, registrySecret, matchesFilter, paginate, formatProposalList, listKeyboard } from '../proposal-registry.js';
+import { getNetworkConfig, explorerUrl } from '../network.js';
+import { createRestApi, restApiErrorHandler, parseApiKeys, API_VERSION } from '../rest-api.js';
+import { createWebhookDispatcher } from '../webhooks.js';
+import { createTopicWatcher } from '../topic-watcher.js';
+import { auditBundleToCsv } from '../audit-export.js';
+import { CONFIDENTIAL_LABEL, encryptionKeyStatement, hasAction } from '../sealed-proposals.js';
+import { createBotCore, isPastDeadline } from '../bot-core.js';
+import { TELEGRAM_PLATFORM, registerCoreCommands, telegramMessage } from '../telegram-adapter.js';
+import { createSlackCommands } from '../slack-adapter.js';
 
 dotenv.config();
 
@@ -19,84 +38,58 @@ const __filename = fileURLToPath(import.meta.url);
 // Vercel handles paths differently, so we need to be careful
 const __dirname = path.dirname(path.dirname(__filename)); // Go up one level from /api
 
-// --- In-Memory Storage (IMPORTANT CAVEAT - see below) ---
-// Note: In a stateless serverless environment, this data will be lost on every new invocation.
-// This is okay for a quick demo, but for production, you need an external database (Vercel KV, Redis, etc.)
-const userData = new Map();
-const userStates = new Map(); // You can likely remove this as /submitsig is gone
-const serverUserData = new Map();
+// --- Storage ---
+// Account links, proposals and pending challenges go through the configured backend (see storage.js).
+// Use APPROVR_STORAGE=redis in serverless deployments so every instance sees the same data.
+const store = createStorage();
+// Tally cursors live next to the rest of the state, so a cold start doesn't re-read every topic.
+useTopicStateStore(store.topicStates);
+// Outbound webhooks for proposal lifecycle events (see webhooks.js); registered through the REST API.
+const webhooks = createWebhookDispatcher({ webhooks: store.webhooks, deliveries: store.webhookDeliveries });
 
 // --- Telegraf Bot Setup (Webhook Method) ---
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const bot = new Telegraf(TELEGRAM_BOT_TOKEN);
 
-const welcomeAndHelpMessage = `
-Welcome to Approvr\! Your Multi-Signature Helper on Hedera.
-
-Approvr helps you coordinate multi-party approvals for transactions or decisions using Hedera Consensus Service topics. It ensures transparency and immutability by storing approval records on-chain.
-
----
-
-How to Use:
-
-1.  Start a New Proposal:
-    /create <description> | <approver1, approver2,...> | <threshold>
-    - Description: A brief summary of what you're proposing (e.g., "Send 100 HBAR to 0.0.xyz").
-    - Approvers: Comma-separated list of Hedera Account IDs (e.g., 0.0.abc,0.0.def).
-    - Threshold: Minimum number of approvals needed (e.g., 2).
-
-    Example:
-    /create Send 100 HBAR to 0.0.recipient | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
-
-2.  Approve a Proposal:
-    /approve <topic_id>
-    - Topic ID: The unique identifier for the proposal topic.
-
-    Example:
-    /approve 0.0.123456
-
-3.  Check Proposal Status:
-    /tally <topic_id> | <approver1, approver2,...> | <threshold>
-    - Topic ID: The unique identifier for the proposal topic.
-    - Approvers: Same comma-separated list of approvers used when creating the proposal.
-    - Threshold: Minimum number of approvals required.
+// --- Chat Commands ---
+// help, linkaccount, verify, create, the vote commands and tally are shared with the other chat platforms (see bot-core.js);
+// the commands below them are Telegram-only, and listed in the help through these sections.
+const TELEGRAM_HELP_SECTIONS = [
+    `Export a Proposal for Auditors:
+    /export <topic_id>
+    - Sends every topic message with its consensus timestamp, sequence number and running hash, plus the outcome,
+      as JSON and CSV. node scripts/verify-export.js checks the JSON offline.`,
+    `Find Proposals Again:
+    /proposals [open|approved|rejected|expired|all|mine]
+    - Lists the proposals created in this chat (open ones by default), or all proposals you created with "mine".
+    /pending
+    - Lists the open proposals that are still waiting for your vote.`,
+    `Describe a Proposal in Plain Words:
+    /propose <what needs approving, by whom and by when>
+    - In a private chat with the bot you can skip /propose and just write the request.
+    - Approvr drafts the proposal and shows it with Create, Edit and Cancel buttons; nothing is created until you press Create.
+    - People are matched by the Telegram username they linked with /linkaccount, or give their account IDs.
 
     Example:
-    /tally 0.0.123456 | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
-
-4.  Get Help:
-    /help
-    - Displays this help message.
-
----
-
-Sample Workflow:
-
-1.  Create a Proposal:
-    /create Send 100 HBAR to 0.0.recipient | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
-    You'll receive a response like:
-    "Proposal created successfully! Topic ID: 0.0.123456. Share this Topic ID with approvers."
-
-2.  Approve a Proposal:
-    As an approver, send:
-    /approve 0.0.123456
-    You'll see:
-    "Approval recorded for 0.0.approver1."
-
-3.  Check Proposal Status:
-    To check if enough approvals have been received:
-    /tally 0.0.123456 | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
-    You might see:
-    "Current tally: 1/2 approvals. Need 1 more approval(s)."
-
----
-
-Important Notes:
-- Topic ID: Keep track of the Topic ID for each proposal.
-- Approvers: Ensure all approvers know their Hedera Account ID.
-- Threshold: Set a reasonable threshold for consensus.
-`;
-
+    /propose need @alice and @bob to sign off on paying 500 HBAR to 0.0.999 by Friday`,
+];
+
+const core = createBotCore({
+    store,
+    createProposal: createAndRecordProposal,
+    getProposal,
+    tallyApprovals,
+    submitVote,
+    // IMPORTANT: Your Vercel deployment URL
+    miniAppUrl: ({ topicId, decision, accountId }) =>
+        `https://${process.env.VERCEL_URL}/approve?topic_id=${topicId}&decision=${decision}&user_account=${accountId}`,
+    afterCreate: postStatusCard,
+    afterTally: async (topicId, tallyResult) => {
+        await recordTally(topicId, tallyResult);
+        return executeIfApproved(topicId, tallyResult);
+    },
+    afterVote: followUpVote,
+});
 
 bot.start(async (ctx) => {
     const userId = ctx.from.id;
@@ -105,7 +98,7 @@ bot.start(async (ctx) => {
     console.log(`New user started chat: ${userId} (${ctx.from.username || 'No Username'})`);
 
     // Check if user is already linked
-    const userLinkData = userData.get(userId);
+    const userLinkData = await store.accountLinks.get(userId);
     let welcomeMessage = `Welcome to Approvr\\! Your Multi\\-Signature Helper on Hedera\\.\n\n`;
 
     if (userLinkData && userLinkData.hederaAccountId) {
@@ -114,7 +107,8 @@ bot.start(async (ctx) => {
     } else {
         welcomeMessage += `🔐 To participate in proposals, you need to link your Hedera account\\.\n`;
         welcomeMessage += `Please use the command: /linkaccount \\<your\\_hedera\\_account\\_id\\>\n`;
-        welcomeMessage += `Example: \`/linkaccount 0.0.12345\`\n\n`;
+        welcomeMessage += `Example: \`/linkaccount 0.0.12345\`\n`;
+        welcomeMessage += `You will then be asked to prove ownership with a signature or a memo transfer and confirm with /verify\\.\n\n`;
     }
 
     welcomeMessage += `\\-\\-\\-\n`;
@@ -123,116 +117,540 @@ bot.start(async (ctx) => {
     await ctx.reply(welcomeMessage, { parse_mode: 'MarkdownV2' });
 });
 
-bot.help((ctx) => {
-    ctx.reply(welcomeAndHelpMessage, { parse_mode: 'Markdown' }); // Use Markdown for basic formatting
-});
+registerCoreCommands(bot, core, { platform: { ...TELEGRAM_PLATFORM, helpSections: TELEGRAM_HELP_SECTIONS } });
 
-bot.command('linkaccount', async (ctx) => {
-    const userId = ctx.from.id;
-    const hederaAccountId = ctx.message.text.substring('/linkaccount'.length).trim();
+// Opens the Mini App page where an approver creates the key confidential proposals are encrypted to.
+bot.command('encryptionkey', async (ctx) => {
+    if (isGroupChat(ctx.chat.id)) {
+        return ctx.reply("Please use /encryptionkey in a private chat with me.");
+    }
+    const userLinkData = await store.accountLinks.get(ctx.from.id);
+    if (!userLinkData) {
+        return ctx.reply("Please link your account first using /linkaccount.");
+    }
+    const registered = await store.encryptionKeys.get(userLinkData.hederaAccountId);
+    await ctx.reply(
+        (registered
+            ? `🔑 ${userLinkData.hederaAccountId} has an encryption key since ${registered.registeredAt}. Setting up a new one replaces it; ` +
+              `confidential proposals created before that can then only be opened on the device that holds the old key.`
+            : `🔑 Confidential proposals are encrypted to each approver's own key. Create yours in the Mini App: the private key stays ` +
+              `on your device, and you sign the public key with the key of ${userLinkData.hederaAccountId}.`),
+        { reply_markup: { inline_keyboard: [[{ text: '🔑 Set up encryption key', web_app: { url: `https://${process.env.VERCEL_URL}/approve?setup=encryption` } }]] } });
+});
 
-    if (!hederaAccountId || !hederaAccountId.startsWith("0.0.")) {
-        return ctx.reply("❌ Please provide a valid Hedera Account ID starting with '0.0.'.", { parse_mode: 'MarkdownV2' });
+/**
+ * Creates a proposal on-chain and remembers which chat and user it belongs to.
+ * A confidential proposal is sealed to the approvers' registered encryption keys; Approvr keeps the sealed box and
+ * a label instead of the description, so neither the registry, the status card nor webhooks reveal the content.
+ * @param {{description: string, approvers: Array<string>, threshold: number|null, policy?: object, action?: object,
+ *          rejectThreshold?: number, deadline?: string, confidential?: boolean}} fields Proposal fields.
+ * @param {{chatId: string|null, creatorId: number|string|null, apiClient?: string}} origin Chat and user that created it
+ *        (see bot-core.js for how chats and users of each platform are keyed), or the REST API client (chat and user are then null).
+ * @returns {Promise<{result: object, reply: string}>} Result of `createProposal` and the chat reply.
+ */
+async function createAndRecordProposal(fields, { chatId, creatorId, apiClient }) {
+    const { description, approvers, threshold, policy, action, rejectThreshold, deadline, confidential } = fields;
+    // The sealed origin lets scripts/rebuild-registry.js put the proposal back in this chat's registry.
+    const secret = registrySecret();
+    const origin = secret && chatId !== null ? sealOrigin({ chatId, creatorId }, secret) : undefined;
+    let encryptionKeys;
+    if (confidential) {
+        const registered = await Promise.all(approvers.map(accountId => store.encryptionKeys.get(accountId)));
+        encryptionKeys = approvers
+            .map((accountId, i) => registered[i] && { accountId, publicKey: registered[i].publicKey, signature: registered[i].signature })
+            .filter(Boolean);
+    }
+    const result = await createProposal(description, approvers, threshold, { policy, action, rejectThreshold, deadline, origin, encryptionKeys });
+    if (result.status === 'success') {
+        if (result.sealed) await store.sealedProposals.set(result.topicId, result.sealed);
+        const shared = {
+            description: result.confidential ? CONFIDENTIAL_LABEL : description,
+            approvers,
+            threshold,
+            policy: policy || null,
+            action: (!result.confidential && action) || null,
+            rejectThreshold: rejectThreshold || null,
+            deadline: deadline || null,
+            ...(result.confidential ? { confidential: result.confidential } : {}),
+        };
+        await store.proposals.set(result.topicId, {
+            topicId: result.topicId,
+            ...shared,
+            chatId,
+            creatorId,
+            ...(apiClient ? { apiClient } : {}),
+            createdAt: new Date().toISOString(),
+        });
+        await webhooks.emit('proposal.created', {
+            topicId: result.topicId,
+            ...shared,
+            topicUrl: result.topicUrl || null,
+        }, { id: `${result.topicId}.created` });
+    }
+    let reply = result.message || "Proposal creation process completed.";
+    if (result.status === 'success' && result.confidential) {
+        reply += `\n🔒 Confidential: only the commitment ${result.confidential.commitment} is on the topic. Approvers open the proposal in the Mini App.`;
+    }
+    if (result.status === 'success' && policy) {
+        reply += `\nApproval rule: ${describeRule(policy.rule)}`;
+    }
+    if (result.status === 'success' && action && result.confidential) {
+        reply += `\nOnce it is approved, an approver releases the action in the Mini App and Approvr schedules it.`;
+    } else if (result.status === 'success' && action) {
+        reply += `\nOn approval, Approvr will schedule: ${describeAction(action)}`;
+    }
+    if (result.status === 'success' && deadline) {
+        reply += `\nVoting closes at ${deadline}.`;
+    }
+    return { result, reply };
+}
+
+// --- Natural-Language Proposals ---
+// "/propose <free text>" (or any plain message in a private chat) is read by the LLM into a draft.
+// Nothing goes on-chain until the requester presses Create; Edit hands back the equivalent /create command.
+const DRAFT_TTL_SECONDS = 60 * 60;
+const CREATE_SYNTAX_HINT = "You can always use: /create <description> | <approver1,approver2,...> | <threshold>";
+
+async function resolveLinkedMember(member) {
+    const wanted = member.trim().replace(/^@/, '').toLowerCase();
+    const links = (await store.accountLinks.list()).filter(({ id }) => isTelegramId(id));
+    const match = links.find(({ value }) => value.username && value.username.toLowerCase() === wanted);
+    return match ? match.value.hederaAccountId : null;
+}
+
+async function replyWithDraft(ctx, text) {
+    await ctx.sendChatAction('typing');
+    const parsed = await parseProposalRequest(text);
+    if (parsed.status !== 'success') {
+        return ctx.reply(`🤖 I couldn't turn that into a proposal right now (${parsed.message}).\n${CREATE_SYNTAX_HINT}`);
     }
-    
-    console.log(`Simulating link for user ${userId} to account ${hederaAccountId}`);
-    // Store link directly
-    userData.set(userId, { hederaAccountId, linkedAt: new Date().toISOString() });
-    serverUserData.set(userId.toString(), { verifiedHederaAccountId: hederaAccountId });
 
-    await ctx.reply(`✅ Simulated successful verification for \`${hederaAccountId}\`\\. Link established for demo purposes\\.`, { parse_mode: 'MarkdownV2' });
-});
+    // Resolve every name once, then build the draft synchronously.
+    const members = parsed.parsed.groups.flatMap(group => group.members);
+    const resolved = new Map(await Promise.all(members.map(async member => [member, await resolveLinkedMember(member)])));
+    const draft = draftFromParsed(parsed.parsed, member => resolved.get(member) || null);
 
-bot.command('create', async (ctx) => {
-    const chatId = ctx.chat.id.toString();
-    const userId = ctx.from.id;
-    const args = ctx.message.text.substring('/create'.length).trim();
+    const draftId = crypto.randomBytes(6).toString('hex');
+    await store.drafts.set(draftId, { ...draft, chatId: ctx.chat.id.toString(), creatorId: ctx.from.id }, DRAFT_TTL_SECONDS);
 
-    if (!args) {
-        return ctx.reply("Please provide proposal details. Format: /create <description> | <approver1,approver2,...> | <threshold>");
-    }
+    const buttons = [];
+    if (draft.problems.length === 0) buttons.push({ text: '✅ Create', callback_data: `draft:confirm:${draftId}` });
+    buttons.push({ text: '✏️ Edit', callback_data: `draft:edit:${draftId}` }, { text: '❌ Cancel', callback_data: `draft:cancel:${draftId}` });
+    await ctx.reply(formatDraft(draft), { reply_markup: { inline_keyboard: [buttons] } });
+}
 
-    // Simple parsing: description | approver1,approver2 | threshold
-    const parts = args.split(' | ');
-    if (parts.length !== 3) {
-        return ctx.reply("Invalid format. Please use: /create <description> | <approver1,approver2,...> | <threshold>");
+bot.command('propose', async (ctx) => {
+    const text = ctx.message.text.substring('/propose'.length).trim();
+    if (!text) {
+        return ctx.reply("Describe what needs approving, e.g.\n/propose need Alice and Bob to sign off on paying 500 HBAR to 0.0.999 by Friday");
     }
+    await replyWithDraft(ctx, text);
+});
 
-    const description = parts[0].trim();
-    const approvers = parts[1].split(',').map(id => id.trim()).filter(id => id); // Split, trim, filter empty
-    const thresholdStr = parts[2].trim();
-    const threshold = parseInt(thresholdStr, 10);
+bot.action(/^draft:(confirm|edit|cancel):([0-9a-f]+)$/, async (ctx) => {
+    const [, choice, draftId] = ctx.match;
+    const draft = await store.drafts.get(draftId);
+    if (!draft) {
+        await ctx.answerCbQuery("This draft has expired. Please describe the proposal again.");
+        return ctx.editMessageReplyMarkup(undefined);
+    }
+    if (draft.creatorId !== ctx.from.id) {
+        return ctx.answerCbQuery("Only the person who asked for this draft can use these buttons.");
+    }
 
-    if (isNaN(threshold) || threshold <= 0 || threshold > approvers.length) {
-         return ctx.reply("Invalid threshold. It must be a number between 1 and the number of approvers.");
+    if (choice === 'cancel') {
+        await store.drafts.delete(draftId);
+        await ctx.answerCbQuery("Draft discarded.");
+        return ctx.editMessageText(`${formatDraft(draft)}\n\n❌ Cancelled.`);
+    }
+    if (choice === 'edit') {
+        await ctx.answerCbQuery();
+        return ctx.reply(`Copy, correct and send this command:\n\n${draftToCreateCommand(draft)}`);
     }
 
-    await ctx.sendChatAction('typing');
+    if (draft.problems.length > 0) {
+        return ctx.answerCbQuery("Fix the problems listed in the draft first.");
+    }
+    // Delete first so a double tap can't create the proposal twice.
+    await store.drafts.delete(draftId);
+    await ctx.answerCbQuery("Creating the proposal on Hedera…");
+    await ctx.editMessageReplyMarkup(undefined);
     try {
-        const result = await createProposal(description, approvers, threshold);
-        await ctx.reply(result.message || "Proposal creation process completed.");
+        const { result, reply } = await createAndRecordProposal(
+            { ...draft, policy: draft.policy || undefined, action: draft.action || undefined, deadline: draft.deadline || undefined },
+            { chatId: draft.chatId, creatorId: draft.creatorId });
+        await ctx.reply(reply);
+        if (result.status === 'success') await postStatusCard(result.topicId);
     } catch (error) {
-        console.error(`Error creating proposal for chat ${chatId}:`, error);
-        await ctx.reply("Sorry, failed to create the proposal. Please check the format and try again.");
+        console.error(`Error creating proposal from draft ${draftId}:`, error);
+        await ctx.reply("Sorry, failed to create the proposal. Please try again.");
     }
 });
 
-bot.command('approve', async (ctx) => {
-    const userId = ctx.from.id;
-    const topicId = ctx.message.text.substring('/approve'.length).trim();
-    // IMPORTANT: Your Vercel deployment URL
-    const VERCEL_URL = process.env.VERCEL_URL; 
-    
-    if (!topicId.startsWith("0.0.")) {
-        return ctx.reply("❌ Invalid Topic ID.");
+/**
+ * Schedules the action of a proposal that a tally found approved, once, and reports the result
+ * to the chat the proposal was created in. The action of a confidential proposal waits until an approver discloses it.
+ * Only proposals in the registry are executed: anyone can post a proposal envelope naming themselves as the only
+ * approver to a topic of their own, and the operator would pay for and sign its transfer.
+ * @param {string} topicId The proposal topic.
+ * @param {object} tallyResult Result of `tallyApprovals`.
+ * @param {{disclosure?: object}} [options] The disclosed content of a confidential proposal (see `executeProposalAction`).
+ * @returns {Promise<object|null>} Result of `executeProposalAction` (code 'not_registered' for a topic Approvr didn't create),
+ *          or null if there was nothing to do.
+ */
+async function executeIfApproved(topicId, tallyResult, { disclosure } = {}) {
+    if (tallyResult.status !== 'success' || !tallyResult.isApproved || !hasAction(tallyResult.proposal)) return null;
+    if (tallyResult.proposal.confidential && !disclosure) return null;
+    const record = await store.proposals.get(topicId);
+    if (!record) {
+        console.warn(`Not executing the action of ${topicId}: the topic is not in the proposal registry.`);
+        return { status: 'error', code: 'not_registered', message: `Approvr only executes the actions of proposals it created, and ${topicId} is not one of them.` };
     }
-    const userLinkData = userData.get(userId);
-    if (!userLinkData) {
-        return ctx.reply("❌ Please link your account first using `/linkaccount`.");
-    }
-    const miniAppUrl = `https://${VERCEL_URL}/approve?topic_id=${topicId}&user_account=${userLinkData.hederaAccountId}`;
+    if (record.execution && record.execution.status === 'executed') return null;
 
-    await ctx.reply(`Please confirm your approval for topic \`${topicId}\` using the Mini App.`, {
-        parse_mode: 'Markdown',
-        reply_markup: {
-            inline_keyboard: [[{ text: "🔐 Approve in Mini App", web_app: { url: miniAppUrl } }]]
+    const result = await executeProposalAction(topicId, { disclosure });
+    if (result.status !== 'success') {
+        console.error(`Could not execute the action of ${topicId}: ${result.message}`);
+        return result;
+    }
+    await store.proposals.set(topicId, { ...record, execution: result.execution });
+    if (isTelegramId(record.chatId) && !result.alreadyRecorded) {
+        // The chat may include people who aren't approvers, so a confidential action is not described there.
+        await bot.telegram.sendMessage(record.chatId, record.confidential
+            ? `⚙️ The confidential action of ${topicId} was released by an approver: ${result.execution.status === 'executed' ? 'executed' : 'scheduled'} as ${result.execution.scheduleId}.`
+            : result.message);
+    }
+    await closeIfSettled(topicId, { ...tallyResult, execution: result.execution });
+    return result;
+}
+
+/**
+ * Closes the topic of a final proposal, once (see `closeProposalTopic`). Approved proposals with an action wait for
+ * their execution record. Topics without an admin key are remembered as not closable, so they aren't retried on every tally.
+ * @param {string} topicId The proposal topic.
+ * @param {object} tallyResult Result of `tallyApprovals`.
+ */
+async function closeIfSettled(topicId, tallyResult) {
+    if (tallyResult.status !== 'success' || !FINAL_OUTCOMES.includes(tallyResult.outcome)) return;
+    const record = await store.proposals.get(topicId);
+    if (!record || record.closedAt || record.closable === false) return;
+    if (tallyResult.isApproved && hasAction(tallyResult.proposal) && !(tallyResult.execution || record.execution)) return;
+
+    const result = await closeProposalTopic(topicId);
+    if (result.status === 'success') {
+        await store.proposals.set(topicId, { ...record, closedAt: new Date().toISOString() });
+    } else if (result.code === 'not_closable') {
+        await store.proposals.set(topicId, { ...record, closable: false });
+    } else {
+        console.error(`Could not close the topic of ${topicId}: ${result.message}`);
+    }
+}
+
+// --- Group Status Cards ---
+// Proposals created in a group get a card with Approve/Reject buttons that is edited as votes land.
+// Votes stay signed: the buttons send the approver a private Mini App link to sign with their Hedera key.
+
+// Group and supergroup chat IDs are negative; private chats are the user's own (positive) ID.
+function isGroupChat(chatId) {
+    return Number(chatId) < 0;
+}
+
+// Telegram chat and user IDs are numbers; proposals and links from other platforms (see bot-core.js) carry
+// prefixed IDs like "slack:T1:C2", which the bot can't message.
+function isTelegramId(id) {
+    return /^-?\d+$/.test(String(id));
+}
+
+// Linked Telegram users by Hedera account, used to tag approvers on cards.
+async function linkedMembers() {
+    const members = new Map();
+    for (const { id, value } of await store.accountLinks.list()) {
+        if (isTelegramId(id) && value.hederaAccountId && !members.has(value.hederaAccountId)) {
+            members.set(value.hederaAccountId, { telegramId: Number(id), username: value.username || null });
         }
-    });
+    }
+    return members;
+}
+
+/**
+ * Posts the status card of a newly created proposal if it was created in a group.
+ * @param {string} topicId The proposal topic.
+ */
+async function postStatusCard(topicId) {
+    const record = await store.proposals.get(topicId);
+    if (!record || !isGroupChat(record.chatId)) return;
+    try {
+        // Nothing has been voted yet, so the card is built from the stored proposal instead of the mirror node.
+        const text = formatStatusCard(topicId, record, computeTally(record, []), {
+            members: await linkedMembers(),
+            explorerUrl: explorerUrl('topic', topicId, getNetworkConfig()),
+        });
+        const sent = await bot.telegram.sendMessage(record.chatId, text, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: statusCardKeyboard(topicId, 'pending'),
+        });
+        await store.proposals.set(topicId, { ...record, card: { chatId: record.chatId, messageId: sent.message_id } });
+    } catch (error) {
+        console.error(`Could not post the status card of ${topicId}:`, error);
+    }
+}
+
+/**
+ * Stores a tally's outcome in the proposal registry and edits the proposal's status card to match.
+ * The first tally that finds a proposal approved, rejected or expired also sends the matching webhook event,
+ * and a final proposal's topic is closed.
+ * @param {string} topicId The proposal topic.
+ * @param {object} tallyResult Result of `tallyApprovals`.
+ */
+async function recordTally(topicId, tallyResult) {
+    if (tallyResult.status !== 'success') return;
+    const record = await store.proposals.get(topicId);
+    if (!record) return;
+    if (record.outcome !== tallyResult.outcome || String(record.outstanding) !== String(tallyResult.tally.outstanding)) {
+        await store.proposals.set(topicId, { ...record, outcome: tallyResult.outcome, outstanding: tallyResult.tally.outstanding });
+    }
+    if (FINAL_OUTCOMES.includes(tallyResult.outcome) && record.outcome !== tallyResult.outcome) {
+        const { tally } = tallyResult;
+        await webhooks.emit(`proposal.${tallyResult.outcome}`, {
+            topicId,
+            description: record.description,
+            outcome: tally.outcome,
+            approvals: tally.approvals,
+            rejections: tally.rejections,
+            abstentions: tally.abstentions,
+            outstanding: tally.outstanding,
+            decidedBy: tally.decidedBy || null,
+            action: record.action || null,
+            deadline: record.deadline || null,
+            topicUrl: tallyResult.topicUrl || null,
+        }, { id: `${topicId}.${tallyResult.outcome}` });
+    }
+    await closeIfSettled(topicId, tallyResult);
+    if (!record.card) return;
+    try {
+        const text = formatStatusCard(topicId, tallyResult.proposal, tallyResult.tally, {
+            members: await linkedMembers(),
+            explorerUrl: tallyResult.topicUrl,
+        });
+        await bot.telegram.editMessageText(record.card.chatId, record.card.messageId, undefined, text, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: statusCardKeyboard(topicId, tallyResult.outcome),
+        });
+    } catch (error) {
+        // Telegram refuses edits that change nothing, e.g. when nobody voted since the last refresh.
+        if (!/message is not modified/.test(error.description || error.message)) {
+            console.error(`Could not update the status card of ${topicId}:`, error);
+        }
+    }
+}
+
+// Tells webhook subscribers about a vote that was just posted; its sequence number makes the event ID unique.
+function announceVote(topicId, { accountId, decision, comment }, voteResult) {
+    return webhooks.emit('vote.cast', {
+        topicId,
+        accountId,
+        decision,
+        comment: comment || null,
+        sequenceNumber: voteResult.sequenceNumber ?? null,
+        transactionUrl: voteResult.transactionUrl || null,
+    }, { id: `${topicId}.vote.${voteResult.sequenceNumber}` });
+}
+
+const MIRROR_NODE_POLL_ATTEMPTS = 4;
+const MIRROR_NODE_POLL_INTERVAL_MS = 1500;
+
+/**
+ * Tallies a proposal, waiting briefly for the mirror node to catch up with a message just submitted.
+ * @param {string} topicId The proposal topic.
+ * @param {number|null} sequenceNumber Sequence number the tally should include, if known.
+ * @returns {Promise<object>} Result of `tallyApprovals` (possibly without the message if the mirror node is slow).
+ */
+async function tallyIncluding(topicId, sequenceNumber) {
+    let result = await tallyApprovals(topicId);
+    for (let attempt = 1; attempt < MIRROR_NODE_POLL_ATTEMPTS && sequenceNumber &&
+            result.status === 'success' && result.lastSequenceNumber < sequenceNumber; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, MIRROR_NODE_POLL_INTERVAL_MS));
+        result = await tallyApprovals(topicId);
+    }
+    return result;
+}
+
+/**
+ * Follows up a vote relayed by the REST API or signed in a chat without the Mini App, like a Mini App vote:
+ * webhooks, the status card, and the proposal's action once approved.
+ * @param {string} topicId The proposal topic.
+ * @param {{accountId: string, decision: string, comment?: string}} vote The vote.
+ * @param {object} voteResult Result of `submitVote`.
+ * @returns {Promise<string>} The proposal's outcome.
+ */
+async function followUpVote(topicId, vote, voteResult) {
+    await announceVote(topicId, vote, voteResult);
+    const tallyResult = await tallyIncluding(topicId, voteResult.sequenceNumber);
+    await recordTally(topicId, tallyResult);
+    await executeIfApproved(topicId, tallyResult);
+    return tallyResult.outcome;
+}
+
+bot.action(/^vote:(approve|reject):(0\.0\.\d+)$/, async (ctx) => {
+    const [, command, topicId] = ctx.match;
+    const voter = await core.checkVoter(ctx.from.id, topicId);
+    if (voter.error) {
+        return ctx.answerCbQuery(voter.error, { show_alert: true });
+    }
+    try {
+        await bot.telegram.sendMessage(ctx.from.id, ...telegramMessage(core.voteLink(command, topicId, voter.accountId)));
+    } catch (error) {
+        // Bots can only message users who have started a private chat with them.
+        return ctx.answerCbQuery("I can't message you yet. Open a private chat with me, press Start, then tap the button again.", { show_alert: true });
+    }
+    await ctx.answerCbQuery("Check your private chat with me to sign your vote.");
 });
 
-bot.command('tally', async (ctx) => {
-    const chatId = ctx.chat.id.toString();
-    const userId = ctx.from.id;
-    const args = ctx.message.text.substring('/tally'.length).trim();
+bot.action(/^card:refresh:(0\.0\.\d+)$/, async (ctx) => {
+    const topicId = ctx.match[1];
+    const result = await tallyApprovals(topicId);
+    if (result.status !== 'success') {
+        return ctx.answerCbQuery(result.message, { show_alert: true });
+    }
+    await recordTally(topicId, result);
+    await executeIfApproved(topicId, result);
+    await ctx.answerCbQuery("Status updated.");
+});
 
-    if (!args) {
-        return ctx.reply("Please provide tally details. Format: /tally <topic_id> | <approver1,approver2,...> | <threshold>");
+// Sends the audit bundle of a proposal as two files: the JSON bundle scripts/verify-export.js checks, and a CSV of the messages.
+bot.command('export', async (ctx) => {
+    const topicId = ctx.message.text.substring('/export'.length).trim();
+    if (!/^0\.0\.\d+$/.test(topicId)) {
+        return ctx.reply("Please provide the Topic ID. Format: /export <topic_id>");
     }
 
-    const parts = args.split(' | ');
-    if (parts.length !== 3) {
-        return ctx.reply("Invalid format. Please use: /tally <topic_id> | <approver1,approver2,...> | <threshold>");
+    await ctx.sendChatAction('upload_document');
+    try {
+        const result = await exportProposalAudit(topicId);
+        if (result.status !== 'success') {
+            return ctx.reply(`❌ ${result.message}`);
+        }
+        const name = `approvr-${topicId}`;
+        await ctx.replyWithDocument({ source: Buffer.from(JSON.stringify(result.bundle, null, 2)), filename: `${name}.json` }, {
+            caption: `${result.message}
+Verify it offline with: node scripts/verify-export.js ${name}.json`,
+        });
+        await ctx.replyWithDocument({ source: Buffer.from(auditBundleToCsv(result.bundle)), filename: `${name}.csv` });
+    } catch (error) {
+        console.error(`Error exporting ${topicId}:`, error);
+        await ctx.reply("Sorry, failed to export the proposal. Please try again later.");
     }
+});
+
+// --- Proposal Listings ---
+// /proposals and /pending read the registry of proposals Approvr created (see proposal-registry.js).
+const LIST_TITLES = {
+    all: 'Proposals in this chat',
+    open: 'Open proposals in this chat',
+    approved: 'Approved proposals in this chat',
+    rejected: 'Rejected proposals in this chat',
+    expired: 'Expired proposals in this chat',
+    mine: 'Proposals you created',
+    pending: 'Proposals waiting for your vote',
+};
+
+/**
+ * Collects the registry records of a listing, with the outcomes last recorded for them.
+ * @param {string} kind A filter from PROPOSAL_FILTERS, or 'pending' for proposals waiting on the user's vote.
+ * @param {{chatId: string, userId: number}} viewer Chat the listing is shown in and the user who asked.
+ * @returns {Promise<{records?: Array<object>, error?: string}>} Matching records, or why there are none.
+ */
+async function collectListing(kind, viewer) {
+    let accountId = null;
+    if (kind === 'pending') {
+        const link = await store.accountLinks.get(viewer.userId);
+        if (!link) return { error: "Link your Hedera account with /linkaccount first." };
+        accountId = link.hederaAccountId;
+    }
+    const inScope = (record) => kind === 'pending'
+        ? record.approvers.includes(accountId)
+        : kind === 'mine' ? record.creatorId === viewer.userId : record.chatId === viewer.chatId;
 
-    const topicId = parts[0].trim();
-    const approvers = parts[1].split(',').map(id => id.trim()).filter(id => id);
-    const thresholdStr = parts[2].trim();
-    const threshold = parseInt(thresholdStr, 10);
+    const records = (await store.proposals.list())
+        .map(({ id, value }) => ({ ...value, topicId: id }))
+        .filter(inScope);
 
-    if (isNaN(threshold) || threshold <= 0 || threshold > approvers.length) {
-         return ctx.reply("Invalid threshold for tally. It must be a number between 1 and the number of approvers provided.");
+    if (kind === 'pending') {
+        return { records: records.filter(r => (r.outcome || 'pending') === 'pending' && (!r.outstanding || r.outstanding.includes(accountId))) };
+    }
+    return { records: records.filter(r => matchesFilter(r, kind, viewer)) };
+}
+
+// Listings for one user ("mine", "pending") carry that user's ID, so only they can page through them.
+// Only the open proposals on the page shown are re-tallied, so a listing costs at most one page of tallies
+// however many proposals there are. The others keep their recorded outcome until they are shown or tallied.
+async function renderListing(listId, page, viewer) {
+    const [kind, ownerId] = listId.split('.');
+    const { records, error } = await collectListing(kind, { ...viewer, userId: ownerId ? Number(ownerId) : viewer.userId });
+    if (error) return { text: `❌ ${error}`, keyboard: { inline_keyboard: [] } };
+    const current = paginate(records, page);
+    current.items = await Promise.all(current.items.map(async (record) => {
+        if (FINAL_OUTCOMES.includes(record.outcome)) return record;
+        const result = await tallyApprovals(record.topicId);
+        await recordTally(record.topicId, result);
+        return result.status === 'success' ? { ...record, outcome: result.outcome } : record;
+    }));
+    return { text: formatProposalList(LIST_TITLES[kind], current), keyboard: listKeyboard(listId, current.page, current.pages) };
+}
+
+// "mine" and /pending span every chat, so they are only shown in private chats.
+function replyPrivateOnly(ctx, command) {
+    return ctx.reply(`${command} lists proposals from other chats too. Please use it in a private chat with me.`);
+}
+
+bot.command('proposals', async (ctx) => {
+    const filter = ctx.message.text.substring('/proposals'.length).trim().toLowerCase() || 'open';
+    if (!PROPOSAL_FILTERS.includes(filter)) {
+        return ctx.reply(`Unknown filter "${filter}". Use /proposals [${PROPOSAL_FILTERS.join('|')}].`);
+    }
+    if (filter === 'mine' && isGroupChat(ctx.chat.id)) {
+        return replyPrivateOnly(ctx, '/proposals mine');
     }
+    await ctx.sendChatAction('typing');
+    const viewer = { chatId: ctx.chat.id.toString(), userId: ctx.from.id };
+    const { text, keyboard } = await renderListing(filter === 'mine' ? `mine.${ctx.from.id}` : filter, 0, viewer);
+    await ctx.reply(text, { reply_markup: keyboard });
+});
 
+bot.command('pending', async (ctx) => {
+    if (isGroupChat(ctx.chat.id)) {
+        return replyPrivateOnly(ctx, '/pending');
+    }
     await ctx.sendChatAction('typing');
+    const viewer = { chatId: ctx.chat.id.toString(), userId: ctx.from.id };
+    const { text, keyboard } = await renderListing(`pending.${ctx.from.id}`, 0, viewer);
+    await ctx.reply(text, { reply_markup: keyboard });
+});
+
+bot.action(/^list:([a-z]+(?:\.\d+)?):(\d+)$/, async (ctx) => {
+    const [, listId, page] = ctx.match;
+    const ownerId = listId.split('.')[1];
+    if (ownerId && Number(ownerId) !== ctx.from.id) {
+        return ctx.answerCbQuery("This list belongs to someone else. Send the command yourself to see yours.");
+    }
+    const viewer = { chatId: ctx.chat.id.toString(), userId: ctx.from.id };
+    const { text, keyboard } = await renderListing(listId, parseInt(page, 10), viewer);
+    await ctx.answerCbQuery();
     try {
-        const result = await tallyApprovals(topicId, approvers, threshold);
-        await ctx.reply(result.message || "Tally process completed.");
+        await ctx.editMessageText(text, { reply_markup: keyboard });
     } catch (error) {
-        console.error(`Error tallying approvals for chat ${chatId}:`, error);
-        await ctx.reply("Sorry, failed to tally approvals. Please check the Topic ID and details, and try again.");
+        if (!/message is not modified/.test(error.description || error.message)) throw error;
     }
 });
 
+// Registered after every command so it only sees plain messages. Groups need /propose, to keep chatter out of the LLM.
+bot.on('text', async (ctx) => {
+    if (ctx.chat.type !== 'private' || ctx.message.text.startsWith('/')) return;
+    await replyWithDraft(ctx, ctx.message.text);
+});
+
 // --- API Endpoints ---
 
 // 1. Webhook Endpoint for Telegram
@@ -246,27 +664,334 @@ app.post('/api/webhook', async (req, res) => {
 });
 
 // 2. Your existing API endpoints for the Mini App
+
+/**
+ * Resolves the verified Telegram user and linked approver account for a Mini App request.
+ * Sends the error response itself and returns null when the caller may not vote on the topic.
+ */
+async function authorizeMiniAppVoter(req, res) {
+    const { initData, topicId } = req.body;
+    if (!topicId) {
+        res.status(400).json({ error: "Missing data." });
+        return null;
+    }
+
+    // The user ID is taken only from initData signed by Telegram, never from the request body.
+    const auth = verifyTelegramInitData(initData, TELEGRAM_BOT_TOKEN);
+    if (!auth.valid) {
+        console.warn(`Rejected Mini App request for topic ${topicId}: ${auth.reason}`);
+        res.status(401).json({ error: auth.reason });
+        return null;
+    }
+    const telegramUserId = auth.user.id;
+
+    const linkData = await store.accountLinks.get(telegramUserId);
+    if (!linkData || !linkData.hederaAccountId) {
+        res.status(401).json({ error: "User not linked. Use /linkaccount in the bot first." });
+        return null;
+    }
+
+    const proposalResult = await getProposal(topicId);
+    if (proposalResult.status !== 'success') {
+        res.status(404).json({ error: proposalResult.message });
+        return null;
+    }
+    if (!proposalResult.proposal.approvers.includes(linkData.hederaAccountId)) {
+        res.status(403).json({ error: `Account ${linkData.hederaAccountId} is not an approver for this proposal.` });
+        return null;
+    }
+    if (isPastDeadline(proposalResult.proposal)) {
+        res.status(410).json({ error: `Voting on this proposal closed at ${proposalResult.proposal.deadline}.` });
+        return null;
+    }
+    if (proposalResult.outcome !== 'pending') {
+        res.status(409).json({ error: `Voting on this proposal is closed, it is ${proposalResult.outcome}.` });
+        return null;
+    }
+
+    return { telegramUserId, topicId, accountId: linkData.hederaAccountId, proposal: proposalResult.proposal };
+}
+
+// Everything the Mini App shows about a proposal: description, action, rules, votes and history.
+// Topic messages are public anyway; initData (sent in a header, as GET has no body) only tells us whose view it is.
+app.get('/api/proposals/:topicId', async (req, res) => {
+    const { topicId } = req.params;
+    if (!/^0\.0\.\d+$/.test(topicId)) {
+        return res.status(400).json({ error: "Invalid Topic ID." });
+    }
+    const auth = verifyTelegramInitData(req.get('X-Telegram-Init-Data'), TELEGRAM_BOT_TOKEN);
+    if (!auth.valid) {
+        return res.status(401).json({ error: auth.reason });
+    }
+
+    const result = await tallyApprovals(topicId);
+    if (result.status !== 'success') {
+        return res.status(404).json({ error: result.message });
+    }
+    await recordTally(topicId, result);
+    const linkData = await store.accountLinks.get(auth.user.id);
+    res.json(buildProposalView(topicId, result.proposal, result.tally, {
+        topicUrl: result.topicUrl,
+        execution: result.execution,
+        viewerAccountId: linkData ? linkData.hederaAccountId : null,
+        sealed: result.proposal.confidential ? await store.sealedProposals.get(topicId) : null,
+    }));
+});
+
+// Returns the exact text the approver has to sign with their Hedera key.
+app.post('/api/vote-payload', async (req, res) => {
+    const decision = req.body.decision || 'APPROVE';
+    if (!DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: `Unknown decision "${decision}".` });
+    }
+    const commentError = validateVoteComment(req.body.comment);
+    if (commentError) {
+        return res.status(400).json({ error: commentError });
+    }
+    const voter = await authorizeMiniAppVoter(req, res);
+    if (!voter) return;
+
+    const payload = createVotePayload({ topicId: voter.topicId, accountId: voter.accountId, decision, comment: req.body.comment });
+    res.json({ payload, textToSign: votePayloadToSign(payload) });
+});
+
+// Records a signed vote. Kept at /api/approve for existing Mini App links; `decision` defaults to APPROVE.
 app.post('/api/approve', async (req, res) => {
-    const { telegramUserId, topicId } = req.body;
-    if (!telegramUserId || !topicId) {
-        return res.status(400).json({ error: "Missing data." });
+    const decision = req.body.decision || 'APPROVE';
+    if (!DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: `Unknown decision "${decision}".` });
     }
+    const voter = await authorizeMiniAppVoter(req, res);
+    if (!voter) return;
 
-    // Use server's map (with the serverless caveat in mind)
-    const linkData = serverUserData.get(telegramUserId.toString());
-    if (!linkData || !linkData.verifiedHederaAccountId) {
-        return res.status(401).json({ error: "User not linked or link not found in this instance." });
+    const { timestamp, signature, comment } = req.body;
+    if (!timestamp || !signature) {
+        return res.status(400).json({ error: "Missing signed vote. Sign the vote text and paste the signature." });
     }
 
-    console.log(`🚀 Processing approval for Topic ${topicId} by VERIFIED user ${telegramUserId} (${linkData.verifiedHederaAccountId})`);
+    console.log(`🚀 Processing ${decision} for Topic ${voter.topicId} by VERIFIED user ${voter.telegramUserId} (${voter.accountId})`);
     try {
-        const result = await submitApproval(topicId, linkData.verifiedHederaAccountId);
-        res.json({ success: result.status === 'success', message: result.message });
+        const result = await submitVote(voter.topicId, voter.accountId, decision, { timestamp, signature, comment });
+        if (result.status !== 'success') {
+            return res.status(result.code === 'voting_closed' ? 409 : 400).json({ error: result.message });
+        }
+        await announceVote(voter.topicId, { accountId: voter.accountId, decision, comment }, result);
+
+        // Update the group's status card and, if this vote completed the quorum, schedule the proposal's action
+        // before responding (serverless functions may stop once the response is sent). The mirror node can lag
+        // behind the vote; /tally and the card's Refresh button catch up later if the vote isn't visible yet.
+        let outcome;
+        try {
+            const tallyResult = await tallyIncluding(voter.topicId, result.sequenceNumber);
+            outcome = tallyResult.outcome;
+            await recordTally(voter.topicId, tallyResult);
+            await executeIfApproved(voter.topicId, tallyResult);
+        } catch (error) {
+            console.error(`Error executing the action of ${voter.topicId}:`, error);
+        }
+
+        res.json({ success: true, message: result.message, outcome, transactionUrl: result.transactionUrl, topicUrl: result.topicUrl });
     } catch (error) {
         res.status(500).json({ error: "An internal error occurred." });
     }
 });
 
+// Encryption keys for confidential proposals. The Mini App creates the key pair on the approver's device and only
+// sends the public key, signed with the approver's Hedera key so nobody can register a key in their name.
+async function linkedMiniAppAccount(initData, res) {
+    const auth = verifyTelegramInitData(initData, TELEGRAM_BOT_TOKEN);
+    if (!auth.valid) {
+        res.status(401).json({ error: auth.reason });
+        return null;
+    }
+    const linkData = await store.accountLinks.get(auth.user.id);
+    if (!linkData || !linkData.hederaAccountId) {
+        res.status(401).json({ error: "User not linked. Use /linkaccount in the bot first." });
+        return null;
+    }
+    return linkData.hederaAccountId;
+}
+
+app.get('/api/encryption-key', async (req, res) => {
+    const accountId = await linkedMiniAppAccount(req.get('X-Telegram-Init-Data'), res);
+    if (!accountId) return;
+    const registered = await store.encryptionKeys.get(accountId);
+    res.json({ accountId, publicKey: registered ? registered.publicKey : null, registeredAt: registered ? registered.registeredAt : null });
+});
+
+// Without a signature, returns the text to sign; with one, registers the key.
+app.post('/api/encryption-key', async (req, res) => {
+    const accountId = await linkedMiniAppAccount(req.body.initData, res);
+    if (!accountId) return;
+    const { publicKey, signature } = req.body;
+    if (!signature) {
+        return res.json({ accountId, textToSign: encryptionKeyStatement(accountId, publicKey) });
+    }
+    const result = await verifyEncryptionKey(accountId, publicKey, signature);
+    if (result.status !== 'success') {
+        return res.status(400).json({ error: result.message });
+    }
+    const registeredAt = new Date().toISOString();
+    await store.encryptionKeys.set(accountId, { publicKey, signature: signature.trim().replace(/^0x/i, ''), registeredAt });
+    console.log(`Registered an encryption key for ${accountId}`);
+    res.json({ success: true, accountId, publicKey, registeredAt });
+});
+
+// An approver releases the action of an approved confidential proposal by disclosing the content they decrypted;
+// Approvr only schedules it if it matches the commitment on the topic.
+app.post('/api/proposals/:topicId/release', async (req, res) => {
+    const { topicId } = req.params;
+    const accountId = await linkedMiniAppAccount(req.body.initData, res);
+    if (!accountId) return;
+    if (!req.body.disclosure) {
+        return res.status(400).json({ error: "Missing the decrypted proposal." });
+    }
+
+    const tallyResult = await tallyApprovals(topicId);
+    if (tallyResult.status !== 'success') {
+        return res.status(404).json({ error: tallyResult.message });
+    }
+    if (!tallyResult.proposal.approvers.includes(accountId)) {
+        return res.status(403).json({ error: `Account ${accountId} is not an approver for this proposal.` });
+    }
+    if (!tallyResult.proposal.confidential || !tallyResult.proposal.confidential.hasAction) {
+        return res.status(400).json({ error: "This proposal has no confidential action to release." });
+    }
+    if (!tallyResult.isApproved) {
+        return res.status(409).json({ error: `The proposal is ${tallyResult.outcome}, not approved.` });
+    }
+    await recordTally(topicId, tallyResult);
+    const result = await executeIfApproved(topicId, tallyResult, { disclosure: req.body.disclosure });
+    if (!result) {
+        return res.json({ success: true, message: "The action has already been executed." });
+    }
+    if (result.status !== 'success') {
+        const status = { needs_disclosure: 422, not_registered: 403 }[result.code] || 502;
+        return res.status(status).json({ error: result.message });
+    }
+    console.log(`${accountId} released the confidential action of ${topicId}`);
+    res.json({ success: true, message: result.message, execution: result.execution });
+});
+
+// 3. Public REST API for internal tools (see rest-api.js); the OpenAPI document is at /api/v1/openapi.json.
+app.use(`/api/${API_VERSION}`, createRestApi({
+    apiKeys: parseApiKeys(process.env.APPROVR_API_KEYS),
+    webhookClients: (process.env.APPROVR_WEBHOOK_CLIENTS || '').split(',').map(name => name.trim()).filter(Boolean),
+    createProposal: async (fields, client) =>
+        (await createAndRecordProposal(fields, { chatId: null, creatorId: null, apiClient: client })).result,
+    getProposal,
+    tallyApprovals,
+    submitVote,
+    listProposals: async () => (await store.proposals.list()).map(({ id, value }) => ({ ...value, topicId: id })),
+    exportProposalAudit,
+    afterTally: recordTally,
+    webhooks,
+    afterVote: followUpVote,
+}), restApiErrorHandler);
+
+// 4. Slack slash commands (see slack-adapter.js): the shared chat commands as `/approvr <command>`.
+app.use('/api/slack/commands', createSlackCommands({ core, signingSecret: process.env.SLACK_SIGNING_SECRET }));
+
+// 5. Scheduled jobs, called by Vercel Cron (see vercel.json), which sends `Authorization: Bearer $CRON_SECRET`.
+// The jobs message chats and call webhooks, so they stay off until CRON_SECRET is set.
+function rejectUnlessCron(req, res) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        res.status(503).json({ error: "Scheduled jobs are disabled. Set CRON_SECRET to enable them." });
+        return true;
+    }
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const presented = Buffer.from(req.headers.authorization || '');
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        res.status(401).json({ error: "Unauthorized." });
+        return true;
+    }
+    return false;
+}
+
+// Warns the creating chat before a proposal's deadline passes, and tallies open proposals whose deadline has
+// passed so they are recorded as expired (which sends the proposal.expired webhook).
+const EXPIRY_WARNING_WINDOW_MS = parseFloat(process.env.APPROVR_EXPIRY_WARNING_HOURS || '6') * 60 * 60 * 1000;
+
+app.get('/api/cron/expiry-warnings', async (req, res) => {
+    if (rejectUnlessCron(req, res)) return;
+
+    const now = Date.now();
+    const warned = [];
+    try {
+        for (const { id: topicId, value: record } of await store.proposals.list()) {
+            if (!record.deadline || FINAL_OUTCOMES.includes(record.outcome)) continue;
+            const remainingMs = Date.parse(record.deadline) - now;
+            if (remainingMs <= 0) {
+                await recordTally(topicId, await tallyApprovals(topicId));
+                continue;
+            }
+            if (record.expiryWarningSentAt || !isTelegramId(record.chatId) || remainingMs > EXPIRY_WARNING_WINDOW_MS) continue;
+
+            // Only warn about proposals that are still open.
+            const result = await tallyApprovals(topicId);
+            await recordTally(topicId, result);
+            if (result.status !== 'success' || result.outcome !== 'pending') continue;
+
+            const hoursLeft = Math.max(1, Math.round(remainingMs / (60 * 60 * 1000)));
+            const outstanding = result.tally.outstanding.join(', ') || '-';
+            await bot.telegram.sendMessage(record.chatId,
+                `⏰ Proposal ${topicId} expires in about ${hoursLeft} hour(s) (${record.deadline}).\n` +
+                `${record.description}\n` +
+                (result.tally.rule
+                    ? `Approvals: ${result.tally.approvals.length} (rule: ${result.tally.rule}). Still waiting on: ${outstanding}`
+                    : `Approvals: ${result.tally.approvals.length}/${result.tally.threshold}. Still waiting on: ${outstanding}`)
+            );
+            await store.proposals.set(topicId, { ...record, expiryWarningSentAt: new Date(now).toISOString() });
+            warned.push(topicId);
+        }
+        res.json({ success: true, warned });
+    } catch (error) {
+        console.error("Error sending expiry warnings:", error);
+        res.status(500).json({ error: "Failed to send expiry warnings.", warned });
+    }
+});
+
+// Retries webhook deliveries that failed and whose backoff has passed.
+app.get('/api/cron/webhook-retries', async (req, res) => {
+    if (rejectUnlessCron(req, res)) return;
+    try {
+        res.json({ success: true, ...await webhooks.retryDue() });
+    } catch (error) {
+        console.error("Error retrying webhook deliveries:", error);
+        res.status(500).json({ error: "Failed to retry webhook deliveries." });
+    }
+});
+
+// --- Watcher Mode ---
+// Outside Vercel, scripts/watch.js runs this next to the app: it polls open proposal topics and tells the
+// originating chat and the creator about votes, decisions and passed deadlines without waiting for /tally.
+
+/**
+ * Starts the topic watcher on this app's storage, bot and webhooks.
+ * @param {{intervalMs?: number}} [options] Pause between polls (defaults to APPROVR_WATCH_INTERVAL_SECONDS, or 15 seconds).
+ * @returns {{pollOnce: Function, start: Function, stop: Function}} The running watcher.
+ */
+export function startTopicWatcher({ intervalMs = parseFloat(process.env.APPROVR_WATCH_INTERVAL_SECONDS || '15') * 1000 } = {}) {
+    const watcher = createTopicWatcher({
+        cursors: store.watchCursors,
+        listProposals: async () => (await store.proposals.list()).map(({ id, value }) => ({ ...value, topicId: id })),
+        tallyApprovals,
+        notify: async (chatId, text) => {
+            if (isTelegramId(chatId)) await bot.telegram.sendMessage(chatId, text, { disable_web_page_preview: true });
+        },
+        afterTally: async (topicId, tallyResult) => {
+            await recordTally(topicId, tallyResult);
+            await executeIfApproved(topicId, tallyResult);
+        },
+        // Without Vercel Cron, failed webhook deliveries are retried between polls.
+        afterPoll: () => webhooks.retryDue(),
+        intervalMs,
+    });
+    watcher.start();
+    return watcher;
+}
+
 // --- Serve Static Files ---
 // This serves your public directory for the Mini App.
 app.use(express.static(path.join(__dirname, 'public')));
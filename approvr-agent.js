@@ -1,196 +1,202 @@
 import dotenv from 'dotenv';
 dotenv.config();
 import { ChatOpenAI } from '@langchain/openai';
-import { Client, PrivateKey } from '@hashgraph/sdk';
-import { HederaLangchainToolkit, AgentMode, coreHTSPlugin, coreAccountPlugin, coreConsensusPlugin, coreQueriesPlugin /* , coreSCSPlugin */ } from 'hedera-agent-kit';
-import { z } from 'zod';
-// --- Configure LLM for Gaia Node ---
-const llm = new ChatOpenAI({
-    configuration: {
-        baseURL: process.env.GAIA_NODE_URL,
-        apiKey: process.env.GAIA_API_KEY,
-    },
-    model: process.env.GAIA_MODEL_NAME,
-    temperature: 0,
-});
-
-let privateKey;
-try {
-    privateKey = PrivateKey.fromStringECDSA(process.env.HEDERA_PRIVATE_KEY);
-    console.log("Hedera private key loaded.");
-} catch (ecdsaError) {
-    console.error("Failed to load Hedera private key:", ecdsaError.message);
-    process.exit(1);
-}
+import { PublicKey } from '@hashgraph/sdk';
+import { DECISIONS, encodeProposal, validateProposal, validateVoteComment, createVotePayload, votePayloadToSign, encodeVote, encodeExecution } from './approvr-protocol.js';
+import { buildScheduleTransaction, checkActionSource, formatExecution } from './actions.js';
+import { getNetworkConfig, explorerUrl } from './network.js';
+import { createGateway } from './hedera-gateway.js';
+import { syncTopicState, verifyVoteMessages } from './topic-state.js';
+import { createStorageFromBackend, createMemoryBackend } from './storage.js';
+import { computeTally, formatTally } from './tally.js';
+import { verifySignature } from './account-verification.js';
+import { PROPOSAL_DRAFT_SCHEMA, buildDraftPrompt } from './proposal-drafts.js';
+import { replayTopic, buildAuditBundle } from './audit-export.js';
+import { topicAccessFromEnv, buildTopicKeys } from './topic-access.js';
+import { encryptionKeyStatement, validateEncryptionKey, sealProposal, checkDisclosure, hasAction } from './sealed-proposals.js';
 
-const client = Client.forTestnet().setOperator(
-    process.env.HEDERA_ACCOUNT_ID,
-    privateKey,
-);
-
-let hederaAgentToolkit;
-let tools = {};
-try {
-    console.log("Initializing HederaLangchainToolkit with plugins...");
-    
-    hederaAgentToolkit = new HederaLangchainToolkit({
-        client,
+// --- Configure LLM for Gaia Node ---
+// Used to turn free-text requests into proposal drafts. Short timeout and a single retry keep the bot
+// responsive when the node is down; callers fall back to the /create syntax.
+function createLlm() {
+    return new ChatOpenAI({
         configuration: {
-            plugins: [coreHTSPlugin, coreAccountPlugin, coreConsensusPlugin, coreQueriesPlugin /*, coreSCSPlugin */], // Load the plugins for the tools we need
-            context: {
-                mode: AgentMode.AUTONOMOUS,
-            },
+            baseURL: process.env.GAIA_NODE_URL,
+            apiKey: process.env.GAIA_API_KEY || 'not-needed', // Self-hosted Gaia nodes don't check the key
         },
+        model: process.env.GAIA_MODEL_NAME,
+        temperature: 0,
+        timeout: parseInt(process.env.GAIA_TIMEOUT_MS || '20000', 10),
+        maxRetries: 1,
     });
-    console.log("HederaLangchainToolkit initialized with plugins.");
-
-    const rawTools = hederaAgentToolkit.getTools();
-    console.log(`Found ${rawTools.length} raw tools.`);
-    console.log("Raw tool names:", rawTools.map(t => t.name)); // Log names to verify
-
-    // Filter and map tools by name for easy access
-    const validTools = rawTools.filter(tool => tool && typeof tool.name === 'string' && typeof tool.invoke === 'function');
-    console.log(`Found ${validTools.length} valid tools.`);
-    
-    // --- CHANGED: Use the CORRECT tool names as defined by the plugins ---
-    // You must check the actual names returned by the plugins. They might differ slightly.
-    // Based on the TOOLS.md and common patterns, they are likely these:
-    tools.createTopic = validTools.find(t => t.name === 'create_topic_tool'); // Check actual name
-    tools.submitMessage = validTools.find(t => t.name === 'submit_topic_message_tool'); // Check actual name
-    tools.getMessages = validTools.find(t => t.name === 'get_topic_messages_query_tool'); // Check actual name
-
-    // --- DEBUG: Log the actual tool names found ---
-    const foundToolNames = validTools.map(t => t.name);
-    console.log("All valid tool names found:", foundToolNames);
-
-    if (!tools.createTopic || !tools.submitMessage || !tools.getMessages) {
-         console.error("Critical Error: Could not find required tools in Hedera Agent Kit.");
-         console.error("Searched for: create_topic_tool, submit_topic_message_tool, get_topic_messages_query_tool");
-         console.error("Found tools:", foundToolNames);
-         throw new Error("Missing required Hedera tools for Approvr. Check tool names above.");
-    } else {
-        console.log("Required Hedera tools found and mapped successfully.");
-        console.log("Create Topic Tool Name:", tools.createTopic.name);
-        console.log("Submit Message Tool Name:", tools.submitMessage.name);
-        console.log("Get Messages Tool Name:", tools.getMessages.name);
+}
+
+// --- Hedera Access ---
+// All topic and transaction work goes through a gateway (see hedera-gateway.js): the SDK by default,
+// or the Hedera Agent Kit / an in-memory fake via HEDERA_GATEWAY. The network comes from HEDERA_NETWORK.
+// New proposal topics get submit and admin keys following APPROVR_TOPIC_SUBMIT_KEY / APPROVR_TOPIC_ADMIN_KEY (see topic-access.js).
+// Nothing is set up at import: the first agent call creates what `configureAgent` didn't hand in, and a missing
+// credential fails that call (as an error result) instead of the process.
+let network;
+let gateway;
+let topicAccess;
+let llm;
+
+/**
+ * Hands the agent its dependencies instead of creating them from the environment, e.g. an in-memory gateway in
+ * tests. Replaces everything configured before; whatever is left out is created from the environment on first use.
+ * @param {object} [deps] Dependencies.
+ * @param {object} [deps.network] Network settings from `getNetworkConfig`.
+ * @param {object} [deps.gateway] Hedera gateway, e.g. from `createMemoryGateway`.
+ * @param {{submit: string, admin: string}} [deps.topicAccess] Topic access policy (see topic-access.js).
+ * @param {object} [deps.llm] LangChain chat model used by `parseProposalRequest`.
+ * @param {object} [deps.topicStates] Where per-topic tally state is kept (see `useTopicStateStore`).
+ */
+export function configureAgent(deps = {}) {
+    ({ network, gateway, topicAccess, llm } = deps);
+    if (deps.topicStates) topicStates = deps.topicStates;
+}
+
+// Creates the Hedera access that wasn't configured. Throws if the environment doesn't describe it.
+function ensureHederaAccess() {
+    try {
+        network ??= getNetworkConfig();
+        gateway ??= createGateway();
+        topicAccess ??= topicAccessFromEnv();
+    } catch (error) {
+        throw new Error(`Hedera access is not configured: ${error.message}`);
     }
+}
+
+// Per-topic cursors and verified votes (see topic-state.js). Kept in memory unless the caller hands
+// over a persistent collection with useTopicStateStore.
+let topicStates = createStorageFromBackend(createMemoryBackend()).topicStates;
+
+/**
+ * Sets where per-topic tally state is kept, so cursors survive restarts and are shared with the bot's storage.
+ * @param {object} collection Storage collection, e.g. `store.topicStates` from storage.js.
+ */
+export function useTopicStateStore(collection) {
+    topicStates = collection;
+}
 
-} catch (initError) {
-    console.error("Error initializing HederaLangchainToolkit or finding tools:", initError);
-    console.error("Stack trace:", initError.stack);
-    process.exit(1); // Critical failure, cannot proceed
+/**
+ * Lists the topics the operator account has created, oldest first. Used to rebuild the proposal
+ * registry from the chain; not every topic necessarily holds a proposal.
+ * @returns {Promise<Array<string>>} Topic IDs.
+ */
+export async function listProposalTopics() {
+    ensureHederaAccess();
+    return gateway.listTopics();
+}
+
+function syncTopic(topicId) {
+    ensureHederaAccess();
+    return syncTopicState(topicId, {
+        gateway,
+        states: topicStates,
+        // Votes are checked against the approver's current public key on the network.
+        collectVotes: (proposal, messages) => verifyVoteMessages(topicId, proposal, messages, {
+            publicKeyOf: accountId => gateway.getAccountPublicKey(accountId),
+        }),
+    });
+}
+
+/**
+ * Reads a free-text approval request with the configured LLM.
+ * @param {string} text What the user wrote, e.g. "need Alice and Bob to sign off on paying 500 HBAR to 0.0.999 by Friday".
+ * @returns {Promise<{status: string, parsed?: object, message?: string}>} Structured output matching PROPOSAL_DRAFT_SCHEMA,
+ *          or an error when the LLM is not configured, unreachable or returns something unusable.
+ */
+export async function parseProposalRequest(text) {
+    if (!llm && (!process.env.GAIA_NODE_URL || !process.env.GAIA_MODEL_NAME)) {
+        return { status: 'error', message: "No language model is configured (GAIA_NODE_URL, GAIA_MODEL_NAME)." };
+    }
+    try {
+        llm ??= createLlm();
+        const structured = llm.withStructuredOutput(PROPOSAL_DRAFT_SCHEMA, { name: 'proposal_draft' });
+        const parsed = await structured.invoke([
+            ['system', buildDraftPrompt(new Date())],
+            ['human', text],
+        ]);
+        return { status: 'success', parsed: PROPOSAL_DRAFT_SCHEMA.parse(parsed) };
+    } catch (error) {
+        console.error("Error in parseProposalRequest:", error);
+        return { status: 'error', message: `The language model could not read this request: ${error.message}` };
+    }
 }
 
 /**
  * Creates a new Hedera Consensus Service topic for a proposal.
  * @param {string} proposalDescription A brief description of the proposal.
  * @param {Array<string>} approvers An array of Hedera Account IDs who can approve.
- * @param {number} threshold The minimum number of approvals needed.
- * @returns {Promise<{topicId: string, status: string, message?: string}>} Result object.
+ * @param {number|null} threshold The minimum number of approvals needed (null when `options.policy` is given).
+ * @param {{policy?: object, action?: object, rejectThreshold?: number, deadline?: string, origin?: string,
+ *          encryptionKeys?: Array<{accountId: string, publicKey: string, signature: string}>}} [options] Optional rules: an
+ *        approval policy with groups, weights and AND/OR clauses (see policy.js) used instead of the threshold, the transaction to
+ *        execute once approved (see actions.js), number of rejections that rejects the proposal outright, an ISO deadline after
+ *        which votes no longer count, and the sealed chat and creator it came from (see proposal-registry.js).
+ *        With `encryptionKeys` (every approver's registered key) the proposal is confidential: the description and action are
+ *        sealed to those keys and only a commitment to them is written to the topic (see sealed-proposals.js).
+ * The topic is created with the submit and admin keys of the configured access policy, which the proposal envelope records.
+ * @returns {Promise<{topicId: string, status: string, code?: string, topicUrl?: string, message?: string, confidential?: object, sealed?: object}>}
+ *          Result object; a confidential proposal also returns its on-chain `confidential` field and the SealedProposal to keep.
+ *          `code` is 'missing_encryption_keys' if an approver of a confidential proposal has no encryption key, and
+ *          'invalid_action' if the action would transfer from the operator account (see `checkActionSource` in actions.js).
  */
-export async function createProposal(proposalDescription, approvers, threshold) {
+export async function createProposal(proposalDescription, approvers, threshold, options = {}) {
     try {
-        console.log(`Creating proposal topic for: ${proposalDescription}`);
-        // 1. Create Topic
-        const topicResponse = await tools.createTopic.invoke({
-             // The exact parameters depend on the tool's schema.
-             // Commonly, it might just need a memo or be auto-generated.
-             // Check the tool's schema or documentation.
-             // For now, let's assume it just creates a topic.
-             // We might need to add a memo like "Approvr Proposal: {description}"
-             memo: `Approvr Proposal: ${proposalDescription.substring(0, 50)}...` // Truncate memo
-        });
-        
-        console.log("Raw Create topic response type:", typeof topicResponse);
-        console.log("Raw Create topic response (first 500 chars):", JSON.stringify(topicResponse).substring(0, 500)); 
-
-        // 2. Extract Topic ID
-        // --- FIXED: Handle potential JSON string response and parse correctly ---
-        let topicId = null;
-        let parsedResponse = null;
-
-        // The Hedera Agent Kit tool might return a JSON string instead of an object.
-        if (typeof topicResponse === 'string') {
-            try {
-                parsedResponse = JSON.parse(topicResponse);
-                console.log("Successfully parsed topicResponse string to object.");
-            } catch (parseError) {
-                console.error("Failed to parse topicResponse string:", parseError.message);
-                console.error("Raw response was:", topicResponse);
-                throw new Error("Tool response was a string but could not be parsed as JSON.");
-            }
-        } else if (typeof topicResponse === 'object' && topicResponse !== null) {
-            // If it's already an object, use it directly
-            parsedResponse = topicResponse;
-            console.log("topicResponse was already an object.");
-        } else {
-            console.error("Unexpected type for topicResponse:", typeof topicResponse, topicResponse);
-            throw new Error("Tool response was neither a string nor a valid object.");
+        ensureHederaAccess();
+        const { policy, action, rejectThreshold, deadline, origin, encryptionKeys } = options;
+        const validationError = validateProposal({ description: proposalDescription, approvers, threshold, policy, action, rejectThreshold, deadline });
+        if (validationError) {
+            throw new Error(validationError);
         }
-
-        // Now, extract topicId from the correctly parsed object
-        if (parsedResponse && typeof parsedResponse === 'object') {
-            // Priority 1: Check if topicId string is directly inside a 'receipt' object (common for Hedera responses)
-            if (parsedResponse.receipt && typeof parsedResponse.receipt === 'object' && typeof parsedResponse.receipt.topicId === 'string') {
-                topicId = parsedResponse.receipt.topicId;
-                console.log("Found topicId in receipt:", topicId);
-            }
-            // Priority 2: Check if topicId is a string directly on the top level response
-            else if (typeof parsedResponse.topicId === 'string') {
-                 topicId = parsedResponse.topicId;
-                 console.log("Found topicId directly on response:", topicId);
-            }
-            // Priority 3: Check if topicId is an SDK object with .toString() on the top level
-            else if (parsedResponse.topicId && typeof parsedResponse.topicId === 'object' && typeof parsedResponse.topicId.toString === 'function') {
-                 try {
-                     const potentialId = parsedResponse.topicId.toString();
-                     if (potentialId && potentialId.includes('.')) { // Basic validation
-                         topicId = potentialId;
-                         console.log("Found and converted topicId object:", topicId);
-                     } else {
-                         console.warn("Converted topicId string doesn't look like a Hedera ID:", potentialId);
-                     }
-                 } catch (e) {
-                     console.warn("Could not convert top-level topicId object to string:", e.message);
-                 }
-            }
-            // Priority 4: Check if topicId is an SDK object with .toString() inside receipt
-            else if (parsedResponse.receipt && typeof parsedResponse.receipt === 'object' && parsedResponse.receipt.topicId &&
-                     typeof parsedResponse.receipt.topicId === 'object' && typeof parsedResponse.receipt.topicId.toString === 'function') {
-                 try {
-                     const potentialId = parsedResponse.receipt.topicId.toString();
-                     if (potentialId && potentialId.includes('.')) { // Basic validation
-                         topicId = potentialId;
-                         console.log("Found and converted topicId object inside receipt:", topicId);
-                     } else {
-                         console.warn("Converted topicId string from receipt doesn't look like a Hedera ID:", potentialId);
-                     }
-                 } catch (e) {
-                     console.warn("Could not convert receipt.topicId object to string:", e.message);
-                 }
-            }
+        if (deadline && Date.parse(deadline) <= Date.now()) {
+            throw new Error("Deadline must be in the future.");
         }
-
-        if (!topicId) {
-             console.error("Could not find topicId string in the parsed response structure:", JSON.stringify(parsedResponse, null, 2)); // Log full parsed object
-             throw new Error(`Failed to extract Topic ID string from createTopic response. Response type was ${typeof topicResponse}. Check logs above.`);
+        const sourceProblem = action && checkActionSource(action, gateway.operatorAccountId);
+        if (sourceProblem) {
+            return { topicId: null, status: 'error', code: 'invalid_action', message: `Failed to create proposal: ${sourceProblem}` };
         }
-        // --- END FIX ---
-
+        let seal = null;
+        if (encryptionKeys) {
+            const missing = approvers.filter(accountId => !encryptionKeys.some(key => key.accountId === accountId));
+            if (missing.length > 0) {
+                return { topicId: null, status: 'error', code: 'missing_encryption_keys',
+                    message: `Failed to create proposal: these approvers have no encryption key yet: ${missing.join(', ')}. They can set one up with /encryptionkey.` };
+            }
+            seal = sealProposal({ description: proposalDescription, action },
+                approvers.map(accountId => encryptionKeys.find(key => key.accountId === accountId)));
+        }
+        console.log(seal ? `Creating confidential proposal topic ${seal.commitment}` : `Creating proposal topic for: ${proposalDescription}`);
+        // 1. Create Topic, writable only through the allowed path
+        const approverKeys = topicAccess.submit === 'approvers'
+            ? await Promise.all(approvers.map(accountId => gateway.getAccountPublicKey(accountId)))
+            : [];
+        const { topicId } = await gateway.createTopic({
+            // Topic memos are public and limited to 100 bytes
+            memo: seal ? 'Approvr Proposal: confidential' : `Approvr Proposal: ${proposalDescription.substring(0, 50)}...`,
+            ...buildTopicKeys(topicAccess, { operatorPublicKey: gateway.operatorPublicKey, approverKeys }),
+        });
         console.log(`✅ Proposal topic created successfully with ID: ${topicId}`);
 
-
-        // 3. (Optional) Submit initial message with proposal details
-        // This could include the description, list of approvers, threshold.
-        // Format it in a way that's easy for `tallyApprovals` to parse later.
-        const initialMessage = `Proposal: ${proposalDescription}\nApprovers: ${approvers.join(', ')}\nThreshold: ${threshold}`;
-        await tools.submitMessage.invoke({
-            topicId: topicId,
-            message: initialMessage
+        // 2. Submit the proposal envelope. This first message is the source of truth for
+        // the approver list and threshold or policy; `tallyApprovals` reads the rules from here.
+        const confidential = seal ? { commitment: seal.commitment, hasAction: !!action } : undefined;
+        const initialMessage = encodeProposal({
+            description: proposalDescription, approvers, threshold, policy, action, rejectThreshold, deadline, access: topicAccess, confidential, origin,
         });
+        await gateway.submitMessage(topicId, initialMessage);
         console.log("Initial proposal details submitted to topic.");
 
-        return { topicId, status: 'success', message: `Proposal created. Share this Topic ID: ${topicId}` };
+        return {
+            topicId,
+            status: 'success',
+            topicUrl: explorerUrl('topic', topicId, network) || undefined,
+            message: `Proposal created. Share this Topic ID: ${topicId}`,
+            ...(seal ? { confidential, sealed: seal.sealed } : {}),
+        };
 
     } catch (error) {
         console.error("Error in createProposal:", error);
@@ -198,222 +204,361 @@ export async function createProposal(proposalDescription, approvers, threshold)
     }
 }
 
+// Signed votes older than this are refused at submission, so signatures can't be stockpiled.
+const VOTE_SIGNATURE_MAX_AGE_MS = 30 * 60 * 1000;
+
 /**
- * Submits an approval message to the proposal topic.
+ * Submits a signed vote (approve, reject, abstain or revoke) to the proposal topic.
+ * The approver signs `votePayloadToSign(payload)` with their own account key; the signature is
+ * checked against the account's public key before anything is written on-chain.
  * @param {string} topicId The Hedera Consensus Service Topic ID.
  * @param {string} approverAccountId The Hedera Account ID of the approver.
- * @returns {Promise<{status: string, message?: string}>} Result object.
+ * @param {string} decision One of DECISIONS ('APPROVE', 'REJECT', 'ABSTAIN', 'REVOKE').
+ * @param {{timestamp: string, signature: string, comment?: string}} signedVote Timestamp of the signed payload, the hex signature
+ *        and the comment that was signed with it, if any.
+ * A vote is refused (code 'stale_vote') if the topic already has the same signature, or a vote by the approver that was signed
+ * at the same time or later: the tally would not count it (see `computeTally`), so a replayed vote isn't written again.
+ * It is refused with code 'voting_closed' once the proposal is approved, rejected or expired; its topic may be closed by then.
+ * @returns {Promise<{status: string, code?: string, sequenceNumber?: number|null, transactionUrl?: string, topicUrl?: string, message?: string}>}
+ *          Result object with explorer links to the vote's transaction and the topic.
  */
-export async function submitApproval(topicId, approverAccountId) {
+export async function submitVote(topicId, approverAccountId, decision, signedVote) {
     try {
-        console.log(`Submitting approval for topic ${topicId} by ${approverAccountId}`);
-        // 1. Format Approval Message
-        // A simple, parseable format is key.
-        const approvalMessage = `APPROVE:${approverAccountId}`; // Prefix makes parsing easier
-
-        // 2. Submit Message
-        const submitResponse = await tools.submitMessage.invoke({
-            topicId: topicId,
-            message: approvalMessage
-        });
-        console.log("Approval message submitted:", submitResponse);
+        console.log(`Submitting ${decision} vote for topic ${topicId} by ${approverAccountId}`);
+        if (!DECISIONS.includes(decision)) {
+            throw new Error(`Unknown decision "${decision}".`);
+        }
+        ensureHederaAccess();
+        const { timestamp, signature, comment } = signedVote || {};
+        if (!timestamp || !signature) {
+            throw new Error("A signed vote (timestamp and signature) is required.");
+        }
+        const commentError = validateVoteComment(comment);
+        if (commentError) {
+            throw new Error(commentError);
+        }
+
+        // 1. Check the signed payload
+        const signedAt = Date.parse(timestamp);
+        if (isNaN(signedAt) || signedAt > Date.now() + 60 * 1000 || Date.now() - signedAt > VOTE_SIGNATURE_MAX_AGE_MS) {
+            throw new Error("Vote timestamp is invalid or too old. Please sign a fresh vote.");
+        }
+        const payload = createVotePayload({ topicId, accountId: approverAccountId, decision, timestamp, comment });
+        const publicKey = await gateway.getAccountPublicKey(approverAccountId);
+        if (!verifySignature(publicKey, votePayloadToSign(payload), signature)) {
+            throw new Error(`Signature does not match the public key of ${approverAccountId}.`);
+        }
 
-        return { status: 'success', message: `Approval recorded for ${approverAccountId}.` };
+        // 2. Refuse votes on decided proposals and replays of votes already on the topic
+        const normalizedSignature = signature.trim().replace(/^0x/i, '');
+        const { proposal, votes } = await syncTopic(topicId);
+        const outcome = proposal ? computeTally(proposal, votes).outcome : 'pending';
+        if (outcome !== 'pending') {
+            return { status: 'error', code: 'voting_closed', message: `Failed to submit vote: Voting on this proposal is closed, it is ${outcome}.` };
+        }
+        const replayed = votes.some(vote => vote.accountId === approverAccountId &&
+            (vote.signature === normalizedSignature.toLowerCase() || signedAt <= Date.parse(vote.timestamp)));
+        if (replayed) {
+            return { status: 'error', code: 'stale_vote',
+                message: `Failed to submit vote: ${approverAccountId} already has this vote or a newer one on the topic. Please sign a fresh vote.` };
+        }
+
+        // 3. Submit Message
+        const submitted = await gateway.submitMessage(topicId, encodeVote(payload, normalizedSignature));
+        console.log(`Vote message submitted to ${topicId} (sequence number ${submitted.sequenceNumber}).`);
+
+        const label = { APPROVE: 'approval', REJECT: 'rejection', ABSTAIN: 'abstention', REVOKE: 'revocation' }[decision];
+        return {
+            status: 'success',
+            sequenceNumber: submitted.sequenceNumber,
+            transactionUrl: transactionExplorerUrl(submitted.transactionId),
+            topicUrl: explorerUrl('topic', topicId, network) || undefined,
+            message: `Signed ${label} recorded for ${approverAccountId}.`,
+        };
+
+    } catch (error) {
+        console.error("Error in submitVote:", error);
+        return { status: 'error', message: `Failed to submit vote: ${error.message}` };
+    }
+}
+
+/**
+ * Submits a signed approval message to the proposal topic.
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @param {string} approverAccountId The Hedera Account ID of the approver.
+ * @param {{timestamp: string, signature: string}} signedVote Timestamp of the signed payload and the hex signature.
+ * @returns {Promise<{status: string, message?: string}>} Result object.
+ */
+export async function submitApproval(topicId, approverAccountId, signedVote) {
+    return submitVote(topicId, approverAccountId, 'APPROVE', signedVote);
+}
 
+/**
+ * Checks that an approver signed their encryption key with their Hedera account key, before it is registered.
+ * @param {string} accountId The approver's Hedera account.
+ * @param {string} publicKey The encryption public key created in the Mini App (base64).
+ * @param {string} signature Hex signature over `encryptionKeyStatement(accountId, publicKey)`.
+ * @returns {Promise<{status: string, message: string}>} Result object.
+ */
+export async function verifyEncryptionKey(accountId, publicKey, signature) {
+    try {
+        const keyError = validateEncryptionKey(publicKey);
+        if (keyError) {
+            throw new Error(keyError);
+        }
+        ensureHederaAccess();
+        const accountKey = await gateway.getAccountPublicKey(accountId);
+        if (!verifySignature(accountKey, encryptionKeyStatement(accountId, publicKey), signature || '')) {
+            throw new Error(`Signature does not match the public key of ${accountId}.`);
+        }
+        return { status: 'success', message: `Encryption key of ${accountId} verified.` };
     } catch (error) {
-        console.error("Error in submitApproval:", error);
-        return { status: 'error', message: `Failed to submit approval: ${error.message}` };
+        console.error("Error in verifyEncryptionKey:", error);
+        return { status: 'error', message: `Failed to verify the encryption key: ${error.message}` };
     }
 }
 
+/**
+ * Reads a proposal's rules from its topic. The earliest proposal message defines them and never changes,
+ * so a topic that has been read before is answered from its stored state. `outcome` is the tally of that state, which
+ * can lag behind the topic; `submitVote` checks the outcome again before writing.
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @returns {Promise<{status: string, code?: string, proposal?: object, outcome?: string, message?: string}>} Result object; `code` is 'not_found'
+ *          if the topic doesn't exist or holds no proposal.
+ */
+export async function getProposal(topicId) {
+    try {
+        const stored = await topicStates.get(topicId);
+        const { proposal, votes } = stored && stored.proposal ? stored : await syncTopic(topicId);
+        if (!proposal) {
+            return { status: 'error', code: 'not_found', message: `Topic ${topicId} does not contain an Approvr proposal.` };
+        }
+        return { status: 'success', proposal, outcome: computeTally(proposal, votes).outcome };
+    } catch (error) {
+        console.error("Error in getProposal:", error);
+        return { status: 'error', code: notFoundCode(error), message: `Failed to load proposal: ${error.message}` };
+    }
+}
 
 /**
- * Tallys approvals for a given topic.
+ * Tallies the votes for a given topic.
+ * The approver list and thresholds are read from the proposal recorded on the topic itself. Only messages
+ * that arrived since the previous tally are fetched and verified; the tally is recomputed from all verified votes.
  * @param {string} topicId The Hedera Consensus Service Topic ID.
- * @param {Array<string>} approvers List of valid approver account IDs.
- * @param {number} threshold The minimum number of approvals needed.
- * @returns {Promise<{status: string, approvals: number, isApproved: boolean, message: string}>} Result object.
+ * @returns {Promise<{status: string, code?: string, approvals: number, isApproved: boolean, isRejected?: boolean, isExpired?: boolean, outcome?: string,
+ *          tally?: object, message: string, proposal?: object, execution?: object|null, outsideMessages?: Array<object>, lastSequenceNumber?: number,
+ *          topicUrl?: string|null}>} Result object; `execution` is the recorded execution of the proposal's action, `outsideMessages` the
+ *          messages posted outside the topic's access policy, `lastSequenceNumber` the last topic message the tally includes,
+ *          `code` is 'not_found' if the topic doesn't exist or holds no proposal.
  */
-export async function tallyApprovals(topicId, approvers, threshold) {
+export async function tallyApprovals(topicId) {
     try {
         console.log(`Tallying approvals for topic ${topicId}`);
-        // 1. Get Topic Messages
-        const messagesResponse = await tools.getMessages.invoke({
-            topicId: topicId
-            // Consider adding limit or time filters if needed for performance later
-        });
-        console.log("Messages fetched:", JSON.stringify(messagesResponse, null, 2)); // Log full response
-
-        // 2. Extract Messages Array
-        // --- FIXED: Robustly extract messages array ---
-        let messages = [];
-        // Handle potential string response, object response, or direct array
-        let parsedMessagesResponse = messagesResponse;
-        if (typeof messagesResponse === 'string') {
-            try {
-                parsedMessagesResponse = JSON.parse(messagesResponse);
-            } catch (e) {
-                console.error("Failed to parse messagesResponse string:", e);
-                throw new Error("get_topic_messages_query_tool returned an unparsable string.");
-            }
+        // 1. Read new topic messages, the rules and the votes whose signatures check out
+        const { proposal, votes, ignored, outside = [], execution, lastSequenceNumber } = await syncTopic(topicId);
+        if (!proposal) {
+            return { status: 'error', code: 'not_found', approvals: 0, isApproved: false,
+                message: `Failed to tally approvals: Topic ${topicId} does not contain an Approvr proposal.` };
         }
+        // 2. Replay the votes
+        const tally = computeTally(proposal, votes);
 
-        // The tool usually returns an object like { topicId: "...", messages: [...] }
-        // But sometimes might return the array directly or nest it differently.
-        // Prioritize finding an array.
-        if (Array.isArray(parsedMessagesResponse)) {
-            messages = parsedMessagesResponse;
-        } else if (parsedMessagesResponse && typeof parsedMessagesResponse === 'object') {
-            // Common structure: { topicId: "...", messages: [...] }
-            if (Array.isArray(parsedMessagesResponse.messages)) {
-                messages = parsedMessagesResponse.messages;
-            }
-            // Add checks for other potential structures if needed
-            // else if (Array.isArray(parsedMessagesResponse.data)) { messages = parsedMessagesResponse.data; }
-        }
+        const topicUrl = explorerUrl('topic', topicId, network);
+        const message = formatTally(topicId, proposal, tally, { explorerUrl: topicUrl, ignored, outside });
+
+        console.log(`Tally result up to message ${lastSequenceNumber}: ${tally.approvals.length} approvals, ${tally.rejections.length} rejections. Outcome: ${tally.outcome}`);
+
+        return {
+            status: 'success',
+            approvals: tally.approvals.length,
+            isApproved: tally.outcome === 'approved',
+            isRejected: tally.outcome === 'rejected',
+            isExpired: tally.outcome === 'expired',
+            outcome: tally.outcome,
+            tally,
+            proposal,
+            execution,
+            outsideMessages: outside,
+            lastSequenceNumber,
+            topicUrl,
+            message: message
+        };
+
+    } catch (error) {
+        console.error("Error in tallyApprovals:", error);
+        return { status: 'error', code: notFoundCode(error), approvals: 0, isApproved: false, message: `Failed to tally approvals: ${error.message}` };
+    }
+}
 
-        if (!Array.isArray(messages)) {
-            console.error("Expected messages to be an array. Got:", typeof messages, messages);
-            throw new Error("Fetched messages is not an array or could not be extracted as one.");
+/**
+ * Schedules the action of an approved proposal on Hedera and records the result on the topic.
+ * The action is wrapped in a scheduled transaction paid by the operator. If the operator's signature is
+ * all it needs, it executes right away; otherwise it waits until the owners of the source account sign
+ * the schedule. Running this twice is safe: an existing execution record is returned, and Hedera refuses
+ * to create an identical schedule while the first one exists. Only execution records paid by the operator
+ * count, so nobody else can fake an execution and block the real one.
+ * The action of a confidential proposal is not on the topic: an approver has to disclose the proposal's content,
+ * which is only used if it matches the commitment.
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @param {{disclosure?: {description: string, action: object|null, salt: string}}} [options] The disclosed content of a confidential proposal.
+ * @returns {Promise<{status: string, code?: string, execution?: object, alreadyRecorded?: boolean, message: string}>} Result object;
+ *          `code` is 'needs_disclosure' for a confidential proposal without (matching) disclosed content.
+ */
+export async function executeProposalAction(topicId, { disclosure } = {}) {
+    try {
+        console.log(`Executing the action of proposal ${topicId}`);
+        const { proposal, votes, execution: existing } = await syncTopic(topicId);
+        if (!proposal) {
+            throw new Error(`Topic ${topicId} does not contain an Approvr proposal.`);
         }
-        // --- END FIX ---
-
-        // 3. Parse Messages and Count Approvals
-        const validApprovals = new Set();
-
-        // --- FIXED: Correctly access the 'message' content string ---
-        for (const msgObj of messages) {
-            // Ensure msgObj is an object and has a 'message' property that is a string
-            if (msgObj && typeof msgObj === 'object' && typeof msgObj.message === 'string') {
-                const messageContent = msgObj.message; // This is the actual text content
-                console.log("Checking message content:", messageContent); // Debug log
-
-                if (messageContent.startsWith("APPROVE:")) {
-                    const accountId = messageContent.substring("APPROVE:".length).trim();
-                    console.log("Found APPROVE prefix, extracted Account ID:", accountId); // Debug log
-                    if (approvers.includes(accountId)) {
-                        console.log("Account ID is valid approver, adding to set."); // Debug log
-                        validApprovals.add(accountId);
-                    } else {
-                        console.warn(`Message from non-approved account ${accountId} ignored.`);
-                    }
-                }
-                // Ignore other messages (like the initial proposal details)
-            } else {
-                 console.warn("Skipping non-object or message-less item in messages array:", msgObj);
-            }
+        if (!hasAction(proposal)) {
+            throw new Error("This proposal has no action to execute.");
         }
-        // --- END FIX ---
-
-        const approvalCount = validApprovals.size;
-        const isApproved = approvalCount >= threshold;
-
-        console.log(`Tally result: ${approvalCount}/${threshold} approvals. Approved: ${isApproved}`);
-
-        // let message = `Current tally: ${approvalCount}/${threshold} approvals.`;
-        // if (isApproved) {
-        //     message += ` Threshold met! Proposal is approved.`;
-        // } else {
-        //     const needed = threshold - approvalCount;
-        //     message += ` Need ${needed} more approval(s).`;
-        // }
-
-        // return {
-        //     status: 'success',
-        //     approvals: approvalCount,
-        //     isApproved: isApproved,
-        //     message: message
-        // };
-
-        let message;
-        if (isApproved) {
-            // --- NEW/IMPROVED: Detailed "Approved" Message with Link and Better Description ---
-            
-            // 1. Find unique approvers who actually approved
-            const uniqueApprovedList = Array.from(validApprovals).sort();
-
-            // 2. Extract proposal description more robustly
-            let proposalDescription = "Proposal details not found.";
-            let foundApproversList = []; // Extract approvers from the proposal message for display
-            let foundThreshold = "N/A";   // Extract threshold from the proposal message for display
-
-            // Iterate through messages to find the initial proposal details message
-            for (const msgObj of messages) {
-                if (msgObj && typeof msgObj === 'object' && typeof msgObj.message === 'string') {
-                    const content = msgObj.message;
-                    // Check if this message contains the proposal details
-                    if (content.startsWith("Proposal:")) {
-                        // Split the message into lines for easier parsing
-                        const lines = content.split('\n');
-                        // First line: "Proposal: Approve spending 1 HBAR for marketing"
-                        if (lines.length > 0) {
-                            const descLine = lines[0];
-                            const descMatch = descLine.match(/^Proposal:\s*(.+)$/);
-                            if (descMatch && descMatch[1]) {
-                                proposalDescription = descMatch[1].trim();
-                            }
-                        }
-                        // Subsequent lines for Approvers and Threshold (if needed for display)
-                        // You could parse these too, but we already have them from the function args.
-                        // For display consistency, let's use the ones passed to the function.
-                        foundApproversList = approvers; // Use the list passed to the function
-                        foundThreshold = threshold.toString(); // Use the threshold passed to the function
-                        break; // Stop after finding the first (should be only) proposal message
-                    }
-                }
+        let action = proposal.action;
+        if (proposal.confidential) {
+            const problem = disclosure ? checkDisclosure(disclosure, proposal.confidential.commitment) : 'The proposal is confidential; an approver has to release its action.';
+            if (problem) {
+                return { status: 'error', code: 'needs_disclosure', message: `Failed to execute the proposal action: ${problem}` };
             }
+            action = disclosure.action;
+        }
 
-            // 3. Construct the message with link
-            const hashscanTopicUrl = `https://hashscan.io/testnet/topic/${topicId}`;
-            
-            message = `✅ Proposal Approved!\n\n` +
-                      `The required number of approvals (${approvalCount}/${foundThreshold}) has been reached for the proposal in topic \`${topicId}\`.\n\n` + // Use backticks for potential Markdown monospace
-                      `Proposal Details:\n${proposalDescription}\n\n` +
-                      `Approvers:\n`;
-            
-            // List all approvers and mark who approved
-            for (const approver of foundApproversList.sort()) {
-                const status = validApprovals.has(approver) ? "(approved)" : "(not approved)";
-                message += `- ${approver} ${status}\n`;
-            }
-            
-            message += `\nNext Steps:\n` +
-                       `The action described in the proposal can now be executed manually by the relevant party, as consensus has been recorded on Hedera.\n` +
-                       `🔗 View the immutable approval record on HashScan: ${hashscanTopicUrl}\n` + // Add the link
-                       `The topic messages provide cryptographic proof of consensus.`;
-            // --- END NEW/IMPROVED ---
-        } else {
-            // Standard tally message if not approved
-            message = `Current tally: ${approvalCount}/${threshold} approvals.`;
-            if (!isApproved) {
-                const needed = threshold - approvalCount;
-                message += ` Need ${needed} more approval(s).`;
-            }
+        if (existing) {
+            return {
+                status: 'success',
+                execution: existing,
+                alreadyRecorded: true,
+                message: formatExecution(action, existing, { transactionUrl: transactionExplorerUrl(existing.scheduledTransactionId) }),
+            };
         }
-        // --- END CHANGE ---
 
-        console.log(`Tally result: ${approvalCount}/${threshold} approvals. Approved: ${isApproved}`);
+        // Only approved proposals are executed; the tally uses the rules recorded on the topic.
+        const tally = computeTally(proposal, votes);
+        if (tally.outcome !== 'approved') {
+            throw new Error(`Proposal is ${tally.outcome}, not approved.`);
+        }
+
+        const scheduled = await gateway.scheduleTransaction(
+            buildScheduleTransaction(action, { topicId, operatorAccountId: gateway.operatorAccountId }));
+        const execution = {
+            scheduleId: scheduled.scheduleId,
+            scheduledTransactionId: scheduled.scheduledTransactionId,
+            status: scheduled.executedAt ? 'executed' : 'awaiting_signatures',
+        };
+        if (scheduled.executedAt) execution.executedAt = scheduled.executedAt;
+
+        await gateway.submitMessage(topicId, encodeExecution(execution));
+        console.log(`Action of ${topicId} scheduled as ${execution.scheduleId} (${execution.status}).`);
 
-        // Return the potentially detailed message
         return {
             status: 'success',
-            approvals: approvalCount,
-            isApproved: isApproved,
-            message: message // Use the new detailed message
+            execution,
+            message: formatExecution(action, execution, { transactionUrl: transactionExplorerUrl(execution.scheduledTransactionId) }),
         };
+    } catch (error) {
+        console.error("Error in executeProposalAction:", error);
+        return { status: 'error', message: `Failed to execute the proposal action: ${error.message}` };
+    }
+}
 
+/**
+ * Builds the audit bundle of a proposal (see audit-export.js): reads every message of its topic, checks the
+ * votes and records the keys with the outcome, so the bundle can be verified offline. Votes the tally already
+ * counted are checked against the key recorded when they were first read, like the tally; others against the
+ * approver's current public key.
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @returns {Promise<{status: string, code?: string, bundle?: object, message: string}>} Result object; `code` is 'not_found'
+ *          if the topic doesn't exist or holds no proposal.
+ */
+export async function exportProposalAudit(topicId) {
+    try {
+        console.log(`Exporting the audit bundle of ${topicId}`);
+        ensureHederaAccess();
+        const { votes } = await syncTopic(topicId);
+        const messages = await gateway.getTopicMessages(topicId);
+        const publicKeys = {};
+        const exportedAt = new Date().toISOString();
+        // Votes stored before keys were recorded have no publicKey and are looked up again.
+        const voteKeys = new Map(votes.filter(vote => vote.publicKey)
+            .map(vote => [vote.sequenceNumber, PublicKey.fromString(vote.publicKey)]));
+        const replay = await replayTopic(topicId, messages, {
+            operatorAccountId: gateway.operatorAccountId,
+            voteKeys,
+            publicKeyOf: async (accountId) => {
+                try {
+                    const publicKey = await gateway.getAccountPublicKey(accountId);
+                    publicKeys[accountId] = publicKey.toStringDer();
+                    return publicKey;
+                } catch (error) {
+                    publicKeys[accountId] = null;
+                    throw error;
+                }
+            },
+            now: Date.parse(exportedAt),
+        });
+        if (!replay.proposal) {
+            return { status: 'error', code: 'not_found', message: `Topic ${topicId} does not contain an Approvr proposal.` };
+        }
+        const bundle = buildAuditBundle({
+            topicId, messages, replay, publicKeys, exportedAt,
+            operatorAccountId: gateway.operatorAccountId,
+            network: network.name,
+            topicUrl: explorerUrl('topic', topicId, network),
+        });
+        return {
+            status: 'success',
+            bundle,
+            message: `Audit export of ${topicId}: ${messages.length} message(s) up to #${bundle.result.lastSequenceNumber}, outcome ${bundle.result.outcome}.`,
+        };
     } catch (error) {
-        console.error("Error in tallyApprovals:", error);
-        return { status: 'error', approvals: 0, isApproved: false, message: `Failed to tally approvals: ${error.message}` };
+        console.error("Error in exportProposalAudit:", error);
+        return { status: 'error', code: notFoundCode(error), message: `Failed to export the proposal: ${error.message}` };
     }
 }
 
-// --- Example Usage (for testing the functions directly) ---
-/*
-if (import.meta.url === `file://${process.argv[1]}`) {
-    // Test createProposal
-    createProposal("Send 100 HBAR to 0.0.recipient", ["0.0.approver1", "0.0.approver2"], 2)
-        .then(result => console.log("Create Result:", result))
-        .catch(console.error);
+/**
+ * Closes the topic of a final proposal, so nothing can be appended after the outcome: its submit key is replaced
+ * by a key nobody holds. An approved proposal with an action is only closed once the execution record is on the topic.
+ * Needs the admin key the topic was created with (APPROVR_TOPIC_ADMIN_KEY=operator).
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @returns {Promise<{status: string, code?: string, transactionUrl?: string, message: string}>} Result object; `code` is 'not_found',
+ *          'not_closable' for topics without an admin key, or 'not_final' while the proposal is open or its execution isn't recorded.
+ */
+export async function closeProposalTopic(topicId) {
+    try {
+        const { proposal, votes, execution } = await syncTopic(topicId);
+        if (!proposal) {
+            return { status: 'error', code: 'not_found', message: `Topic ${topicId} does not contain an Approvr proposal.` };
+        }
+        if (!proposal.access || proposal.access.admin !== 'operator') {
+            return { status: 'error', code: 'not_closable', message: `Topic ${topicId} has no admin key Approvr holds, so it cannot be closed.` };
+        }
+        const tally = computeTally(proposal, votes);
+        if (tally.outcome === 'pending') {
+            return { status: 'error', code: 'not_final', message: `Proposal ${topicId} is still open.` };
+        }
+        if (tally.outcome === 'approved' && hasAction(proposal) && !execution) {
+            return { status: 'error', code: 'not_final', message: `The action of ${topicId} has not been recorded yet.` };
+        }
+
+        const { transactionId } = await gateway.closeTopic(topicId);
+        console.log(`Closed the topic of ${tally.outcome} proposal ${topicId}.`);
+        return {
+            status: 'success',
+            transactionUrl: transactionExplorerUrl(transactionId),
+            message: `🔒 Topic ${topicId} is closed: the proposal is ${tally.outcome}, and nothing more can be posted to it.`,
+        };
+    } catch (error) {
+        console.error("Error in closeProposalTopic:", error);
+        return { status: 'error', code: notFoundCode(error), message: `Failed to close the proposal topic: ${error.message}` };
+    }
+}
+
+// A topic that doesn't exist is reported like a topic without a proposal.
+function notFoundCode(error) {
+    return error.code === 'TOPIC_NOT_FOUND' ? 'not_found' : undefined;
+}
+
+function transactionExplorerUrl(transactionId) {
+    return explorerUrl('transaction', transactionId, network) || undefined;
 }
-*/
\ No newline at end of file
@@ -0,0 +1,309 @@
+// --- Approvr On-Chain Message Format ---
+// Every message Approvr writes to a proposal topic is a versioned JSON envelope:
+//   { "protocol": "approvr", "type": "<message type>", "version": <n>, ...fields }
+// The first proposal envelope on a topic defines the rules (approvers, threshold) that every
+// tally is computed against, so the rules never come from the caller.
+// Proposal versions: 1 = "threshold of approvers", 2 = adds an approval `policy` (see policy.js) and
+// an executable `action` (see actions.js). Proposals without either are still written as version 1
+// so older readers keep working.
+// Vote versions: 1 = signed decision, 2 = adds an optional signed `comment`; likewise only used when
+// the vote has a comment.
+// Proposal version 3 = confidential: `description` and `action` are replaced by `confidential`, a commitment to
+// the content Approvr sealed to the approvers off-chain (see sealed-proposals.js). Only confidential proposals
+// are written as version 3.
+// Any proposal version may carry `access`, the topic's submit and admin key policy (see topic-access.js);
+// readers that don't know it lose nothing, as it only describes the topic.
+
+import { validatePolicy } from './policy.js';
+import { validateAction } from './actions.js';
+import { SUBMIT_POLICIES, ADMIN_POLICIES } from './topic-access.js';
+
+export const PROTOCOL_NAME = 'approvr';
+export const PROPOSAL_VERSION = 3;
+export const VOTE_VERSION = 2;
+export const EXECUTION_VERSION = 1;
+
+// HCS messages are limited to 1024 bytes; this leaves room for the rest of the vote envelope.
+export const MAX_VOTE_COMMENT_BYTES = 256;
+
+// REVOKE withdraws the approver's previous vote; each approver's latest vote is the one that counts.
+export const DECISIONS = ['APPROVE', 'REJECT', 'ABSTAIN', 'REVOKE'];
+
+const HEDERA_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const COMMITMENT_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Checks that proposal rules are internally consistent.
+ * A proposal has either a `threshold` or an approval `policy`, and either a `description` or, if it is confidential, a commitment.
+ * @param {{description?: string, approvers: Array<string>, threshold?: number, policy?: object, action?: object, rejectThreshold?: number, deadline?: string,
+ *          access?: object, confidential?: {commitment: string, hasAction: boolean}}} proposal Proposal fields.
+ * @returns {string|null} A human-readable problem, or null if the proposal is valid.
+ */
+export function validateProposal(proposal) {
+    if (!proposal || typeof proposal !== 'object') return 'Proposal is missing.';
+    if (proposal.confidential != null) {
+        if (proposal.description !== undefined || proposal.action !== undefined) return 'A confidential proposal keeps its description and action off the topic.';
+        if (!COMMITMENT_PATTERN.test(proposal.confidential.commitment) || typeof proposal.confidential.hasAction !== 'boolean') {
+            return 'A confidential proposal needs a SHA-256 commitment and whether it has an action.';
+        }
+    } else if (typeof proposal.description !== 'string' || !proposal.description.trim()) {
+        return 'Description is required.';
+    }
+    if (!Array.isArray(proposal.approvers) || proposal.approvers.length === 0) return 'At least one approver is required.';
+
+    const invalid = proposal.approvers.find(id => typeof id !== 'string' || !HEDERA_ID_PATTERN.test(id));
+    if (invalid !== undefined) return `Invalid approver account ID: ${invalid}`;
+    if (new Set(proposal.approvers).size !== proposal.approvers.length) return 'Approvers must not contain duplicates.';
+
+    if (proposal.policy != null) {
+        const problem = validatePolicy(proposal.policy, proposal.approvers);
+        if (problem) return problem;
+    } else if (!Number.isInteger(proposal.threshold) || proposal.threshold <= 0 || proposal.threshold > proposal.approvers.length) {
+        return 'Threshold must be a whole number between 1 and the number of approvers.';
+    }
+    if (proposal.rejectThreshold != null &&
+        (!Number.isInteger(proposal.rejectThreshold) || proposal.rejectThreshold <= 0 || proposal.rejectThreshold > proposal.approvers.length)) {
+        return 'Rejection threshold must be a whole number between 1 and the number of approvers.';
+    }
+    if (proposal.deadline != null && (typeof proposal.deadline !== 'string' || isNaN(Date.parse(proposal.deadline)))) {
+        return 'Deadline must be an ISO 8601 date.';
+    }
+    if (proposal.action != null) {
+        const problem = validateAction(proposal.action);
+        if (problem) return problem;
+    }
+    if (proposal.access != null &&
+        (!SUBMIT_POLICIES.includes(proposal.access.submit) || !ADMIN_POLICIES.includes(proposal.access.admin))) {
+        return 'Topic access must name a known submit and admin key policy.';
+    }
+    return null;
+}
+
+/**
+ * Encodes a proposal as the JSON envelope written as the first message of its topic.
+ * Optional rules (`policy`, `action`, `rejectThreshold`, `deadline`) are only written when set, as are `access`,
+ * the topic's key policy, and `origin`, the sealed chat and creator the proposal was made from (see `sealOrigin` in proposal-registry.js).
+ * With `confidential` the description and action are left out and the commitment to them is written instead.
+ * @param {{description?: string, approvers: Array<string>, threshold?: number, policy?: object, action?: object, rejectThreshold?: number, deadline?: string,
+ *          access?: {submit: string, admin: string}, confidential?: {commitment: string, hasAction: boolean}, origin?: string,
+ *          createdAt?: string}} proposal Proposal fields.
+ * @returns {string} The message content.
+ */
+export function encodeProposal({ description, approvers, threshold, policy, action, rejectThreshold, deadline, access, confidential, origin, createdAt }) {
+    const envelope = {
+        protocol: PROTOCOL_NAME,
+        type: 'proposal',
+        version: confidential ? 3 : policy || action ? 2 : 1,
+    };
+    if (confidential) {
+        envelope.confidential = { commitment: confidential.commitment, hasAction: confidential.hasAction };
+    } else {
+        envelope.description = description;
+    }
+    envelope.approvers = approvers;
+    envelope.createdAt = createdAt || new Date().toISOString();
+    if (policy) {
+        envelope.policy = { groups: policy.groups || {}, weights: policy.weights || {}, rule: policy.rule };
+    } else {
+        envelope.threshold = threshold;
+    }
+    if (action && !confidential) envelope.action = action;
+    if (rejectThreshold) envelope.rejectThreshold = rejectThreshold;
+    if (deadline) envelope.deadline = deadline;
+    if (access) envelope.access = { submit: access.submit, admin: access.admin };
+    if (origin) envelope.origin = origin;
+    return JSON.stringify(envelope);
+}
+
+/**
+ * Parses a JSON envelope written by Approvr.
+ * @param {string} content Raw message content.
+ * @returns {object|null} The envelope, or null if the content is not an Approvr envelope.
+ */
+export function parseEnvelope(content) {
+    if (typeof content !== 'string' || !content.trim().startsWith('{')) return null;
+    try {
+        const envelope = JSON.parse(content);
+        if (envelope && envelope.protocol === PROTOCOL_NAME && typeof envelope.type === 'string') {
+            return envelope;
+        }
+    } catch (e) {
+        // Not JSON; fall through.
+    }
+    return null;
+}
+
+/**
+ * Decodes a proposal from a topic message.
+ * Understands the v1-v3 JSON envelopes and the plain-text format written by earlier versions:
+ *   Proposal: <description>
+ *   Approvers: <id>, <id>
+ *   Threshold: <n>
+ * @param {string} content Raw message content.
+ * @returns {{description: string, approvers: Array<string>, threshold?: number, policy?: object, action?: object, rejectThreshold?: number, deadline?: string,
+ *          access?: object, confidential?: {commitment: string, hasAction: boolean}, version: number, createdAt?: string}|null}
+ *          The proposal, or null if the message is not a valid proposal.
+ */
+export function decodeProposal(content) {
+    let proposal = null;
+
+    const envelope = parseEnvelope(content);
+    if (envelope) {
+        if (envelope.type !== 'proposal' || envelope.version > PROPOSAL_VERSION) return null;
+        proposal = { version: envelope.version };
+        if (envelope.version >= 3 && envelope.confidential != null) {
+            proposal.confidential = envelope.confidential;
+        } else {
+            proposal.description = envelope.description;
+        }
+        proposal.approvers = envelope.approvers;
+        proposal.createdAt = envelope.createdAt;
+        if (envelope.version >= 2 && envelope.policy != null) {
+            proposal.policy = envelope.policy;
+        } else {
+            proposal.threshold = envelope.threshold;
+        }
+        if (envelope.version >= 2 && envelope.action != null && !proposal.confidential) proposal.action = envelope.action;
+        if (envelope.rejectThreshold != null) proposal.rejectThreshold = envelope.rejectThreshold;
+        if (envelope.deadline != null) proposal.deadline = envelope.deadline;
+        if (envelope.access != null) proposal.access = envelope.access;
+        if (typeof envelope.origin === 'string') proposal.origin = envelope.origin;
+    } else if (typeof content === 'string' && content.startsWith('Proposal:')) {
+        const description = content.match(/^Proposal:\s*(.+)$/m);
+        const approvers = content.match(/^Approvers:\s*(.+)$/m);
+        const threshold = content.match(/^Threshold:\s*(\d+)\s*$/m);
+        if (!description || !approvers || !threshold) return null;
+        proposal = {
+            version: 0,
+            description: description[1].trim(),
+            approvers: approvers[1].split(',').map(id => id.trim()).filter(id => id),
+            threshold: parseInt(threshold[1], 10),
+        };
+    }
+
+    if (!proposal || validateProposal(proposal)) return null;
+    return proposal;
+}
+
+/**
+ * Checks the optional comment of a vote.
+ * @param {*} comment The comment.
+ * @returns {string|null} A description of the problem, or null if the comment is acceptable.
+ */
+export function validateVoteComment(comment) {
+    if (comment == null || comment === '') return null;
+    if (typeof comment !== 'string') return 'Comment must be text.';
+    if (Buffer.byteLength(comment, 'utf8') > MAX_VOTE_COMMENT_BYTES) {
+        return `Comment is too long (at most ${MAX_VOTE_COMMENT_BYTES} bytes).`;
+    }
+    return null;
+}
+
+/**
+ * Builds the payload an approver signs to cast a vote.
+ * @param {{topicId: string, accountId: string, decision: string, timestamp?: string, comment?: string}} fields Vote fields;
+ *        a blank comment is left out.
+ * @returns {{topicId: string, accountId: string, decision: string, timestamp: string, comment?: string}} The vote payload.
+ */
+export function createVotePayload({ topicId, accountId, decision, timestamp, comment }) {
+    const payload = {
+        topicId,
+        accountId,
+        decision,
+        timestamp: timestamp || new Date().toISOString(),
+    };
+    if (typeof comment === 'string' && comment.trim()) payload.comment = comment.trim();
+    return payload;
+}
+
+/**
+ * Returns the exact text an approver signs for a vote payload. Binding the topic ID and account
+ * into the text stops a signature from being replayed on another proposal or by another account.
+ * A comment goes on its own line, so it is signed too.
+ * @param {{topicId: string, accountId: string, decision: string, timestamp: string, comment?: string}} payload The vote payload.
+ * @returns {string} The text to sign.
+ */
+export function votePayloadToSign({ topicId, accountId, decision, timestamp, comment }) {
+    const text = `approvr-vote:${topicId}:${accountId}:${decision}:${timestamp}`;
+    return comment ? `${text}\ncomment:${comment}` : text;
+}
+
+/**
+ * Encodes a signed vote as a topic message.
+ * @param {object} payload The vote payload from `createVotePayload`.
+ * @param {string} signature Hex signature over `votePayloadToSign(payload)`.
+ * @returns {string} The message content.
+ */
+export function encodeVote(payload, signature) {
+    const fields = {
+        topicId: payload.topicId,
+        accountId: payload.accountId,
+        decision: payload.decision,
+        timestamp: payload.timestamp,
+    };
+    if (payload.comment) fields.comment = payload.comment;
+    return JSON.stringify({
+        protocol: PROTOCOL_NAME,
+        type: 'vote',
+        version: payload.comment ? VOTE_VERSION : 1,
+        payload: fields,
+        signature,
+    });
+}
+
+/**
+ * Decodes a signed vote from a topic message. The signature is not checked here.
+ * @param {string} content Raw message content.
+ * @returns {{payload: object, signature: string}|null} The vote, or null if the message is not a well-formed vote.
+ */
+export function decodeVote(content) {
+    const envelope = parseEnvelope(content);
+    if (!envelope || envelope.type !== 'vote' || envelope.version > VOTE_VERSION) return null;
+
+    const { payload, signature } = envelope;
+    if (!payload || typeof payload !== 'object' || typeof signature !== 'string') return null;
+    if (typeof payload.topicId !== 'string' || typeof payload.accountId !== 'string' || typeof payload.timestamp !== 'string') return null;
+    if (!DECISIONS.includes(payload.decision)) return null;
+    if (payload.comment !== undefined && (envelope.version < 2 || typeof payload.comment !== 'string')) return null;
+
+    return { payload, signature };
+}
+
+/**
+ * Encodes the record of an executed (or scheduled) proposal action as a topic message.
+ * @param {{scheduleId: string, scheduledTransactionId: string, status: string, executedAt?: string}} execution Execution details;
+ *        status is 'executed' or 'awaiting_signatures'.
+ * @returns {string} The message content.
+ */
+export function encodeExecution({ scheduleId, scheduledTransactionId, status, executedAt }) {
+    const envelope = {
+        protocol: PROTOCOL_NAME,
+        type: 'execution',
+        version: EXECUTION_VERSION,
+        scheduleId,
+        scheduledTransactionId,
+        status,
+    };
+    if (executedAt) envelope.executedAt = executedAt;
+    return JSON.stringify(envelope);
+}
+
+/**
+ * Decodes an execution record from a topic message.
+ * @param {string} content Raw message content.
+ * @returns {{scheduleId: string, scheduledTransactionId: string, status: string, executedAt?: string}|null}
+ *          The execution record, or null if the message is not one.
+ */
+export function decodeExecution(content) {
+    const envelope = parseEnvelope(content);
+    if (!envelope || envelope.type !== 'execution' || envelope.version > EXECUTION_VERSION) return null;
+    if (typeof envelope.scheduleId !== 'string' || typeof envelope.status !== 'string') return null;
+
+    const execution = {
+        scheduleId: envelope.scheduleId,
+        scheduledTransactionId: envelope.scheduledTransactionId,
+        status: envelope.status,
+    };
+    if (envelope.executedAt) execution.executedAt = envelope.executedAt;
+    return execution;
+}
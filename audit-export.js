@@ -0,0 +1,203 @@
+import { PublicKey } from '@hashgraph/sdk';
+import { decodeProposal, decodeVote, decodeExecution } from './approvr-protocol.js';
+import { emptyTopicState, applyTopicMessages, verifyVoteMessages } from './topic-state.js';
+import { computeTally } from './tally.js';
+import { verifyRunningHashChain } from './running-hash.js';
+import { checkDisclosure } from './sealed-proposals.js';
+
+// --- Audit Export ---
+// An audit bundle is everything needed to check a proposal without trusting Approvr or a mirror node:
+// every message of the proposal topic with its consensus timestamp, sequence number and running hash,
+// the public key each counted vote was checked against, and the outcome Approvr computed.
+// `verifyAuditBundle` (run offline by scripts/verify-export.js) recomputes the running-hash chain, which
+// proves the messages are complete and unaltered, then replays the votes and compares the outcome.
+// A confidential proposal's bundle only holds its commitment; an approver can hand the auditor the decrypted
+// content (a Disclosure, see sealed-proposals.js), which is checked against that commitment.
+//
+// AuditBundle: { format, exportedAt, network, topicId, topicUrl, operatorAccountId, proposal,
+//                publicKeys (accountId -> DER hex, or null), messages: AuditMessage[], result }
+// AuditMessage: { sequenceNumber, consensusTimestamp, payerAccountId, runningHash, runningHashVersion,
+//                 contents (base64), message (UTF-8 text), kind ('proposal', 'vote', 'execution' or 'other'), vote? }
+// A counted vote records the key it was checked against in `vote.publicKey`. That is the key the approver had
+// when Approvr first read the vote, so a key rotated since doesn't change the outcome; `publicKeys` holds the
+// keys looked up at export time for every other vote.
+
+export const AUDIT_FORMAT = 'approvr-audit/1';
+
+const CSV_COLUMNS = ['sequence_number', 'consensus_timestamp', 'payer_account_id', 'running_hash', 'running_hash_version',
+    'kind', 'account_id', 'decision', 'comment', 'vote_counted', 'message'];
+
+/**
+ * Replays a proposal topic from its first message: finds the proposal, checks the votes and computes the tally.
+ * @param {string} topicId The proposal topic.
+ * @param {Array<object>} messages Every TopicMessage of the topic, oldest first.
+ * @param {{operatorAccountId: string, publicKeyOf: Function, voteKeys?: Map, warn?: Function, now: number}} options The operator
+ *        account (whose execution records count), the public key lookup, recorded vote keys and warning sink passed to
+ *        `verifyVoteMessages`, and the time the tally is computed for.
+ * @returns {Promise<{proposal: object|null, votes: Array<object>, ignored: number, execution: object|null, tally: object|null}>}
+ *          The replayed TopicState with its tally (`proposal` and `tally` are null if the topic holds no proposal).
+ */
+export async function replayTopic(topicId, messages, { operatorAccountId, publicKeyOf, voteKeys, warn, now }) {
+    const state = await applyTopicMessages(emptyTopicState(topicId), messages, {
+        operatorAccountId,
+        collectVotes: (proposal, batch) => verifyVoteMessages(topicId, proposal, batch, { publicKeyOf, voteKeys, warn }),
+    });
+    return { ...state, tally: state.proposal ? computeTally(state.proposal, state.votes, { now }) : null };
+}
+
+// The part of a replay that the bundle records and the verifier compares.
+function resultOf(replay, lastSequenceNumber) {
+    const { tally } = replay;
+    return {
+        outcome: tally.outcome,
+        approvals: tally.approvals,
+        rejections: tally.rejections,
+        abstentions: tally.abstentions,
+        outstanding: tally.outstanding,
+        decidedBy: tally.decidedBy || null,
+        lateVotes: tally.lateVotes,
+        ignoredMessages: replay.ignored,
+        outsideMessages: replay.outside,
+        execution: replay.execution,
+        lastSequenceNumber,
+    };
+}
+
+function auditMessage(message, countedVotes) {
+    const entry = {
+        sequenceNumber: message.sequenceNumber,
+        consensusTimestamp: message.consensusTimestamp,
+        payerAccountId: message.payerAccountId,
+        runningHash: message.runningHash,
+        runningHashVersion: message.runningHashVersion,
+        contents: message.contents,
+        message: message.message,
+        kind: 'other',
+    };
+    const vote = decodeVote(message.message);
+    if (vote) {
+        entry.kind = 'vote';
+        const counted = countedVotes.get(message.sequenceNumber);
+        entry.vote = { accountId: vote.payload.accountId, decision: vote.payload.decision, counted: !!counted };
+        if (vote.payload.comment) entry.vote.comment = vote.payload.comment;
+        if (counted) entry.vote.publicKey = counted.publicKey;
+    } else if (decodeProposal(message.message)) {
+        entry.kind = 'proposal';
+    } else if (decodeExecution(message.message)) {
+        entry.kind = 'execution';
+    }
+    return entry;
+}
+
+/**
+ * Builds the audit bundle of a proposal.
+ * @param {object} options What goes into the bundle.
+ * @param {string} options.topicId The proposal topic.
+ * @param {Array<object>} options.messages Every TopicMessage of the topic, oldest first.
+ * @param {object} options.replay Result of `replayTopic` over those messages.
+ * @param {Object<string, string|null>} options.publicKeys The approvers' public keys looked up for the replay (DER hex).
+ * @param {string} options.operatorAccountId The account whose execution records count.
+ * @param {string} options.network Network name.
+ * @param {string|null} [options.topicUrl] Explorer link to the topic.
+ * @param {string} options.exportedAt ISO time the tally was computed for.
+ * @returns {object} The AuditBundle.
+ */
+export function buildAuditBundle({ topicId, messages, replay, publicKeys, operatorAccountId, network, topicUrl = null, exportedAt }) {
+    const counted = new Map(replay.votes.map(vote => [vote.sequenceNumber, vote]));
+    return {
+        format: AUDIT_FORMAT,
+        exportedAt,
+        network,
+        topicId,
+        topicUrl,
+        operatorAccountId,
+        proposal: replay.proposal,
+        publicKeys,
+        messages: messages.map(message => auditMessage(message, counted)),
+        result: resultOf(replay, messages.length ? messages.at(-1).sequenceNumber : 0),
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders the messages of an audit bundle as CSV, one row per topic message, for spreadsheets.
+ * The proposal rules and the outcome are only in the JSON bundle.
+ * @param {object} bundle An AuditBundle.
+ * @returns {string} CSV with a header row and CRLF line endings.
+ */
+export function auditBundleToCsv(bundle) {
+    const rows = bundle.messages.map(message => [
+        message.sequenceNumber, message.consensusTimestamp, message.payerAccountId, message.runningHash, message.runningHashVersion,
+        message.kind, message.vote?.accountId, message.vote?.decision, message.vote?.comment,
+        message.vote ? (message.vote.counted ? 'yes' : 'no') : '', message.message,
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Checks an audit bundle offline: recomputes the running-hash chain from the raw message contents,
+ * replays the proposal and votes with the recorded public keys and compares the result with the recorded one.
+ * @param {object} bundle An AuditBundle, e.g. parsed from an exported JSON file.
+ * @param {{disclosure?: object, warn?: Function}} [options] The disclosed content of a confidential proposal, to check against
+ *        its commitment, and where to report votes that don't count (default console.warn).
+ * @returns {Promise<{valid: boolean, chain: object, result: object|null, disclosed: boolean, problems: Array<string>}>} `chain` is the
+ *          outcome of `verifyRunningHashChain`, `result` the recomputed result, `disclosed` whether a disclosure matched the
+ *          commitment; `problems` lists every check that failed.
+ */
+export async function verifyAuditBundle(bundle, { disclosure, warn } = {}) {
+    if (!bundle || bundle.format !== AUDIT_FORMAT) {
+        return { valid: false, chain: null, result: null, disclosed: false, problems: [`Not an Approvr audit bundle (expected format ${AUDIT_FORMAT}).`] };
+    }
+    const problems = [];
+    const messages = bundle.messages.map(message => {
+        const contents = Buffer.from(message.contents || '', 'base64');
+        return { ...message, topicId: bundle.topicId, contents, message: contents.toString('utf8') };
+    });
+
+    const chain = verifyRunningHashChain(messages);
+    if (!chain.valid) problems.push(`Running-hash chain: ${chain.error}`);
+
+    const voteKeys = new Map(bundle.messages.filter(message => message.vote?.publicKey)
+        .map(message => [message.sequenceNumber, PublicKey.fromString(message.vote.publicKey)]));
+    const replay = await replayTopic(bundle.topicId, messages, {
+        operatorAccountId: bundle.operatorAccountId,
+        voteKeys,
+        warn,
+        publicKeyOf: async (accountId) => {
+            const der = bundle.publicKeys?.[accountId];
+            if (!der) {
+                const error = new Error('no public key in the bundle');
+                error.code = 'ACCOUNT_KEY_NOT_FOUND';
+                throw error;
+            }
+            return PublicKey.fromString(der);
+        },
+        now: Date.parse(bundle.exportedAt),
+    });
+    if (!replay.proposal) {
+        problems.push('The messages hold no Approvr proposal.');
+        return { valid: false, chain, result: null, disclosed: false, problems };
+    }
+    if (JSON.stringify(replay.proposal) !== JSON.stringify(bundle.proposal)) {
+        problems.push('The proposal in the bundle differs from the one on the topic.');
+    }
+    const result = resultOf(replay, messages.length ? messages.at(-1).sequenceNumber : 0);
+    for (const [field, value] of Object.entries(result)) {
+        if (JSON.stringify(value) !== JSON.stringify(bundle.result?.[field])) {
+            problems.push(`Recomputed ${field} ${JSON.stringify(value)} differs from the recorded ${JSON.stringify(bundle.result?.[field])}.`);
+        }
+    }
+    let disclosed = false;
+    if (disclosure) {
+        const problem = replay.proposal.confidential
+            ? checkDisclosure(disclosure, replay.proposal.confidential.commitment)
+            : 'A disclosure was given, but the proposal is not confidential.';
+        if (problem) problems.push(problem);
+        disclosed = !problem;
+    }
+    return { valid: problems.length === 0, chain, result, disclosed, problems };
+}
@@ -0,0 +1,488 @@
+import { createLinkChallenge, CHALLENGE_TTL_MS, isChallengeExpired, verifySignedChallenge, verifyMemoTransfer } from './account-verification.js';
+import { createVotePayload, votePayloadToSign } from './approvr-protocol.js';
+import { parseOptionParts, parseDeadline } from './utils.js';
+import { parseApproverGroups, parsePolicyExpression, validatePolicy } from './policy.js';
+import { parseActionSpec } from './actions.js';
+
+// --- Chat Commands ---
+// The commands every chat platform offers (help, linkaccount and verify, create, the vote commands, tally),
+// independent of how messages arrive. An adapter turns what the platform sends into a ChatMessage, hands it to
+// `handle` and delivers the replies: telegram-adapter.js for the bot, slack-adapter.js for Slack slash commands.
+//
+// ChatMessage: { command, args, user: { id, username }, chat: { id, isGroup }, platform }
+//   user.id is what account links are stored under: the Telegram user ID, or "<platform>:<id>" elsewhere.
+// Platform: { name, commandPrefix ('/' or '/approvr '), miniApp (whether votes can be signed in the Telegram Mini App) }
+// Reply: { text, markdown?, shared?, buttons?: [{ text, url, miniApp? }] }
+//   markdown: the text uses *bold* and `code`, which Telegram and Slack both render.
+//   shared: worth showing to everyone in the chat (a new proposal, a tally). Adapters that can show a reply to just
+//   the sender (Slack) do that for every other reply.
+
+export const CORE_COMMANDS = ['help', 'linkaccount', 'verify', 'create', 'approve', 'reject', 'abstain', 'revoke', 'tally'];
+
+// Labels used when asking an approver to sign a vote.
+export const VOTE_COMMANDS = {
+    approve: { decision: 'APPROVE', verb: 'approval', button: '🔐 Approve in Mini App' },
+    reject: { decision: 'REJECT', verb: 'rejection', button: '🚫 Reject in Mini App' },
+    abstain: { decision: 'ABSTAIN', verb: 'abstention', button: '➖ Abstain in Mini App' },
+    revoke: { decision: 'REVOKE', verb: 'revocation of your previous vote', button: '↩️ Revoke in Mini App' },
+};
+
+// Votes signed in the chat expire like any signed vote (see `submitVote`).
+const VOTE_REQUEST_TTL_SECONDS = 30 * 60;
+const TOPIC_ID_PATTERN = /^0\.0\.\d+$/;
+const CREATE_OPTIONS = ['reject', 'deadline', 'action', 'from', 'confidential'];
+
+/**
+ * Tells whether a proposal's voting deadline has passed.
+ * @param {{deadline?: string|null}} proposal Proposal rules.
+ * @returns {boolean} True if it has a deadline in the past.
+ */
+export function isPastDeadline(proposal) {
+    return !!proposal.deadline && Date.parse(proposal.deadline) <= Date.now();
+}
+
+/**
+ * Parses the arguments of /create: `<description> | <approvers> | <threshold or rule> [| key=value ...]`.
+ * Approvers are either a plain list or named groups with optional weights, and the third part is
+ * either a number or an approval rule over those groups (see policy.js).
+ * @param {string} args Everything after the command.
+ * @param {{commandPrefix?: string}} [platform] Used to spell the command in error messages.
+ * @returns {{fields?: object, error?: string}} The fields for `createAndRecordProposal`, or why they are invalid.
+ */
+export function parseCreateCommand(args, { commandPrefix = '/' } = {}) {
+    const usage = `${commandPrefix}create <description> | <approver1,approver2,...> | <threshold>`;
+    if (!args) {
+        return { error: `Please provide proposal details. Format: ${usage}` };
+    }
+    const parts = args.split(' | ');
+    if (parts.length < 3) {
+        return { error: `Invalid format. Please use: ${usage} [| reject=<n> deadline=<48h|ISO date>]` };
+    }
+
+    const description = parts[0].trim();
+    const thresholdStr = parts[2].trim();
+    let approvers, threshold = null, policy;
+    try {
+        const definition = parseApproverGroups(parts[1]);
+        approvers = definition.approvers;
+        const isPlainThreshold = /^\d+$/.test(thresholdStr) &&
+            Object.keys(definition.groups).length === 0 && Object.keys(definition.weights).length === 0;
+        if (isPlainThreshold) {
+            threshold = parseInt(thresholdStr, 10);
+        } else {
+            policy = { groups: definition.groups, weights: definition.weights, rule: parsePolicyExpression(thresholdStr) };
+        }
+    } catch (error) {
+        return { error: `Invalid approvers or approval rule: ${error.message}` };
+    }
+
+    if (policy) {
+        const policyError = validatePolicy(policy, approvers);
+        if (policyError) return { error: `Invalid approval rule: ${policyError}` };
+    } else if (threshold <= 0 || threshold > approvers.length) {
+        return { error: "Invalid threshold. It must be a number between 1 and the number of approvers." };
+    }
+
+    const { options, error: optionError } = parseOptionParts(parts.slice(3));
+    if (optionError) return { error: optionError };
+    const unknownOption = Object.keys(options).find(key => !CREATE_OPTIONS.includes(key));
+    if (unknownOption) {
+        return { error: `Unknown option "${unknownOption}". Supported: reject=<n>, deadline=<48h|ISO date>, action=<hbar:...|token:...|message:...>, from=<account>, confidential=yes` };
+    }
+    if (options.confidential !== undefined && !['yes', 'no'].includes(options.confidential)) {
+        return { error: "Invalid confidential option. Use confidential=yes or leave it out." };
+    }
+    let rejectThreshold;
+    if (options.reject !== undefined) {
+        rejectThreshold = parseInt(options.reject, 10);
+        if (isNaN(rejectThreshold) || rejectThreshold <= 0 || rejectThreshold > approvers.length) {
+            return { error: "Invalid rejection threshold. It must be a number between 1 and the number of approvers." };
+        }
+    }
+    let deadline;
+    if (options.deadline !== undefined) {
+        deadline = parseDeadline(options.deadline);
+        if (!deadline || Date.parse(deadline) <= Date.now()) {
+            return { error: "Invalid deadline. Use a duration like 90m, 48h or 7d, or a future ISO date like 2025-03-01T17:00:00Z." };
+        }
+    }
+    let action;
+    if (options.action !== undefined) {
+        try {
+            action = parseActionSpec(options.action, { from: options.from });
+        } catch (error) {
+            return { error: `Invalid action: ${error.message}` };
+        }
+    } else if (options.from !== undefined) {
+        return { error: "from=<account> only applies together with action=..." };
+    }
+
+    return { fields: { description, approvers, threshold, policy, action, rejectThreshold, deadline, confidential: options.confidential === 'yes' } };
+}
+
+/**
+ * Builds the help text, with commands spelled the way the platform expects them.
+ * @param {{commandPrefix: string, miniApp: boolean, helpSections?: Array<string>}} platform The platform; `helpSections`
+ *        describe commands only it offers and are listed before the help command.
+ * @returns {string} The text.
+ */
+export function helpMessage({ commandPrefix: c, miniApp, helpSections = [] }) {
+    const voting = miniApp
+        ? `    In groups, every new proposal gets a status card with Approve and Reject buttons.
+    Tapping one sends you a private Mini App link to sign your vote; the card updates as votes land.`
+        : `    The bot replies with the exact text to sign with your account's key. Sign it, then send:
+    ${c}approve <topic_id> <signature_hex>`;
+    const sections = [
+        `Link Your Hedera Account:
+    ${c}linkaccount <account_id>
+    - The bot replies with a one-time challenge.
+    - Prove ownership by signing the challenge with the account's key and sending ${c}verify <signature_hex>,
+      or by sending any transaction from the account with the challenge as memo and sending ${c}verify.
+    - Only linked accounts can approve proposals.
+
+    Example:
+    ${c}linkaccount 0.0.12345`,
+        `Start a New Proposal:
+    ${c}create <description> | <approver1, approver2,...> | <threshold> [| reject=<n> deadline=<48h>]
+    - Description: A brief summary of what you're proposing (e.g., "Send 100 HBAR to 0.0.xyz").
+    - Approvers: Comma-separated list of Hedera Account IDs (e.g., 0.0.abc,0.0.def).
+      Or named groups separated by ";" with optional weights: finance: 0.0.a*2, 0.0.b; eng: 0.0.c
+    - Threshold: Minimum number of approvals needed (e.g., 2).
+      Or an approval rule over the groups: finance>=2 AND (eng>=1 OR weight>=3)
+    - reject (optional): Number of rejections that rejects the proposal outright.
+    - deadline (optional): When voting closes, as a duration (48h, 7d) or an ISO date.
+    - action (optional): Transaction Approvr schedules once approved:
+      action=hbar:<amount>:<to>, action=token:<token_id>:<amount>:<to> or action=message:<topic_id>:<text>
+      Transfers also need from=<account>, the account paying; its owners then sign the schedule.
+    - confidential=yes (optional): Keep the description and action off the public topic. They are encrypted to the
+      approvers, who open them in the Mini App; only a commitment is written on-chain. Every approver needs an
+      encryption key first: ${miniApp ? '/encryptionkey' : '/encryptionkey in a private chat with the Telegram bot'}
+
+    Example:
+    ${c}create Send 100 HBAR to 0.0.recipient | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
+    ${c}create Pay invoice #42 | finance: 0.0.1001, 0.0.1002; eng: 0.0.2001 | finance>=2 AND eng>=1
+    ${c}create Send 100 HBAR to 0.0.recipient | 0.0.approver1,0.0.approver2 | 2 | action=hbar:100:0.0.recipient`,
+        `Approve a Proposal:
+    ${c}approve <topic_id>
+    - Topic ID: The unique identifier for the proposal topic.
+
+    Example:
+    ${c}approve 0.0.123456
+
+    To vote against a proposal or abstain instead:
+    ${c}reject <topic_id>
+    ${c}abstain <topic_id>
+
+    To take back your vote (your latest vote is the one that counts):
+    ${c}revoke <topic_id>
+
+${voting}`,
+        `Check Proposal Status:
+    ${c}tally <topic_id>
+    - Topic ID: The unique identifier for the proposal topic.
+    - Approvers and threshold are read from the proposal recorded on the topic.
+
+    Example:
+    ${c}tally 0.0.123456`,
+        ...helpSections,
+        `Get Help:
+    ${c}help
+    - Displays this help message.`,
+    ];
+
+    return `
+Welcome to Approvr! Your Multi-Signature Helper on Hedera.
+
+Approvr helps you coordinate multi-party approvals for transactions or decisions using Hedera Consensus Service topics. It ensures transparency and immutability by storing approval records on-chain.
+
+---
+
+How to Use:
+
+${sections.map((section, i) => `${i}.  ${section}`).join('\n\n')}
+
+---
+
+Sample Workflow:
+
+1.  Create a Proposal:
+    ${c}create Send 100 HBAR to 0.0.recipient | 0.0.approver1,0.0.approver2,0.0.approver3 | 2
+    You'll receive a response like:
+    "Proposal created successfully! Topic ID: 0.0.123456. Share this Topic ID with approvers."
+
+2.  Approve a Proposal:
+    As an approver, send:
+    ${c}approve 0.0.123456
+    You'll see:
+    "Signed approval recorded for 0.0.approver1."
+
+3.  Check Proposal Status:
+    To check if enough approvals have been received:
+    ${c}tally 0.0.123456
+    You might see:
+    "Current tally: 1/2 approvals. Need 1 more approval(s)."
+
+---
+
+Important Notes:
+- Topic ID: Every proposal has one; share it with the approvers.
+- Approvers: Ensure all approvers know their Hedera Account ID.
+- Threshold: Set a reasonable threshold for consensus.
+`;
+}
+
+/**
+ * Creates the command handlers shared by every chat platform.
+ * @param {object} deps Storage, agent functions and hooks.
+ * @param {object} deps.store Storage from `createStorage` (accountLinks, challenges, voteRequests).
+ * @param {(fields: object, origin: {chatId: string, creatorId: number|string}) => Promise<{result: object, reply: string}>} deps.createProposal
+ *        Creates and records a proposal, e.g. `createAndRecordProposal`.
+ * @param {(topicId: string) => Promise<object>} deps.getProposal The agent's `getProposal`.
+ * @param {(topicId: string) => Promise<object>} deps.tallyApprovals The agent's `tallyApprovals`.
+ * @param {(topicId: string, accountId: string, decision: string, signedVote: object) => Promise<object>} deps.submitVote The agent's `submitVote`.
+ * @param {(vote: {topicId: string, decision: string, accountId: string}) => string} deps.miniAppUrl Link to the Mini App page
+ *        that signs a vote.
+ * @param {(topicId: string, result: object) => Promise<void>} [deps.afterCreate] Called after a proposal was created, e.g. to post a status card.
+ * @param {(topicId: string, tallyResult: object) => Promise<object|null>} [deps.afterTally] Called with every fresh tally; resolves to
+ *        the result of executing the proposal's action, if that happened.
+ * @param {(topicId: string, vote: object, voteResult: object) => Promise<string|undefined>} [deps.afterVote] Called after a vote signed
+ *        in the chat is posted; resolves to the proposal's outcome if it could be tallied.
+ * @param {(challenge: object, signature: string) => Promise<object>} [deps.verifySignedChallenge] Defaults to account-verification.js.
+ * @param {(challenge: object) => Promise<object>} [deps.verifyMemoTransfer] Defaults to account-verification.js.
+ * @returns {{handle: Function, checkVoter: Function, voteLink: Function}} `handle(message, channel)` runs a ChatMessage; the
+ *          channel has `reply(reply)` and, optionally, `working()` (called before slow steps, e.g. to show "typing…").
+ */
+export function createBotCore(deps) {
+    const { store } = deps;
+    const afterCreate = deps.afterCreate || (async () => {});
+    const afterTally = deps.afterTally || (async () => null);
+    const afterVote = deps.afterVote || (async () => undefined);
+    const checkSignedChallenge = deps.verifySignedChallenge || verifySignedChallenge;
+    const checkMemoTransfer = deps.verifyMemoTransfer || verifyMemoTransfer;
+
+    /**
+     * Checks that a chat user may vote on a proposal: linked, listed as an approver, before the deadline and while undecided.
+     * @param {number|string} userId The user's key in the account links.
+     * @param {string} topicId The proposal topic.
+     * @param {{commandPrefix?: string}} [platform] Used to spell the command in error messages.
+     * @returns {Promise<{error?: string, accountId?: string, proposal?: object}>} The linked account and proposal, or why not.
+     */
+    async function checkVoter(userId, topicId, { commandPrefix = '/' } = {}) {
+        const userLinkData = await store.accountLinks.get(userId);
+        if (!userLinkData) {
+            return { error: `Please link your account first using ${commandPrefix}linkaccount in a private chat with me.` };
+        }
+        const proposalResult = await deps.getProposal(topicId);
+        if (proposalResult.status !== 'success') {
+            return { error: proposalResult.message };
+        }
+        if (!proposalResult.proposal.approvers.includes(userLinkData.hederaAccountId)) {
+            return { error: `Your account ${userLinkData.hederaAccountId} is not an approver for this proposal.` };
+        }
+        if (isPastDeadline(proposalResult.proposal)) {
+            return { error: `Voting on this proposal closed at ${proposalResult.proposal.deadline}.` };
+        }
+        if (proposalResult.outcome && proposalResult.outcome !== 'pending') {
+            return { error: `Voting on this proposal is closed, it is ${proposalResult.outcome}.` };
+        }
+        return { accountId: userLinkData.hederaAccountId, proposal: proposalResult.proposal };
+    }
+
+    /**
+     * Builds the reply asking an approver to sign a vote in the Mini App.
+     * @param {string} command A key of VOTE_COMMANDS.
+     * @param {string} topicId The proposal topic.
+     * @param {string} accountId The approver's account.
+     * @returns {object} The Reply, with a Mini App button.
+     */
+    function voteLink(command, topicId, accountId) {
+        const { decision, verb, button } = VOTE_COMMANDS[command];
+        return {
+            text: `Please confirm your ${verb} for topic \`${topicId}\` using the Mini App. You will be asked to sign the vote with the key of \`${accountId}\`.`,
+            markdown: true,
+            buttons: [{ text: button, url: deps.miniAppUrl({ topicId, decision, accountId }), miniApp: true }],
+        };
+    }
+
+    async function help(message, channel) {
+        // Plain text: the examples are full of underscores and asterisks that Markdown would read as formatting.
+        await channel.reply({ text: helpMessage(message.platform) });
+    }
+
+    async function linkAccount({ args, user, platform }, channel) {
+        const c = platform.commandPrefix;
+        const hederaAccountId = args;
+        if (!hederaAccountId || !TOPIC_ID_PATTERN.test(hederaAccountId)) {
+            return channel.reply({ text: `❌ Please provide a valid Hedera Account ID, e.g. \`${c}linkaccount 0.0.12345\`.`, markdown: true });
+        }
+
+        const challenge = createLinkChallenge(hederaAccountId);
+        await store.challenges.set(user.id, challenge, CHALLENGE_TTL_MS / 1000);
+        console.log(`Issued link challenge for user ${user.id} and account ${hederaAccountId}`);
+
+        await channel.reply({
+            text: `🔐 To prove you own \`${hederaAccountId}\`, complete *one* of the following within 15 minutes:\n\n` +
+                `*Option 1: Sign the challenge*\n` +
+                `Sign this exact text with the account's key:\n\`${challenge.message}\`\n` +
+                `Then send: \`${c}verify <signature_hex>\`\n\n` +
+                `*Option 2: Memo transfer*\n` +
+                `Send any transaction (e.g. 1 tinybar to yourself) from \`${hederaAccountId}\` with the memo:\n\`${challenge.message}\`\n` +
+                `Then send: \`${c}verify\``,
+            markdown: true,
+        });
+    }
+
+    async function verify({ args, user, platform }, channel) {
+        const c = platform.commandPrefix;
+        const signature = args;
+        const challenge = await store.challenges.get(user.id);
+        if (!challenge) {
+            return channel.reply({ text: `❌ No pending link request. Start with \`${c}linkaccount <your_hedera_account_id>\`.`, markdown: true });
+        }
+        if (isChallengeExpired(challenge)) {
+            await store.challenges.delete(user.id);
+            return channel.reply({ text: `❌ Your link challenge expired. Please run \`${c}linkaccount\` again.`, markdown: true });
+        }
+
+        await channel.working?.();
+        const result = signature
+            ? await checkSignedChallenge(challenge, signature)
+            : await checkMemoTransfer(challenge);
+        if (!result.verified) {
+            console.warn(`Link verification failed for user ${user.id} (${challenge.accountId}): ${result.reason}`);
+            return channel.reply({ text: `❌ Verification failed: ${result.reason}` });
+        }
+
+        const hederaAccountId = challenge.accountId;
+        await store.challenges.delete(user.id);
+        await store.accountLinks.set(user.id, {
+            hederaAccountId,
+            linkedAt: new Date().toISOString(),
+            username: user.username || null,
+        });
+        console.log(`Verified link for user ${user.id} to account ${hederaAccountId}`);
+        await channel.reply({ text: `✅ Ownership of \`${hederaAccountId}\` verified. Your ${platform.name} account is now linked.`, markdown: true });
+    }
+
+    async function create({ args, user, chat, platform }, channel) {
+        const { fields, error } = parseCreateCommand(args, platform);
+        if (error) {
+            return channel.reply({ text: error });
+        }
+
+        await channel.working?.();
+        try {
+            const { result, reply } = await deps.createProposal(fields, { chatId: chat.id, creatorId: user.id });
+            await channel.reply({ text: reply, shared: result.status === 'success' });
+            if (result.status === 'success') await afterCreate(result.topicId, result);
+        } catch (error) {
+            console.error(`Error creating proposal for chat ${chat.id}:`, error);
+            await channel.reply({ text: "Sorry, failed to create the proposal. Please check the format and try again." });
+        }
+    }
+
+    // On platforms without the Mini App, the approver signs the vote text themselves and sends the signature back.
+    async function vote({ command, args, user, platform }, channel) {
+        const [topicId, signature, ...extra] = args.split(/\s+/);
+        const withSignature = !platform.miniApp && signature && extra.length === 0;
+        if (!TOPIC_ID_PATTERN.test(topicId || '') || (signature && !withSignature)) {
+            return channel.reply({ text: "❌ Invalid Topic ID." });
+        }
+
+        await channel.working?.();
+        const voter = await checkVoter(user.id, topicId, platform);
+        if (voter.error) {
+            return channel.reply({ text: `❌ ${voter.error}` });
+        }
+        if (platform.miniApp) {
+            return channel.reply(voteLink(command, topicId, voter.accountId));
+        }
+
+        const { decision, verb } = VOTE_COMMANDS[command];
+        const requestId = `${user.id}:${topicId}`;
+        if (!withSignature) {
+            const payload = createVotePayload({ topicId, accountId: voter.accountId, decision });
+            await store.voteRequests.set(requestId, payload, VOTE_REQUEST_TTL_SECONDS);
+            return channel.reply({
+                text: `To confirm your ${verb} for topic \`${topicId}\`, sign this exact text with the key of \`${voter.accountId}\` within 30 minutes:\n` +
+                    `\`${votePayloadToSign(payload)}\`\n` +
+                    `Then send: \`${platform.commandPrefix}${command} ${topicId} <signature_hex>\``,
+                markdown: true,
+            });
+        }
+
+        const payload = await store.voteRequests.get(requestId);
+        if (!payload || payload.decision !== decision || payload.accountId !== voter.accountId) {
+            return channel.reply({ text: `❌ There is no ${verb} of ${topicId} waiting for your signature. Send \`${platform.commandPrefix}${command} ${topicId}\` first.`, markdown: true });
+        }
+        const result = await deps.submitVote(topicId, voter.accountId, decision, { timestamp: payload.timestamp, signature });
+        if (result.status !== 'success') {
+            return channel.reply({ text: `❌ ${result.message}` });
+        }
+        await store.voteRequests.delete(requestId);
+
+        let outcome;
+        try {
+            outcome = await afterVote(topicId, { accountId: voter.accountId, decision }, result);
+        } catch (error) {
+            console.error(`Error executing the action of ${topicId}:`, error);
+        }
+        await channel.reply({
+            text: `✅ ${result.message}` + (outcome ? ` The proposal is ${outcome}.` : '') + (result.transactionUrl ? `\n${result.transactionUrl}` : ''),
+            shared: true,
+        });
+    }
+
+    async function tally({ args, chat, platform }, channel) {
+        // Only the topic ID is needed; approvers and threshold are read from the proposal on-chain.
+        const topicId = args.split('|')[0].trim();
+        if (!topicId) {
+            return channel.reply({ text: `Please provide the Topic ID. Format: ${platform.commandPrefix}tally <topic_id>` });
+        }
+        if (!TOPIC_ID_PATTERN.test(topicId)) {
+            return channel.reply({ text: "❌ Invalid Topic ID." });
+        }
+        if (args.includes('|')) {
+            await channel.reply({ text: "ℹ️ Approvers and threshold are now read from the proposal itself. Extra arguments were ignored." });
+        }
+
+        await channel.working?.();
+        try {
+            const result = await deps.tallyApprovals(topicId);
+            await channel.reply({ text: result.message || "Tally process completed.", shared: result.status === 'success' });
+            const execution = await afterTally(topicId, result);
+            if (execution) {
+                await channel.reply({ text: execution.message, shared: true });
+            }
+        } catch (error) {
+            console.error(`Error tallying approvals for chat ${chat.id}:`, error);
+            await channel.reply({ text: "Sorry, failed to tally approvals. Please check the Topic ID and try again." });
+        }
+    }
+
+    const handlers = {
+        help,
+        linkaccount: linkAccount,
+        verify,
+        create,
+        tally,
+        ...Object.fromEntries(Object.keys(VOTE_COMMANDS).map(command => [command, vote])),
+    };
+
+    /**
+     * Runs a chat command.
+     * @param {object} message The ChatMessage.
+     * @param {{reply: (reply: object) => Promise<void>, working?: () => Promise<void>}} channel Where replies go.
+     * @returns {Promise<void>}
+     */
+    async function handle(message, channel) {
+        // Own properties only: a command like "constructor" must not reach Object.prototype.
+        const handler = Object.hasOwn(handlers, message.command) ? handlers[message.command] : null;
+        if (!handler) {
+            return channel.reply({ text: `Unknown command "${message.command}". Send ${message.platform.commandPrefix}help to see what I can do.` });
+        }
+        await handler({ ...message, args: (message.args || '').trim() }, channel);
+    }
+
+    return { handle, checkVoter, voteLink };
+}
@@ -0,0 +1,393 @@
+import {
+    PrivateKey, PublicKey, ScheduleInfoQuery, Status, TopicCreateTransaction, TopicMessageSubmitTransaction, TopicUpdateTransaction,
+    TransactionId, TransactionReceiptQuery,
+} from '@hashgraph/sdk';
+import { fetchAccountPublicKey } from './account-verification.js';
+import { getNetworkConfig, createClient, createMirrorNodeService } from './network.js';
+import { nextRunningHash, RUNNING_HASH_VERSION } from './running-hash.js';
+
+// --- Hedera Gateway ---
+// Everything Approvr does on Hedera goes through a gateway, so business logic works with typed
+// results instead of parsing SDK receipts or agent tool output. Pick one with HEDERA_GATEWAY:
+//   sdk       - @hashgraph/sdk transactions + mirror node REST queries (default)
+//   agent-kit - Hedera Agent Kit tools for creating topics and submitting messages (SDK and mirror node for the rest)
+//   memory    - in-process fake ledger for tests and offline demos
+//
+// A gateway implements:
+//   operatorPublicKey                      -  the operator's PublicKey, for topic keys
+//   createTopic({ memo?, submitKey?, adminKey? }) -> { topicId, transactionId }
+//   submitMessage(topicId, message)        -> { topicId, sequenceNumber (a number, never null), transactionId }
+//   closeTopic(topicId)                    -> { topicId, transactionId }; replaces the submit key with one nobody holds
+//   getTopicMessages(topicId, { afterSequenceNumber? }) -> TopicMessage[] (oldest first, only those after the cursor)
+//   listTopics()                           -> topic IDs created by the operator account (oldest first)
+//   getAccountPublicKey(accountId)         -> PublicKey
+//   scheduleTransaction(scheduleCreateTx)  -> { scheduleId, scheduledTransactionId, executedAt }
+//
+// TopicMessage: { topicId, sequenceNumber, consensusTimestamp ("seconds.nanos"), message (UTF-8 text),
+//                 contents (the raw message bytes as base64), payerAccountId, runningHash (base64, or null),
+//                 runningHashVersion (or null) }
+
+/**
+ * Converts a mirror node topic message into a TopicMessage.
+ * @param {object} raw Mirror node message (`sequence_number`, `consensus_timestamp`, `message`, ...).
+ * @param {string} topicId The topic the message was read from.
+ * @param {{decoded?: boolean}} [options] Set `decoded` when `message` is already UTF-8 text instead of base64.
+ * @returns {object} The TopicMessage.
+ */
+export function toTopicMessage(raw, topicId, options = {}) {
+    const contents = options.decoded ? Buffer.from(raw.message || '', 'utf8') : Buffer.from(raw.message || '', 'base64');
+    return {
+        topicId: raw.topic_id || topicId,
+        sequenceNumber: Number(raw.sequence_number),
+        consensusTimestamp: raw.consensus_timestamp,
+        message: contents.toString('utf8'),
+        contents: contents.toString('base64'),
+        payerAccountId: raw.payer_account_id || null,
+        runningHash: raw.running_hash || null,
+        runningHashVersion: raw.running_hash_version ?? null,
+    };
+}
+
+function bySequenceNumber(a, b) {
+    return a.sequenceNumber - b.sequenceNumber;
+}
+
+// Tagged so callers can tell a topic that doesn't exist from a mirror node that can't be reached.
+function topicNotFound(topicId) {
+    const error = new Error(`Topic ${topicId} does not exist on the network.`);
+    error.code = 'TOPIC_NOT_FOUND';
+    return error;
+}
+
+/**
+ * Reads the messages of a topic from the mirror node REST API, following pagination links.
+ * @param {{mirrorNodeUrl: string}} network Network settings from `getNetworkConfig`.
+ * @param {string} topicId The topic.
+ * @param {{afterSequenceNumber?: number}} [options] Only read messages after this sequence number.
+ * @returns {Promise<Array<object>>} TopicMessages, oldest first.
+ */
+export async function fetchMirrorTopicMessages(network, topicId, { afterSequenceNumber = 0 } = {}) {
+    const messages = [];
+    let url = `${network.mirrorNodeUrl}/api/v1/topics/${encodeURIComponent(topicId)}/messages?order=asc&limit=100`;
+    if (afterSequenceNumber > 0) url += `&sequencenumber=gt:${afterSequenceNumber}`;
+    while (url) {
+        const response = await fetch(url);
+        if (response.status === 404) {
+            throw topicNotFound(topicId);
+        }
+        if (!response.ok) {
+            throw new Error(`Mirror node returned ${response.status} for topic ${topicId}.`);
+        }
+        const data = await response.json();
+        messages.push(...(data.messages || []).map(raw => toTopicMessage(raw, topicId)));
+        url = data.links && data.links.next ? `${network.mirrorNodeUrl}${data.links.next}` : null;
+    }
+    return messages.sort(bySequenceNumber);
+}
+
+/**
+ * Lists the topics an account created, from its successful topic-create transactions on the mirror node.
+ * @param {{mirrorNodeUrl: string}} network Network settings from `getNetworkConfig`.
+ * @param {string} accountId The paying account.
+ * @returns {Promise<Array<string>>} Topic IDs, oldest first.
+ */
+export async function fetchMirrorCreatedTopics(network, accountId) {
+    const topicIds = [];
+    let url = `${network.mirrorNodeUrl}/api/v1/transactions?account.id=${encodeURIComponent(accountId)}` +
+              `&transactiontype=CONSENSUSCREATETOPIC&result=success&order=asc&limit=100`;
+    while (url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Mirror node returned ${response.status} for the transactions of ${accountId}.`);
+        }
+        const data = await response.json();
+        for (const transaction of data.transactions || []) {
+            // `account.id` also matches transfers to the account; only topics it paid for count.
+            if (transaction.entity_id && transaction.transaction_id.startsWith(`${accountId}-`)) topicIds.push(transaction.entity_id);
+        }
+        url = data.links && data.links.next ? `${network.mirrorNodeUrl}${data.links.next}` : null;
+    }
+    return topicIds;
+}
+
+/**
+ * Creates a gateway that talks to Hedera through the SDK and the mirror node.
+ * @param {{client: import('@hashgraph/sdk').Client, operatorAccountId: string, network: object}} options
+ *        Client with operator, the operator account and network settings.
+ * @returns {object} Hedera gateway.
+ */
+export function createSdkGateway({ client, operatorAccountId, network }) {
+    return {
+        name: 'sdk',
+        operatorAccountId,
+        operatorPublicKey: client.operatorPublicKey,
+
+        async createTopic({ memo, submitKey, adminKey } = {}) {
+            const transaction = new TopicCreateTransaction();
+            if (memo) transaction.setTopicMemo(memo);
+            if (submitKey) transaction.setSubmitKey(submitKey);
+            if (adminKey) transaction.setAdminKey(adminKey);
+            const response = await transaction.execute(client);
+            const receipt = await response.getReceipt(client);
+            return { topicId: receipt.topicId.toString(), transactionId: response.transactionId.toString() };
+        },
+
+        async submitMessage(topicId, message) {
+            const response = await new TopicMessageSubmitTransaction().setTopicId(topicId).setMessage(message).execute(client);
+            const receipt = await response.getReceipt(client);
+            return { topicId, sequenceNumber: Number(receipt.topicSequenceNumber), transactionId: response.transactionId.toString() };
+        },
+
+        // Signed by the operator as admin key holder; the new submit key's private half is never stored.
+        async closeTopic(topicId) {
+            const response = await new TopicUpdateTransaction()
+                .setTopicId(topicId)
+                .setSubmitKey(PrivateKey.generateED25519().publicKey)
+                .execute(client);
+            await response.getReceipt(client);
+            return { topicId, transactionId: response.transactionId.toString() };
+        },
+
+        getTopicMessages: (topicId, options) => fetchMirrorTopicMessages(network, topicId, options),
+
+        listTopics: () => fetchMirrorCreatedTopics(network, operatorAccountId),
+
+        getAccountPublicKey: (accountId) => fetchAccountPublicKey(accountId),
+
+        async scheduleTransaction(scheduleTransaction) {
+            let receipt;
+            try {
+                const response = await scheduleTransaction.execute(client);
+                receipt = await response.getReceipt(client);
+            } catch (error) {
+                // Hedera refuses to create a schedule identical to an existing one and returns its ID instead.
+                if (error.status !== Status.IdenticalScheduleAlreadyCreated || !error.transactionReceipt) throw error;
+                receipt = error.transactionReceipt;
+            }
+            const info = await new ScheduleInfoQuery().setScheduleId(receipt.scheduleId).execute(client);
+            return {
+                scheduleId: receipt.scheduleId.toString(),
+                scheduledTransactionId: (receipt.scheduledTransactionId || info.scheduledTransactionId).toString(),
+                executedAt: info.executed ? info.executed.toDate().toISOString() : null,
+            };
+        },
+    };
+}
+
+// Agent Kit tools return JSON strings; SDK entity IDs inside them are serialized as { shard, realm, num } Longs.
+function readEntityId(value) {
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object' && 'num' in value) {
+        const part = (v) => (typeof v === 'object' && v !== null ? v.low + v.high * 2 ** 32 : Number(v));
+        return `${part(value.shard)}.${part(value.realm)}.${part(value.num)}`;
+    }
+    return null;
+}
+
+async function invokeTool(tool, params) {
+    const output = await tool.invoke(params);
+    const parsed = typeof output === 'string' ? JSON.parse(output) : output;
+    const raw = parsed && parsed.raw;
+    if (!raw) throw new Error(`${tool.name} returned an unexpected response.`);
+    if (raw.error) throw new Error(raw.error);
+    return raw;
+}
+
+/**
+ * Creates a gateway that uses the Hedera Agent Kit tools for topics and messages.
+ * Schedules, account keys and topic reads use the SDK and mirror node like the `sdk` gateway; the kit's
+ * message query stops at 100 messages, which busy proposal topics outgrow.
+ * @param {{client: import('@hashgraph/sdk').Client, operatorAccountId: string, network: object, tools?: object}} options
+ *        Client with operator, the operator account and network settings; `tools` (Agent Kit tools by name) replaces the kit in tests.
+ * @returns {object} Hedera gateway.
+ */
+export function createAgentKitGateway({ client, operatorAccountId, network, tools: givenTools }) {
+    // The kit (and LangChain with it) is only loaded when this gateway is chosen.
+    let toolsPromise = givenTools ? Promise.resolve(givenTools) : null;
+    const loadTools = () => {
+        toolsPromise = toolsPromise || import('hedera-agent-kit').then(({ HederaLangchainToolkit, AgentMode, coreConsensusPlugin, coreQueriesPlugin }) => {
+            const toolkit = new HederaLangchainToolkit({
+                client,
+                configuration: {
+                    plugins: [coreConsensusPlugin, coreQueriesPlugin],
+                    context: {
+                        mode: AgentMode.AUTONOMOUS,
+                        // The kit only knows the public mainnet/testnet mirror nodes; point it at ours otherwise.
+                        ...(['mainnet', 'testnet'].includes(network.name) && !process.env.HEDERA_MIRROR_NODE_URL
+                            ? {}
+                            : { mirrornodeService: createMirrorNodeService(network) }),
+                    },
+                },
+            });
+            const tools = Object.fromEntries(toolkit.getTools().map(tool => [tool.name, tool]));
+            for (const name of ['create_topic_tool', 'submit_topic_message_tool']) {
+                if (!tools[name]) throw new Error(`Hedera Agent Kit does not provide ${name}.`);
+            }
+            return tools;
+        });
+        return toolsPromise;
+    };
+    const sdkGateway = createSdkGateway({ client, operatorAccountId, network });
+
+    return {
+        ...sdkGateway,
+        name: 'agent-kit',
+
+        async createTopic({ memo, submitKey, adminKey } = {}) {
+            // The kit's tool can't set arbitrary keys, so topics with keys are created through the SDK.
+            if (submitKey || adminKey) return sdkGateway.createTopic({ memo, submitKey, adminKey });
+            const tools = await loadTools();
+            const raw = await invokeTool(tools.create_topic_tool, memo ? { topicMemo: memo } : {});
+            const topicId = readEntityId(raw.topicId);
+            if (!topicId) throw new Error('create_topic_tool did not return a topic ID.');
+            return { topicId, transactionId: raw.transactionId };
+        },
+
+        async submitMessage(topicId, message) {
+            const tools = await loadTools();
+            const raw = await invokeTool(tools.submit_topic_message_tool, { topicId, message });
+            // The kit's receipt summary has no sequence number, so the transaction's receipt is fetched again.
+            const receipt = await new TransactionReceiptQuery().setTransactionId(TransactionId.fromString(raw.transactionId)).execute(client);
+            if (!receipt.topicSequenceNumber) {
+                throw new Error(`The receipt of ${raw.transactionId} has no topic sequence number.`);
+            }
+            return { topicId, sequenceNumber: Number(receipt.topicSequenceNumber), transactionId: raw.transactionId };
+        },
+    };
+}
+
+/**
+ * Creates an in-memory fake of Hedera for tests and offline demos. Topics, messages and schedules live
+ * in process memory; account keys must be registered with `registerAccount`. Consensus timestamps are
+ * taken from `now()` and strictly increase, and running hashes are chained like on the network.
+ * Topic keys are kept but not checked, except that closed topics refuse new messages.
+ * @param {{operatorAccountId?: string, operatorPublicKey?: PublicKey, now?: Function}} [options] Operator account, its key
+ *        (a random one by default) and clock.
+ * @returns {object} Hedera gateway with extra `registerAccount(accountId, publicKey)`, `topics` and `schedules`.
+ */
+export function createMemoryGateway({
+    operatorAccountId = '0.0.2', operatorPublicKey = PrivateKey.generateED25519().publicKey, now = () => Date.now(),
+} = {}) {
+    const topics = new Map(); // topicId -> { memo, submitKey, adminKey, closed, messages }
+    const accounts = new Map(); // accountId -> PublicKey
+    const schedules = [];
+    let nextEntityNum = 1001;
+    let lastNanos = 0n;
+
+    const consensusTimestamp = () => {
+        let nanos = BigInt(now()) * 1000000n;
+        if (nanos <= lastNanos) nanos = lastNanos + 1n;
+        lastNanos = nanos;
+        return `${nanos / 1000000000n}.${String(nanos % 1000000000n).padStart(9, '0')}`;
+    };
+    const transactionId = (timestamp) => `${operatorAccountId}@${timestamp}`;
+    const topicOf = (topicId) => {
+        const topic = topics.get(topicId);
+        if (!topic) throw topicNotFound(topicId);
+        return topic;
+    };
+
+    return {
+        name: 'memory',
+        operatorAccountId,
+        operatorPublicKey,
+        topics,
+        schedules,
+
+        registerAccount(accountId, publicKey) {
+            accounts.set(accountId, typeof publicKey === 'string' ? PublicKey.fromString(publicKey) : publicKey);
+        },
+
+        async createTopic({ memo, submitKey = null, adminKey = null } = {}) {
+            const topicId = `0.0.${nextEntityNum++}`;
+            topics.set(topicId, { memo: memo || '', submitKey, adminKey, closed: false, messages: [] });
+            return { topicId, transactionId: transactionId(consensusTimestamp()) };
+        },
+
+        async submitMessage(topicId, message, options = {}) {
+            const topic = topicOf(topicId);
+            if (topic.closed) throw new Error(`Topic ${topicId} is closed: INVALID_SIGNATURE.`);
+            const timestamp = consensusTimestamp();
+            const previous = topic.messages.at(-1);
+            const entry = {
+                topicId,
+                sequenceNumber: topic.messages.length + 1,
+                consensusTimestamp: timestamp,
+                message,
+                contents: Buffer.from(message, 'utf8').toString('base64'),
+                payerAccountId: options.payerAccountId || operatorAccountId,
+                runningHashVersion: RUNNING_HASH_VERSION,
+            };
+            entry.runningHash = nextRunningHash(previous ? Buffer.from(previous.runningHash, 'base64') : null,
+                { ...entry, contents: Buffer.from(message, 'utf8') }).toString('base64');
+            topic.messages.push(entry);
+            return { topicId, sequenceNumber: entry.sequenceNumber, transactionId: transactionId(timestamp) };
+        },
+
+        async closeTopic(topicId) {
+            const topic = topicOf(topicId);
+            if (!topic.adminKey) throw new Error(`Topic ${topicId} has no admin key: UNAUTHORIZED.`);
+            topic.closed = true;
+            return { topicId, transactionId: transactionId(consensusTimestamp()) };
+        },
+
+        async getTopicMessages(topicId, { afterSequenceNumber = 0 } = {}) {
+            return topicOf(topicId).messages
+                .filter(message => message.sequenceNumber > afterSequenceNumber)
+                .map(message => ({ ...message }));
+        },
+
+        async listTopics() {
+            return Array.from(topics.keys());
+        },
+
+        async getAccountPublicKey(accountId) {
+            const publicKey = accounts.get(accountId);
+            if (!publicKey) {
+                const error = new Error(`Account ${accountId} does not exist on the network.`);
+                error.code = 'ACCOUNT_KEY_NOT_FOUND';
+                throw error;
+            }
+            return publicKey;
+        },
+
+        async scheduleTransaction(scheduleTransaction) {
+            const memo = scheduleTransaction.getScheduleMemo;
+            const existing = schedules.find(schedule => schedule.memo === memo);
+            if (existing) return { ...existing.result };
+
+            const timestamp = consensusTimestamp();
+            const result = {
+                scheduleId: `0.0.${nextEntityNum++}`,
+                scheduledTransactionId: `${transactionId(timestamp)}?scheduled`,
+                executedAt: new Date(Number(BigInt(timestamp.replace('.', '')) / 1000000n)).toISOString(),
+            };
+            schedules.push({ memo, transaction: scheduleTransaction, result });
+            return { ...result };
+        },
+    };
+}
+
+/**
+ * Creates the gateway configured through environment variables (HEDERA_GATEWAY, HEDERA_NETWORK,
+ * HEDERA_ACCOUNT_ID, HEDERA_PRIVATE_KEY).
+ * @param {object} [env] Environment to read settings from (defaults to process.env).
+ * @returns {object} Hedera gateway.
+ */
+export function createGateway(env = process.env) {
+    const kind = (env.HEDERA_GATEWAY || 'sdk').toLowerCase();
+    if (kind === 'memory') {
+        console.warn("Using the in-memory Hedera gateway. Nothing is written to a real network.");
+        return createMemoryGateway({ operatorAccountId: env.HEDERA_ACCOUNT_ID || '0.0.2' });
+    }
+    if (kind !== 'sdk' && kind !== 'agent-kit') {
+        throw new Error(`Unknown HEDERA_GATEWAY "${kind}". Use sdk, agent-kit or memory.`);
+    }
+
+    const network = getNetworkConfig(env);
+    const privateKey = PrivateKey.fromStringECDSA(env.HEDERA_PRIVATE_KEY);
+    const client = createClient(network).setOperator(env.HEDERA_ACCOUNT_ID, privateKey);
+    const options = { client, operatorAccountId: env.HEDERA_ACCOUNT_ID, network };
+    console.log(`Using the ${kind} Hedera gateway on ${network.name}.`);
+    return kind === 'sdk' ? createSdkGateway(options) : createAgentKitGateway(options);
+}
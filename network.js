@@ -0,0 +1,126 @@
+import { AccountId, Client } from '@hashgraph/sdk';
+
+// --- Network Selection ---
+// Every part of Approvr that talks to Hedera (SDK client, mirror node queries, explorer links) reads
+// its endpoints from here. Pick the network with HEDERA_NETWORK:
+//   testnet (default), mainnet, previewnet - public networks, HashScan links
+//   local  - a local node (e.g. hiero-local-node / Solo); endpoints from
+//            HEDERA_NODE_ENDPOINT (default 127.0.0.1:50211), HEDERA_NODE_ACCOUNT_ID (default 0.0.3),
+//            HEDERA_MIRROR_NODE_URL (default http://localhost:5551) and HEDERA_EXPLORER_URL (no links if unset)
+// HEDERA_MIRROR_NODE_URL and HEDERA_EXPLORER_URL override the defaults on any network.
+
+export const NETWORKS = ['mainnet', 'testnet', 'previewnet', 'local'];
+
+const PUBLIC_MIRROR_NODES = {
+    mainnet: 'https://mainnet-public.mirrornode.hedera.com',
+    testnet: 'https://testnet.mirrornode.hedera.com',
+    previewnet: 'https://previewnet.mirrornode.hedera.com',
+};
+
+/**
+ * Reads the network settings from the environment.
+ * @param {object} [env] Environment to read settings from (defaults to process.env).
+ * @returns {{name: string, mirrorNodeUrl: string, explorerUrl: string|null, nodeEndpoint?: string, nodeAccountId?: string}} Network settings.
+ */
+export function getNetworkConfig(env = process.env) {
+    const name = (env.HEDERA_NETWORK || 'testnet').trim().toLowerCase();
+    if (!NETWORKS.includes(name)) {
+        throw new Error(`Unknown HEDERA_NETWORK "${name}". Use ${NETWORKS.join(', ')}.`);
+    }
+    const trimSlash = (url) => url.replace(/\/+$/, '');
+
+    if (name === 'local') {
+        return {
+            name,
+            mirrorNodeUrl: trimSlash(env.HEDERA_MIRROR_NODE_URL || 'http://localhost:5551'),
+            explorerUrl: env.HEDERA_EXPLORER_URL ? trimSlash(env.HEDERA_EXPLORER_URL) : null,
+            nodeEndpoint: env.HEDERA_NODE_ENDPOINT || '127.0.0.1:50211',
+            nodeAccountId: env.HEDERA_NODE_ACCOUNT_ID || '0.0.3',
+        };
+    }
+    return {
+        name,
+        mirrorNodeUrl: trimSlash(env.HEDERA_MIRROR_NODE_URL || PUBLIC_MIRROR_NODES[name]),
+        explorerUrl: trimSlash(env.HEDERA_EXPLORER_URL || `https://hashscan.io/${name}`),
+    };
+}
+
+/**
+ * Creates an SDK client (without operator) for the configured network.
+ * @param {object} [config] Network settings from `getNetworkConfig`.
+ * @returns {Client} The client.
+ */
+export function createClient(config = getNetworkConfig()) {
+    switch (config.name) {
+        case 'mainnet':
+            return Client.forMainnet();
+        case 'previewnet':
+            return Client.forPreviewnet();
+        case 'local':
+            return Client.forNetwork({ [config.nodeEndpoint]: AccountId.fromString(config.nodeAccountId) });
+        default:
+            return Client.forTestnet();
+    }
+}
+
+/**
+ * Builds an explorer link for an entity on the configured network.
+ * @param {'topic'|'transaction'|'account'|'schedule'|'token'} kind Entity type.
+ * @param {string} id Entity ID (transaction IDs may use the SDK's `0.0.x@seconds.nanos` form).
+ * @param {object} [config] Network settings from `getNetworkConfig`.
+ * @returns {string|null} The link, or null when the network has no explorer.
+ */
+export function explorerUrl(kind, id, config = getNetworkConfig()) {
+    if (!config.explorerUrl || !id) return null;
+    // Explorers use the mirror node form of transaction IDs: 0.0.x-seconds-nanos.
+    const match = kind === 'transaction' && /^(\d+\.\d+\.\d+)@(\d+)\.(\d+)/.exec(id);
+    const path = match ? `${match[1]}-${match[2]}-${match[3].padStart(9, '0')}` : id;
+    return `${config.explorerUrl}/${kind}/${encodeURIComponent(path)}`;
+}
+
+/**
+ * Returns the mirror node REST base URL (without `/api/v1`) of the configured network.
+ * @param {object} [config] Network settings from `getNetworkConfig`.
+ * @returns {string} The base URL.
+ */
+export function mirrorNodeUrl(config = getNetworkConfig()) {
+    return config.mirrorNodeUrl;
+}
+
+/**
+ * Creates a mirror node service for the Hedera Agent Kit that uses the configured mirror node.
+ * The kit only knows the public mainnet and testnet mirror nodes; this covers the methods Approvr's
+ * tools rely on (topic messages and account lookups) for every other setup.
+ * @param {object} [config] Network settings from `getNetworkConfig`.
+ * @returns {{getAccount: Function, getTopicMessages: Function}} Mirror node service.
+ */
+export function createMirrorNodeService(config = getNetworkConfig()) {
+    const baseUrl = `${config.mirrorNodeUrl}/api/v1`;
+    const getJson = async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Mirror node returned ${response.status} ${response.statusText} for ${url}`);
+        }
+        return response.json();
+    };
+
+    return {
+        async getAccount(accountId) {
+            const data = await getJson(`${baseUrl}/accounts/${accountId}`);
+            return { accountId: data.account, accountPublicKey: data?.key?.key, balance: data.balance, evmAddress: data.evm_address };
+        },
+        async getTopicMessages({ topicId, lowerTimestamp, upperTimestamp, limit = 100 }) {
+            let url = `${baseUrl}/topics/${topicId}/messages?` +
+                      (lowerTimestamp ? `timestamp=gte:${lowerTimestamp}&` : '') +
+                      (upperTimestamp ? `timestamp=lte:${upperTimestamp}&` : '') +
+                      `order=desc&limit=100`;
+            const messages = [];
+            while (url && messages.length < limit) {
+                const data = await getJson(url);
+                messages.push(...data.messages);
+                url = data.links && data.links.next ? `${config.mirrorNodeUrl}${data.links.next}` : null;
+            }
+            return { topicId, messages: messages.slice(0, limit) };
+        },
+    };
+}
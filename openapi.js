@@ -0,0 +1,515 @@
+import { DECISIONS, MAX_VOTE_COMMENT_BYTES } from './approvr-protocol.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+
+// --- OpenAPI Document ---
+// Describes the REST API in rest-api.js; served at GET /api/v1/openapi.json. Keep it in step with the
+// zod schemas there: the schemas validate requests, this document is what client authors read.
+
+const hederaId = { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$', example: '0.0.1234' };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+const topicIdParameter = { name: 'topicId', in: 'path', required: true, schema: hederaId, description: 'Topic of the proposal.' };
+const webhookIdParameter = { name: 'webhookId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+
+export const OPENAPI_DOCUMENT = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Approvr API',
+        version: '1.0.0',
+        description: 'Create and follow multi-party approval proposals recorded on Hedera Consensus Service topics. ' +
+            'Every request except this document needs an API key from APPROVR_API_KEYS, sent as `X-API-Key` or `Authorization: Bearer`. ' +
+            'Votes must be signed by the approver\'s Hedera key; the API relays them but cannot vote for anyone.',
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths: {
+        '/proposals': {
+            post: {
+                summary: 'Create a proposal',
+                operationId: 'createProposal',
+                requestBody: { required: true, content: json(ref('CreateProposal')) },
+                responses: {
+                    201: { description: 'The proposal topic was created.', content: json(ref('ProposalSummary')) },
+                    400: errorResponse('The body does not match the schema (`invalid_request`).'),
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    422: errorResponse('The proposal breaks a rule, e.g. a threshold above the number of approvers (`invalid_proposal`).'),
+                    502: errorResponse('Hedera refused or could not be reached (`hedera_error`).'),
+                },
+            },
+            get: {
+                summary: 'List proposals',
+                description: 'Lists the proposals Approvr has created, newest first, from every chat and API client: any API key can read ' +
+                    'the description, approvers and rules of every proposal (confidential proposals only show their commitment). ' +
+                    'Outcomes are as of the last tally; fetch a proposal or its tally to bring it up to date.',
+                operationId: 'listProposals',
+                parameters: [
+                    { name: 'status', in: 'query', schema: { type: 'string', enum: ['all', 'open', 'approved', 'rejected', 'expired'], default: 'all' } },
+                    { name: 'approver', in: 'query', schema: hederaId, description: 'Only proposals this account can vote on.' },
+                    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+                    { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+                ],
+                responses: {
+                    200: {
+                        description: 'One page of proposals.',
+                        content: json({
+                            type: 'object',
+                            required: ['items', 'page', 'pages', 'total'],
+                            properties: {
+                                items: { type: 'array', items: ref('ProposalSummary') },
+                                page: { type: 'integer' },
+                                pages: { type: 'integer' },
+                                total: { type: 'integer' },
+                            },
+                        }),
+                    },
+                    400: errorResponse('Invalid query parameters (`invalid_request`).'),
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                },
+            },
+        },
+        '/proposals/{topicId}': {
+            get: {
+                summary: 'Get a proposal',
+                description: 'Reads the proposal from its topic, with every approver\'s current decision and vote history.',
+                operationId: 'getProposal',
+                parameters: [topicIdParameter],
+                responses: {
+                    200: { description: 'The proposal.', content: json(ref('Proposal')) },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    404: errorResponse('The topic holds no Approvr proposal (`not_found`).'),
+                    502: errorResponse('The mirror node could not be read (`hedera_error`).'),
+                },
+            },
+        },
+        '/proposals/{topicId}/tally': {
+            get: {
+                summary: 'Tally a proposal',
+                operationId: 'getTally',
+                parameters: [topicIdParameter],
+                responses: {
+                    200: { description: 'The tally.', content: json(ref('Tally')) },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    404: errorResponse('The topic holds no Approvr proposal (`not_found`).'),
+                    502: errorResponse('The mirror node could not be read (`hedera_error`).'),
+                },
+            },
+        },
+        '/proposals/{topicId}/export': {
+            get: {
+                summary: 'Export the audit bundle of a proposal',
+                description: 'Every topic message with its consensus timestamp, sequence number and running hash, the approvers\' public keys ' +
+                    'and the computed outcome. `node scripts/verify-export.js <file>` checks the JSON bundle offline. ' +
+                    'With `format=csv` only the messages are returned, one row each.',
+                operationId: 'exportProposal',
+                parameters: [
+                    topicIdParameter,
+                    { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' } },
+                ],
+                responses: {
+                    200: {
+                        description: 'The bundle, sent as an attachment.',
+                        content: { ...json(ref('AuditBundle')), 'text/csv': { schema: { type: 'string' } } },
+                    },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    404: errorResponse('The topic holds no Approvr proposal (`not_found`).'),
+                    502: errorResponse('The mirror node could not be read (`hedera_error`).'),
+                },
+            },
+        },
+        '/proposals/{topicId}/votes': {
+            post: {
+                summary: 'Cast a signed vote',
+                description: 'The approver signs `approvr-vote:<topicId>:<accountId>:<decision>:<timestamp>` with the key of their account, ' +
+                    'followed by `\\ncomment:<comment>` if there is a comment. The timestamp must be at most 30 minutes old, and later than ' +
+                    'the approver\'s previous vote on the topic, so a vote that was already posted can\'t be relayed again.',
+                operationId: 'castVote',
+                parameters: [topicIdParameter],
+                requestBody: { required: true, content: json(ref('Vote')) },
+                responses: {
+                    201: { description: 'The vote was posted to the topic.', content: json(ref('VoteReceipt')) },
+                    400: errorResponse('The body does not match the schema (`invalid_request`).'),
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    403: errorResponse('The account is not an approver of this proposal (`not_an_approver`).'),
+                    404: errorResponse('The topic holds no Approvr proposal (`not_found`).'),
+                    409: errorResponse('The topic already has this vote, or a vote by the approver signed at the same time or later (`stale_vote`), ' +
+                        'or the proposal is already approved, rejected or expired (`voting_closed`).'),
+                    422: errorResponse('The signature does not verify or the timestamp is too old (`vote_rejected`).'),
+                },
+            },
+        },
+        '/webhooks': {
+            post: {
+                summary: 'Register a webhook',
+                description: 'Approvr POSTs each subscribed event as a `WebhookEvent` with the headers `X-Approvr-Event`, `X-Approvr-Delivery`, ' +
+                    '`X-Approvr-Timestamp` (Unix seconds) and `X-Approvr-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>`. ' +
+                    'Answer with any 2xx status; other answers, errors and timeouts (5 s) are retried after 1, 2, 4, 8 and 16 minutes. ' +
+                    'Events can arrive more than once; use the event `id` to drop duplicates. ' +
+                    'The URL must be https on a public host; loopback, private and link-local addresses are refused, also when a host name resolves to one. ' +
+                    'A webhook receives the events of every proposal, so only the API keys named in APPROVR_WEBHOOK_CLIENTS may register one.',
+                operationId: 'registerWebhook',
+                requestBody: { required: true, content: json(ref('RegisterWebhook')) },
+                responses: {
+                    201: { description: 'The webhook, with its secret. The secret is not returned again.', content: json(ref('Webhook')) },
+                    400: errorResponse('The body does not match the schema (`invalid_request`).'),
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    403: errorResponse('This API key may not register webhooks (`forbidden`).'),
+                },
+            },
+            get: {
+                summary: 'List webhooks',
+                operationId: 'listWebhooks',
+                responses: {
+                    200: { description: 'The webhooks registered with this API key, without secrets.', content: json({ type: 'object', properties: { items: { type: 'array', items: ref('Webhook') } } }) },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                },
+            },
+        },
+        '/webhooks/{webhookId}': {
+            delete: {
+                summary: 'Remove a webhook',
+                operationId: 'removeWebhook',
+                parameters: [webhookIdParameter],
+                responses: {
+                    204: { description: 'The webhook was removed; pending retries to it are dropped.' },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    404: errorResponse('No such webhook registered with this API key (`not_found`).'),
+                },
+            },
+        },
+        '/webhooks/{webhookId}/deliveries': {
+            get: {
+                summary: 'Delivery log of a webhook',
+                description: 'Deliveries from the last 30 days, newest first, with every attempt.',
+                operationId: 'listWebhookDeliveries',
+                parameters: [webhookIdParameter],
+                responses: {
+                    200: { description: 'The deliveries.', content: json({ type: 'object', properties: { items: { type: 'array', items: ref('WebhookDelivery') } } }) },
+                    401: errorResponse('Missing or unknown API key (`unauthorized`).'),
+                    404: errorResponse('No such webhook registered with this API key (`not_found`).'),
+                },
+            },
+        },
+    },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            bearer: { type: 'http', scheme: 'bearer' },
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: {
+                                type: 'string',
+                                enum: ['invalid_request', 'invalid_proposal', 'unauthorized', 'forbidden', 'not_an_approver', 'not_found',
+                                    'stale_vote', 'voting_closed', 'vote_rejected', 'hedera_error', 'api_disabled', 'internal_error'],
+                            },
+                            message: { type: 'string' },
+                            details: {
+                                type: 'array',
+                                description: 'For `invalid_request`: the fields that failed validation.',
+                                items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } },
+                            },
+                        },
+                    },
+                },
+            },
+            Policy: {
+                type: 'object',
+                required: ['rule'],
+                description: 'Approval policy used instead of a threshold.',
+                properties: {
+                    groups: { type: 'object', additionalProperties: { type: 'array', items: hederaId }, example: { finance: ['0.0.1001', '0.0.1002'] } },
+                    weights: { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } },
+                    rule: {
+                        description: 'A rule expression as used by /create, e.g. `finance>=2 AND (eng>=1 OR weight>=3)`, or a parsed rule object.',
+                        oneOf: [{ type: 'string' }, { type: 'object' }],
+                    },
+                },
+            },
+            Action: {
+                type: 'object',
+                required: ['type'],
+                description: 'Transaction scheduled once the proposal is approved.',
+                properties: {
+                    type: { type: 'string', enum: ['hbar_transfer', 'token_transfer', 'topic_message'] },
+                    from: { ...hederaId, description: 'Source account of a transfer, required for hbar_transfer and token_transfer. Its owners sign the schedule; ' +
+                        'it can\'t be the Approvr operator account.' },
+                    to: hederaId,
+                    amount: { description: 'HBAR as a decimal string, or the token amount in its smallest unit.', oneOf: [{ type: 'string' }, { type: 'integer' }] },
+                    tokenId: hederaId,
+                    topicId: hederaId,
+                    message: { type: 'string' },
+                },
+            },
+            CreateProposal: {
+                type: 'object',
+                required: ['description', 'approvers'],
+                additionalProperties: false,
+                description: 'Give either `threshold` or `policy`.',
+                properties: {
+                    description: { type: 'string', example: 'Pay invoice #42' },
+                    approvers: { type: 'array', items: hederaId, minItems: 1 },
+                    threshold: { type: 'integer', minimum: 1 },
+                    policy: ref('Policy'),
+                    rejectThreshold: { type: 'integer', minimum: 1, description: 'Number of rejections that rejects the proposal outright.' },
+                    deadline: { type: 'string', description: 'A duration (`48h`, `7d`) or an ISO 8601 date; votes after it are not counted.' },
+                    action: ref('Action'),
+                    confidential: {
+                        type: 'boolean',
+                        description: 'Keep the description and action off the topic: they are encrypted to the approvers\' registered keys ' +
+                            'and only a commitment is written on-chain. Every approver needs an encryption key (/encryptionkey in the bot).',
+                    },
+                },
+            },
+            Confidential: {
+                type: 'object',
+                description: 'The on-chain commitment of a confidential proposal.',
+                properties: {
+                    commitment: { type: 'string', description: 'SHA-256 (hex) of JSON.stringify({salt, description, action}).' },
+                    hasAction: { type: 'boolean' },
+                },
+            },
+            ProposalSummary: {
+                type: 'object',
+                properties: {
+                    topicId: hederaId,
+                    description: { type: 'string' },
+                    approvers: { type: 'array', items: hederaId },
+                    threshold: { type: ['integer', 'null'] },
+                    policy: { oneOf: [ref('Policy'), { type: 'null' }] },
+                    action: { oneOf: [ref('Action'), { type: 'null' }] },
+                    rejectThreshold: { type: ['integer', 'null'] },
+                    deadline: { type: ['string', 'null'], format: 'date-time' },
+                    createdAt: { type: ['string', 'null'], format: 'date-time' },
+                    outcome: ref('Outcome'),
+                    outstanding: { type: ['array', 'null'], items: hederaId, description: 'Approvers who had not voted at the last tally.' },
+                    closedAt: { type: ['string', 'null'], format: 'date-time', description: 'When the final proposal\'s topic was closed to new messages.' },
+                    confidential: { oneOf: [ref('Confidential'), { type: 'null' }], description: 'Set for confidential proposals, whose description is a label.' },
+                    topicUrl: { type: ['string', 'null'], description: 'HashScan link; only returned on creation.' },
+                },
+            },
+            Outcome: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired'] },
+            VoteHistoryEntry: {
+                type: 'object',
+                properties: {
+                    decision: { type: 'string', enum: DECISIONS },
+                    at: { type: ['string', 'null'], format: 'date-time', description: 'Consensus time of the vote.' },
+                    counted: { type: 'boolean' },
+                    note: { type: 'string', description: 'Why the vote was not counted.' },
+                    comment: { type: 'string' },
+                },
+            },
+            Proposal: {
+                type: 'object',
+                properties: {
+                    topicId: hederaId,
+                    description: { type: ['string', 'null'], description: 'Null for confidential proposals.' },
+                    confidential: { oneOf: [ref('Confidential'), { type: 'null' }] },
+                    sealed: { type: ['object', 'null'], description: 'The encrypted content of a confidential proposal; only shown to its approvers in the Mini App.' },
+                    createdAt: { type: ['string', 'null'], format: 'date-time' },
+                    action: { oneOf: [ref('Action'), { type: 'null' }] },
+                    actionSummary: { type: ['string', 'null'] },
+                    execution: { type: ['object', 'null'], description: 'The scheduled transaction of the action, once approved.' },
+                    threshold: { type: ['integer', 'null'] },
+                    rule: { type: ['string', 'null'], description: 'The approval rule, for proposals with a policy.' },
+                    explanation: { type: ['object', 'null'] },
+                    rejectThreshold: { type: ['integer', 'null'] },
+                    deadline: { type: ['string', 'null'], format: 'date-time' },
+                    outcome: ref('Outcome'),
+                    approvals: { type: 'integer' },
+                    rejections: { type: 'integer' },
+                    approvers: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                accountId: hederaId,
+                                groups: { type: 'array', items: { type: 'string' } },
+                                weight: { type: 'integer' },
+                                decision: { type: ['string', 'null'], enum: ['APPROVE', 'REJECT', 'ABSTAIN', null] },
+                                history: { type: 'array', items: ref('VoteHistoryEntry') },
+                            },
+                        },
+                    },
+                    topicUrl: { type: ['string', 'null'] },
+                },
+            },
+            Tally: {
+                type: 'object',
+                properties: {
+                    topicId: hederaId,
+                    outcome: ref('Outcome'),
+                    approvals: { type: 'array', items: hederaId },
+                    rejections: { type: 'array', items: hederaId },
+                    abstentions: { type: 'array', items: hederaId },
+                    outstanding: { type: 'array', items: hederaId },
+                    decidedBy: { type: ['string', 'null'], description: 'Approver whose vote decided the proposal.' },
+                    lateVotes: { type: 'integer', description: 'Votes after the deadline, not counted.' },
+                    rule: { type: ['string', 'null'] },
+                    explanation: { type: ['object', 'null'] },
+                    history: { type: 'object', additionalProperties: { type: 'array', items: ref('VoteHistoryEntry') } },
+                    execution: { type: ['object', 'null'] },
+                    outsideMessages: {
+                        type: 'array',
+                        description: 'Messages paid by accounts the topic\'s access policy does not allow.',
+                        items: ref('OutsideMessage'),
+                    },
+                    confidential: { oneOf: [ref('Confidential'), { type: 'null' }], description: 'What the counted votes approved, for confidential proposals.' },
+                    lastSequenceNumber: { type: 'integer', description: 'Last topic message included in the tally.' },
+                    topicUrl: { type: ['string', 'null'] },
+                },
+            },
+            OutsideMessage: {
+                type: 'object',
+                properties: {
+                    sequenceNumber: { type: 'integer' },
+                    payerAccountId: { type: ['string', 'null'] },
+                },
+            },
+            AuditBundle: {
+                type: 'object',
+                properties: {
+                    format: { type: 'string', const: 'approvr-audit/1' },
+                    exportedAt: { type: 'string', format: 'date-time', description: 'The time the outcome was computed for.' },
+                    network: { type: 'string' },
+                    topicId: hederaId,
+                    topicUrl: { type: ['string', 'null'] },
+                    operatorAccountId: { ...hederaId, description: 'Account whose execution records count.' },
+                    proposal: { type: 'object', description: 'The proposal as recorded on the topic.' },
+                    publicKeys: {
+                        type: 'object',
+                        additionalProperties: { type: ['string', 'null'] },
+                        description: 'DER-encoded public key (hex) each approver\'s votes were checked against.',
+                    },
+                    messages: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                sequenceNumber: { type: 'integer' },
+                                consensusTimestamp: { type: 'string', example: '1700000000.000000001' },
+                                payerAccountId: hederaId,
+                                runningHash: { type: ['string', 'null'], description: 'Base64 SHA-384 running hash of the topic after this message.' },
+                                runningHashVersion: { type: ['integer', 'null'] },
+                                contents: { type: 'string', description: 'The raw message, base64.' },
+                                message: { type: 'string', description: 'The message as UTF-8 text.' },
+                                kind: { type: 'string', enum: ['proposal', 'vote', 'execution', 'other'] },
+                                vote: {
+                                    type: 'object',
+                                    properties: {
+                                        accountId: hederaId,
+                                        decision: { type: 'string', enum: DECISIONS },
+                                        comment: { type: 'string' },
+                                        counted: { type: 'boolean', description: 'Whether the vote passed the signature and approver checks.' },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    result: {
+                        type: 'object',
+                        properties: {
+                            outcome: ref('Outcome'),
+                            approvals: { type: 'array', items: hederaId },
+                            rejections: { type: 'array', items: hederaId },
+                            abstentions: { type: 'array', items: hederaId },
+                            outstanding: { type: 'array', items: hederaId },
+                            decidedBy: { type: ['string', 'null'] },
+                            lateVotes: { type: 'integer' },
+                            ignoredMessages: { type: 'integer' },
+                            outsideMessages: { type: 'array', items: ref('OutsideMessage') },
+                            execution: { type: ['object', 'null'] },
+                            lastSequenceNumber: { type: 'integer' },
+                        },
+                    },
+                },
+            },
+            Vote: {
+                type: 'object',
+                required: ['accountId', 'decision', 'timestamp', 'signature'],
+                additionalProperties: false,
+                properties: {
+                    accountId: hederaId,
+                    decision: { type: 'string', enum: DECISIONS },
+                    timestamp: { type: 'string', format: 'date-time', description: 'The timestamp in the signed text.' },
+                    signature: { type: 'string', description: 'Hex signature of the vote text.' },
+                    comment: { type: 'string', description: `Signed comment, at most ${MAX_VOTE_COMMENT_BYTES} bytes.` },
+                },
+            },
+            RegisterWebhook: {
+                type: 'object',
+                required: ['url', 'events'],
+                additionalProperties: false,
+                properties: {
+                    url: { type: 'string', format: 'uri', description: 'https URL on a public host the events are POSTed to.' },
+                    events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+                    secret: { type: 'string', minLength: 16, description: 'Signing secret; generated if not given.' },
+                },
+            },
+            Webhook: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    url: { type: 'string', format: 'uri' },
+                    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+                    secret: { type: 'string', description: 'Only returned when the webhook is registered.' },
+                    client: { type: ['string', 'null'], description: 'Name of the API key that registered it.' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                },
+            },
+            WebhookEvent: {
+                type: 'object',
+                description: 'Body of a webhook request. `data` holds the proposal for proposal.created, the vote (topicId, accountId, decision, ' +
+                    'comment, sequenceNumber, transactionUrl) for vote.cast, and the final tally for proposal.approved, proposal.rejected and proposal.expired.',
+                properties: {
+                    id: { type: 'string', description: 'Stable per event, e.g. `0.0.500.approved`.' },
+                    type: { type: 'string', enum: WEBHOOK_EVENTS },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    data: { type: 'object' },
+                },
+            },
+            WebhookDelivery: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    webhookId: { type: 'string', format: 'uuid' },
+                    event: ref('WebhookEvent'),
+                    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                    attempts: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                at: { type: 'string', format: 'date-time' },
+                                statusCode: { type: 'integer' },
+                                error: { type: 'string' },
+                                durationMs: { type: 'integer' },
+                            },
+                        },
+                    },
+                    nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                },
+            },
+            VoteReceipt: {
+                type: 'object',
+                properties: {
+                    topicId: hederaId,
+                    accountId: hederaId,
+                    decision: { type: 'string', enum: DECISIONS },
+                    sequenceNumber: { type: ['integer', 'null'] },
+                    transactionUrl: { type: ['string', 'null'] },
+                    topicUrl: { type: ['string', 'null'] },
+                    outcome: { oneOf: [ref('Outcome'), { type: 'null' }], description: 'Outcome after the vote, if the mirror node already shows it.' },
+                },
+            },
+        },
+    },
+};
@@ -0,0 +1,307 @@
+// --- Approval Policies ---
+// A policy decides when a set of approvals is enough. It is saved in the proposal envelope:
+//   {
+//     "groups":  { "finance": ["0.0.1", "0.0.2"], "engineering": ["0.0.3"] },
+//     "weights": { "0.0.1": 3 },                        // default weight is 1
+//     "rule":    { "all": [ { "group": "finance", "min": 2 }, { "group": "engineering", "min": 1 } ] }
+//   }
+// A rule is one of:
+//   { "all": [rule, ...] }                     every sub-rule must hold (AND)
+//   { "any": [rule, ...] }                     at least one sub-rule must hold (OR)
+//   { "group"?: name, "min": n }               n approvals from the group (or from all approvers)
+//   { "group"?: name, "weight": w }            approving weight of the group (or of all approvers) reaches w
+// A plain "N of M" proposal is the policy { "rule": { "min": N } }.
+
+const HEDERA_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const GROUP_NAME_PATTERN = /^[a-zA-Z][\w-]*$/;
+
+/**
+ * Returns the policy a proposal is evaluated against. Proposals without an explicit policy
+ * use "threshold approvals from any approver".
+ * @param {{approvers: Array<string>, threshold?: number, policy?: object}} proposal Proposal rules.
+ * @returns {{groups: Object<string, Array<string>>, weights: Object<string, number>, rule: object}} The policy.
+ */
+export function policyForProposal(proposal) {
+    if (proposal.policy) {
+        return { groups: proposal.policy.groups || {}, weights: proposal.policy.weights || {}, rule: proposal.policy.rule };
+    }
+    return { groups: {}, weights: {}, rule: { min: proposal.threshold } };
+}
+
+/**
+ * Checks that a policy is well-formed and can be satisfied by its approvers.
+ * @param {object} policy The policy.
+ * @param {Array<string>} approvers Every account allowed to vote.
+ * @returns {string|null} A human-readable problem, or null if the policy is valid.
+ */
+export function validatePolicy(policy, approvers) {
+    if (!policy || typeof policy !== 'object' || !policy.rule) return 'Policy must have a rule.';
+    const groups = policy.groups || {};
+    const weights = policy.weights || {};
+
+    for (const [name, members] of Object.entries(groups)) {
+        if (!GROUP_NAME_PATTERN.test(name)) return `Invalid group name "${name}".`;
+        if (!Array.isArray(members) || members.length === 0) return `Group "${name}" has no members.`;
+        const outsider = members.find(id => !approvers.includes(id));
+        if (outsider) return `Group "${name}" member ${outsider} is not an approver.`;
+    }
+    for (const [accountId, weight] of Object.entries(weights)) {
+        if (!approvers.includes(accountId)) return `Weight given to ${accountId}, who is not an approver.`;
+        if (!Number.isInteger(weight) || weight <= 0) return `Weight of ${accountId} must be a positive whole number.`;
+    }
+
+    const problem = validateRule(policy.rule, { groups, weights, approvers }, 0);
+    if (problem) return problem;
+    if (!isPolicySatisfied(policy, approvers, approvers)) return 'Policy cannot be satisfied even if every approver approves.';
+    return null;
+}
+
+function validateRule(rule, context, depth) {
+    if (!rule || typeof rule !== 'object') return 'Policy rule is malformed.';
+    if (depth > 8) return 'Policy rules are nested too deeply.';
+
+    if (rule.all || rule.any) {
+        const children = rule.all || rule.any;
+        if (!Array.isArray(children) || children.length === 0) return 'AND/OR rules need at least one clause.';
+        for (const child of children) {
+            const problem = validateRule(child, context, depth + 1);
+            if (problem) return problem;
+        }
+        return null;
+    }
+
+    if (rule.group !== undefined && !context.groups[rule.group]) return `Unknown group "${rule.group}".`;
+    const members = membersOf(rule, context);
+    if (rule.min !== undefined) {
+        if (!Number.isInteger(rule.min) || rule.min <= 0) return 'Approval counts must be positive whole numbers.';
+        if (rule.min > members.length) return `${labelOf(rule)} needs ${rule.min} approvals but only has ${members.length} member(s).`;
+        return null;
+    }
+    if (rule.weight !== undefined) {
+        const available = members.reduce((sum, id) => sum + weightOf(id, context.weights), 0);
+        if (!Number.isInteger(rule.weight) || rule.weight <= 0) return 'Weights must be positive whole numbers.';
+        if (rule.weight > available) return `${labelOf(rule)} needs weight ${rule.weight} but only has ${available}.`;
+        return null;
+    }
+    return 'Each clause needs a minimum count (min) or weight.';
+}
+
+function membersOf(rule, { groups, approvers }) {
+    return rule.group !== undefined ? (groups[rule.group] || []) : approvers;
+}
+
+function weightOf(accountId, weights) {
+    return weights[accountId] || 1;
+}
+
+function labelOf(rule) {
+    return rule.group !== undefined ? `Group "${rule.group}"` : 'All approvers';
+}
+
+/**
+ * Evaluates a policy against a set of approving accounts and explains every clause.
+ * @param {object} policy The policy.
+ * @param {Array<string>} approvers Every account allowed to vote.
+ * @param {Iterable<string>} approvedIds Accounts currently approving.
+ * @returns {{met: boolean, label: string, detail?: string, missing?: string, children?: Array<object>}} Explanation tree.
+ */
+export function explainPolicy(policy, approvers, approvedIds) {
+    const approved = new Set(approvedIds);
+    const context = { groups: policy.groups || {}, weights: policy.weights || {}, approvers };
+    return explainRule(policy.rule, context, approved);
+}
+
+function explainRule(rule, context, approved) {
+    if (rule.all || rule.any) {
+        const children = (rule.all || rule.any).map(child => explainRule(child, context, approved));
+        const met = rule.all ? children.every(child => child.met) : children.some(child => child.met);
+        return { met, label: rule.all ? 'ALL of' : 'ANY of', children };
+    }
+
+    const members = membersOf(rule, context);
+    const name = rule.group !== undefined ? rule.group : 'approvers';
+    if (rule.weight !== undefined) {
+        const have = members.filter(id => approved.has(id)).reduce((sum, id) => sum + weightOf(id, context.weights), 0);
+        const met = have >= rule.weight;
+        return { met, label: `${name} weight ≥ ${rule.weight}`, detail: `${have}/${rule.weight}`, missing: met ? undefined : `weight ${rule.weight - have}` };
+    }
+    const have = members.filter(id => approved.has(id)).length;
+    const met = have >= rule.min;
+    return { met, label: `${name} ≥ ${rule.min}`, detail: `${have}/${rule.min}`, missing: met ? undefined : `${rule.min - have} approval(s)` };
+}
+
+/**
+ * Checks whether a set of approving accounts satisfies a policy.
+ * @param {object} policy The policy.
+ * @param {Array<string>} approvers Every account allowed to vote.
+ * @param {Iterable<string>} approvedIds Accounts currently approving.
+ * @returns {boolean} True if the policy is met.
+ */
+export function isPolicySatisfied(policy, approvers, approvedIds) {
+    return explainPolicy(policy, approvers, approvedIds).met;
+}
+
+/**
+ * Renders a policy rule as a compact expression, e.g. `finance ≥ 2 AND (engineering ≥ 1 OR weight ≥ 5)`.
+ * @param {object} rule The policy rule.
+ * @returns {string} The expression.
+ */
+export function describeRule(rule) {
+    if (rule.all || rule.any) {
+        const parts = (rule.all || rule.any).map(child => (child.all || child.any) ? `(${describeRule(child)})` : describeRule(child));
+        return parts.join(rule.all ? ' AND ' : ' OR ');
+    }
+    const prefix = rule.group !== undefined ? rule.group : '';
+    if (rule.weight !== undefined) return `${prefix ? `${prefix}.` : ''}weight ≥ ${rule.weight}`;
+    return prefix ? `${prefix} ≥ ${rule.min}` : `${rule.min} approval(s)`;
+}
+
+/**
+ * Renders an explanation tree from `explainPolicy` as indented lines.
+ * @param {object} node Explanation node.
+ * @param {number} [depth] Indentation level.
+ * @returns {string} One line per clause, marked ✅ when met and ❌ when missing.
+ */
+export function formatExplanation(node, depth = 0) {
+    const indent = '  '.repeat(depth);
+    const mark = node.met ? '✅' : '❌';
+    if (node.children) {
+        return [`${indent}${mark} ${node.label}:`, ...node.children.map(child => formatExplanation(child, depth + 1))].join('\n');
+    }
+    return `${indent}${mark} ${node.label} (${node.detail})${node.missing ? ` - missing ${node.missing}` : ''}`;
+}
+
+/**
+ * Parses the approver part of `/create` when it defines groups and weights, e.g.
+ *   finance: 0.0.1*2, 0.0.2; engineering: 0.0.3
+ * `*n` gives an account weight n. Accounts may belong to several groups.
+ * A plain comma-separated list (no groups) is also accepted.
+ * @param {string} text The approver part of the command.
+ * @returns {{approvers: Array<string>, groups: Object<string, Array<string>>, weights: Object<string, number>}} Parsed definition.
+ * @throws {Error} If the text is malformed.
+ */
+export function parseApproverGroups(text) {
+    const approvers = [];
+    const groups = {};
+    const weights = {};
+
+    const addAccount = (token) => {
+        const match = token.trim().match(/^(\d+\.\d+\.\d+)(?:\s*\*\s*(\d+))?$/);
+        if (!match) throw new Error(`Invalid approver "${token.trim()}". Use 0.0.x or 0.0.x*weight.`);
+        const [, accountId, weight] = match;
+        if (!approvers.includes(accountId)) approvers.push(accountId);
+        if (weight !== undefined) {
+            const value = parseInt(weight, 10);
+            if (weights[accountId] !== undefined && weights[accountId] !== value) {
+                throw new Error(`Conflicting weights for ${accountId}.`);
+            }
+            weights[accountId] = value;
+        }
+        return accountId;
+    };
+
+    for (const section of text.split(';').map(part => part.trim()).filter(part => part)) {
+        const groupMatch = section.match(/^([a-zA-Z][\w-]*)\s*:(.*)$/);
+        const accounts = (groupMatch ? groupMatch[2] : section).split(',').map(t => t.trim()).filter(t => t);
+        const ids = accounts.map(addAccount);
+        if (groupMatch) {
+            const name = groupMatch[1];
+            if (groups[name]) throw new Error(`Group "${name}" is defined twice.`);
+            groups[name] = ids;
+        }
+    }
+
+    if (approvers.length === 0) throw new Error('At least one approver is required.');
+    const invalid = approvers.find(id => !HEDERA_ID_PATTERN.test(id));
+    if (invalid) throw new Error(`Invalid approver account ID: ${invalid}`);
+    return { approvers, groups, weights };
+}
+
+/**
+ * Parses a quorum expression from `/create`, e.g.
+ *   finance>=2 AND engineering>=1
+ *   (finance>=2 OR weight>=5) AND legal>=1
+ *   finance.weight>=3
+ *   2                                   (two approvals from anyone)
+ * AND binds tighter than OR; `&&` and `||` also work.
+ * @param {string} text The expression.
+ * @returns {object} The policy rule.
+ * @throws {Error} If the expression is malformed.
+ */
+export function parsePolicyExpression(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (type) => {
+        const token = next();
+        if (!token || token.type !== type) throw new Error(`Expected ${type} in "${text}".`);
+        return token;
+    };
+
+    const parseOr = () => {
+        const clauses = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            next();
+            clauses.push(parseAnd());
+        }
+        return clauses.length === 1 ? clauses[0] : { any: clauses };
+    };
+    const parseAnd = () => {
+        const clauses = [parseFactor()];
+        while (peek() && peek().type === 'and') {
+            next();
+            clauses.push(parseFactor());
+        }
+        return clauses.length === 1 ? clauses[0] : { all: clauses };
+    };
+    const parseFactor = () => {
+        const token = next();
+        if (!token) throw new Error(`Incomplete rule "${text}".`);
+        if (token.type === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'number') return { min: token.value };
+        if (token.type === 'name') {
+            expect('>=');
+            const amount = expect('number').value;
+            const [group, field] = token.value.split('.');
+            if (field !== undefined && field.toLowerCase() !== 'weight') throw new Error(`Unknown field "${field}" in "${token.value}".`);
+            if (group.toLowerCase() === 'weight' && field === undefined) return { weight: amount };
+            return field !== undefined ? { group, weight: amount } : { group, min: amount };
+        }
+        throw new Error(`Unexpected "${token.raw}" in "${text}".`);
+    };
+
+    const rule = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].raw}" in "${text}".`);
+    return rule;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(>=|&&|\|\||\(|\)|\d+|[a-zA-Z][\w-]*(?:\.[a-zA-Z]+)?)/y;
+    let match;
+    let index = 0;
+    while (index < text.length) {
+        pattern.lastIndex = index;
+        match = pattern.exec(text);
+        if (!match) {
+            if (!text.slice(index).trim()) break;
+            throw new Error(`Could not understand "${text.slice(index).trim()}".`);
+        }
+        index = pattern.lastIndex;
+        const raw = match[1];
+        const lower = raw.toLowerCase();
+        if (raw === '>=' || raw === '(' || raw === ')') tokens.push({ type: raw, raw });
+        else if (lower === 'and' || raw === '&&') tokens.push({ type: 'and', raw });
+        else if (lower === 'or' || raw === '||') tokens.push({ type: 'or', raw });
+        else if (/^\d+$/.test(raw)) tokens.push({ type: 'number', value: parseInt(raw, 10), raw });
+        else tokens.push({ type: 'name', value: raw, raw });
+    }
+    if (tokens.length === 0) throw new Error('Approval rule is empty.');
+    return tokens;
+}
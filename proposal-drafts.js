@@ -0,0 +1,189 @@
+import { z } from 'zod';
+import { validateProposal } from './approvr-protocol.js';
+import { describeRule } from './policy.js';
+import { validateAction, describeAction } from './actions.js';
+import { parseDeadline } from './utils.js';
+
+// --- Natural-Language Proposal Drafts ---
+// The LLM turns free text ("need Alice and Bob plus one of the leads to sign off on paying 500 HBAR
+// to 0.0.999 by Friday") into this schema. Nothing goes on-chain from it directly: the result becomes
+// a draft that the requester confirms or edits first, and the usual proposal validation still applies.
+
+const HEDERA_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+export const PROPOSAL_DRAFT_SCHEMA = z.object({
+    description: z.string().describe('Short summary of what is being approved, e.g. "Pay 500 HBAR to 0.0.999 for the audit".'),
+    groups: z.array(z.object({
+        name: z.string().describe('Short lowercase name for the group, e.g. "founders" or "leads". Use "approvers" when there is only one group.'),
+        members: z.array(z.string()).describe('Hedera account IDs (0.0.x) or Telegram usernames / first names exactly as written. Empty if the text does not say who they are.'),
+        required: z.number().int().min(1).describe('How many members of this group must approve. Use the group size when everyone must approve.'),
+    })).min(1).describe('Who has to approve. Put people who must all approve in one group with required equal to its size.'),
+    deadline: z.string().nullable().describe('When voting closes, as an ISO 8601 date/time, or null if no deadline is mentioned.'),
+    action: z.object({
+        type: z.enum(['hbar_transfer', 'token_transfer', 'topic_message']),
+        amount: z.string().nullable().describe('HBAR amount or token amount in the smallest unit, as written.'),
+        from: z.string().nullable().describe('Account ID (0.0.x) the transfer is paid from, e.g. a treasury. Null if the text does not say.'),
+        to: z.string().nullable().describe('Recipient account ID (0.0.x).'),
+        tokenId: z.string().nullable().describe('Token ID (0.0.x) for token transfers.'),
+        topicId: z.string().nullable().describe('Topic ID (0.0.x) for topic messages.'),
+        message: z.string().nullable().describe('Text of the topic message.'),
+    }).nullable().describe('The transaction to run once approved, or null if the text does not ask for a transfer or topic message.'),
+});
+
+/**
+ * Builds the instructions sent to the LLM together with the user's text.
+ * @param {Date} now Current time, so relative dates like "by Friday" can be resolved.
+ * @returns {string} System prompt.
+ */
+export function buildDraftPrompt(now) {
+    return `You turn requests for approval into structured multi-party approval proposals for Approvr on Hedera. ` +
+           `Today is ${now.toISOString()} (${now.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })}, UTC). ` +
+           `Resolve relative deadlines ("by Friday", "in 2 days") to an ISO 8601 date/time; "by <day>" means the end of that day (23:59 UTC). ` +
+           `Only use people, accounts and amounts that appear in the text; never invent account IDs.`;
+}
+
+function sanitizeGroupName(name, index, taken) {
+    let candidate = String(name || '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[^a-z]+/, '').replace(/-+$/, '');
+    if (!candidate) candidate = `group${index + 1}`;
+    let unique = candidate;
+    for (let n = 2; taken.has(unique); n++) unique = `${candidate}${n}`;
+    taken.add(unique);
+    return unique;
+}
+
+/**
+ * Turns the LLM's structured output into proposal fields, resolving names to linked Hedera accounts.
+ * Anything that can't be resolved or validated is reported in `problems` instead of being guessed.
+ * @param {object} parsed Output matching PROPOSAL_DRAFT_SCHEMA.
+ * @param {(member: string) => string|null} resolveMember Maps a username or name to a Hedera account ID.
+ * @param {{now?: number}} [options] Current time in ms, used to check the deadline.
+ * @returns {{description: string, approvers: Array<string>, threshold: number|null, policy: object|null, action: object|null,
+ *          deadline: string|null, problems: Array<string>}} The draft.
+ */
+export function draftFromParsed(parsed, resolveMember, options = {}) {
+    const now = options.now ?? Date.now();
+    const problems = [];
+    const groups = {};
+    const clauses = [];
+    const taken = new Set();
+    const approvers = [];
+
+    parsed.groups.forEach((group, index) => {
+        const name = sanitizeGroupName(group.name, index, taken);
+        if (group.members.length === 0) {
+            problems.push(`Who is in "${group.name}"? Name the people or their account IDs.`);
+            return;
+        }
+        const members = [];
+        for (const member of group.members) {
+            const accountId = HEDERA_ID_PATTERN.test(member.trim()) ? member.trim() : resolveMember(member);
+            if (!accountId) {
+                problems.push(`"${member}" has not linked a Hedera account (/linkaccount) - use their account ID instead.`);
+                continue;
+            }
+            if (!members.includes(accountId)) members.push(accountId);
+            if (!approvers.includes(accountId)) approvers.push(accountId);
+        }
+        groups[name] = members;
+        clauses.push({ group: name, min: group.required });
+    });
+
+    const draft = {
+        description: parsed.description.trim(),
+        approvers,
+        threshold: null,
+        policy: null,
+        action: null,
+        deadline: null,
+        problems,
+    };
+    if (draft.description.includes('|')) {
+        problems.push('The description can\'t contain "|", which separates the fields of /create.');
+    }
+
+    // A single group is a plain "N of M" proposal; several groups become a policy that needs every group.
+    if (clauses.length === 1) {
+        draft.threshold = clauses[0].min;
+    } else if (clauses.length > 1) {
+        draft.policy = { groups, weights: {}, rule: { all: clauses } };
+    }
+
+    if (parsed.deadline) {
+        draft.deadline = parseDeadline(parsed.deadline, now);
+        if (!draft.deadline || Date.parse(draft.deadline) <= now) {
+            problems.push(`The deadline "${parsed.deadline}" is not a future date.`);
+            draft.deadline = null;
+        }
+    }
+
+    if (parsed.action) {
+        const { type, amount, from, to, tokenId, topicId, message } = parsed.action;
+        const action = type === 'hbar_transfer' ? { type, amount: String(amount ?? '').trim(), to }
+            : type === 'token_transfer' ? { type, tokenId, amount: /^\d+$/.test(String(amount ?? '')) ? parseInt(amount, 10) : NaN, to }
+            : { type, topicId, message };
+        if (from && type !== 'topic_message') action.from = from;
+        const problem = validateAction(action);
+        if (problem) problems.push(`Action: ${problem}`);
+        else draft.action = action;
+    }
+
+    if (problems.length === 0) {
+        const problem = validateProposal({ ...draft, threshold: draft.threshold ?? undefined, policy: draft.policy ?? undefined });
+        if (problem) problems.push(problem);
+    }
+    return draft;
+}
+
+/**
+ * Formats a draft for the confirmation message.
+ * @param {object} draft Result of `draftFromParsed`.
+ * @returns {string} Human-readable summary.
+ */
+export function formatDraft(draft) {
+    const lines = [`📝 Draft proposal`, ``, `Description: ${draft.description}`];
+    if (draft.policy) {
+        for (const [name, members] of Object.entries(draft.policy.groups)) {
+            lines.push(`Group ${name}: ${members.join(', ') || '-'}`);
+        }
+        lines.push(`Approval rule: ${describeRule(draft.policy.rule)}`);
+    } else {
+        lines.push(`Approvers: ${draft.approvers.join(', ') || '-'}`);
+        lines.push(`Threshold: ${draft.threshold ?? '-'}`);
+    }
+    if (draft.deadline) lines.push(`Deadline: ${draft.deadline}`);
+    if (draft.action) lines.push(`On approval: ${describeAction(draft.action)}`);
+
+    if (draft.problems.length > 0) {
+        lines.push(``, `⚠️ Before this can be created:`, ...draft.problems.map(problem => `- ${problem}`));
+    } else {
+        lines.push(``, `Nothing is on-chain yet. Create it, edit it, or cancel.`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders a draft as the equivalent `/create` command, so it can be corrected by hand.
+ * @param {object} draft Result of `draftFromParsed`.
+ * @returns {string} The command.
+ */
+export function draftToCreateCommand(draft) {
+    let approvers, rule;
+    if (draft.policy) {
+        approvers = Object.entries(draft.policy.groups).map(([name, members]) => `${name}: ${members.join(', ')}`).join('; ');
+        rule = draft.policy.rule.all.map(clause => `${clause.group}>=${clause.min}`).join(' AND ');
+    } else {
+        approvers = draft.approvers.join(',');
+        rule = String(draft.threshold ?? 1);
+    }
+    const options = [];
+    if (draft.deadline) options.push(`deadline=${draft.deadline}`);
+    if (draft.action) {
+        const a = draft.action;
+        const spec = a.type === 'hbar_transfer' ? `hbar:${a.amount}:${a.to}`
+            : a.type === 'token_transfer' ? `token:${a.tokenId}:${a.amount}:${a.to}`
+            : `message:${a.topicId}:${encodeURIComponent(a.message)}`;
+        options.push(`action=${spec}`);
+        if (a.from) options.push(`from=${a.from}`);
+    }
+    return `/create ${draft.description} | ${approvers} | ${rule}${options.length ? ` | ${options.join(' ')}` : ''}`;
+}
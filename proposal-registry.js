@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import { publicDescription } from './sealed-proposals.js';
+
+// --- Proposal Registry ---
+// Approvr remembers every proposal it creates (the `proposals` storage collection) with the chat and
+// user it came from, so people can list them instead of keeping track of topic IDs. Chat and user are
+// also written to the proposal envelope, sealed with AES-256-GCM, so the registry can be rebuilt from
+// the chain (scripts/rebuild-registry.js) without publishing Telegram IDs.
+
+export const PROPOSAL_FILTERS = ['all', 'open', 'approved', 'rejected', 'expired', 'mine'];
+export const FINAL_OUTCOMES = ['approved', 'rejected', 'expired'];
+export const PAGE_SIZE = 5;
+
+const ORIGIN_PREFIX = 'o1:';
+const OUTCOME_ICONS = { pending: '🗳', approved: '✅', rejected: '❌', expired: '⌛' };
+
+const originKey = (secret) => crypto.createHash('sha256').update(`approvr-origin:${secret}`).digest();
+
+/**
+ * Seals the chat and creator of a proposal for its on-chain envelope.
+ * @param {{chatId: string, creatorId: number}} origin Telegram chat and user IDs.
+ * @param {string} secret Registry secret (APPROVR_REGISTRY_SECRET).
+ * @returns {string} Opaque origin string.
+ */
+export function sealOrigin({ chatId, creatorId }, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', originKey(secret), iv);
+    const sealed = Buffer.concat([cipher.update(JSON.stringify([String(chatId), creatorId]), 'utf8'), cipher.final()]);
+    return ORIGIN_PREFIX + Buffer.concat([iv, sealed, cipher.getAuthTag()]).toString('base64url');
+}
+
+/**
+ * Opens an origin sealed by `sealOrigin`.
+ * @param {string} origin Opaque origin string from the envelope.
+ * @param {string} secret Registry secret it was sealed with.
+ * @returns {{chatId: string, creatorId: number}|null} Chat and creator, or null if the origin was sealed with another secret or is malformed.
+ */
+export function openOrigin(origin, secret) {
+    if (typeof origin !== 'string' || !origin.startsWith(ORIGIN_PREFIX)) return null;
+    try {
+        const raw = Buffer.from(origin.substring(ORIGIN_PREFIX.length), 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', originKey(secret), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(raw.length - 16));
+        const plain = Buffer.concat([decipher.update(raw.subarray(12, raw.length - 16)), decipher.final()]).toString('utf8');
+        const [chatId, creatorId] = JSON.parse(plain);
+        return { chatId, creatorId };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Builds the registry record of a proposal read from the chain.
+ * @param {string} topicId The proposal topic.
+ * @param {object} proposal Decoded proposal envelope.
+ * @param {string} secret Registry secret, used to open the proposal's origin.
+ * @returns {object} Record for the `proposals` collection; `chatId` and `creatorId` are null if the origin can't be opened.
+ *          A confidential proposal gets a label as its description and keeps its `confidential` commitment.
+ */
+export function recordFromProposal(topicId, proposal, secret) {
+    const origin = openOrigin(proposal.origin, secret);
+    return {
+        topicId,
+        description: publicDescription(proposal),
+        approvers: proposal.approvers,
+        threshold: proposal.threshold ?? null,
+        policy: proposal.policy || null,
+        action: proposal.action || null,
+        rejectThreshold: proposal.rejectThreshold || null,
+        deadline: proposal.deadline || null,
+        chatId: origin ? origin.chatId : null,
+        creatorId: origin ? origin.creatorId : null,
+        createdAt: proposal.createdAt || null,
+        ...(proposal.confidential ? { confidential: proposal.confidential } : {}),
+    };
+}
+
+/**
+ * Tells whether a registry record belongs in a `/proposals` listing.
+ * Every filter except `mine` is limited to the chat it is used in; `mine` lists the user's proposals from all chats.
+ * @param {object} record Registry record (with `outcome` once it has been tallied).
+ * @param {string} filter One of PROPOSAL_FILTERS.
+ * @param {{chatId: string, userId: number}} viewer Chat the command was sent in and the user who sent it.
+ * @returns {boolean} Whether the record is listed.
+ */
+export function matchesFilter(record, filter, { chatId, userId }) {
+    if (filter === 'mine') return record.creatorId === userId;
+    if (record.chatId !== chatId) return false;
+    const outcome = record.outcome || 'pending';
+    if (filter === 'open') return outcome === 'pending';
+    if (filter === 'all') return true;
+    return outcome === filter;
+}
+
+/**
+ * Sorts records newest first and cuts out one page.
+ * @param {Array<object>} records Registry records.
+ * @param {number} page Zero-based page number; clamped to the available pages.
+ * @param {number} [pageSize] Records per page.
+ * @returns {{items: Array<object>, page: number, pages: number, total: number}} The page.
+ */
+export function paginate(records, page, pageSize = PAGE_SIZE) {
+    const sorted = [...records].sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+    const current = Math.min(Math.max(0, page), pages - 1);
+    return { items: sorted.slice(current * pageSize, (current + 1) * pageSize), page: current, pages, total: sorted.length };
+}
+
+/**
+ * Formats one page of a proposal listing.
+ * @param {string} title Heading, e.g. "Open proposals in this chat".
+ * @param {{items: Array<object>, page: number, pages: number, total: number}} page Result of `paginate`.
+ * @returns {string} Chat message.
+ */
+export function formatProposalList(title, { items, page, pages, total }) {
+    if (total === 0) return `${title}: none.`;
+    const lines = [`📋 ${title} (${total})${pages > 1 ? ` - page ${page + 1}/${pages}` : ''}`, ''];
+    for (const record of items) {
+        const outcome = record.outcome || 'pending';
+        lines.push(`${OUTCOME_ICONS[outcome] || OUTCOME_ICONS.pending} ${record.topicId} - ${record.description}`);
+        const details = [outcome === 'pending' ? 'open' : outcome];
+        if (record.createdAt) details.push(`created ${record.createdAt.substring(0, 10)}`);
+        if (outcome === 'pending' && record.deadline) details.push(`closes ${record.deadline}`);
+        lines.push(`    ${details.join(' · ')}`);
+    }
+    lines.push('', 'Use /tally <topic_id> for the details of a proposal.');
+    return lines.join('\n');
+}
+
+/**
+ * Builds the previous/next buttons of a listing.
+ * @param {string} listId What is listed, repeated in the callback data (e.g. "open" or "pending.12345").
+ * @param {number} page Current zero-based page.
+ * @param {number} pages Number of pages.
+ * @returns {{inline_keyboard: Array<Array<object>>}} Telegram reply markup (no buttons for a single page).
+ */
+export function listKeyboard(listId, page, pages) {
+    const buttons = [];
+    if (page > 0) buttons.push({ text: '◀️ Previous', callback_data: `list:${listId}:${page - 1}` });
+    if (page < pages - 1) buttons.push({ text: 'Next ▶️', callback_data: `list:${listId}:${page + 1}` });
+    return { inline_keyboard: buttons.length ? [buttons] : [] };
+}
+
+/**
+ * Reads the secret origins are sealed with. Set APPROVR_REGISTRY_SECRET so the registry can still be
+ * rebuilt after the bot token is rotated; the bot token is used when it is not set.
+ * @param {object} [env] Environment to read settings from (defaults to process.env).
+ * @returns {string|null} The secret, or null if neither variable is set.
+ */
+export function registrySecret(env = process.env) {
+    return env.APPROVR_REGISTRY_SECRET || env.TELEGRAM_BOT_TOKEN || null;
+}
@@ -0,0 +1,64 @@
+import { policyForProposal, describeRule } from './policy.js';
+import { describeAction } from './actions.js';
+
+// --- Proposal Detail View ---
+// Shapes a proposal and its tally into the JSON the Mini App renders, so approvers see exactly what
+// they are signing off on: description, action, rules, every approver's vote and the vote history.
+// A confidential proposal has no description or action on the topic; its approvers get the sealed box
+// instead and open it in the Mini App (see sealed-proposals.js).
+
+/**
+ * Builds the detail view of a proposal for `GET /api/proposals/:topicId`.
+ * @param {string} topicId The proposal topic.
+ * @param {object} proposal Proposal rules read from the topic.
+ * @param {object} tally Result of `computeTally`.
+ * @param {{topicUrl?: string|null, execution?: object|null, viewerAccountId?: string|null, sealed?: object|null}} [options] Link to
+ *        the topic, the recorded execution of the action, the linked account of the person looking at it and, for a confidential
+ *        proposal, its SealedProposal (only handed to approvers).
+ * @returns {object} The view.
+ */
+export function buildProposalView(topicId, proposal, tally, options = {}) {
+    const policy = policyForProposal(proposal);
+    const decisionOf = (accountId) =>
+        tally.approvals.includes(accountId) ? 'APPROVE'
+            : tally.rejections.includes(accountId) ? 'REJECT'
+                : tally.abstentions.includes(accountId) ? 'ABSTAIN'
+                    : null;
+
+    const approvers = proposal.approvers.map(accountId => ({
+        accountId,
+        groups: Object.keys(policy.groups).filter(name => policy.groups[name].includes(accountId)),
+        weight: policy.weights[accountId] || 1,
+        decision: decisionOf(accountId),
+        history: (tally.history && tally.history[accountId]) || [],
+    }));
+
+    const viewerAccountId = options.viewerAccountId || null;
+    const isApprover = !!viewerAccountId && proposal.approvers.includes(viewerAccountId);
+    return {
+        topicId,
+        description: proposal.description ?? null,
+        confidential: proposal.confidential || null,
+        sealed: proposal.confidential && isApprover ? options.sealed || null : null,
+        createdAt: proposal.createdAt || null,
+        action: proposal.action || null,
+        actionSummary: proposal.action ? describeAction(proposal.action) : null,
+        execution: options.execution || null,
+        threshold: proposal.policy ? null : proposal.threshold,
+        rule: proposal.policy ? describeRule(policy.rule) : null,
+        explanation: tally.explanation || null,
+        rejectThreshold: proposal.rejectThreshold || null,
+        deadline: proposal.deadline || null,
+        outcome: tally.outcome,
+        approvals: tally.approvals.length,
+        rejections: tally.rejections.length,
+        approvers,
+        topicUrl: options.topicUrl || null,
+        viewer: {
+            accountId: viewerAccountId,
+            isApprover,
+            decision: isApprover ? decisionOf(viewerAccountId) : null,
+            canVote: isApprover && tally.outcome === 'pending',
+        },
+    };
+}
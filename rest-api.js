@@ -0,0 +1,422 @@
+import express from 'express';
+import crypto from 'crypto';
+import { z } from 'zod';
+import { DECISIONS, validateProposal, validateVoteComment } from './approvr-protocol.js';
+import { parsePolicyExpression } from './policy.js';
+import { paginate } from './proposal-registry.js';
+import { buildProposalView } from './proposal-view.js';
+import { parseDeadline } from './utils.js';
+import { WEBHOOK_EVENTS, webhookUrlProblem } from './webhooks.js';
+import { OPENAPI_DOCUMENT } from './openapi.js';
+import { auditBundleToCsv } from './audit-export.js';
+import { CONFIDENTIAL_LABEL } from './sealed-proposals.js';
+
+// --- Public REST API ---
+// A versioned JSON API (mounted at /api/v1) for internal tools that need to create and follow proposals
+// without Telegram. It calls the same agent functions as the bot; votes still have to be signed by the
+// approver's Hedera key, so an API key lets a tool relay votes but never vote on someone's behalf.
+// Every error is answered as {"error": {"code", "message", "details"?}}.
+
+export const API_VERSION = 'v1';
+
+const HEDERA_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const HederaId = z.string().regex(HEDERA_ID_PATTERN, 'Must be a Hedera ID like 0.0.1234.');
+
+const CreateProposalBody = z.object({
+    description: z.string().trim().min(1),
+    approvers: z.array(HederaId).min(1),
+    threshold: z.number().int().positive().optional(),
+    policy: z.object({
+        groups: z.record(z.array(HederaId)).optional(),
+        weights: z.record(z.number().int().positive()).optional(),
+        rule: z.union([z.string().min(1), z.object({}).passthrough()]),
+    }).strict().optional(),
+    rejectThreshold: z.number().int().positive().optional(),
+    deadline: z.string().optional(),
+    action: z.object({ type: z.enum(['hbar_transfer', 'token_transfer', 'topic_message']) }).passthrough().optional(),
+    confidential: z.boolean().optional(),
+}).strict().refine(body => (body.threshold === undefined) !== (body.policy === undefined), {
+    message: 'Give either a threshold or a policy.',
+    path: ['threshold'],
+});
+
+const ListProposalsQuery = z.object({
+    status: z.enum(['all', 'open', 'approved', 'rejected', 'expired']).default('all'),
+    approver: HederaId.optional(),
+    page: z.coerce.number().int().positive().default(1),
+    pageSize: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const CastVoteBody = z.object({
+    accountId: HederaId,
+    decision: z.enum(DECISIONS),
+    timestamp: z.string().min(1),
+    signature: z.string().min(1),
+    comment: z.string().optional(),
+}).strict();
+
+const ExportQuery = z.object({
+    format: z.enum(['json', 'csv']).default('json'),
+});
+
+const RegisterWebhookBody = z.object({
+    url: z.string().superRefine((url, ctx) => {
+        const problem = webhookUrlProblem(url);
+        if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+    }),
+    events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+    secret: z.string().min(16).optional(),
+}).strict();
+
+// Errors thrown from the routes carry their HTTP status and API error code; see `restApiErrorHandler`.
+function apiError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.apiCode = code;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Reads the API keys from APPROVR_API_KEYS, a comma-separated list of `name:key` entries. The name
+ * identifies the client in logs and on the proposals it creates; a key given without a name is called `client<n>`.
+ * @param {string} [value] The setting.
+ * @returns {Array<{name: string, digest: Buffer}>} The keys, stored as SHA-256 digests.
+ */
+export function parseApiKeys(value) {
+    return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+        const separator = entry.indexOf(':');
+        const [name, key] = separator > 0 ? [entry.substring(0, separator), entry.substring(separator + 1)] : [`client${index + 1}`, entry];
+        return { name, digest: crypto.createHash('sha256').update(key).digest() };
+    });
+}
+
+/**
+ * Finds the client a presented API key belongs to. Digests are compared in constant time.
+ * @param {Array<{name: string, digest: Buffer}>} apiKeys Keys from `parseApiKeys`.
+ * @param {string|undefined} presented The key sent with the request.
+ * @returns {string|null} The client name, or null if the key is unknown.
+ */
+export function authenticateApiKey(apiKeys, presented) {
+    if (!presented) return null;
+    const digest = crypto.createHash('sha256').update(presented).digest();
+    const match = apiKeys.find(key => crypto.timingSafeEqual(key.digest, digest));
+    return match ? match.name : null;
+}
+
+function parseWith(schema, input) {
+    const parsed = schema.safeParse(input);
+    if (!parsed.success) {
+        throw apiError(400, 'invalid_request', 'The request is invalid.',
+            parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message })));
+    }
+    return parsed.data;
+}
+
+function topicIdParam(req) {
+    const { topicId } = req.params;
+    if (!HEDERA_ID_PATTERN.test(topicId)) {
+        throw apiError(400, 'invalid_request', `Invalid topic ID "${topicId}".`);
+    }
+    return topicId;
+}
+
+// Agent results carry `code: 'not_found'` when a topic holds no proposal; anything else is a Hedera or mirror node failure.
+function failedLookup(result) {
+    return result.code === 'not_found'
+        ? apiError(404, 'not_found', result.message)
+        : apiError(502, 'hedera_error', result.message);
+}
+
+// Registry records also hold Telegram details (chat, creator, status card) that the API doesn't hand out.
+function publicRecord(record) {
+    return {
+        topicId: record.topicId,
+        description: record.description,
+        approvers: record.approvers,
+        threshold: record.threshold ?? null,
+        policy: record.policy || null,
+        action: record.action || null,
+        rejectThreshold: record.rejectThreshold || null,
+        deadline: record.deadline || null,
+        createdAt: record.createdAt || null,
+        outcome: record.outcome || 'pending',
+        outstanding: record.outstanding || null,
+        closedAt: record.closedAt || null,
+        confidential: record.confidential || null,
+    };
+}
+
+/**
+ * Turns a create-proposal body into proposal fields, parsing a rule expression and a relative deadline
+ * the same way `/create` does.
+ * @param {object} body Body matching CreateProposalBody.
+ * @param {number} [now] Current time in ms.
+ * @returns {object} Proposal fields for `createProposal`.
+ * @throws {Error} If the proposal breaks the protocol's rules.
+ */
+export function proposalFieldsFromBody(body, now = Date.now()) {
+    let policy;
+    if (body.policy) {
+        let rule = body.policy.rule;
+        if (typeof rule === 'string') {
+            try {
+                rule = parsePolicyExpression(rule);
+            } catch (error) {
+                throw apiError(422, 'invalid_proposal', `Invalid approval rule: ${error.message}`);
+            }
+        }
+        policy = { groups: body.policy.groups || {}, rule };
+        if (body.policy.weights) policy.weights = body.policy.weights;
+    }
+
+    let deadline;
+    if (body.deadline !== undefined) {
+        deadline = parseDeadline(body.deadline, now);
+        if (!deadline) throw apiError(422, 'invalid_proposal', 'Deadline must be a duration like 48h or an ISO 8601 date.');
+        if (Date.parse(deadline) <= now) throw apiError(422, 'invalid_proposal', 'Deadline must be in the future.');
+    }
+
+    const fields = {
+        description: body.description,
+        approvers: body.approvers,
+        threshold: policy ? null : body.threshold,
+        policy,
+        action: body.action,
+        rejectThreshold: body.rejectThreshold,
+        deadline,
+    };
+    const problem = validateProposal(fields);
+    if (problem) throw apiError(422, 'invalid_proposal', problem);
+    if (body.confidential) fields.confidential = true;
+    return fields;
+}
+
+/**
+ * Answers errors with the API's error envelope. Mount it right after the router so body-parser
+ * failures (malformed JSON) are answered the same way.
+ * @param {Error} error The error.
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @param {Function} next Express next callback.
+ */
+export function restApiErrorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    let answered = error;
+    if (!error.apiCode) {
+        if (error.type === 'entity.parse.failed') {
+            answered = apiError(400, 'invalid_request', 'The request body is not valid JSON.');
+        } else {
+            console.error(`Error in REST API ${req.method} ${req.originalUrl}:`, error);
+            answered = apiError(500, 'internal_error', 'An internal error occurred.');
+        }
+    }
+    const body = { error: { code: answered.apiCode, message: answered.message } };
+    if (answered.details !== undefined) body.error.details = answered.details;
+    res.status(answered.status).json(body);
+}
+
+/**
+ * Builds the REST API router.
+ * @param {object} deps What the API runs on.
+ * @param {Array<{name: string, digest: Buffer}>} deps.apiKeys Accepted keys (see `parseApiKeys`); with none the API answers 503.
+ * @param {(fields: object, client: string) => Promise<object>} deps.createProposal Creates and registers a proposal;
+ *        resolves to the result of the agent's `createProposal`.
+ * @param {(topicId: string) => Promise<object>} deps.getProposal The agent's `getProposal`.
+ * @param {(topicId: string) => Promise<object>} deps.tallyApprovals The agent's `tallyApprovals`.
+ * @param {Function} deps.submitVote The agent's `submitVote`.
+ * @param {() => Promise<Array<object>>} deps.listProposals All registry records.
+ * @param {(topicId: string) => Promise<object>} deps.exportProposalAudit The agent's `exportProposalAudit`.
+ * @param {(topicId: string, tallyResult: object) => Promise<void>} [deps.afterTally] Called with every fresh tally, e.g. to update status cards.
+ * @param {(topicId: string, vote: object, voteResult: object) => Promise<string|undefined>} [deps.afterVote] Called with the vote and
+ *        the result of `submitVote` after a vote is posted; resolves to the proposal's outcome if it could be tallied.
+ * @param {object} deps.webhooks Webhook dispatcher from `createWebhookDispatcher`.
+ * @param {Array<string>} [deps.webhookClients] Names of the API keys that may register webhooks (APPROVR_WEBHOOK_CLIENTS).
+ * @returns {import('express').Router} The router.
+ */
+export function createRestApi(deps) {
+    const router = express.Router();
+    const afterTally = deps.afterTally || (async () => {});
+
+    // The document describing the API is public so clients can be generated without a key.
+    router.get('/openapi.json', (req, res) => {
+        res.json(OPENAPI_DOCUMENT);
+    });
+
+    router.use((req, res, next) => {
+        if (deps.apiKeys.length === 0) {
+            throw apiError(503, 'api_disabled', 'The REST API is disabled. Set APPROVR_API_KEYS to enable it.');
+        }
+        const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+        const client = authenticateApiKey(deps.apiKeys, req.get('X-API-Key') || (bearer && bearer[1]));
+        if (!client) {
+            throw apiError(401, 'unauthorized', 'Missing or unknown API key.');
+        }
+        req.apiClient = client;
+        next();
+    });
+
+    router.post('/proposals', async (req, res) => {
+        const fields = proposalFieldsFromBody(parseWith(CreateProposalBody, req.body ?? {}));
+        // The content of a confidential proposal stays out of the logs; createProposal logs its commitment and topic.
+        console.log(fields.confidential
+            ? `🔑 REST client ${req.apiClient} is creating a confidential proposal`
+            : `🔑 REST client ${req.apiClient} is creating a proposal: ${fields.description}`);
+        const result = await deps.createProposal(fields, req.apiClient);
+        if (result.code === 'missing_encryption_keys' || result.code === 'invalid_action') {
+            throw apiError(422, 'invalid_proposal', result.message);
+        }
+        if (result.status !== 'success') {
+            throw apiError(502, 'hedera_error', result.message);
+        }
+        // A confidential proposal is answered like it is listed later: without its content.
+        const created = result.confidential
+            ? { ...fields, description: CONFIDENTIAL_LABEL, action: null, confidential: result.confidential }
+            : { ...fields, confidential: null };
+        res.status(201).json({
+            ...publicRecord({ ...created, topicId: result.topicId, createdAt: new Date().toISOString() }),
+            topicUrl: result.topicUrl || null,
+        });
+    });
+
+    router.get('/proposals', async (req, res) => {
+        const query = parseWith(ListProposalsQuery, req.query);
+        const records = (await deps.listProposals()).map(publicRecord).filter(record =>
+            (query.status === 'all' || record.outcome === (query.status === 'open' ? 'pending' : query.status)) &&
+            (!query.approver || record.approvers.includes(query.approver)));
+        const { items, page, pages, total } = paginate(records, query.page - 1, query.pageSize);
+        res.json({ items, page: page + 1, pages, total });
+    });
+
+    router.get('/proposals/:topicId', async (req, res) => {
+        const topicId = topicIdParam(req);
+        const result = await deps.tallyApprovals(topicId);
+        if (result.status !== 'success') throw failedLookup(result);
+        await afterTally(topicId, result);
+        const { viewer, ...view } = buildProposalView(topicId, result.proposal, result.tally, {
+            topicUrl: result.topicUrl,
+            execution: result.execution,
+        });
+        res.json(view);
+    });
+
+    router.get('/proposals/:topicId/tally', async (req, res) => {
+        const topicId = topicIdParam(req);
+        const result = await deps.tallyApprovals(topicId);
+        if (result.status !== 'success') throw failedLookup(result);
+        await afterTally(topicId, result);
+        const { tally } = result;
+        res.json({
+            topicId,
+            outcome: tally.outcome,
+            approvals: tally.approvals,
+            rejections: tally.rejections,
+            abstentions: tally.abstentions,
+            outstanding: tally.outstanding,
+            decidedBy: tally.decidedBy || null,
+            lateVotes: tally.lateVotes,
+            rule: tally.rule || null,
+            explanation: tally.explanation || null,
+            history: tally.history,
+            execution: result.execution || null,
+            outsideMessages: result.outsideMessages || [],
+            confidential: result.proposal.confidential || null,
+            lastSequenceNumber: result.lastSequenceNumber,
+            topicUrl: result.topicUrl || null,
+        });
+    });
+
+    // The audit bundle of scripts/verify-export.js, or its messages as CSV; both are offered as downloads.
+    router.get('/proposals/:topicId/export', async (req, res) => {
+        const topicId = topicIdParam(req);
+        const { format } = parseWith(ExportQuery, req.query);
+        const result = await deps.exportProposalAudit(topicId);
+        if (result.status !== 'success') throw failedLookup(result);
+        res.attachment(`approvr-${topicId}.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(auditBundleToCsv(result.bundle));
+        } else {
+            res.json(result.bundle);
+        }
+    });
+
+    router.post('/proposals/:topicId/votes', async (req, res) => {
+        const topicId = topicIdParam(req);
+        const vote = parseWith(CastVoteBody, req.body ?? {});
+        const commentError = validateVoteComment(vote.comment);
+        if (commentError) throw apiError(400, 'invalid_request', commentError);
+
+        const proposalResult = await deps.getProposal(topicId);
+        if (proposalResult.status !== 'success') throw failedLookup(proposalResult);
+        if (!proposalResult.proposal.approvers.includes(vote.accountId)) {
+            throw apiError(403, 'not_an_approver', `${vote.accountId} is not an approver of this proposal.`);
+        }
+
+        console.log(`🔑 REST client ${req.apiClient} is relaying a ${vote.decision} vote by ${vote.accountId} on ${topicId}`);
+        const result = await deps.submitVote(topicId, vote.accountId, vote.decision,
+            { timestamp: vote.timestamp, signature: vote.signature, comment: vote.comment });
+        if (result.code === 'stale_vote' || result.code === 'voting_closed') {
+            throw apiError(409, result.code, result.message);
+        }
+        if (result.status !== 'success') {
+            throw apiError(422, 'vote_rejected', result.message);
+        }
+
+        // As with Mini App votes, the tally may not include the vote yet if the mirror node lags behind.
+        let outcome = null;
+        if (deps.afterVote) {
+            try {
+                outcome = (await deps.afterVote(topicId, vote, result)) || null;
+            } catch (error) {
+                console.error(`Error updating ${topicId} after a REST vote:`, error);
+            }
+        }
+        res.status(201).json({
+            topicId,
+            accountId: vote.accountId,
+            decision: vote.decision,
+            sequenceNumber: result.sequenceNumber ?? null,
+            transactionUrl: result.transactionUrl || null,
+            topicUrl: result.topicUrl || null,
+            outcome,
+        });
+    });
+
+    // Webhooks receive the events of every proposal, whichever chat or client created it, so only the API keys
+    // named in APPROVR_WEBHOOK_CLIENTS may register them.
+    router.post('/webhooks', async (req, res) => {
+        if (!(deps.webhookClients || []).includes(req.apiClient)) {
+            throw apiError(403, 'forbidden', 'This API key may not register webhooks. Add its name to APPROVR_WEBHOOK_CLIENTS.');
+        }
+        const body = parseWith(RegisterWebhookBody, req.body ?? {});
+        const webhook = await deps.webhooks.register({ ...body, client: req.apiClient });
+        console.log(`🔑 REST client ${req.apiClient} registered webhook ${webhook.id} for ${webhook.events.join(', ')}`);
+        res.status(201).json(webhook);
+    });
+
+    // Each API key only sees and removes the webhooks it registered.
+    router.get('/webhooks', async (req, res) => {
+        res.json({ items: await deps.webhooks.list({ client: req.apiClient }) });
+    });
+
+    router.delete('/webhooks/:webhookId', async (req, res) => {
+        if (!await deps.webhooks.remove(req.params.webhookId, { client: req.apiClient })) {
+            throw apiError(404, 'not_found', `No webhook ${req.params.webhookId}.`);
+        }
+        res.status(204).end();
+    });
+
+    router.get('/webhooks/:webhookId/deliveries', async (req, res) => {
+        const { webhookId } = req.params;
+        if (!(await deps.webhooks.list({ client: req.apiClient })).some(webhook => webhook.id === webhookId)) {
+            throw apiError(404, 'not_found', `No webhook ${webhookId}.`);
+        }
+        res.json({ items: await deps.webhooks.deliveriesOf(webhookId) });
+    });
+
+    router.use((req, res) => {
+        throw apiError(404, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}.`);
+    });
+
+    return router;
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+// --- Topic Running Hashes ---
+// Every HCS message carries the topic's running hash: a SHA-384 over the previous running hash and the
+// message's metadata and content. Recomputing the chain from the first message proves that an exported
+// list of messages is complete, in order and unaltered. Version 3 hashes the following, written by the
+// consensus nodes with a Java ObjectOutputStream (stream header, then one data block):
+//   previous hash (48 bytes), version, payer shard/realm/num, topic shard/realm/num, consensus seconds (8 bytes each),
+//   consensus nanos (4 bytes), sequence number (8 bytes), SHA-384 of the message (48 bytes)
+
+export const RUNNING_HASH_VERSION = 3;
+const HASH_BYTES = 48;
+const BLOCK_BYTES = HASH_BYTES + 8 + 3 * 8 + 3 * 8 + 8 + 4 + 8 + HASH_BYTES;
+const OBJECT_STREAM_HEADER = Buffer.from([0xac, 0xed, 0x00, 0x05, 0x77, BLOCK_BYTES]);
+
+function sha384(data) {
+    return crypto.createHash('sha384').update(data).digest();
+}
+
+function entityIdParts(entityId) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(entityId || ''));
+    if (!match) throw new Error(`"${entityId}" is not an entity ID.`);
+    return match.slice(1).map(BigInt);
+}
+
+/**
+ * Computes the running hash a topic has after a message.
+ * @param {Buffer|null} previousHash Running hash after the previous message, or null for the first message of a topic.
+ * @param {{topicId: string, payerAccountId: string, consensusTimestamp: string, sequenceNumber: number, contents: Buffer}} message
+ *        The message; `consensusTimestamp` is "seconds.nanos" and `contents` the raw message bytes.
+ * @returns {Buffer} The 48-byte running hash.
+ */
+export function nextRunningHash(previousHash, { topicId, payerAccountId, consensusTimestamp, sequenceNumber, contents }) {
+    const [seconds, nanos = '0'] = String(consensusTimestamp).split('.');
+    const block = Buffer.alloc(BLOCK_BYTES);
+    let offset = (previousHash || Buffer.alloc(HASH_BYTES)).copy(block, 0);
+    for (const value of [BigInt(RUNNING_HASH_VERSION), ...entityIdParts(payerAccountId), ...entityIdParts(topicId), BigInt(seconds)]) {
+        offset = block.writeBigInt64BE(value, offset);
+    }
+    offset = block.writeInt32BE(parseInt(nanos.padEnd(9, '0'), 10), offset);
+    offset = block.writeBigInt64BE(BigInt(sequenceNumber), offset);
+    sha384(contents).copy(block, offset);
+    return sha384(Buffer.concat([OBJECT_STREAM_HEADER, block]));
+}
+
+/**
+ * Checks the running-hash chain of a topic's messages, starting at its first message.
+ * @param {Array<{sequenceNumber: number, runningHash: string|null, runningHashVersion: number|null}>} messages
+ *        Messages as accepted by `nextRunningHash`, with the base64 running hash reported for each, oldest first.
+ * @returns {{valid: boolean, checked: number, error?: string}} Whether every reported hash matches the recomputed one;
+ *          `checked` counts the messages verified before the first problem.
+ */
+export function verifyRunningHashChain(messages) {
+    let previousHash = null;
+    let checked = 0;
+    for (const [index, message] of messages.entries()) {
+        const label = `Message ${message.sequenceNumber}`;
+        if (message.sequenceNumber !== index + 1) {
+            return { valid: false, checked, error: `${label} is out of place: expected sequence number ${index + 1}.` };
+        }
+        if (!message.runningHash) {
+            return { valid: false, checked, error: `${label} has no running hash.` };
+        }
+        if (message.runningHashVersion !== RUNNING_HASH_VERSION) {
+            return { valid: false, checked, error: `${label} uses running hash version ${message.runningHashVersion}; only ${RUNNING_HASH_VERSION} can be checked.` };
+        }
+        previousHash = nextRunningHash(previousHash, message);
+        if (previousHash.toString('base64') !== message.runningHash) {
+            return { valid: false, checked, error: `${label} does not match its running hash: it was altered, or a message before it is missing.` };
+        }
+        checked++;
+    }
+    return { valid: true, checked };
+}
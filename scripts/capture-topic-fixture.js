@@ -0,0 +1,47 @@
+// Captures the first messages of a topic from the mirror node, exactly as the mirror node returns them, as the
+// fixture test/running-hash.test.js checks the running-hash chain against. Real messages are the only check that
+// running-hash.js hashes the same bytes as the consensus nodes; a chain computed by the memory gateway can't be.
+// Usage: node scripts/capture-topic-fixture.js <topic_id> [count]
+// Reads HEDERA_NETWORK (testnet by default) and HEDERA_MIRROR_NODE_URL. Any topic works, the first `count` (3) messages are kept.
+import { writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { getNetworkConfig } from '../network.js';
+
+const [topicId, countArg = '3'] = process.argv.slice(2);
+const count = parseInt(countArg, 10);
+if (!/^\d+\.\d+\.\d+$/.test(topicId || '') || !(count > 0)) {
+    console.error('Usage: node scripts/capture-topic-fixture.js <topic_id> [count]');
+    process.exit(1);
+}
+
+const network = getNetworkConfig();
+const url = `${network.mirrorNodeUrl}/api/v1/topics/${topicId}/messages?order=asc&limit=${count}`;
+const response = await fetch(url);
+if (!response.ok) {
+    console.error(`Mirror node returned ${response.status} for ${url}`);
+    process.exit(1);
+}
+const { messages = [] } = await response.json();
+if (messages.length === 0) {
+    console.error(`Topic ${topicId} has no messages.`);
+    process.exit(1);
+}
+
+// Only the fields the running hash covers, plus the hash itself; `chunk_info` etc. are left out.
+const fixture = {
+    network: network.name,
+    topicId,
+    source: url,
+    messages: messages.map(raw => ({
+        consensus_timestamp: raw.consensus_timestamp,
+        message: raw.message,
+        payer_account_id: raw.payer_account_id,
+        running_hash: raw.running_hash,
+        running_hash_version: raw.running_hash_version,
+        sequence_number: raw.sequence_number,
+        topic_id: raw.topic_id,
+    })),
+};
+const path = fileURLToPath(new URL('../test/fixtures/testnet-topic-messages.json', import.meta.url));
+await writeFile(path, `${JSON.stringify(fixture, null, 2)}\n`);
+console.log(`Wrote ${messages.length} message(s) of ${topicId} on ${network.name} to ${path}`);
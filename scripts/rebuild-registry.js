@@ -0,0 +1,51 @@
+// Rebuilds the proposal registry (the `proposals` storage collection) from the chain, e.g. after the
+// storage was lost or moved to a new backend. Reads every topic the operator account created, keeps the
+// ones holding an Approvr proposal and restores their chat and creator from the sealed origin.
+// Usage: node scripts/rebuild-registry.js [--force]
+// Existing records are kept (they may reference status cards) unless --force is given.
+// Uses the same environment as the bot: HEDERA_*, APPROVR_STORAGE and APPROVR_REGISTRY_SECRET.
+import { listProposalTopics, getProposal, tallyApprovals, useTopicStateStore } from '../approvr-agent.js';
+import { createStorage } from '../storage.js';
+import { recordFromProposal, registrySecret } from '../proposal-registry.js';
+
+const force = process.argv.includes('--force');
+const secret = registrySecret();
+if (!secret) {
+    console.error('Set APPROVR_REGISTRY_SECRET (or TELEGRAM_BOT_TOKEN) to the secret the bot uses.');
+    process.exit(1);
+}
+
+const store = createStorage();
+useTopicStateStore(store.topicStates);
+
+let restored = 0;
+let kept = 0;
+let withoutOrigin = 0;
+for (const topicId of await listProposalTopics()) {
+    const existing = await store.proposals.get(topicId);
+    if (existing && !force) {
+        kept++;
+        continue;
+    }
+    const proposalResult = await getProposal(topicId);
+    if (proposalResult.status !== 'success') continue; // Not an Approvr proposal topic
+
+    const record = recordFromProposal(topicId, proposalResult.proposal, secret);
+    if (record.chatId === null) withoutOrigin++;
+    const tally = await tallyApprovals(topicId);
+    if (tally.status === 'success') {
+        record.outcome = tally.outcome;
+        record.outstanding = tally.tally.outstanding;
+    }
+    if (existing && record.chatId === null) {
+        Object.assign(record, { chatId: existing.chatId, creatorId: existing.creatorId });
+    }
+    await store.proposals.set(topicId, { ...existing, ...record });
+    restored++;
+}
+
+console.log(`Restored ${restored} proposal(s), kept ${kept} existing record(s).`);
+if (withoutOrigin > 0) {
+    console.log(`${withoutOrigin} proposal(s) have no origin readable with this secret; they only appear in /pending.`);
+}
+process.exit(0);
@@ -0,0 +1,25 @@
+// Signs an Approvr challenge (or any text) with a Hedera private key, entirely offline.
+// Usage: node scripts/sign-message.js <private_key> "<message>" [--ed25519]
+// The key is never sent anywhere; copy the printed hex signature into /verify.
+import { PrivateKey } from '@hashgraph/sdk';
+
+const [privateKeyString, message] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const useEd25519 = process.argv.includes('--ed25519');
+
+if (!privateKeyString || !message) {
+    console.error('Usage: node scripts/sign-message.js <private_key> "<message>" [--ed25519]');
+    process.exit(1);
+}
+
+let privateKey;
+try {
+    privateKey = useEd25519
+        ? PrivateKey.fromStringED25519(privateKeyString)
+        : PrivateKey.fromStringECDSA(privateKeyString);
+} catch (error) {
+    console.error('Failed to load private key:', error.message);
+    process.exit(1);
+}
+
+const signature = privateKey.sign(Buffer.from(message, 'utf8'));
+console.log(Buffer.from(signature).toString('hex'));
@@ -0,0 +1,49 @@
+// Verifies an Approvr audit bundle (from /export or GET /api/v1/proposals/<topic>/export), entirely offline.
+// Usage: node scripts/verify-export.js <bundle.json> [disclosure.json]
+// Recomputes the topic's running-hash chain from the raw messages, which shows none was altered, left out or
+// reordered, then checks the vote signatures against the public keys in the bundle and recomputes the outcome.
+// To be sure the bundle describes the real topic, compare the last running hash with HashScan or a mirror node.
+// For a confidential proposal, pass the content an approver copied from the Mini App to check it against the commitment.
+// Exits with 1 if any check fails.
+import { readFile } from 'fs/promises';
+import { verifyAuditBundle } from '../audit-export.js';
+
+const [file, disclosureFile] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/verify-export.js <bundle.json> [disclosure.json]');
+    process.exit(1);
+}
+
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${path}: ${error.message}`);
+        process.exit(1);
+    }
+}
+const bundle = await readJson(file);
+const disclosure = disclosureFile ? await readJson(disclosureFile) : undefined;
+
+// Votes that don't count are expected (wrong signer, bad signature) and already show up in the result.
+const { valid, chain, result, disclosed, problems } = await verifyAuditBundle(bundle, { disclosure, warn: () => {} });
+
+console.log(`Proposal ${bundle.topicId} on ${bundle.network}, exported ${bundle.exportedAt}`);
+if (chain) {
+    console.log(chain.valid
+        ? `✅ Running-hash chain verified for ${chain.checked} message(s); last running hash ${bundle.messages.at(-1)?.runningHash}`
+        : `❌ Running-hash chain broken after ${chain.checked} message(s)`);
+}
+if (result) {
+    console.log(`Recomputed outcome: ${result.outcome} (${result.approvals.length} approval(s), ${result.rejections.length} rejection(s), ` +
+        `${result.ignoredMessages} ignored message(s))`);
+}
+if (bundle.proposal?.confidential) {
+    console.log(`🔒 Confidential proposal, commitment ${bundle.proposal.confidential.commitment}`);
+}
+if (disclosed) {
+    console.log(`✅ The disclosed content matches the commitment: ${disclosure.description}`);
+}
+for (const problem of problems) console.log(`❌ ${problem}`);
+console.log(valid ? '✅ The bundle is consistent.' : '❌ The bundle does not verify.');
+process.exit(valid ? 0 : 1);
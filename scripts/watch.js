@@ -0,0 +1,17 @@
+// Runs Approvr in watcher mode: polls the topic of every open proposal and notifies the originating chat
+// and the creator when a vote lands, a proposal is approved or rejected, or its deadline passes.
+// Usage: node scripts/watch.js
+// Uses the same environment as the bot (HEDERA_*, TELEGRAM_BOT_TOKEN, APPROVR_STORAGE); point APPROVR_STORAGE
+// at the deployment's Redis so the watcher sees its proposals. Polls every APPROVR_WATCH_INTERVAL_SECONDS.
+// What has been notified is stored per topic, so the watcher can be restarted without repeating itself.
+import { startTopicWatcher } from '../api/index.js';
+
+const watcher = startTopicWatcher();
+console.log('Watching open proposals. Press Ctrl+C to stop.');
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        await watcher.stop();
+        process.exit(0);
+    });
+}
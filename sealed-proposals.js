@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+
+// --- Confidential Proposals ---
+// A confidential proposal keeps its description and action off the public topic. Approvr seals them to the
+// approvers' encryption keys and writes only a commitment to the topic: the SHA-256 of the disclosed content,
+//   JSON.stringify({ salt, description, action })
+// with a random salt, so short texts ("Raise for Bob") can't be guessed by hashing candidates. Anyone who is
+// shown the content (an approver, or an auditor an approver hands it to) can check it against the commitment.
+//
+// Encryption keys are ECDH P-256 keys an approver creates in the Mini App (WebCrypto; the private key never
+// leaves the device) and signs with their Hedera account key, like a vote. The sealed box (kept by Approvr,
+// off-chain) is "approvr-seal/1":
+//   content   = AES-256-GCM(contentKey, iv, disclosure JSON), ciphertext followed by the 16-byte tag
+//   per approver: secret = ECDH(ephemeral private key, approver's public key) (the 32-byte x coordinate),
+//   wrapKey = HKDF-SHA256(secret, empty salt, "approvr-seal:" + accountId, 32 bytes),
+//   wrappedKey = AES-256-GCM(wrapKey, recipient iv, contentKey)
+// All binary values are base64; public keys are uncompressed points (65 bytes).
+//
+// SealedProposal: { algorithm, ephemeralPublicKey, iv, ciphertext,
+//                   recipients: [{ accountId, encryptionKey, keySignature, iv, wrappedKey }] }
+// Disclosure: { description, action (object or null), salt (hex) }
+
+export const SEAL_ALGORITHM = 'approvr-seal/1';
+
+// Shown wherever the description of a confidential proposal would be.
+export const CONFIDENTIAL_LABEL = '🔒 Confidential proposal';
+
+const CURVE = 'prime256v1';
+
+/**
+ * Returns the exact text an approver signs to register an encryption key. The account ID binds the key to them.
+ * @param {string} accountId The approver's Hedera account.
+ * @param {string} publicKey The encryption public key (base64).
+ * @returns {string} The text to sign.
+ */
+export function encryptionKeyStatement(accountId, publicKey) {
+    return `approvr-encryption-key:${accountId}:${publicKey}`;
+}
+
+/**
+ * Checks an encryption public key.
+ * @param {*} publicKey The key as sent by the Mini App.
+ * @returns {string|null} A human-readable problem, or null if the key is an uncompressed P-256 point.
+ */
+export function validateEncryptionKey(publicKey) {
+    if (typeof publicKey !== 'string' || !publicKey) return 'Encryption key is missing.';
+    try {
+        const raw = Buffer.from(publicKey, 'base64');
+        if (raw.length !== 65 || raw[0] !== 0x04 || raw.toString('base64') !== publicKey) throw new Error('bad length');
+        crypto.ECDH.convertKey(raw, CURVE, undefined, undefined, 'compressed');
+    } catch (error) {
+        return 'Encryption key must be an uncompressed P-256 public key in base64.';
+    }
+    return null;
+}
+
+/**
+ * Computes the commitment written on-chain for a confidential proposal.
+ * @param {{description: string, action?: object|null, salt: string}} disclosure The proposal content and its salt.
+ * @returns {string} SHA-256, hex.
+ */
+export function commitmentOf({ description, action, salt }) {
+    const canonical = JSON.stringify({ salt, description, action: action ?? null });
+    return crypto.createHash('sha256').update(canonical, 'utf8').digest('hex');
+}
+
+/**
+ * Checks disclosed content against a proposal's commitment.
+ * @param {*} disclosure Content claimed to be the proposal's.
+ * @param {string} commitment The commitment from the topic.
+ * @returns {string|null} A human-readable problem, or null if the content is the committed one.
+ */
+export function checkDisclosure(disclosure, commitment) {
+    if (!disclosure || typeof disclosure !== 'object' || typeof disclosure.description !== 'string' || typeof disclosure.salt !== 'string') {
+        return 'The disclosed content needs a description and a salt.';
+    }
+    if (disclosure.action != null && typeof disclosure.action !== 'object') return 'The disclosed action must be an object.';
+    if (commitmentOf(disclosure) !== commitment) return 'The disclosed content does not match the commitment on the topic.';
+    return null;
+}
+
+function wrapKeyFor(secret, accountId) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), `approvr-seal:${accountId}`, 32));
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return { iv: iv.toString('base64'), ciphertext: ciphertext.toString('base64') };
+}
+
+function decrypt(key, iv, data) {
+    const raw = Buffer.from(data, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(raw.subarray(raw.length - 16));
+    return Buffer.concat([decipher.update(raw.subarray(0, raw.length - 16)), decipher.final()]);
+}
+
+/**
+ * Seals the description and action of a proposal to its approvers.
+ * @param {{description: string, action?: object}} content What to keep off-chain.
+ * @param {Array<{accountId: string, publicKey: string, signature: string}>} recipients Every approver's registered encryption key
+ *        and the signature that registered it.
+ * @returns {{commitment: string, disclosure: object, sealed: object}} The commitment for the topic, the content it commits to
+ *          and the SealedProposal.
+ */
+export function sealProposal({ description, action }, recipients) {
+    const disclosure = { description, action: action ?? null, salt: crypto.randomBytes(16).toString('hex') };
+    const contentKey = crypto.randomBytes(32);
+    const content = encrypt(contentKey, Buffer.from(JSON.stringify(disclosure), 'utf8'));
+
+    const ephemeral = crypto.createECDH(CURVE);
+    ephemeral.generateKeys();
+    const sealed = {
+        algorithm: SEAL_ALGORITHM,
+        ephemeralPublicKey: ephemeral.getPublicKey('base64'),
+        iv: content.iv,
+        ciphertext: content.ciphertext,
+        recipients: recipients.map(({ accountId, publicKey, signature }) => {
+            const secret = ephemeral.computeSecret(Buffer.from(publicKey, 'base64'));
+            const wrapped = encrypt(wrapKeyFor(secret, accountId), contentKey);
+            return { accountId, encryptionKey: publicKey, keySignature: signature, iv: wrapped.iv, wrappedKey: wrapped.ciphertext };
+        }),
+    };
+    return { commitment: commitmentOf(disclosure), disclosure, sealed };
+}
+
+/**
+ * Opens a sealed proposal with an approver's private encryption key. The Mini App does the same with WebCrypto;
+ * this is for scripts and tests.
+ * @param {object} sealed A SealedProposal.
+ * @param {string} accountId The approver.
+ * @param {Buffer} privateKey The approver's raw P-256 private key.
+ * @returns {{description: string, action: object|null, salt: string}} The disclosure.
+ * @throws {Error} If the approver is not a recipient or the key doesn't open the box.
+ */
+export function openSealedProposal(sealed, accountId, privateKey) {
+    if (!sealed || sealed.algorithm !== SEAL_ALGORITHM) throw new Error(`Unsupported sealed proposal (expected ${SEAL_ALGORITHM}).`);
+    const recipient = sealed.recipients.find(entry => entry.accountId === accountId);
+    if (!recipient) throw new Error(`The proposal is not sealed to ${accountId}.`);
+
+    const ecdh = crypto.createECDH(CURVE);
+    ecdh.setPrivateKey(privateKey);
+    const secret = ecdh.computeSecret(Buffer.from(sealed.ephemeralPublicKey, 'base64'));
+    const contentKey = decrypt(wrapKeyFor(secret, accountId), recipient.iv, recipient.wrappedKey);
+    return JSON.parse(decrypt(contentKey, sealed.iv, sealed.ciphertext).toString('utf8'));
+}
+
+/**
+ * Returns the text shown for a proposal: its description, or a label if it is confidential.
+ * @param {{description?: string, confidential?: object}} proposal Proposal rules or registry record.
+ * @returns {string} The text.
+ */
+export function publicDescription(proposal) {
+    return proposal.confidential ? CONFIDENTIAL_LABEL : proposal.description;
+}
+
+/**
+ * Tells whether a proposal has an action to execute once approved, including a confidential one.
+ * @param {{action?: object, confidential?: {hasAction: boolean}}} proposal Proposal rules.
+ * @returns {boolean} True if it has one.
+ */
+export function hasAction(proposal) {
+    return !!(proposal.action || (proposal.confidential && proposal.confidential.hasAction));
+}
@@ -0,0 +1,143 @@
+import express from 'express';
+import crypto from 'crypto';
+
+// --- Slack Adapter ---
+// Runs the shared chat commands (bot-core.js) as one Slack slash command: `/approvr <command> <arguments>`,
+// e.g. `/approvr create Pay invoice #42 | 0.0.1001,0.0.1002 | 2`. Slack posts each command as a signed form to
+// /api/slack/commands; requests are checked against SLACK_SIGNING_SECRET. Slack users and channels are keyed as
+// "slack:<team>:<id>", so a Slack user links their Hedera account separately from Telegram. There is no Mini App
+// in Slack: approvers sign the vote text themselves and send the signature back.
+//
+// Slack waits 3 seconds for an answer. Commands that take longer (creating a topic, tallying) are answered with
+// "Working on it" and the result is posted to the command's response_url when it is ready.
+
+export const SLACK_PLATFORM = { name: 'Slack', commandPrefix: '/approvr ', miniApp: false };
+
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+const RESPONSE_DEADLINE_MS = 2500;
+const RESPONSE_URL_PATTERN = /^https:\/\/hooks\.slack\.com\//;
+
+/**
+ * Checks the signature Slack puts on every request: `v0=` + HMAC-SHA256(signing secret, `v0:<timestamp>:<raw body>`).
+ * @param {{signingSecret: string, timestamp: string, signature: string, rawBody: string, now?: number}} request The signing
+ *        secret, the X-Slack-Request-Timestamp and X-Slack-Signature headers, and the body exactly as received.
+ * @returns {string|null} A human-readable problem, or null if the request comes from Slack.
+ */
+export function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, now = Date.now() }) {
+    if (!timestamp || !signature) return 'Missing Slack signature.';
+    if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+        return 'Slack request timestamp is too old.';
+    }
+    const expected = Buffer.from('v0=' + crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex'));
+    const presented = Buffer.from(signature);
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        return 'Slack signature does not match.';
+    }
+    return null;
+}
+
+/**
+ * Builds the ChatMessage of a slash command. No text, or "help", shows the help.
+ * @param {object} fields The form fields Slack posts (team_id, channel_id, user_id, user_name, text, ...).
+ * @param {object} [platform] The platform the core sees.
+ * @returns {object} The ChatMessage.
+ */
+export function chatMessageFromSlack(fields, platform = SLACK_PLATFORM) {
+    const text = String(fields.text || '').trim();
+    const space = text.search(/\s/);
+    const word = space === -1 ? text : text.substring(0, space);
+    return {
+        command: word.replace(/^\//, '').toLowerCase() || 'help',
+        args: space === -1 ? '' : text.substring(space + 1),
+        user: { id: `slack:${fields.team_id}:${fields.user_id}`, username: fields.user_name || null },
+        // Direct messages have IDs starting with D; everything else is a channel or group.
+        chat: { id: `slack:${fields.team_id}:${fields.channel_id}`, isGroup: !String(fields.channel_id || '').startsWith('D') },
+        platform,
+    };
+}
+
+// Slack reads &, < and > as markup (links, mentions), so they are escaped; *bold* and `code` are Slack's own.
+function escapeSlack(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Combines the replies to one command into a slash command response. It is shown to the whole channel if any reply
+ * is marked shared, and only to the sender otherwise.
+ * @param {Array<object>} replies Replies from the bot core, in order.
+ * @returns {{response_type: string, text: string}} The response.
+ */
+export function slackResponse(replies) {
+    const text = replies.map(({ text, buttons = [] }) =>
+        [escapeSlack(text), ...buttons.map(button => `<${button.url}|${escapeSlack(button.text)}>`)].join('\n')).join('\n\n');
+    return { response_type: replies.some(reply => reply.shared) ? 'in_channel' : 'ephemeral', text };
+}
+
+/**
+ * Creates the router that receives Slack slash commands.
+ * @param {object} deps Dependencies.
+ * @param {{handle: Function}} deps.core The bot core from `createBotCore`.
+ * @param {string} [deps.signingSecret] The Slack app's signing secret; without one every request is refused.
+ * @param {Function} [deps.fetch] Used to post late results to the response_url (defaults to the global fetch).
+ * @param {number} [deps.responseDeadlineMs] How long to wait for the result before answering "Working on it".
+ * @returns {import('express').Router} The router.
+ */
+export function createSlackCommands({ core, signingSecret, fetch = globalThis.fetch, responseDeadlineMs = RESPONSE_DEADLINE_MS }) {
+    const router = express.Router();
+    // The signature covers the body exactly as sent, so it is kept before the form is parsed.
+    router.use(express.urlencoded({ extended: false, verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+
+    router.post('/', async (req, res) => {
+        if (!signingSecret) {
+            return res.status(503).json({ error: "Slack commands are disabled. Set SLACK_SIGNING_SECRET to enable them." });
+        }
+        const problem = verifySlackSignature({
+            signingSecret,
+            timestamp: req.get('X-Slack-Request-Timestamp'),
+            signature: req.get('X-Slack-Signature'),
+            rawBody: req.rawBody || '',
+        });
+        if (problem) {
+            console.warn(`Rejected Slack command: ${problem}`);
+            return res.status(401).json({ error: problem });
+        }
+
+        const message = chatMessageFromSlack(req.body);
+        const replies = [];
+        const handled = core.handle(message, { reply: async (reply) => { replies.push(reply); } })
+            .catch(error => {
+                console.error(`Error handling Slack command "${message.command}":`, error);
+                replies.push({ text: "Sorry, something went wrong. Please try again." });
+            });
+
+        let timer;
+        const late = new Promise(resolve => { timer = setTimeout(resolve, responseDeadlineMs, true); });
+        const isLate = await Promise.race([handled.then(() => false), late]);
+        clearTimeout(timer);
+        if (!isLate) {
+            return res.json(slackResponse(replies));
+        }
+
+        // Answer now and post the result when it is ready. A host that freezes functions once they have responded
+        // may not get that far; /approvr tally shows where a proposal stands.
+        res.json({ response_type: 'ephemeral', text: '⏳ Working on it…' });
+        await handled;
+        const responseUrl = req.body.response_url;
+        if (!RESPONSE_URL_PATTERN.test(responseUrl || '')) {
+            console.warn(`Slack command "${message.command}" finished without a valid response_url.`);
+            return;
+        }
+        try {
+            const response = await fetch(responseUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(slackResponse(replies)),
+            });
+            if (!response.ok) console.warn(`Slack refused the late response to "${message.command}": HTTP ${response.status}`);
+        } catch (error) {
+            console.error(`Could not post the late response to "${message.command}":`, error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,100 @@
+import { formatExplanation } from './policy.js';
+import { publicDescription } from './sealed-proposals.js';
+
+// --- Group Status Cards ---
+// When a proposal is created in a group chat, the bot posts one message per proposal that shows who has
+// voted and what is still needed, with Approve/Reject buttons. The message is edited in place as votes
+// land. Cards are sent with parse_mode HTML, so everything user-supplied is escaped here.
+
+const OUTCOME_HEADERS = {
+    pending: '🗳 Open for votes',
+    approved: '✅ Approved',
+    rejected: '❌ Rejected',
+    expired: '⌛ Expired',
+};
+
+/**
+ * Escapes text for Telegram's HTML parse mode.
+ * @param {string} text Raw text.
+ * @returns {string} Escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders an approver for the card, tagging the Telegram user who linked the account if there is one.
+ * @param {string} accountId Hedera account ID.
+ * @param {Map<string, {telegramId: number, username?: string|null}>} members Linked Telegram users by account ID.
+ * @returns {string} HTML.
+ */
+function approverLabel(accountId, members) {
+    const member = members.get(accountId);
+    if (!member) return `<code>${accountId}</code>`;
+    if (member.username) return `@${escapeHtml(member.username)} (<code>${accountId}</code>)`;
+    return `<a href="tg://user?id=${member.telegramId}">${accountId}</a>`;
+}
+
+/**
+ * Formats the status card of a proposal.
+ * @param {string} topicId The proposal topic.
+ * @param {{description?: string, confidential?: object, deadline?: string}} proposal Proposal rules; confidential ones show a label.
+ * @param {object} tally Result of `computeTally`.
+ * @param {{members?: Map<string, object>, explorerUrl?: string|null}} [options] Linked Telegram users by account ID
+ *        (see `approverLabel`) and a link to the topic.
+ * @returns {string} Card text in Telegram HTML.
+ */
+export function formatStatusCard(topicId, proposal, tally, options = {}) {
+    const members = options.members || new Map();
+    const list = (ids) => ids.map(id => approverLabel(id, members)).join(', ');
+    const lines = [
+        `<b>${OUTCOME_HEADERS[tally.outcome] || OUTCOME_HEADERS.pending}</b>`,
+        escapeHtml(publicDescription(proposal)),
+        `Topic: <code>${topicId}</code>`,
+        ``,
+    ];
+
+    if (tally.approvals.length) lines.push(`✅ Approved: ${list(tally.approvals)}`);
+    if (tally.rejections.length) lines.push(`❌ Rejected: ${list(tally.rejections)}`);
+    if (tally.abstentions.length) lines.push(`➖ Abstained: ${list(tally.abstentions)}`);
+    if (tally.outcome === 'pending' && tally.outstanding.length) lines.push(`⏳ Waiting for: ${list(tally.outstanding)}`);
+
+    lines.push(``);
+    if (tally.outcome === 'pending') {
+        if (tally.explanation) {
+            lines.push(`Approval rule: ${escapeHtml(tally.rule)}`, escapeHtml(formatExplanation(tally.explanation)));
+        } else {
+            lines.push(`Approvals: ${tally.approvals.length}/${tally.threshold} - ${tally.threshold - tally.approvals.length} more needed.`);
+        }
+        if (tally.rejectThreshold) lines.push(`Rejected after ${tally.rejectThreshold} rejection(s).`);
+        if (tally.deadline) lines.push(`Voting closes at ${tally.deadline}.`);
+    } else if (tally.outcome === 'approved') {
+        lines.push(tally.explanation ? `The approval rule has been met.` : `${tally.approvals.length}/${tally.threshold} approvals reached.`);
+    } else if (tally.outcome === 'rejected') {
+        lines.push(`Approval is no longer possible.`);
+    } else {
+        lines.push(`The deadline (${tally.deadline}) passed without a decision.`);
+    }
+
+    if (options.explorerUrl) lines.push(``, `<a href="${escapeHtml(options.explorerUrl)}">View on HashScan</a>`);
+    return lines.join('\n');
+}
+
+/**
+ * Builds the buttons under a status card. Decided proposals get no buttons.
+ * @param {string} topicId The proposal topic.
+ * @param {string} outcome Tally outcome.
+ * @returns {{inline_keyboard: Array<Array<object>>}} Telegram reply markup.
+ */
+export function statusCardKeyboard(topicId, outcome) {
+    if (outcome !== 'pending') return { inline_keyboard: [] };
+    return {
+        inline_keyboard: [
+            [
+                { text: '✅ Approve', callback_data: `vote:approve:${topicId}` },
+                { text: '❌ Reject', callback_data: `vote:reject:${topicId}` },
+            ],
+            [{ text: '🔄 Refresh', callback_data: `card:refresh:${topicId}` }],
+        ],
+    };
+}
@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import { accessSync, constants, mkdirSync } from 'fs';
+import path from 'path';
+
+// --- Pluggable Storage ---
+// Approvr state (account links, proposals, pending challenges, webhooks) lives behind a small key-value
+// backend interface so it survives serverless cold starts. Pick a backend with APPROVR_STORAGE:
+//   file   - JSON file on local disk (default), path from APPROVR_DATA_FILE; memory if its directory isn't writable
+//   redis  - any Redis server speaking the Upstash REST protocol (Upstash, Vercel KV, ...)
+//   memory - process memory only, for tests and throwaway demos
+//
+// A backend implements:
+//   get(key) -> value | null
+//   set(key, value, ttlSeconds?) -> void
+//   delete(key) -> void
+//   keys(prefix) -> string[]
+
+const DEFAULT_DATA_FILE = path.join(process.cwd(), 'data', 'approvr.json');
+
+/**
+ * Creates a backend that keeps everything in process memory.
+ * @returns {object} Storage backend.
+ */
+export function createMemoryBackend() {
+    const entries = new Map(); // key -> { value, expiresAt }
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    return {
+        async get(key) {
+            const entry = live(key);
+            // Hand out copies so callers can't mutate stored records by accident.
+            return entry ? structuredClone(entry.value) : null;
+        },
+        async set(key, value, ttlSeconds) {
+            entries.set(key, { value: structuredClone(value), expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async keys(prefix) {
+            return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && live(key));
+        },
+    };
+}
+
+/**
+ * Creates a backend persisted to a single JSON file. Suitable for local development and
+ * single-instance deployments; writes are serialized and replace the file atomically.
+ * @param {string} [filePath] Location of the JSON file. Parent directories are created as needed.
+ * @returns {object} Storage backend.
+ */
+export function createFileBackend(filePath = DEFAULT_DATA_FILE) {
+    let cache = null;
+    let writeQueue = Promise.resolve();
+
+    const load = async () => {
+        if (cache) return cache;
+        try {
+            cache = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read storage file ${filePath}: ${error.message}`);
+            }
+            cache = {};
+        }
+        return cache;
+    };
+
+    const persist = () => {
+        const snapshot = JSON.stringify(cache, null, 2);
+        // A failed write is reported to its own caller only; the next write still runs (and saves everything).
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, filePath);
+        });
+        return writeQueue;
+    };
+
+    const live = (data, key) => {
+        const entry = data[key];
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+        return entry;
+    };
+
+    return {
+        async get(key) {
+            const entry = live(await load(), key);
+            return entry ? structuredClone(entry.value) : null;
+        },
+        async set(key, value, ttlSeconds) {
+            const data = await load();
+            data[key] = { value: structuredClone(value), expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null };
+            await persist();
+        },
+        async delete(key) {
+            const data = await load();
+            if (key in data) {
+                delete data[key];
+                await persist();
+            }
+        },
+        async keys(prefix) {
+            const data = await load();
+            return Object.keys(data).filter(key => key.startsWith(prefix) && live(data, key));
+        },
+    };
+}
+
+/**
+ * Creates a backend for a Redis server exposed over the Upstash REST protocol
+ * (Upstash Redis, Vercel KV, or a self-hosted REST proxy in front of Redis).
+ * @param {{url: string, token: string, keyPrefix?: string}} options REST endpoint, bearer token and key namespace.
+ * @returns {object} Storage backend.
+ */
+export function createRedisBackend({ url, token, keyPrefix = 'approvr:' }) {
+    if (!url || !token) {
+        throw new Error('Redis storage requires REDIS_REST_URL and REDIS_REST_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN).');
+    }
+    const baseUrl = url.replace(/\/+$/, '');
+
+    const command = async (...args) => {
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(args),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.error) {
+            throw new Error(`Redis ${args[0]} failed: ${data.error || response.status}`);
+        }
+        return data.result;
+    };
+
+    return {
+        async get(key) {
+            const raw = await command('GET', keyPrefix + key);
+            return raw == null ? null : JSON.parse(raw);
+        },
+        async set(key, value, ttlSeconds) {
+            const args = ['SET', keyPrefix + key, JSON.stringify(value)];
+            if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+            await command(...args);
+        },
+        async delete(key) {
+            await command('DEL', keyPrefix + key);
+        },
+        async keys(prefix) {
+            const found = new Set();
+            let cursor = '0';
+            do {
+                const [nextCursor, batch] = await command('SCAN', cursor, 'MATCH', `${keyPrefix}${prefix}*`, 'COUNT', 200);
+                batch.forEach(key => found.add(key.substring(keyPrefix.length)));
+                cursor = String(nextCursor);
+            } while (cursor !== '0');
+            return Array.from(found);
+        },
+    };
+}
+
+/**
+ * Builds a record collection on top of a backend, namespaced by a key prefix.
+ * @param {object} backend Storage backend.
+ * @param {string} namespace Collection name, used as key prefix.
+ * @returns {{get: Function, set: Function, delete: Function, list: Function}} Collection API.
+ */
+function createCollection(backend, namespace) {
+    const prefix = `${namespace}:`;
+    return {
+        get: (id) => backend.get(prefix + id),
+        set: (id, value, ttlSeconds) => backend.set(prefix + id, value, ttlSeconds),
+        delete: (id) => backend.delete(prefix + id),
+        async list() {
+            const keys = await backend.keys(prefix);
+            const records = await Promise.all(keys.map(key => backend.get(key)));
+            return keys
+                .map((key, i) => ({ id: key.substring(prefix.length), value: records[i] }))
+                .filter(entry => entry.value !== null);
+        },
+    };
+}
+
+/**
+ * Wraps a backend in the collections Approvr uses.
+ * - accountLinks: Chat user ID (Telegram user ID, or "slack:<team>:<user>") -> { hederaAccountId, linkedAt, username }
+ * - proposals: Topic ID -> proposal registry record (description, rules, chat, creator, last known outcome; see proposal-registry.js)
+ * - challenges: Chat user ID -> pending /linkaccount challenge (stored with a TTL)
+ * - drafts: Draft ID -> proposal drafted from natural language, awaiting confirmation (stored with a TTL)
+ * - topicStates: Topic ID -> cursor, proposal and verified votes for incremental tallies (see topic-state.js)
+ * - webhooks: Webhook ID -> outbound webhook subscription (URL, events, signing secret; see webhooks.js)
+ * - webhookDeliveries: Delivery ID -> one event sent to one webhook, with every attempt (stored with a TTL)
+ * - watchCursors: Topic ID -> last message and outcome the watcher has notified about (see topic-watcher.js)
+ * - encryptionKeys: Hedera account ID -> { publicKey, signature, registeredAt }, the approver's key for confidential proposals
+ * - sealedProposals: Topic ID -> SealedProposal, the encrypted description and action of a confidential proposal (see sealed-proposals.js)
+ * - voteRequests: "<chat user ID>:<topic ID>" -> vote payload waiting for the approver's signature, on platforms without the Mini App (stored with a TTL)
+ * @param {object} backend Storage backend.
+ * @returns {object} Storage API.
+ */
+export function createStorageFromBackend(backend) {
+    return {
+        backend,
+        accountLinks: createCollection(backend, 'link'),
+        proposals: createCollection(backend, 'proposal'),
+        challenges: createCollection(backend, 'challenge'),
+        drafts: createCollection(backend, 'draft'),
+        topicStates: createCollection(backend, 'topic'),
+        webhooks: createCollection(backend, 'webhook'),
+        webhookDeliveries: createCollection(backend, 'delivery'),
+        watchCursors: createCollection(backend, 'watch'),
+        encryptionKeys: createCollection(backend, 'enckey'),
+        sealedProposals: createCollection(backend, 'sealed'),
+        voteRequests: createCollection(backend, 'voterequest'),
+    };
+}
+
+function isWritableDirectory(dir) {
+    try {
+        mkdirSync(dir, { recursive: true });
+        accessSync(dir, constants.W_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Creates the storage configured through environment variables.
+ * The file backend falls back to memory, with a warning, when the directory of its file can't be written,
+ * e.g. on Vercel, whose file system is read-only; use Redis there.
+ * @param {object} [env] Environment to read settings from (defaults to process.env).
+ * @returns {object} Storage API.
+ */
+export function createStorage(env = process.env) {
+    const restUrl = env.REDIS_REST_URL || env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+    const restToken = env.REDIS_REST_TOKEN || env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+    const kind = (env.APPROVR_STORAGE || (restUrl ? 'redis' : 'file')).toLowerCase();
+
+    switch (kind) {
+        case 'memory':
+            console.warn("Using in-memory storage. All links and proposals are lost on restart.");
+            return createStorageFromBackend(createMemoryBackend());
+        case 'file': {
+            const filePath = env.APPROVR_DATA_FILE || DEFAULT_DATA_FILE;
+            if (!isWritableDirectory(path.dirname(filePath))) {
+                console.warn(`Can't write to ${path.dirname(filePath)}, using in-memory storage instead. All links and proposals are lost on restart. ` +
+                    "On Vercel and other read-only file systems, set REDIS_REST_URL and REDIS_REST_TOKEN (or connect Vercel KV).");
+                return createStorageFromBackend(createMemoryBackend());
+            }
+            console.log(`Using file storage at ${filePath}`);
+            return createStorageFromBackend(createFileBackend(filePath));
+        }
+        case 'redis':
+            console.log("Using Redis REST storage.");
+            return createStorageFromBackend(createRedisBackend({ url: restUrl, token: restToken, keyPrefix: env.REDIS_KEY_PREFIX || 'approvr:' }));
+        default:
+            throw new Error(`Unknown APPROVR_STORAGE "${kind}". Use file, redis or memory.`);
+    }
+}
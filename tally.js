@@ -0,0 +1,223 @@
+// --- Tally Logic ---
+// Pure functions that turn a proposal's rules and its verified votes into an outcome.
+// Nothing in here talks to the network, so the same code can recompute a tally anywhere.
+
+import { policyForProposal, isPolicySatisfied, explainPolicy, describeRule, formatExplanation } from './policy.js';
+import { describeAction } from './actions.js';
+import { publicDescription } from './sealed-proposals.js';
+
+function evaluateOutcome({ approvers, rejectThreshold }, policy, decisions) {
+    const approving = approvers.filter(id => decisions.get(id) === 'APPROVE');
+    const rejections = approvers.filter(id => decisions.get(id) === 'REJECT').length;
+    const outstanding = approvers.filter(id => !decisions.has(id));
+
+    if (isPolicySatisfied(policy, approvers, approving)) return 'approved';
+    if (rejectThreshold && rejections >= rejectThreshold) return 'rejected';
+    if (!isPolicySatisfied(policy, approvers, [...approving, ...outstanding])) return 'rejected';
+    return 'pending';
+}
+
+/**
+ * Computes the outcome of a proposal from its verified votes.
+ * Votes are replayed in consensus-timestamp order and each approver's latest vote is the one
+ * that counts; a REVOKE withdraws the approver's previous vote. Once the proposal is decided
+ * (approved or rejected), later votes are still recorded in the history but no longer change
+ * the outcome or the counts it was decided on.
+ * Signed votes can be resubmitted by anyone who has seen them, so a vote only counts if its signed
+ * `timestamp` is later than the approver's last counted vote, and a signature only counts once.
+ * Proposals with an approval `policy` (groups, weights, AND/OR clauses) are approved once the policy
+ * is met; the others once `threshold` approvals are in.
+ * A proposal is rejected when approval becomes mathematically impossible, or when the optional
+ * `rejectThreshold` number of rejections is reached. If the proposal has a deadline, votes
+ * reaching consensus after it are ignored, and an undecided proposal past its deadline is expired.
+ * @param {{approvers: Array<string>, threshold?: number, policy?: object, rejectThreshold?: number, deadline?: string}} proposal Proposal rules.
+ * @param {Array<{accountId: string, decision: string, timestamp?: string, signature?: string, consensusAt?: number, sequenceNumber?: number, comment?: string}>} votes
+ *        Verified votes (`timestamp` is the signed vote time, `consensusAt` the consensus time in ms; a comment and the sequence number
+ *        are kept in the vote history).
+ * @param {{now?: number}} [options] Current time in ms, used to decide whether the deadline has passed.
+ * @returns {{outcome: string, approvals: Array<string>, rejections: Array<string>, abstentions: Array<string>, outstanding: Array<string>,
+ *          decidedBy?: string, lateVotes: number, history: Object<string, Array<object>>, rule?: string, explanation?: object}}
+ *          Tally result; outcome is 'approved', 'rejected', 'expired' or 'pending'. Policy proposals also get the rule as
+ *          text and an explanation of which clauses are met (see `explainPolicy`).
+ */
+export function computeTally(proposal, votes, options = {}) {
+    const { approvers, threshold, rejectThreshold } = proposal;
+    const policy = policyForProposal(proposal);
+    const deadlineMs = proposal.deadline ? Date.parse(proposal.deadline) : null;
+    const now = options.now ?? Date.now();
+    const decisions = new Map(); // accountId -> latest counted decision
+    const lastSignedAt = new Map(); // accountId -> signed time (ms) of the latest counted vote
+    const signatures = new Set();
+    const history = Object.fromEntries(approvers.map(id => [id, []]));
+    let outcome = 'pending';
+    let decidedBy;
+    let lateVotes = 0;
+
+    for (const vote of sortByConsensus(votes)) {
+        if (!approvers.includes(vote.accountId)) continue;
+        const entry = {
+            decision: vote.decision,
+            at: Number.isFinite(vote.consensusAt) ? new Date(vote.consensusAt).toISOString() : null,
+            counted: false,
+        };
+        if (vote.comment) entry.comment = vote.comment;
+        if (Number.isFinite(vote.sequenceNumber)) entry.sequenceNumber = vote.sequenceNumber;
+        history[vote.accountId].push(entry);
+
+        if (deadlineMs !== null && !(vote.consensusAt <= deadlineMs)) {
+            // Votes without a consensus time can't be shown to be on time either.
+            entry.note = 'after deadline';
+            lateVotes++;
+            continue;
+        }
+        if (outcome !== 'pending') {
+            entry.note = 'after decision';
+            continue;
+        }
+        const signedAt = vote.timestamp ? Date.parse(vote.timestamp) : NaN;
+        if ((vote.signature && signatures.has(vote.signature)) ||
+            (lastSignedAt.has(vote.accountId) && !(signedAt > lastSignedAt.get(vote.accountId)))) {
+            entry.note = 'replayed';
+            continue;
+        }
+        if (vote.signature) signatures.add(vote.signature);
+        if (Number.isFinite(signedAt)) lastSignedAt.set(vote.accountId, signedAt);
+
+        if (vote.decision === 'REVOKE') {
+            decisions.delete(vote.accountId);
+        } else {
+            decisions.set(vote.accountId, vote.decision);
+        }
+        entry.counted = true;
+
+        outcome = evaluateOutcome(proposal, policy, decisions);
+        if (outcome !== 'pending') decidedBy = vote.accountId;
+    }
+
+    if (outcome === 'pending' && deadlineMs !== null && now > deadlineMs) {
+        outcome = 'expired';
+    }
+
+    const byDecision = (decision) => approvers.filter(id => decisions.get(id) === decision);
+    const result = {
+        outcome,
+        decidedBy,
+        lateVotes,
+        deadline: proposal.deadline || null,
+        approvals: byDecision('APPROVE'),
+        rejections: byDecision('REJECT'),
+        abstentions: byDecision('ABSTAIN'),
+        outstanding: approvers.filter(id => !decisions.has(id)),
+        threshold,
+        rejectThreshold: rejectThreshold || null,
+        history,
+    };
+    if (proposal.policy) {
+        result.rule = describeRule(policy.rule);
+        result.explanation = explainPolicy(policy, approvers, result.approvals);
+    }
+    return result;
+}
+
+// Orders votes by consensus time, then sequence number; votes without either keep their relative order.
+function sortByConsensus(votes) {
+    return votes
+        .map((vote, index) => ({ vote, index }))
+        .sort((a, b) =>
+            (a.vote.consensusAt ?? 0) - (b.vote.consensusAt ?? 0) ||
+            (a.vote.sequenceNumber ?? 0) - (b.vote.sequenceNumber ?? 0) ||
+            a.index - b.index)
+        .map(({ vote }) => vote);
+}
+
+/**
+ * Formats a tally result for chat.
+ * @param {string} topicId The proposal topic.
+ * @param {{description?: string, action?: object, confidential?: object}} proposal Proposal rules; a confidential proposal
+ *        shows its commitment instead of the description.
+ * @param {object} tally Result of `computeTally`.
+ * @param {{explorerUrl?: string, ignored?: number, outside?: Array<{sequenceNumber: number, payerAccountId: string}>}} [options] Link to the
+ *        topic, number of ignored messages and the messages posted outside the topic's access policy.
+ * @returns {string} Human-readable summary.
+ */
+export function formatTally(topicId, proposal, tally, options = {}) {
+    const list = (ids) => (ids.length ? ids.join(', ') : '-');
+    const usesPolicy = !!tally.explanation;
+    const counts =
+        `✅ Approvals (${tally.approvals.length}${usesPolicy ? '' : `/${tally.threshold}`}): ${list(tally.approvals)}\n` +
+        `❌ Rejections (${tally.rejections.length}${tally.rejectThreshold ? `/${tally.rejectThreshold}` : ''}): ${list(tally.rejections)}\n` +
+        `➖ Abstentions (${tally.abstentions.length}): ${list(tally.abstentions)}\n` +
+        `⏳ Not voted yet (${tally.outstanding.length}): ${list(tally.outstanding)}\n` +
+        (usesPolicy ? `\nApproval rule: ${tally.rule}\n${formatExplanation(tally.explanation)}\n` : '');
+
+    const details = proposal.confidential
+        ? `${publicDescription(proposal)} (approvers can open it in the Mini App)\nCommitment (SHA-256): ${proposal.confidential.commitment}`
+        : proposal.description;
+
+    let message;
+    if (tally.outcome === 'approved') {
+        message = `✅ Proposal Approved!\n\n` +
+                  (usesPolicy
+                      ? `The approval rule has been met for the proposal in topic \`${topicId}\`.\n\n`
+                      : `The required number of approvals (${tally.approvals.length}/${tally.threshold}) has been reached for the proposal in topic \`${topicId}\`.\n\n`) +
+                  `Proposal Details:\n${details}\n\n` +
+                  counts +
+                  `\nNext Steps:\n` +
+                  (proposal.action
+                      ? `Approvr schedules the proposal's action on Hedera: ${describeAction(proposal.action)}.\n`
+                      : proposal.confidential && proposal.confidential.hasAction
+                          ? `Approvr schedules the proposal's confidential action once an approver releases it in the Mini App.\n`
+                          : `The action described in the proposal can now be executed manually by the relevant party, as consensus has been recorded on Hedera.\n`);
+    } else if (tally.outcome === 'rejected') {
+        const reason = tally.rejectThreshold && tally.rejections.length >= tally.rejectThreshold
+            ? `The rejection threshold (${tally.rejectThreshold}) has been reached.`
+            : usesPolicy
+                ? `Approval is no longer possible: even if every remaining approver approves, the approval rule cannot be met.`
+                : `Approval is no longer possible: even if every remaining approver approves, the threshold of ${tally.threshold} cannot be met.`;
+        message = `❌ Proposal Rejected\n\n` +
+                  `${reason}\n\n` +
+                  `Proposal Details:\n${details}\n\n` +
+                  counts;
+    } else if (tally.outcome === 'expired') {
+        message = `⌛ Proposal Expired\n\n` +
+                  `The deadline (${tally.deadline}) passed before the proposal was approved or rejected.\n\n` +
+                  `Proposal Details:\n${details}\n\n` +
+                  counts;
+    } else {
+        const needed = tally.threshold - tally.approvals.length;
+        message = `Proposal: ${details}\n` +
+                  (usesPolicy
+                      ? `Current tally: ${tally.approvals.length} approval(s). The approval rule is not met yet.\n`
+                      : `Current tally: ${tally.approvals.length}/${tally.threshold} approvals. Need ${needed} more approval(s).\n`) +
+                  (tally.deadline ? `Deadline: ${tally.deadline}\n` : '') +
+                  `\n` +
+                  counts;
+    }
+
+    const historyLines = Object.entries(tally.history || {})
+        .filter(([, entries]) => entries.length > 0)
+        .map(([accountId, entries]) => `- ${accountId}: ` + entries.map(entry =>
+            `${entry.decision}${entry.at ? ` (${entry.at})` : ''}${entry.comment ? ` "${entry.comment}"` : ''}${entry.note ? ` [${entry.note}, not counted]` : ''}`
+        ).join(' → '));
+    if (historyLines.length > 0) {
+        message += `\nVote history:\n${historyLines.join('\n')}\n`;
+    }
+
+    if (options.explorerUrl) {
+        message += `\n🔗 View the immutable record on HashScan: ${options.explorerUrl}\n` +
+                   `Every counted vote is signed by the approver's own Hedera key and can be verified from the topic messages. ` +
+                   `/export ${topicId} gives auditors a bundle they can check offline.`;
+    }
+    if (tally.lateVotes > 0) {
+        message += `\n\n⌛ ${tally.lateVotes} vote(s) arrived after the deadline and were not counted.`;
+    }
+    if (options.ignored > 0) {
+        message += `\n\n⚠️ ${options.ignored} message(s) were ignored because they were unsigned, had an invalid signature or came from a non-approver.`;
+    }
+    if (options.outside && options.outside.length > 0) {
+        const listed = options.outside.slice(0, 5).map(m => `#${m.sequenceNumber} by ${m.payerAccountId || 'an unknown account'}`).join(', ');
+        message += `\n\n🚩 ${options.outside.length} message(s) were posted by accounts this topic does not allow: ${listed}` +
+                   `${options.outside.length > 5 ? ', ...' : ''}. Votes among them only count if an approver signed them.`;
+    }
+    return message.trimEnd();
+}
@@ -0,0 +1,58 @@
+import { CORE_COMMANDS } from './bot-core.js';
+
+// --- Telegram Adapter ---
+// Runs the shared chat commands (bot-core.js) as Telegraf commands. Telegram users are keyed by their numeric
+// user ID and chats by their chat ID, as they were before other platforms existed; group and supergroup chat IDs
+// are negative. Replies are sent with legacy Markdown when marked so, and buttons become inline keyboard buttons
+// (Mini App buttons as `web_app`, which Telegram only allows in private chats).
+
+export const TELEGRAM_PLATFORM = { name: 'Telegram', commandPrefix: '/', miniApp: true };
+
+/**
+ * Converts a Reply to the arguments of `ctx.reply` or `telegram.sendMessage`.
+ * @param {object} reply A Reply from the bot core.
+ * @returns {[string, object]} The text and the extra options.
+ */
+export function telegramMessage({ text, markdown, buttons }) {
+    const extra = {};
+    if (markdown) extra.parse_mode = 'Markdown';
+    if (buttons && buttons.length) {
+        extra.reply_markup = {
+            inline_keyboard: [buttons.map(button => button.miniApp
+                ? { text: button.text, web_app: { url: button.url } }
+                : { text: button.text, url: button.url })],
+        };
+    }
+    return [text, extra];
+}
+
+/**
+ * Builds the ChatMessage of a Telegraf command update.
+ * @param {object} ctx Telegraf context of a command (`ctx.command` and `ctx.payload` are set by `bot.command`).
+ * @param {object} platform The platform the core sees.
+ * @returns {object} The ChatMessage.
+ */
+export function chatMessageFromContext(ctx, platform) {
+    return {
+        command: ctx.command,
+        args: ctx.payload || '',
+        user: { id: ctx.from.id, username: ctx.from.username || null },
+        chat: { id: ctx.chat.id.toString(), isGroup: ctx.chat.type !== 'private' },
+        platform,
+    };
+}
+
+/**
+ * Registers the shared chat commands on a Telegraf bot.
+ * @param {import('telegraf').Telegraf} bot The bot.
+ * @param {{handle: Function}} core The bot core from `createBotCore`.
+ * @param {{platform?: object}} [options] The platform the core sees, e.g. TELEGRAM_PLATFORM with Telegram-only help sections.
+ */
+export function registerCoreCommands(bot, core, { platform = TELEGRAM_PLATFORM } = {}) {
+    bot.command(CORE_COMMANDS, async (ctx) => {
+        await core.handle(chatMessageFromContext(ctx, platform), {
+            reply: (reply) => ctx.reply(...telegramMessage(reply)),
+            working: () => ctx.sendChatAction('typing'),
+        });
+    });
+}
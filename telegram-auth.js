@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// Mini App sessions older than this are rejected, even with a valid signature.
+const DEFAULT_MAX_AGE_SECONDS = parseInt(process.env.TELEGRAM_INIT_DATA_MAX_AGE || '3600', 10);
+
+/**
+ * Validates the `initData` string a Telegram Mini App receives from `Telegram.WebApp.initData`.
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData The raw, URL-encoded initData string.
+ * @param {string} botToken The bot token the Mini App was opened from.
+ * @param {{maxAgeSeconds?: number, now?: number}} [options] Freshness window and current time (ms) override.
+ * @returns {{valid: boolean, reason?: string, user?: object, authDate?: number}} Validation result.
+ */
+export function verifyTelegramInitData(initData, botToken, options = {}) {
+    const maxAgeSeconds = options.maxAgeSeconds ?? DEFAULT_MAX_AGE_SECONDS;
+    const now = options.now ?? Date.now();
+
+    if (!botToken) {
+        return { valid: false, reason: 'Server is missing TELEGRAM_BOT_TOKEN.' };
+    }
+    if (!initData || typeof initData !== 'string') {
+        return { valid: false, reason: 'Missing Telegram initData. Please open this page from the Telegram bot.' };
+    }
+
+    const params = new URLSearchParams(initData);
+    const receivedHash = params.get('hash');
+    if (!receivedHash || !/^[0-9a-f]{64}$/i.test(receivedHash)) {
+        return { valid: false, reason: 'initData has no valid hash.' };
+    }
+    params.delete('hash');
+
+    // Data-check-string: all remaining fields as "key=value", sorted by key, joined with "\n".
+    const dataCheckString = Array.from(params.entries())
+        .map(([key, value]) => `${key}=${value}`)
+        .sort()
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+
+    if (!crypto.timingSafeEqual(expectedHash, Buffer.from(receivedHash, 'hex'))) {
+        return { valid: false, reason: 'initData signature is invalid.' };
+    }
+
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (isNaN(authDate)) {
+        return { valid: false, reason: 'initData has no auth_date.' };
+    }
+    if (now / 1000 - authDate > maxAgeSeconds) {
+        return { valid: false, reason: 'initData is too old. Please reopen the Mini App from Telegram.' };
+    }
+
+    let user;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (e) {
+        user = null;
+    }
+    if (!user || typeof user.id !== 'number') {
+        return { valid: false, reason: 'initData does not identify a Telegram user.' };
+    }
+
+    return { valid: true, user, authDate };
+}
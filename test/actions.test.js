@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TopicMessageSubmitTransaction, TransferTransaction } from '@hashgraph/sdk';
+import { parseActionSpec, validateAction, checkActionSource, describeAction, buildActionTransaction, buildScheduleTransaction, formatExecution } from '../actions.js';
+import { encodeProposal, decodeProposal, encodeExecution, decodeExecution } from '../approvr-protocol.js';
+
+describe('parseActionSpec', () => {
+    it('parses HBAR transfers', () => {
+        assert.deepEqual(parseActionSpec('hbar:100:0.0.5005', { from: '0.0.4004' }), { type: 'hbar_transfer', amount: '100', to: '0.0.5005', from: '0.0.4004' });
+        assert.deepEqual(parseActionSpec('hbar:0.5:0.0.5005', { from: '0.0.42' }), { type: 'hbar_transfer', amount: '0.5', to: '0.0.5005', from: '0.0.42' });
+    });
+
+    it('parses token transfers and topic messages', () => {
+        assert.deepEqual(parseActionSpec('token:0.0.7007:250:0.0.5005', { from: '0.0.4004' }),
+            { type: 'token_transfer', tokenId: '0.0.7007', amount: 250, to: '0.0.5005', from: '0.0.4004' });
+        assert.deepEqual(parseActionSpec('message:0.0.8008:release%20v2:final', { from: '0.0.4004' }), { type: 'topic_message', topicId: '0.0.8008', message: 'release v2:final' });
+    });
+
+    it('rejects malformed specs', () => {
+        assert.throws(() => parseActionSpec('hbar:100'), /action=hbar/);
+        assert.throws(() => parseActionSpec('hbar:-1:0.0.5', { from: '0.0.4004' }), /HBAR amount/);
+        assert.throws(() => parseActionSpec('token:0.0.7:1.5:0.0.5', { from: '0.0.4004' }), /Token amount/);
+        assert.throws(() => parseActionSpec('hbar:100:0.0.5005'), /source account/);
+        assert.throws(() => parseActionSpec('nft:0.0.7'), /Unknown action/);
+    });
+});
+
+describe('validateAction', () => {
+    it('checks accounts and amounts', () => {
+        assert.equal(validateAction({ type: 'hbar_transfer', amount: '1', to: '0.0.5', from: '0.0.4' }), null);
+        assert.match(validateAction({ type: 'hbar_transfer', amount: '1', to: 'bob', from: '0.0.4' }), /recipient/);
+        assert.match(validateAction({ type: 'hbar_transfer', amount: '1.123456789', to: '0.0.5', from: '0.0.4' }), /8 decimals/);
+        assert.match(validateAction({ type: 'contract_call' }), /Unknown action type/);
+    });
+
+    it('requires transfers to name their source account', () => {
+        assert.match(validateAction({ type: 'hbar_transfer', amount: '1', to: '0.0.5' }), /source account/);
+        assert.match(validateAction({ type: 'token_transfer', tokenId: '0.0.7', amount: 1, to: '0.0.5' }), /source account/);
+        assert.equal(validateAction({ type: 'topic_message', topicId: '0.0.8', message: 'hi' }), null);
+    });
+});
+
+describe('checkActionSource', () => {
+    it('refuses transfers from the operator account', () => {
+        assert.match(checkActionSource({ type: 'hbar_transfer', amount: '1', to: '0.0.5', from: '0.0.42' }, '0.0.42'), /operator account 0\.0\.42/);
+        assert.match(checkActionSource({ type: 'token_transfer', tokenId: '0.0.7', amount: 1, to: '0.0.5', from: '0.0.42' }, '0.0.42'), /operator/);
+        assert.equal(checkActionSource({ type: 'hbar_transfer', amount: '1', to: '0.0.5', from: '0.0.4004' }, '0.0.42'), null);
+    });
+});
+
+describe('buildActionTransaction', () => {
+    it('moves HBAR from the source account', () => {
+        const tx = buildActionTransaction({ type: 'hbar_transfer', amount: '2', to: '0.0.5005', from: '0.0.4004' }, '0.0.42');
+        assert.ok(tx instanceof TransferTransaction);
+        const transfers = Object.fromEntries(Array.from(tx.hbarTransfers).map(([id, hbar]) => [id.toString(), hbar.toTinybars().toNumber()]));
+        assert.deepEqual(transfers, { '0.0.4004': -200000000, '0.0.5005': 200000000 });
+    });
+
+    it('never schedules a transfer without a source or from the operator', () => {
+        const context = { topicId: '0.0.9', operatorAccountId: '0.0.42' };
+        assert.throws(() => buildScheduleTransaction({ type: 'hbar_transfer', amount: '2', to: '0.0.5005' }, context), /source account/);
+        assert.throws(() => buildScheduleTransaction({ type: 'hbar_transfer', amount: '2', to: '0.0.5005', from: '0.0.42' }, context), /operator account/);
+    });
+
+    it('builds topic messages and schedules', () => {
+        const action = { type: 'topic_message', topicId: '0.0.8008', message: 'hello' };
+        assert.ok(buildActionTransaction(action, '0.0.42') instanceof TopicMessageSubmitTransaction);
+        const schedule = buildScheduleTransaction(action, { topicId: '0.0.9', operatorAccountId: '0.0.42' });
+        assert.equal(schedule.getScheduleMemo, 'approvr:0.0.9');
+        assert.equal(schedule.payerAccountId.toString(), '0.0.42');
+    });
+});
+
+describe('action envelopes', () => {
+    const action = { type: 'hbar_transfer', amount: '100', to: '0.0.5005', from: '0.0.4004' };
+
+    it('stores the action in a version 2 proposal', () => {
+        const decoded = decodeProposal(encodeProposal({ description: 'Pay', approvers: ['0.0.1'], threshold: 1, action }));
+        assert.equal(decoded.version, 2);
+        assert.deepEqual(decoded.action, action);
+        assert.equal(decoded.threshold, 1);
+    });
+
+    it('refuses proposals with invalid actions', () => {
+        assert.equal(decodeProposal(encodeProposal({ description: 'Pay', approvers: ['0.0.1'], threshold: 1, action: { type: 'hbar_transfer' } })), null);
+    });
+
+    it('round-trips execution records', () => {
+        const execution = { scheduleId: '0.0.77', scheduledTransactionId: '0.0.42@1700000000.000000001?scheduled', status: 'executed', executedAt: '2025-01-01T00:00:00.000Z' };
+        assert.deepEqual(decodeExecution(encodeExecution(execution)), execution);
+        assert.equal(decodeExecution('{"protocol":"approvr","type":"vote","version":1}'), null);
+    });
+
+    it('formats executions for chat', () => {
+        assert.equal(describeAction(action), 'Transfer 100 HBAR from 0.0.4004 to 0.0.5005');
+        const pending = formatExecution({ ...action, from: '0.0.900' }, { scheduleId: '0.0.77', status: 'awaiting_signatures' });
+        assert.match(pending, /keys of 0\.0\.900 have signed the schedule/);
+    });
+});
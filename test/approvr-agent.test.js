@@ -0,0 +1,66 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrivateKey } from '@hashgraph/sdk';
+import { configureAgent, createProposal, tallyApprovals, parseProposalRequest, submitVote, exportProposalAudit } from '../approvr-agent.js';
+import { createMemoryGateway } from '../hedera-gateway.js';
+import { createVotePayload, votePayloadToSign } from '../approvr-protocol.js';
+import { verifyAuditBundle } from '../audit-export.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+describe('approvr-agent initialisation', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        delete process.env.HEDERA_NETWORK;
+    });
+
+    it('imports without Hedera settings and reports them missing on use', async () => {
+        process.env.HEDERA_NETWORK = 'nowhere';
+        configureAgent();
+        const result = await createProposal('Pay vendor invoice', ['0.0.1001'], 1);
+        assert.equal(result.status, 'error');
+        assert.match(result.message, /^Failed to create proposal: Hedera access is not configured: Unknown HEDERA_NETWORK "nowhere"/);
+    });
+
+    it('uses the dependencies it is given', async () => {
+        const gateway = createMemoryGateway();
+        configureAgent({ gateway, network: { name: 'testnet', explorerUrl: 'https://hashscan.io/testnet' } });
+        const created = await createProposal('Pay vendor invoice', ['0.0.1001', '0.0.1002'], 2);
+        assert.equal(created.status, 'success');
+        assert.equal(gateway.topics.get(created.topicId).messages.length, 1);
+        assert.match((await tallyApprovals(created.topicId)).message, /Current tally: 0\/2 approvals/);
+
+        const invoked = [];
+        configureAgent({ gateway, llm: { withStructuredOutput: () => ({ invoke: async (messages) => { invoked.push(messages); throw new Error('offline'); } }) } });
+        assert.deepEqual(await parseProposalRequest('need @alice to sign off'), {
+            status: 'error', message: 'The language model could not read this request: offline',
+        });
+        assert.equal(invoked[0][1][1], 'need @alice to sign off');
+    });
+
+    it('exports counted votes with the key they were checked against', async () => {
+        const gateway = createMemoryGateway();
+        const key = PrivateKey.generateED25519();
+        gateway.registerAccount('0.0.1001', key.publicKey);
+        configureAgent({
+            gateway, network: { name: 'testnet', explorerUrl: 'https://hashscan.io/testnet' },
+            topicStates: createStorageFromBackend(createMemoryBackend()).topicStates,
+        });
+        const { topicId } = await createProposal('Pay vendor invoice', ['0.0.1001'], 1);
+        const timestamp = new Date().toISOString();
+        const payload = createVotePayload({ topicId, accountId: '0.0.1001', decision: 'APPROVE', timestamp });
+        const signature = Buffer.from(key.sign(Buffer.from(votePayloadToSign(payload)))).toString('hex');
+        assert.equal((await submitVote(topicId, '0.0.1001', 'APPROVE', { timestamp, signature })).status, 'success');
+        assert.match((await tallyApprovals(topicId)).message, /Approvals \(1\/1\): 0\.0\.1001/);
+
+        gateway.registerAccount('0.0.1001', PrivateKey.generateED25519().publicKey);
+        const { bundle } = await exportProposalAudit(topicId);
+        assert.deepEqual(bundle.result.approvals, ['0.0.1001']);
+        assert.equal(bundle.messages[1].vote.publicKey, key.publicKey.toStringDer());
+        assert.equal((await verifyAuditBundle(JSON.parse(JSON.stringify(bundle)))).valid, true);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeProposal, decodeProposal, parseEnvelope, validateProposal, createVotePayload, votePayloadToSign, encodeVote, decodeVote, validateVoteComment } from '../approvr-protocol.js';
+
+describe('proposal envelopes', () => {
+    it('round-trips a proposal', () => {
+        const content = encodeProposal({ description: 'Pay vendor', approvers: ['0.0.1', '0.0.2'], threshold: 2, createdAt: '2026-01-01T00:00:00.000Z' });
+        assert.equal(parseEnvelope(content).type, 'proposal');
+        assert.deepEqual(decodeProposal(content), {
+            version: 1,
+            description: 'Pay vendor',
+            approvers: ['0.0.1', '0.0.2'],
+            threshold: 2,
+            createdAt: '2026-01-01T00:00:00.000Z',
+        });
+    });
+
+    it('records the topic access policy', () => {
+        const access = { submit: 'approvers', admin: 'operator' };
+        const content = encodeProposal({ description: 'Pay vendor', approvers: ['0.0.1'], threshold: 1, access });
+        assert.equal(JSON.parse(content).version, 1);
+        assert.deepEqual(decodeProposal(content).access, access);
+        const unknown = JSON.parse(content);
+        unknown.access.submit = 'anyone';
+        assert.equal(decodeProposal(JSON.stringify(unknown)), null);
+    });
+
+    it('writes only the commitment of a confidential proposal', () => {
+        const confidential = { commitment: 'ab'.repeat(32), hasAction: true };
+        const content = encodeProposal({ description: 'Raise for Bob', action: { type: 'hbar_transfer', to: '0.0.7', amount: '5' },
+            approvers: ['0.0.1', '0.0.2'], threshold: 2, confidential, createdAt: '2026-01-01T00:00:00.000Z' });
+        assert.doesNotMatch(content, /Raise|hbar_transfer/);
+        assert.deepEqual(decodeProposal(content), {
+            version: 3,
+            confidential,
+            approvers: ['0.0.1', '0.0.2'],
+            createdAt: '2026-01-01T00:00:00.000Z',
+            threshold: 2,
+        });
+        // A description added next to the commitment is not the committed one, so it is ignored.
+        const revealed = { ...JSON.parse(content), description: 'Raise for Bob' };
+        assert.equal(decodeProposal(JSON.stringify(revealed)).description, undefined);
+    });
+
+    it('decodes the legacy plain-text format', () => {
+        const proposal = decodeProposal('Proposal: Send 1 HBAR\nApprovers: 0.0.1, 0.0.2, 0.0.3\nThreshold: 2');
+        assert.equal(proposal.description, 'Send 1 HBAR');
+        assert.deepEqual(proposal.approvers, ['0.0.1', '0.0.2', '0.0.3']);
+        assert.equal(proposal.threshold, 2);
+    });
+
+    it('rejects envelopes with inconsistent rules', () => {
+        const tooHigh = JSON.stringify({ protocol: 'approvr', type: 'proposal', version: 1, description: 'x', approvers: ['0.0.1'], threshold: 2 });
+        assert.equal(decodeProposal(tooHigh), null);
+        const future = JSON.stringify({ protocol: 'approvr', type: 'proposal', version: 99, description: 'x', approvers: ['0.0.1'], threshold: 1 });
+        assert.equal(decodeProposal(future), null);
+    });
+
+    it('ignores messages that are not proposals', () => {
+        assert.equal(decodeProposal('APPROVE:0.0.1'), null);
+        assert.equal(decodeProposal('{"hello":"world"}'), null);
+        assert.equal(parseEnvelope('{not json'), null);
+    });
+});
+
+describe('validateProposal', () => {
+    it('explains what is wrong', () => {
+        assert.match(validateProposal({ description: '', approvers: ['0.0.1'], threshold: 1 }), /Description/);
+        assert.match(validateProposal({ description: 'x', approvers: ['alice'], threshold: 1 }), /Invalid approver/);
+        assert.match(validateProposal({ description: 'x', approvers: ['0.0.1', '0.0.1'], threshold: 1 }), /duplicates/);
+        assert.match(validateProposal({ description: 'x', approvers: ['0.0.1'], threshold: 0 }), /Threshold/);
+        assert.equal(validateProposal({ description: 'x', approvers: ['0.0.1'], threshold: 1 }), null);
+        assert.match(validateProposal({ approvers: ['0.0.1'], threshold: 1, confidential: { commitment: 'nope', hasAction: false } }), /commitment/);
+        assert.equal(validateProposal({ approvers: ['0.0.1'], threshold: 1, confidential: { commitment: '0'.repeat(64), hasAction: false } }), null);
+    });
+});
+
+describe('signed votes', () => {
+    const payload = createVotePayload({ topicId: '0.0.500', accountId: '0.0.1', decision: 'APPROVE', timestamp: '2026-01-01T00:00:00.000Z' });
+
+    it('binds topic, account, decision and time into the signed text', () => {
+        assert.equal(votePayloadToSign(payload), 'approvr-vote:0.0.500:0.0.1:APPROVE:2026-01-01T00:00:00.000Z');
+    });
+
+    it('round-trips a vote envelope', () => {
+        assert.deepEqual(decodeVote(encodeVote(payload, 'abcd')), { payload, signature: 'abcd' });
+    });
+
+    it('rejects malformed votes', () => {
+        assert.equal(decodeVote('APPROVE:0.0.1'), null);
+        assert.equal(decodeVote(encodeVote({ ...payload, decision: 'MAYBE' }, 'abcd')), null);
+        assert.equal(decodeVote(JSON.stringify({ protocol: 'approvr', type: 'vote', version: 1, payload })), null);
+    });
+
+    it('signs and keeps a comment in a version 2 envelope', () => {
+        const commented = createVotePayload({ ...payload, comment: '  Checked the invoice ' });
+        assert.equal(commented.comment, 'Checked the invoice');
+        assert.equal(votePayloadToSign(commented), 'approvr-vote:0.0.500:0.0.1:APPROVE:2026-01-01T00:00:00.000Z\ncomment:Checked the invoice');
+        const content = encodeVote(commented, 'abcd');
+        assert.equal(JSON.parse(content).version, 2);
+        assert.deepEqual(decodeVote(content), { payload: commented, signature: 'abcd' });
+        assert.equal(JSON.parse(encodeVote(payload, 'abcd')).version, 1);
+    });
+
+    it('rejects comments on version 1 envelopes and comments that are not text', () => {
+        const envelope = { protocol: 'approvr', type: 'vote', version: 1, payload: { ...payload, comment: 'hi' }, signature: 'abcd' };
+        assert.equal(decodeVote(JSON.stringify(envelope)), null);
+        assert.equal(decodeVote(JSON.stringify({ ...envelope, version: 2, payload: { ...payload, comment: 5 } })), null);
+    });
+
+    it('limits the comment length', () => {
+        assert.equal(validateVoteComment(undefined), null);
+        assert.equal(validateVoteComment('x'.repeat(256)), null);
+        assert.match(validateVoteComment('x'.repeat(257)), /too long/);
+        assert.match(validateVoteComment('é'.repeat(129)), /too long/);
+        assert.match(validateVoteComment(42), /text/);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrivateKey } from '@hashgraph/sdk';
+import { replayTopic, buildAuditBundle, auditBundleToCsv, verifyAuditBundle, AUDIT_FORMAT } from '../audit-export.js';
+import { createMemoryGateway } from '../hedera-gateway.js';
+import { encodeProposal, encodeVote, createVotePayload, votePayloadToSign } from '../approvr-protocol.js';
+import { sealProposal } from '../sealed-proposals.js';
+
+const keys = { '0.0.1': PrivateKey.generateED25519(), '0.0.2': PrivateKey.generateED25519() };
+const exportedAt = '2026-01-01T12:00:00.000Z';
+
+function signedVote(topicId, accountId, decision, { key = keys[accountId], comment } = {}) {
+    const payload = createVotePayload({ topicId, accountId, decision, timestamp: '2026-01-01T10:00:00.000Z', comment });
+    return encodeVote(payload, Buffer.from(key.sign(Buffer.from(votePayloadToSign(payload)))).toString('hex'));
+}
+
+// A proposal topic on the memory gateway with one forged vote, exported like the agent does.
+async function exportedBundle({ confidential } = {}) {
+    const gateway = createMemoryGateway({ operatorAccountId: '0.0.42', now: () => Date.parse('2026-01-01T10:00:00.000Z') });
+    const { topicId } = await gateway.createTopic();
+    await gateway.submitMessage(topicId, encodeProposal({ description: 'Pay vendor, "urgent"', approvers: ['0.0.1', '0.0.2'], threshold: 2, confidential }));
+    await gateway.submitMessage(topicId, signedVote(topicId, '0.0.1', 'APPROVE', { comment: 'ok, paid before' }));
+    await gateway.submitMessage(topicId, signedVote(topicId, '0.0.2', 'APPROVE', { key: keys['0.0.1'] }));
+    await gateway.submitMessage(topicId, 'gm');
+
+    const messages = await gateway.getTopicMessages(topicId);
+    const publicKeys = {};
+    const replay = await replayTopic(topicId, messages, {
+        operatorAccountId: '0.0.42',
+        publicKeyOf: async (accountId) => {
+            publicKeys[accountId] = keys[accountId].publicKey.toStringDer();
+            return keys[accountId].publicKey;
+        },
+        now: Date.parse(exportedAt),
+    });
+    return buildAuditBundle({ topicId, messages, replay, publicKeys, operatorAccountId: '0.0.42', network: 'testnet', exportedAt });
+}
+
+describe('audit bundles', () => {
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => mock.restoreAll());
+
+    it('records every message, the checked votes and the outcome', async () => {
+        const bundle = await exportedBundle();
+        assert.equal(bundle.format, AUDIT_FORMAT);
+        assert.deepEqual(bundle.messages.map(m => [m.sequenceNumber, m.kind]), [[1, 'proposal'], [2, 'vote'], [3, 'vote'], [4, 'other']]);
+        assert.deepEqual(bundle.messages[1].vote.publicKey, keys['0.0.1'].publicKey.toStringDer());
+        assert.deepEqual(bundle.messages[2].vote, { accountId: '0.0.2', decision: 'APPROVE', counted: false });
+        assert.ok(bundle.messages.every(m => m.runningHash && m.consensusTimestamp));
+        assert.deepEqual(bundle.result, {
+            outcome: 'pending', approvals: ['0.0.1'], rejections: [], abstentions: [], outstanding: ['0.0.2'],
+            decidedBy: null, lateVotes: 0, ignoredMessages: 1, outsideMessages: [], execution: null, lastSequenceNumber: 4,
+        });
+    });
+
+    it('verifies an untouched bundle after a JSON round trip', async () => {
+        const bundle = JSON.parse(JSON.stringify(await exportedBundle()));
+        const verification = await verifyAuditBundle(bundle);
+        assert.deepEqual(verification.problems, []);
+        assert.equal(verification.valid, true);
+        assert.deepEqual(verification.chain, { valid: true, checked: 4 });
+    });
+
+    it('fails bundles whose messages or outcome were changed', async () => {
+        const dropped = await exportedBundle();
+        dropped.messages.splice(2, 1);
+        const droppedCheck = await verifyAuditBundle(dropped);
+        assert.equal(droppedCheck.valid, false);
+        assert.match(droppedCheck.problems[0], /^Running-hash chain: Message 4 is out of place/);
+
+        const claimed = await exportedBundle();
+        claimed.result.outcome = 'approved';
+        assert.deepEqual((await verifyAuditBundle(claimed)).problems, ['Recomputed outcome "pending" differs from the recorded "approved".']);
+
+        const swappedKey = await exportedBundle();
+        swappedKey.messages[1].vote.publicKey = keys['0.0.2'].publicKey.toStringDer();
+        assert.ok((await verifyAuditBundle(swappedKey)).problems.some(problem => /approvals/.test(problem)));
+
+        assert.equal((await verifyAuditBundle({ format: 'other' })).valid, false);
+    });
+
+    it('checks each counted vote against the key recorded with it', async () => {
+        const rotated = await exportedBundle();
+        rotated.publicKeys['0.0.1'] = PrivateKey.generateED25519().publicKey.toStringDer();
+        assert.deepEqual((await verifyAuditBundle(rotated)).problems, []);
+    });
+
+    it('reports ignored votes to the given warn function only', async () => {
+        const bundle = await exportedBundle();
+        const warnings = [];
+        const before = console.warn.mock.callCount();
+        await verifyAuditBundle(bundle, { warn: line => warnings.push(line) });
+        assert.deepEqual(warnings, ['Vote by 0.0.2 has an invalid signature, ignored.']);
+        assert.equal(console.warn.mock.callCount(), before);
+    });
+
+    it('checks the disclosed content of a confidential proposal against its commitment', async () => {
+        const { commitment, disclosure } = sealProposal({ description: 'Raise for Bob' }, []);
+        const bundle = await exportedBundle({ confidential: { commitment, hasAction: false } });
+        assert.deepEqual(bundle.proposal.confidential, { commitment, hasAction: false });
+        assert.doesNotMatch(JSON.stringify(bundle), /Raise for Bob/);
+
+        const verified = await verifyAuditBundle(bundle, { disclosure });
+        assert.deepEqual(verified.problems, []);
+        assert.equal(verified.disclosed, true);
+
+        const altered = await verifyAuditBundle(bundle, { disclosure: { ...disclosure, description: 'Raise for Alice' } });
+        assert.equal(altered.valid, false);
+        assert.equal(altered.disclosed, false);
+        assert.match(altered.problems[0], /does not match the commitment/);
+
+        assert.match((await verifyAuditBundle(await exportedBundle(), { disclosure })).problems[0], /not confidential/);
+    });
+
+    it('renders the messages as CSV', async () => {
+        const lines = auditBundleToCsv(await exportedBundle()).split('\r\n');
+        assert.equal(lines[0], 'sequence_number,consensus_timestamp,payer_account_id,running_hash,running_hash_version,kind,account_id,decision,comment,vote_counted,message');
+        assert.match(lines[2], /^2,1767261600\.000000002,0\.0\.42,[A-Za-z0-9+/=]+,3,vote,0\.0\.1,APPROVE,"ok, paid before",yes,"\{/);
+        assert.equal(lines.length, 6);
+        assert.equal(lines[5], '');
+    });
+});
@@ -0,0 +1,236 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBotCore, parseCreateCommand, helpMessage, isPastDeadline } from '../bot-core.js';
+import { TELEGRAM_PLATFORM } from '../telegram-adapter.js';
+import { SLACK_PLATFORM } from '../slack-adapter.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+const proposal = { description: 'Pay vendor', approvers: ['0.0.1001', '0.0.1002'], threshold: 2 };
+
+function message(command, args, { platform = TELEGRAM_PLATFORM, userId = 4242, chatId = '-100', username = 'ada' } = {}) {
+    return { command, args, user: { id: userId, username }, chat: { id: chatId, isGroup: true }, platform };
+}
+
+describe('parseCreateCommand', () => {
+    it('parses a plain threshold and options', () => {
+        const { fields, error } = parseCreateCommand('Pay vendor | 0.0.1001, 0.0.1002 | 2 | reject=1 action=hbar:5:0.0.9 from=0.0.4004');
+        assert.equal(error, undefined);
+        assert.equal(fields.description, 'Pay vendor');
+        assert.deepEqual(fields.approvers, ['0.0.1001', '0.0.1002']);
+        assert.equal(fields.threshold, 2);
+        assert.equal(fields.rejectThreshold, 1);
+        assert.deepEqual(fields.action, { type: 'hbar_transfer', amount: '5', to: '0.0.9', from: '0.0.4004' });
+        assert.equal(fields.confidential, false);
+    });
+
+    it('parses groups and a rule into a policy', () => {
+        const { fields } = parseCreateCommand('Pay | finance: 0.0.1, 0.0.2; eng: 0.0.3 | finance>=2 AND eng>=1');
+        assert.equal(fields.threshold, null);
+        assert.deepEqual(fields.policy.groups, { finance: ['0.0.1', '0.0.2'], eng: ['0.0.3'] });
+    });
+
+    it('explains what is wrong, with the platform command', () => {
+        assert.match(parseCreateCommand('', SLACK_PLATFORM).error, /Format: \/approvr create </);
+        assert.match(parseCreateCommand('Pay | 0.0.1').error, /^Invalid format/);
+        assert.match(parseCreateCommand('Pay | 0.0.1 | 2').error, /^Invalid threshold/);
+        assert.match(parseCreateCommand('Pay | 0.0.1 | 1 | colour=red').error, /^Unknown option "colour"/);
+        assert.match(parseCreateCommand('Pay | 0.0.1 | 1 | confidential=maybe').error, /^Invalid confidential option/);
+        assert.match(parseCreateCommand('Pay | 0.0.1 | 1 | deadline=yesterday').error, /^Invalid deadline/);
+        assert.match(parseCreateCommand('Pay | 0.0.1 | 1 | from=0.0.7').error, /only applies together with action/);
+    });
+});
+
+describe('helpMessage', () => {
+    it('spells commands for the platform and describes its way of voting', () => {
+        const telegram = helpMessage({ ...TELEGRAM_PLATFORM, helpSections: ['Export:\n    /export <topic_id>'] });
+        assert.match(telegram, /\n0\.  Link Your Hedera Account:\n    \/linkaccount <account_id>/);
+        assert.match(telegram, /Mini App link to sign your vote/);
+        assert.match(telegram, /4\.  Export:\n {4}\/export <topic_id>\n\n5\.  Get Help:/);
+
+        const slack = helpMessage(SLACK_PLATFORM);
+        assert.match(slack, /\/approvr create <description>/);
+        assert.match(slack, /\/approvr approve <topic_id> <signature_hex>/);
+        assert.doesNotMatch(slack, /status card/);
+    });
+});
+
+describe('isPastDeadline', () => {
+    it('compares the deadline with the current time', () => {
+        assert.equal(isPastDeadline({}), false);
+        assert.equal(isPastDeadline({ deadline: '2000-01-01T00:00:00Z' }), true);
+        assert.equal(isPastDeadline({ deadline: new Date(Date.now() + 60000).toISOString() }), false);
+    });
+});
+
+describe('createBotCore', () => {
+    let store;
+    let calls;
+    let replies;
+    let channel;
+
+    function coreWith(overrides = {}) {
+        return createBotCore({
+            store,
+            createProposal: async (fields, origin) => {
+                calls.created.push({ fields, origin });
+                return { result: { status: 'success', topicId: '0.0.500' }, reply: 'Proposal created successfully! Topic ID: 0.0.500.' };
+            },
+            getProposal: async (topicId) => topicId === '0.0.500'
+                ? { status: 'success', proposal }
+                : { status: 'error', code: 'not_found', message: `Topic ${topicId} does not contain an Approvr proposal.` },
+            tallyApprovals: async () => ({ status: 'success', message: 'Current tally: 1/2 approvals.', isApproved: false }),
+            submitVote: async (topicId, accountId, decision, signedVote) => {
+                calls.votes.push({ topicId, accountId, decision, signedVote });
+                return { status: 'success', sequenceNumber: 2, message: `Signed approval recorded for ${accountId}.`, transactionUrl: 'https://hashscan.io/testnet/transaction/x' };
+            },
+            miniAppUrl: ({ topicId, decision, accountId }) => `https://approvr.test/approve?topic_id=${topicId}&decision=${decision}&user_account=${accountId}`,
+            afterCreate: async (topicId) => { calls.afterCreate.push(topicId); },
+            afterVote: async () => 'pending',
+            verifySignedChallenge: async (challenge, signature) => signature === 'good'
+                ? { verified: true }
+                : { verified: false, reason: 'Signature does not match.' },
+            verifyMemoTransfer: async () => ({ verified: false, reason: 'No transaction with the challenge memo yet.' }),
+            ...overrides,
+        });
+    }
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        store = createStorageFromBackend(createMemoryBackend());
+        calls = { created: [], votes: [], afterCreate: [] };
+        replies = [];
+        channel = { reply: async (reply) => { replies.push(reply); }, working: async () => {} };
+        await store.accountLinks.set(4242, { hederaAccountId: '0.0.1001', username: 'ada' });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('links an account after a verified challenge', async () => {
+        const core = coreWith();
+        await core.handle(message('linkaccount', '0.0.2002', { userId: 'slack:T1:U9', platform: SLACK_PLATFORM, username: 'grace' }), channel);
+        assert.match(replies[0].text, /Then send: `\/approvr verify <signature_hex>`/);
+        assert.ok(await store.challenges.get('slack:T1:U9'));
+
+        await core.handle(message('verify', 'bad', { userId: 'slack:T1:U9', platform: SLACK_PLATFORM }), channel);
+        assert.equal(replies[1].text, '❌ Verification failed: Signature does not match.');
+
+        await core.handle(message('verify', 'good', { userId: 'slack:T1:U9', platform: SLACK_PLATFORM, username: 'grace' }), channel);
+        assert.match(replies[2].text, /Your Slack account is now linked/);
+        assert.equal((await store.accountLinks.get('slack:T1:U9')).hederaAccountId, '0.0.2002');
+        assert.equal(await store.challenges.get('slack:T1:U9'), null);
+    });
+
+    it('refuses invalid account IDs and verification without a challenge', async () => {
+        const core = coreWith();
+        await core.handle(message('linkaccount', 'alice'), channel);
+        await core.handle(message('verify', 'good'), channel);
+        assert.match(replies[0].text, /valid Hedera Account ID/);
+        assert.match(replies[1].text, /No pending link request/);
+    });
+
+    it('creates a proposal for the chat and user that asked', async () => {
+        const core = coreWith();
+        await core.handle(message('create', 'Pay vendor | 0.0.1001,0.0.1002 | 2'), channel);
+        assert.deepEqual(calls.created[0].origin, { chatId: '-100', creatorId: 4242 });
+        assert.deepEqual(replies, [{ text: 'Proposal created successfully! Topic ID: 0.0.500.', shared: true }]);
+        assert.deepEqual(calls.afterCreate, ['0.0.500']);
+
+        await core.handle(message('create', 'Pay vendor | 0.0.1001 | 3'), channel);
+        assert.equal(calls.created.length, 1);
+        assert.match(replies[1].text, /^Invalid threshold/);
+    });
+
+    it('answers a failed creation without throwing', async () => {
+        mock.method(console, 'error', () => {});
+        const core = coreWith({ createProposal: async () => { throw new Error('network down'); } });
+        await core.handle(message('create', 'Pay vendor | 0.0.1001 | 1'), channel);
+        assert.match(replies[0].text, /^Sorry, failed to create the proposal/);
+    });
+
+    it('sends approvers to the Mini App where there is one', async () => {
+        const core = coreWith();
+        await core.handle(message('reject', '0.0.500'), channel);
+        assert.equal(replies[0].buttons[0].miniApp, true);
+        assert.equal(replies[0].buttons[0].url, 'https://approvr.test/approve?topic_id=0.0.500&decision=REJECT&user_account=0.0.1001');
+
+        // Signatures can't be pasted on Telegram; the Mini App signs there.
+        await core.handle(message('approve', '0.0.500 abcdef'), channel);
+        assert.equal(replies[1].text, '❌ Invalid Topic ID.');
+    });
+
+    it('refuses votes from unlinked users and non-approvers', async () => {
+        const core = coreWith();
+        await core.handle(message('approve', '0.0.500', { userId: 777 }), channel);
+        assert.match(replies[0].text, /link your account first using \/linkaccount/);
+
+        await store.accountLinks.set(777, { hederaAccountId: '0.0.3003' });
+        await core.handle(message('approve', '0.0.500', { userId: 777 }), channel);
+        assert.equal(replies[1].text, '❌ Your account 0.0.3003 is not an approver for this proposal.');
+
+        await core.handle(message('approve', '0.0.404'), channel);
+        assert.equal(replies[2].text, '❌ Topic 0.0.404 does not contain an Approvr proposal.');
+    });
+
+    it('lets approvers sign the vote text in the chat without the Mini App', async () => {
+        const core = coreWith();
+        const slack = { userId: 4242, platform: SLACK_PLATFORM };
+        await core.handle(message('approve', '0.0.500 abcdef', slack), channel);
+        assert.match(replies[0].text, /There is no approval of 0.0.500 waiting for your signature/);
+
+        await core.handle(message('approve', '0.0.500', slack), channel);
+        const [, textToSign] = replies[1].text.match(/`(approvr-vote:[^`]+)`/);
+        assert.match(textToSign, /^approvr-vote:0\.0\.500:0\.0\.1001:APPROVE:/);
+        assert.match(replies[1].text, /Then send: `\/approvr approve 0.0.500 <signature_hex>`/);
+
+        // A signature for another decision doesn't match the waiting approval.
+        await core.handle(message('reject', '0.0.500 abcdef', slack), channel);
+        assert.match(replies[2].text, /no rejection of 0.0.500 waiting/);
+
+        await core.handle(message('approve', '0.0.500 abcdef', slack), channel);
+        assert.deepEqual(calls.votes, [{
+            topicId: '0.0.500', accountId: '0.0.1001', decision: 'APPROVE',
+            signedVote: { timestamp: textToSign.split(':APPROVE:')[1], signature: 'abcdef' },
+        }]);
+        assert.equal(replies[3].text, '✅ Signed approval recorded for 0.0.1001. The proposal is pending.\nhttps://hashscan.io/testnet/transaction/x');
+        assert.equal(replies[3].shared, true);
+        assert.equal(await store.voteRequests.get('4242:0.0.500'), null);
+    });
+
+    it('keeps the waiting vote when the signature is refused', async () => {
+        const core = coreWith({ submitVote: async () => ({ status: 'error', message: 'Failed to submit vote: Signature does not match the public key of 0.0.1001.' }) });
+        const slack = { platform: SLACK_PLATFORM };
+        await core.handle(message('approve', '0.0.500', slack), channel);
+        await core.handle(message('approve', '0.0.500 abcdef', slack), channel);
+        assert.match(replies[1].text, /^❌ Failed to submit vote: Signature does not match/);
+        assert.ok(await store.voteRequests.get('4242:0.0.500'));
+    });
+
+    it('tallies, reporting extra arguments and an executed action', async () => {
+        const core = coreWith({ afterTally: async () => ({ status: 'success', message: 'Scheduled the transfer as 0.0.900.' }) });
+        await core.handle(message('tally', '0.0.500 | 0.0.1 | 1'), channel);
+        assert.deepEqual(replies.map(reply => reply.text), [
+            'ℹ️ Approvers and threshold are now read from the proposal itself. Extra arguments were ignored.',
+            'Current tally: 1/2 approvals.',
+            'Scheduled the transfer as 0.0.900.',
+        ]);
+
+        await core.handle(message('tally', 'abc'), channel);
+        assert.equal(replies[3].text, '❌ Invalid Topic ID.');
+    });
+
+    it('answers help and unknown commands', async () => {
+        const core = coreWith();
+        await core.handle(message('help', '', { platform: SLACK_PLATFORM }), channel);
+        await core.handle(message('dance', '', { platform: SLACK_PLATFORM }), channel);
+        assert.match(replies[0].text, /\/approvr tally <topic_id>/);
+        assert.equal(replies[1].text, 'Unknown command "dance". Send /approvr help to see what I can do.');
+
+        for (const command of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+            await core.handle(message(command, '', { platform: SLACK_PLATFORM }), channel);
+            assert.equal(replies.at(-1).text, `Unknown command "${command}". Send /approvr help to see what I can do.`);
+        }
+    });
+});
@@ -0,0 +1,316 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Telegram } from 'telegraf';
+import { PrivateKey } from '@hashgraph/sdk';
+import { configureAgent } from '../approvr-agent.js';
+import { createMemoryGateway } from '../hedera-gateway.js';
+import { votePayloadToSign, encodeProposal } from '../approvr-protocol.js';
+
+// Drives the deployed app end to end: Telegram updates go in through /api/webhook, Mini App votes through
+// /api/approve. Hedera is the in-memory gateway (plus a mirror node that answers account keys from it), and
+// Telegram is a fake that records what the bot sends. Nothing leaves the process.
+const BOT_TOKEN = '123456:TEST';
+const GROUP = { id: -1001234567890, title: 'Treasury', type: 'supergroup' };
+
+// Approvers and a bystander: Telegram user, Hedera account and the key that signs for it.
+const users = {
+    ada: { id: 4242, username: 'ada', accountId: '0.0.5001', key: PrivateKey.generateED25519() },
+    bob: { id: 4343, username: 'bob', accountId: '0.0.5002', key: PrivateKey.generateED25519() },
+    cyd: { id: 4444, username: 'cyd', accountId: '0.0.5003', key: PrivateKey.generateED25519() },
+    eve: { id: 4545, username: 'eve', accountId: '0.0.5004', key: PrivateKey.generateED25519() },
+};
+
+const sign = (key, text) => Buffer.from(key.sign(Buffer.from(text, 'utf8'))).toString('hex');
+
+// Mini App initData as Telegram signs it for the bot (see telegram-auth.js).
+function initDataFor(user, { botToken = BOT_TOKEN } = {}) {
+    const params = new URLSearchParams({
+        auth_date: String(Math.floor(Date.now() / 1000)),
+        query_id: 'AAE-test',
+        user: JSON.stringify({ id: user.id, first_name: user.username, username: user.username }),
+    });
+    const dataCheckString = Array.from(params.entries()).map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+describe('Approvr end to end', () => {
+    let server;
+    let baseUrl;
+    let gateway;
+    let sent;
+    let updateId = 1;
+
+    // Sends a command as `user`, in a private chat unless a group chat is given, and returns the bot's messages.
+    async function command(user, text, chat = { id: user.id, username: user.username, type: 'private' }) {
+        const before = sent.length;
+        const entityLength = text.indexOf(' ') === -1 ? text.length : text.indexOf(' ');
+        const response = await fetch(`${baseUrl}/api/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                update_id: updateId++,
+                message: {
+                    message_id: updateId,
+                    from: { id: user.id, is_bot: false, first_name: user.username, username: user.username },
+                    chat,
+                    date: Math.floor(Date.now() / 1000),
+                    text,
+                    entities: [{ offset: 0, length: entityLength, type: 'bot_command' }],
+                },
+            }),
+        });
+        assert.equal(response.status, 200);
+        return sent.slice(before);
+    }
+
+    async function link(user) {
+        const [challenge] = await command(user, `/linkaccount ${user.accountId}`);
+        const message = challenge.text.match(/Sign this exact text with the account's key:\n`([^`]+)`/)[1];
+        const [verified] = await command(user, `/verify ${sign(user.key, message)}`);
+        assert.match(verified.text, new RegExp(user.accountId));
+    }
+
+    async function create(args) {
+        const replies = await command(users.ada, `/create ${args}`, GROUP);
+        const created = replies.find(reply => /Topic ID/.test(reply.text));
+        assert.ok(created, `no proposal created: ${replies.map(reply => reply.text).join(' / ')}`);
+        return created.text.match(/Topic ID:?\s*`?(0\.0\.\d+)/)[1];
+    }
+
+    async function vote(user, topicId, decision = 'APPROVE', overrides = {}) {
+        const timestamp = new Date().toISOString();
+        const text = votePayloadToSign({ topicId, accountId: user.accountId, decision, timestamp });
+        const response = await fetch(`${baseUrl}/api/approve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ initData: initDataFor(user), topicId, decision, timestamp, signature: sign(user.key, text), ...overrides }),
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function tally(topicId) {
+        const replies = await command(users.ada, `/tally ${topicId}`, GROUP);
+        return replies.map(reply => reply.text).join('\n');
+    }
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+        process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+        process.env.APPROVR_STORAGE = 'memory';
+        process.env.HEDERA_NETWORK = 'testnet';
+        process.env.VERCEL_URL = 'approvr.test';
+
+        gateway = createMemoryGateway();
+        for (const user of Object.values(users)) gateway.registerAccount(user.accountId, user.key.publicKey);
+        configureAgent({ gateway });
+
+        // Telegram: every call the bot makes is recorded and answered like Telegram would.
+        mock.method(Telegram.prototype, 'callApi', async (method, payload) => {
+            if (method === 'getMe') return { id: 123456, is_bot: true, first_name: 'Approvr', username: 'approvr_bot' };
+            if (method !== 'sendMessage') return true;
+            sent.push(payload);
+            return { message_id: 1000 + sent.length, chat: { id: payload.chat_id }, text: payload.text };
+        });
+        // Mirror node: account keys come from the memory gateway; the app itself is served unchanged.
+        const realFetch = globalThis.fetch;
+        mock.method(globalThis, 'fetch', async (url, init) => {
+            const account = String(url).match(/mirrornode\.hedera\.com\/api\/v1\/accounts\/([^/?]+)$/);
+            if (!account) return realFetch(url, init);
+            const publicKey = await gateway.getAccountPublicKey(decodeURIComponent(account[1])).catch(() => null);
+            return publicKey
+                ? Response.json({ key: { _type: 'ED25519', key: publicKey.toStringRaw() } })
+                : new Response('{}', { status: 404 });
+        });
+
+        const { default: app } = await import('../api/index.js');
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        sent = [];
+        for (const user of Object.values(users)) await link(user);
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        sent = [];
+    });
+
+    it('creates a proposal from the group, collects Mini App votes and tallies it to approval', async () => {
+        const topicId = await create('Pay vendor invoice | 0.0.5001,0.0.5002,0.0.5003 | 2');
+        const card = sent.find(message => message.parse_mode === 'HTML');
+        assert.match(card.text, /Approvals: 0\/2 - 2 more needed\./);
+        assert.equal(gateway.topics.get(topicId).messages.length, 1);
+
+        const [prompt] = await command(users.bob, `/approve ${topicId}`);
+        assert.deepEqual(prompt.reply_markup.inline_keyboard[0][0].web_app, {
+            url: `https://approvr.test/approve?topic_id=${topicId}&decision=APPROVE&user_account=0.0.5002`,
+        });
+
+        const first = await vote(users.ada, topicId);
+        assert.equal(first.status, 200);
+        assert.deepEqual([first.body.message, first.body.outcome], ['Signed approval recorded for 0.0.5001.', 'pending']);
+        assert.match(await tally(topicId), /Current tally: 1\/2 approvals\. Need 1 more approval\(s\)\./);
+
+        const second = await vote(users.bob, topicId);
+        assert.equal(second.body.outcome, 'approved');
+        const result = await tally(topicId);
+        assert.match(result, /✅ Approvals \(2\/2\): 0\.0\.5001, 0\.0\.5002/);
+        assert.match(result, /⏳ Not voted yet \(1\): 0\.0\.5003/);
+    });
+
+    it('counts a repeated vote once and only the latest decision of each approver', async () => {
+        const topicId = await create('Rotate the multisig keys | 0.0.5001,0.0.5002,0.0.5003 | 2');
+        assert.equal((await vote(users.ada, topicId)).body.outcome, 'pending');
+        assert.equal((await vote(users.ada, topicId)).body.outcome, 'pending');
+        assert.match(await tally(topicId), /✅ Approvals \(1\/2\): 0\.0\.5001\n/);
+
+        assert.equal((await vote(users.ada, topicId, 'REJECT')).status, 200);
+        const result = await tally(topicId);
+        assert.match(result, /✅ Approvals \(0\/2\): -/);
+        assert.match(result, /❌ Rejections \(1\): 0\.0\.5001/);
+        assert.equal(gateway.topics.get(topicId).messages.length, 4);
+    });
+
+    it('refuses a signed vote replayed after the approver changed their mind', async () => {
+        const topicId = await create('Sign the lease | 0.0.5001,0.0.5002 | 2');
+        const timestamp = new Date(Date.now() - 60 * 1000).toISOString();
+        const approval = { timestamp, signature: sign(users.ada.key, votePayloadToSign({ topicId, accountId: users.ada.accountId, decision: 'APPROVE', timestamp })) };
+        assert.equal((await vote(users.ada, topicId, 'APPROVE', approval)).status, 200);
+        assert.equal((await vote(users.ada, topicId, 'REVOKE')).status, 200);
+
+        const replayed = await vote(users.ada, topicId, 'APPROVE', approval);
+        assert.equal(replayed.status, 400);
+        assert.match(replayed.body.error, /already has this vote or a newer one/);
+        assert.equal(gateway.topics.get(topicId).messages.length, 3);
+        assert.match(await tally(topicId), /✅ Approvals \(0\/2\): -/);
+    });
+
+    it('decides at exactly the threshold, and as soon as it can no longer be reached', async () => {
+        const single = await create('Renew the domain | 0.0.5003 | 1');
+        assert.equal((await vote(users.cyd, single)).body.outcome, 'approved');
+
+        const unanimous = await create('Change the payout address | 0.0.5001,0.0.5002 | 2');
+        assert.equal((await vote(users.ada, unanimous)).body.outcome, 'pending');
+        assert.equal((await vote(users.bob, unanimous, 'REJECT')).body.outcome, 'rejected');
+        assert.match(await tally(unanimous), /rejected/i);
+    });
+
+    it('closes voting once the proposal is decided', async () => {
+        const topicId = await create('Order new laptops | 0.0.5001,0.0.5002 | 1');
+        assert.equal((await vote(users.ada, topicId)).body.outcome, 'approved');
+        const messages = gateway.topics.get(topicId).messages.length;
+
+        const late = await vote(users.bob, topicId, 'REJECT');
+        assert.deepEqual(late, { status: 409, body: { error: 'Voting on this proposal is closed, it is approved.' } });
+        const payload = await fetch(`${baseUrl}/api/vote-payload`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ initData: initDataFor(users.bob), topicId, decision: 'REJECT' }),
+        });
+        assert.equal(payload.status, 409);
+        const [reply] = await command(users.bob, `/reject ${topicId}`);
+        assert.equal(reply.text, '❌ Voting on this proposal is closed, it is approved.');
+        assert.equal(gateway.topics.get(topicId).messages.length, messages);
+    });
+
+    it('refuses votes from non-approvers, unlinked users and forged requests', async () => {
+        const topicId = await create('Hire a contractor | 0.0.5001,0.0.5002 | 1');
+
+        const outsider = await vote(users.eve, topicId);
+        assert.deepEqual([outsider.status, outsider.body.error], [403, 'Account 0.0.5004 is not an approver for this proposal.']);
+
+        const stranger = { id: 9999, username: 'mallory', accountId: '0.0.5001', key: users.ada.key };
+        assert.equal((await vote(stranger, topicId)).status, 401);
+
+        const forged = await vote(users.ada, topicId, 'APPROVE', { initData: initDataFor(users.ada, { botToken: '654321:OTHER' }) });
+        assert.deepEqual([forged.status, forged.body.error], [401, 'initData signature is invalid.']);
+
+        const wrongKey = await vote(users.ada, topicId, 'APPROVE', { signature: sign(users.bob.key, 'anything') });
+        assert.equal(wrongKey.status, 400);
+        assert.equal((await vote(users.ada, topicId, 'APPROVE', { timestamp: '2020-01-01T00:00:00.000Z' })).status, 400);
+        assert.equal((await vote(users.ada, topicId, 'MAYBE')).status, 400);
+        assert.equal((await vote(users.ada, '0.0.999999')).status, 404);
+
+        assert.equal(gateway.topics.get(topicId).messages.length, 1);
+        assert.match(await tally(topicId), /Current tally: 0\/1 approvals/);
+    });
+
+    it('does not execute the action of a proposal it did not create', async () => {
+        const { topicId } = await gateway.createTopic();
+        await gateway.submitMessage(topicId, encodeProposal({
+            description: 'Pay me', approvers: ['0.0.5001'], threshold: 1,
+            action: { type: 'hbar_transfer', amount: '1000', to: '0.0.5001', from: '0.0.5002' },
+        }));
+        const schedules = gateway.schedules.length;
+
+        assert.equal((await vote(users.ada, topicId)).body.outcome, 'approved');
+        assert.match(await tally(topicId), /Approvr only executes the actions of proposals it created, and 0\.0\.\d+ is not one of them\./);
+        assert.equal(gateway.schedules.length, schedules);
+    });
+
+    it('refuses transfers without a source account or from the operator account', async () => {
+        const topicsBefore = gateway.topics.size;
+        const [unsourced] = await command(users.ada, '/create Pay | 0.0.5001 | 1 | action=hbar:5:0.0.5003', GROUP);
+        const [fromOperator] = await command(users.ada, `/create Pay | 0.0.5001 | 1 | action=hbar:5:0.0.5003 from=${gateway.operatorAccountId}`, GROUP);
+
+        assert.equal(unsourced.text, 'Invalid action: A transfer needs a source account (from) whose owners sign it.');
+        assert.match(fromOperator.text, /A transfer can't come from the Approvr operator account/);
+        assert.equal(gateway.topics.size, topicsBefore);
+    });
+
+    it('lists proposals from every chat only in private', async () => {
+        const topicId = await create('Buy a new laptop | 0.0.5001,0.0.5002 | 2');
+        const [refused] = await command(users.bob, '/pending', GROUP);
+        assert.equal(refused.text, '/pending lists proposals from other chats too. Please use it in a private chat with me.');
+        assert.match((await command(users.ada, '/proposals mine', GROUP))[0].text, /^\/proposals mine lists proposals from other chats too/);
+
+        const [pending] = await command(users.bob, '/pending');
+        assert.match(pending.text, new RegExp(`${topicId.replace(/\./g, '\\.')} - Buy a new laptop`));
+        assert.match((await command(users.ada, '/proposals', GROUP))[0].text, /Buy a new laptop/);
+    });
+
+    it('runs scheduled jobs only for the scheduler holding CRON_SECRET', async () => {
+        const job = (authorization) => fetch(`${baseUrl}/api/cron/expiry-warnings`, { headers: authorization ? { Authorization: authorization } : {} });
+        assert.equal((await job()).status, 503);
+        process.env.CRON_SECRET = 'cron-secret';
+        try {
+            assert.equal((await job()).status, 401);
+            assert.equal((await job('Bearer guess')).status, 401);
+            assert.equal((await job('Bearer cron-secret')).status, 200);
+        } finally {
+            delete process.env.CRON_SECRET;
+        }
+    });
+
+    it('answers malformed commands without touching Hedera', async () => {
+        const topicsBefore = gateway.topics.size;
+        const replies = [
+            ...await command(users.ada, '/create', GROUP),
+            ...await command(users.ada, '/create Pay vendor invoice', GROUP),
+            ...await command(users.ada, '/create Pay | 0.0.5001,0.0.5002 | 3', GROUP),
+            ...await command(users.ada, '/create Pay | 0.0.5001,0.0.5002 | 0', GROUP),
+            ...await command(users.ada, '/create Pay | not-an-account | 1', GROUP),
+            ...await command(users.ada, '/tally', GROUP),
+            ...await command(users.ada, '/tally 0.0.999999', GROUP),
+            ...await command(users.ada, '/approve nonsense'),
+        ].map(reply => reply.text);
+
+        assert.match(replies[0], /^Please provide proposal details\./);
+        assert.match(replies[1], /^Invalid format\./);
+        assert.equal(replies[2], 'Invalid threshold. It must be a number between 1 and the number of approvers.');
+        assert.equal(replies[3], 'Invalid threshold. It must be a number between 1 and the number of approvers.');
+        assert.match(replies[4], /^Invalid approvers or approval rule:/);
+        assert.equal(replies.length, 8);
+        assert.equal(gateway.topics.size, topicsBefore);
+    });
+});
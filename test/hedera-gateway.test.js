@@ -0,0 +1,223 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Long, PrivateKey, TopicCreateTransaction, TopicId, TopicMessageSubmitTransaction, TransactionId, TransactionReceiptQuery,
+} from '@hashgraph/sdk';
+import {
+    createMemoryGateway, createSdkGateway, createAgentKitGateway, createGateway, toTopicMessage, fetchMirrorTopicMessages, fetchMirrorCreatedTopics,
+} from '../hedera-gateway.js';
+import { buildScheduleTransaction } from '../actions.js';
+
+describe('toTopicMessage', () => {
+    it('normalizes mirror node messages', () => {
+        const raw = {
+            topic_id: '0.0.5',
+            sequence_number: 3,
+            consensus_timestamp: '1700000000.000000001',
+            message: Buffer.from('hello').toString('base64'),
+            payer_account_id: '0.0.42',
+            running_hash: 'abc=',
+            running_hash_version: 3,
+        };
+        assert.deepEqual(toTopicMessage(raw, '0.0.5'), {
+            topicId: '0.0.5',
+            sequenceNumber: 3,
+            consensusTimestamp: '1700000000.000000001',
+            message: 'hello',
+            contents: 'aGVsbG8=',
+            payerAccountId: '0.0.42',
+            runningHash: 'abc=',
+            runningHashVersion: 3,
+        });
+        assert.equal(toTopicMessage({ ...raw, message: 'already text' }, '0.0.5', { decoded: true }).message, 'already text');
+    });
+});
+
+describe('fetchMirrorTopicMessages', () => {
+    const network = { mirrorNodeUrl: 'https://mirror.test' };
+
+    // Serves `total` messages 100 per page, like the mirror node, honouring sequencenumber=gt:N.
+    function mockMirror(t, total) {
+        const requested = [];
+        t.mock.method(globalThis, 'fetch', async (url) => {
+            requested.push(url);
+            const after = Number((url.match(/sequencenumber=gt:(\d+)/) || [0, 0])[1]);
+            const page = [];
+            for (let n = after + 1; n <= Math.min(after + 100, total); n++) {
+                page.push({ sequence_number: n, consensus_timestamp: `1700000000.${String(n).padStart(9, '0')}`, message: Buffer.from(`m${n}`).toString('base64') });
+            }
+            const last = page.length ? page[page.length - 1].sequence_number : after;
+            const next = last < total ? `/api/v1/topics/0.0.5/messages?order=asc&limit=100&sequencenumber=gt:${last}` : null;
+            return { ok: true, status: 200, json: async () => ({ messages: page, links: { next } }) };
+        });
+        return requested;
+    }
+
+    it('follows pagination links through thousands of messages', async (t) => {
+        const requested = mockMirror(t, 2345);
+        const messages = await fetchMirrorTopicMessages(network, '0.0.5');
+        assert.equal(messages.length, 2345);
+        assert.deepEqual(messages.slice(-2).map(m => [m.sequenceNumber, m.message]), [[2344, 'm2344'], [2345, 'm2345']]);
+        assert.equal(requested.length, 24);
+    });
+
+    it('starts after the cursor', async (t) => {
+        const requested = mockMirror(t, 250);
+        const messages = await fetchMirrorTopicMessages(network, '0.0.5', { afterSequenceNumber: 240 });
+        assert.deepEqual(messages.map(m => m.sequenceNumber), [241, 242, 243, 244, 245, 246, 247, 248, 249, 250]);
+        assert.equal(requested[0], 'https://mirror.test/api/v1/topics/0.0.5/messages?order=asc&limit=100&sequencenumber=gt:240');
+    });
+
+    it('reports missing topics', async (t) => {
+        t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 404 }));
+        await assert.rejects(fetchMirrorTopicMessages(network, '0.0.404'), { code: 'TOPIC_NOT_FOUND', message: /does not exist/ });
+    });
+});
+
+describe('fetchMirrorCreatedTopics', () => {
+    it('lists topics the account paid for, across pages', async (t) => {
+        const pages = {
+            first: { transactions: [
+                { transaction_id: '0.0.42-1700000000-000000001', entity_id: '0.0.100' },
+                { transaction_id: '0.0.7-1700000000-000000002', entity_id: '0.0.101' },
+            ], links: { next: '/api/v1/transactions?page=2' } },
+            second: { transactions: [{ transaction_id: '0.0.42-1700000001-000000001', entity_id: '0.0.102' }], links: { next: null } },
+        };
+        const requested = [];
+        t.mock.method(globalThis, 'fetch', async (url) => {
+            requested.push(url);
+            return { ok: true, status: 200, json: async () => (url.includes('page=2') ? pages.second : pages.first) };
+        });
+
+        assert.deepEqual(await fetchMirrorCreatedTopics({ mirrorNodeUrl: 'https://mirror.test' }, '0.0.42'), ['0.0.100', '0.0.102']);
+        assert.match(requested[0], /account\.id=0\.0\.42&transactiontype=CONSENSUSCREATETOPIC&result=success/);
+    });
+});
+
+describe('createMemoryGateway', () => {
+    it('stores topic messages in consensus order', async () => {
+        const gateway = createMemoryGateway({ operatorAccountId: '0.0.42', now: () => 1700000000000 });
+        const { topicId } = await gateway.createTopic({ memo: 'test' });
+        const first = await gateway.submitMessage(topicId, 'one');
+        await gateway.submitMessage(topicId, 'two', { payerAccountId: '0.0.7' });
+
+        assert.equal(first.sequenceNumber, 1);
+        const messages = await gateway.getTopicMessages(topicId);
+        assert.deepEqual(messages.map(m => [m.sequenceNumber, m.message, m.payerAccountId]), [[1, 'one', '0.0.42'], [2, 'two', '0.0.7']]);
+        assert.equal(messages[0].consensusTimestamp, '1700000000.000000001');
+        assert.equal(messages[1].consensusTimestamp, '1700000000.000000002');
+        assert.deepEqual((await gateway.getTopicMessages(topicId, { afterSequenceNumber: 1 })).map(m => m.message), ['two']);
+    });
+
+    it('lists the topics it created', async () => {
+        const gateway = createMemoryGateway();
+        const first = await gateway.createTopic();
+        const second = await gateway.createTopic();
+        assert.deepEqual(await gateway.listTopics(), [first.topicId, second.topicId]);
+    });
+
+    it('fails for unknown topics and accounts', async () => {
+        const gateway = createMemoryGateway();
+        await assert.rejects(gateway.getTopicMessages('0.0.999'), { code: 'TOPIC_NOT_FOUND' });
+        await assert.rejects(gateway.getAccountPublicKey('0.0.999'), { code: 'ACCOUNT_KEY_NOT_FOUND', message: /does not exist/ });
+
+        const key = PrivateKey.generateED25519().publicKey;
+        gateway.registerAccount('0.0.7', key);
+        assert.equal((await gateway.getAccountPublicKey('0.0.7')).toString(), key.toString());
+    });
+
+    it('keeps topic keys and refuses messages once a topic is closed', async () => {
+        const gateway = createMemoryGateway({ operatorAccountId: '0.0.42' });
+        const { topicId } = await gateway.createTopic({ submitKey: gateway.operatorPublicKey, adminKey: gateway.operatorPublicKey });
+        assert.equal(gateway.topics.get(topicId).submitKey, gateway.operatorPublicKey);
+        await gateway.submitMessage(topicId, 'before');
+        assert.equal((await gateway.closeTopic(topicId)).topicId, topicId);
+        await assert.rejects(gateway.submitMessage(topicId, 'after'), /INVALID_SIGNATURE/);
+        assert.deepEqual((await gateway.getTopicMessages(topicId)).map(m => m.message), ['before']);
+
+        const { topicId: immutable } = await gateway.createTopic();
+        await assert.rejects(gateway.closeTopic(immutable), /no admin key/);
+    });
+
+    it('executes each schedule once', async () => {
+        const gateway = createMemoryGateway({ operatorAccountId: '0.0.42' });
+        const schedule = () => buildScheduleTransaction({ type: 'hbar_transfer', amount: '1', to: '0.0.5', from: '0.0.4004' }, { topicId: '0.0.9', operatorAccountId: '0.0.42' });
+        const first = await gateway.scheduleTransaction(schedule());
+        const second = await gateway.scheduleTransaction(schedule());
+        assert.deepEqual(second, first);
+        assert.ok(first.executedAt);
+        assert.equal(gateway.schedules.length, 1);
+    });
+});
+
+// Every gateway has to return the same results, so the same assertions run against each of them. The sdk and
+// agent-kit gateways run against a fake network: the SDK's execute methods are replaced, and so are the kit's tools.
+describe('gateway contract', () => {
+    const operatorAccountId = '0.0.42';
+    const client = { operatorPublicKey: PrivateKey.generateED25519().publicKey };
+
+    function fakeNetwork(t) {
+        const topics = [];
+        const receipts = new Map(); // transaction ID -> receipt
+        let nanos = 0;
+        const transaction = (receipt) => {
+            const transactionId = TransactionId.fromString(`${operatorAccountId}@1700000000.${String(++nanos).padStart(9, '0')}`);
+            receipts.set(transactionId.toString(), receipt);
+            return { transactionId, getReceipt: async () => receipt };
+        };
+        const createTopic = () => {
+            topics.push(0);
+            return transaction({ topicId: TopicId.fromString(`0.0.${1000 + topics.length}`) });
+        };
+        const submit = (topicId) => transaction({ topicSequenceNumber: Long.fromNumber(++topics[Number(topicId.split('.')[2]) - 1001]) });
+
+        t.mock.method(TopicCreateTransaction.prototype, 'execute', async () => createTopic());
+        t.mock.method(TopicMessageSubmitTransaction.prototype, 'execute', async function () { return submit(this.topicId.toString()); });
+        t.mock.method(TransactionReceiptQuery.prototype, 'execute', async function () { return receipts.get(this.transactionId.toString()); });
+        // Like the kit's tools: JSON with a `raw` summary, entity IDs as { shard, realm, num } and no sequence number.
+        const tool = (name, run) => ({ name, invoke: async (params) => JSON.stringify({ raw: await run(params) }) });
+        return {
+            create_topic_tool: tool('create_topic_tool', async () => {
+                const { transactionId, getReceipt } = createTopic();
+                const { topicId } = await getReceipt();
+                return { status: 'SUCCESS', transactionId: transactionId.toString(), topicId: { shard: 0, realm: 0, num: topicId.num.toNumber() } };
+            }),
+            submit_topic_message_tool: tool('submit_topic_message_tool', async ({ topicId }) =>
+                ({ status: 'SUCCESS', transactionId: submit(topicId).transactionId.toString() })),
+        };
+    }
+
+    const gateways = {
+        memory: () => createMemoryGateway({ operatorAccountId }),
+        sdk: () => createSdkGateway({ client, operatorAccountId, network: { mirrorNodeUrl: 'https://mirror.test' } }),
+        'agent-kit': (tools) => createAgentKitGateway({ client, operatorAccountId, network: { name: 'testnet' }, tools }),
+    };
+
+    for (const [name, create] of Object.entries(gateways)) {
+        it(`${name}: creates topics and numbers their messages`, async (t) => {
+            const gateway = create(fakeNetwork(t));
+            assert.equal(gateway.operatorAccountId, operatorAccountId);
+
+            const created = await gateway.createTopic({ memo: 'contract' });
+            assert.match(created.topicId, /^0\.0\.\d+$/);
+            assert.equal(typeof created.transactionId, 'string');
+
+            const first = await gateway.submitMessage(created.topicId, 'one');
+            const second = await gateway.submitMessage(created.topicId, 'two');
+            assert.deepEqual([first.topicId, first.sequenceNumber, second.sequenceNumber], [created.topicId, 1, 2]);
+            assert.equal(typeof second.transactionId, 'string');
+            assert.notEqual(second.transactionId, first.transactionId);
+
+            const other = await gateway.createTopic();
+            assert.notEqual(other.topicId, created.topicId);
+            assert.equal((await gateway.submitMessage(other.topicId, 'three')).sequenceNumber, 1);
+        });
+    }
+});
+
+describe('createGateway', () => {
+    it('selects the gateway from the environment', () => {
+        assert.equal(createGateway({ HEDERA_GATEWAY: 'memory', HEDERA_ACCOUNT_ID: '0.0.42' }).operatorAccountId, '0.0.42');
+        assert.throws(() => createGateway({ HEDERA_GATEWAY: 'carrier-pigeon' }), /Unknown HEDERA_GATEWAY/);
+    });
+});
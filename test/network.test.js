@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNetworkConfig, createClient, explorerUrl } from '../network.js';
+
+describe('getNetworkConfig', () => {
+    it('defaults to testnet', () => {
+        assert.deepEqual(getNetworkConfig({}), {
+            name: 'testnet',
+            mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+            explorerUrl: 'https://hashscan.io/testnet',
+        });
+    });
+
+    it('uses the public endpoints of mainnet and previewnet', () => {
+        assert.equal(getNetworkConfig({ HEDERA_NETWORK: 'mainnet' }).mirrorNodeUrl, 'https://mainnet-public.mirrornode.hedera.com');
+        assert.equal(getNetworkConfig({ HEDERA_NETWORK: 'Previewnet' }).explorerUrl, 'https://hashscan.io/previewnet');
+    });
+
+    it('reads local node endpoints and overrides', () => {
+        const config = getNetworkConfig({
+            HEDERA_NETWORK: 'local',
+            HEDERA_NODE_ENDPOINT: 'node:50211',
+            HEDERA_MIRROR_NODE_URL: 'http://mirror:5551/',
+        });
+        assert.deepEqual(config, {
+            name: 'local',
+            mirrorNodeUrl: 'http://mirror:5551',
+            explorerUrl: null,
+            nodeEndpoint: 'node:50211',
+            nodeAccountId: '0.0.3',
+        });
+    });
+
+    it('rejects unknown networks', () => {
+        assert.throws(() => getNetworkConfig({ HEDERA_NETWORK: 'devnet' }), /Unknown HEDERA_NETWORK/);
+    });
+});
+
+describe('createClient', () => {
+    it('builds a client for the configured network', () => {
+        const mainnet = createClient(getNetworkConfig({ HEDERA_NETWORK: 'mainnet' }));
+        assert.equal(mainnet.ledgerId.toString(), 'mainnet');
+        mainnet.close();
+
+        const local = createClient(getNetworkConfig({ HEDERA_NETWORK: 'local' }));
+        assert.deepEqual(Object.keys(local.network), ['127.0.0.1:50211']);
+        local.close();
+    });
+});
+
+describe('explorerUrl', () => {
+    it('links entities on the configured explorer', () => {
+        const config = getNetworkConfig({ HEDERA_NETWORK: 'mainnet' });
+        assert.equal(explorerUrl('topic', '0.0.123', config), 'https://hashscan.io/mainnet/topic/0.0.123');
+        assert.equal(explorerUrl('transaction', '0.0.42@1700000000.5', config), 'https://hashscan.io/mainnet/transaction/0.0.42-1700000000-000000005');
+    });
+
+    it('returns null without an explorer', () => {
+        assert.equal(explorerUrl('topic', '0.0.123', getNetworkConfig({ HEDERA_NETWORK: 'local' })), null);
+    });
+});
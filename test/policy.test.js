@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseApproverGroups, parsePolicyExpression, validatePolicy, isPolicySatisfied, explainPolicy, describeRule, formatExplanation,
+} from '../policy.js';
+import { computeTally, formatTally } from '../tally.js';
+import { encodeProposal, decodeProposal } from '../approvr-protocol.js';
+
+const definition = parseApproverGroups('finance: 0.0.1*2, 0.0.2; eng: 0.0.3, 0.0.4');
+const policy = {
+    groups: definition.groups,
+    weights: definition.weights,
+    rule: parsePolicyExpression('finance>=2 AND (eng>=1 OR finance.weight>=3)'),
+};
+
+describe('parseApproverGroups', () => {
+    it('reads groups and weights', () => {
+        assert.deepEqual(definition.approvers, ['0.0.1', '0.0.2', '0.0.3', '0.0.4']);
+        assert.deepEqual(definition.groups, { finance: ['0.0.1', '0.0.2'], eng: ['0.0.3', '0.0.4'] });
+        assert.deepEqual(definition.weights, { '0.0.1': 2 });
+    });
+
+    it('accepts a plain list', () => {
+        assert.deepEqual(parseApproverGroups('0.0.1, 0.0.2'), { approvers: ['0.0.1', '0.0.2'], groups: {}, weights: {} });
+    });
+
+    it('rejects malformed accounts', () => {
+        assert.throws(() => parseApproverGroups('finance: alice'), /Invalid approver/);
+        assert.throws(() => parseApproverGroups('a: 0.0.1; a: 0.0.2'), /defined twice/);
+    });
+});
+
+describe('parsePolicyExpression', () => {
+    it('gives AND precedence over OR', () => {
+        assert.deepEqual(parsePolicyExpression('a>=1 OR b>=1 AND c>=2'), {
+            any: [{ group: 'a', min: 1 }, { all: [{ group: 'b', min: 1 }, { group: 'c', min: 2 }] }],
+        });
+    });
+
+    it('understands weights, bare counts and symbols', () => {
+        assert.deepEqual(parsePolicyExpression('weight>=5 || 2 && a.weight>=3'), {
+            any: [{ weight: 5 }, { all: [{ min: 2 }, { group: 'a', weight: 3 }] }],
+        });
+    });
+
+    it('reports malformed rules', () => {
+        assert.throws(() => parsePolicyExpression('finance>='));
+        assert.throws(() => parsePolicyExpression('(finance>=1'));
+        assert.throws(() => parsePolicyExpression('finance>=1 eng>=1'));
+        assert.throws(() => parsePolicyExpression(''));
+    });
+});
+
+describe('validatePolicy', () => {
+    it('accepts a satisfiable policy', () => {
+        assert.equal(validatePolicy(policy, definition.approvers), null);
+    });
+
+    it('rejects unknown groups and impossible clauses', () => {
+        assert.match(validatePolicy({ ...policy, rule: { group: 'legal', min: 1 } }, definition.approvers), /Unknown group/);
+        assert.match(validatePolicy({ ...policy, rule: { group: 'eng', min: 3 } }, definition.approvers), /only has 2/);
+        assert.match(validatePolicy({ ...policy, rule: { weight: 6 } }, definition.approvers), /only has 5/);
+    });
+});
+
+describe('explainPolicy', () => {
+    it('explains which clauses are met and missing', () => {
+        const explanation = explainPolicy(policy, definition.approvers, ['0.0.1']);
+        assert.equal(explanation.met, false);
+        assert.equal(explanation.children[0].missing, '1 approval(s)');
+        assert.equal(explanation.children[1].met, false);
+
+        const text = formatExplanation(explanation);
+        assert.match(text, /❌ finance ≥ 2 \(1\/2\) - missing 1 approval\(s\)/);
+        assert.match(text, /❌ finance weight ≥ 3 \(2\/3\)/);
+    });
+
+    it('lets a weighted clause stand in for a group', () => {
+        assert.equal(isPolicySatisfied(policy, definition.approvers, ['0.0.1', '0.0.2']), true);
+        assert.equal(isPolicySatisfied(policy, definition.approvers, ['0.0.2', '0.0.3']), false);
+    });
+
+    it('describes the rule', () => {
+        assert.equal(describeRule(policy.rule), 'finance ≥ 2 AND (eng ≥ 1 OR finance.weight ≥ 3)');
+    });
+});
+
+describe('policy proposals', () => {
+    const proposal = { description: 'Pay invoice', approvers: definition.approvers, policy };
+    const vote = (accountId, decision) => ({ accountId, decision });
+
+    it('round-trips through a version 2 envelope', () => {
+        const decoded = decodeProposal(encodeProposal(proposal));
+        assert.equal(decoded.version, 2);
+        assert.deepEqual(decoded.policy, policy);
+        assert.equal(decoded.threshold, undefined);
+    });
+
+    it('approves once the policy is met', () => {
+        const tally = computeTally(proposal, [vote('0.0.3', 'APPROVE'), vote('0.0.1', 'APPROVE'), vote('0.0.2', 'APPROVE')]);
+        assert.equal(tally.outcome, 'approved');
+        assert.equal(tally.decidedBy, '0.0.2');
+        assert.match(formatTally('0.0.9', proposal, tally), /approval rule has been met/);
+    });
+
+    it('rejects once the policy can no longer be met', () => {
+        const tally = computeTally(proposal, [vote('0.0.2', 'REJECT')]);
+        assert.equal(tally.outcome, 'rejected');
+        assert.match(formatTally('0.0.9', proposal, tally), /approval rule cannot be met/);
+    });
+
+    it('shows the clause breakdown while pending', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE')]);
+        assert.equal(tally.outcome, 'pending');
+        const message = formatTally('0.0.9', proposal, tally);
+        assert.match(message, /Approval rule: finance ≥ 2 AND/);
+        assert.match(message, /❌ finance ≥ 2 \(1\/2\)/);
+    });
+});
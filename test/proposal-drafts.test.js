@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROPOSAL_DRAFT_SCHEMA, draftFromParsed, formatDraft, draftToCreateCommand } from '../proposal-drafts.js';
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+const LINKED = { '@alice': '0.0.101', bob: '0.0.102' };
+const resolve = (member) => LINKED[member] || null;
+
+function parsed(overrides = {}) {
+    return PROPOSAL_DRAFT_SCHEMA.parse({
+        description: 'Pay 500 HBAR to 0.0.999 for the audit',
+        groups: [{ name: 'Approvers', members: ['@alice', 'bob', '0.0.103'], required: 2 }],
+        deadline: null,
+        action: null,
+        ...overrides,
+    });
+}
+
+describe('draftFromParsed', () => {
+    it('turns a single group into a threshold proposal', () => {
+        const draft = draftFromParsed(parsed({
+            deadline: '2025-01-03T23:59:00Z',
+            action: { type: 'hbar_transfer', amount: '500', from: '0.0.4004', to: '0.0.999', tokenId: null, topicId: null, message: null },
+        }), resolve, { now: NOW });
+
+        assert.deepEqual(draft, {
+            description: 'Pay 500 HBAR to 0.0.999 for the audit',
+            approvers: ['0.0.101', '0.0.102', '0.0.103'],
+            threshold: 2,
+            policy: null,
+            action: { type: 'hbar_transfer', amount: '500', to: '0.0.999', from: '0.0.4004' },
+            deadline: '2025-01-03T23:59:00.000Z',
+            problems: [],
+        });
+        assert.equal(draftToCreateCommand(draft),
+            '/create Pay 500 HBAR to 0.0.999 for the audit | 0.0.101,0.0.102,0.0.103 | 2 | deadline=2025-01-03T23:59:00.000Z action=hbar:500:0.0.999 from=0.0.4004');
+    });
+
+    it('asks for the source account of a transfer', () => {
+        const draft = draftFromParsed(parsed({
+            action: { type: 'hbar_transfer', amount: '500', from: null, to: '0.0.999', tokenId: null, topicId: null, message: null },
+        }), resolve, { now: NOW });
+        assert.equal(draft.action, null);
+        assert.deepEqual(draft.problems, ['Action: A transfer needs a source account (from) whose owners sign it.']);
+    });
+
+    it('requires every group when there are several', () => {
+        const draft = draftFromParsed(parsed({
+            groups: [
+                { name: 'Founders', members: ['@alice', 'bob'], required: 2 },
+                { name: 'Leads', members: ['0.0.301', '0.0.302'], required: 1 },
+            ],
+        }), resolve, { now: NOW });
+
+        assert.equal(draft.threshold, null);
+        assert.deepEqual(draft.policy, {
+            groups: { founders: ['0.0.101', '0.0.102'], leads: ['0.0.301', '0.0.302'] },
+            weights: {},
+            rule: { all: [{ group: 'founders', min: 2 }, { group: 'leads', min: 1 }] },
+        });
+        assert.deepEqual(draft.problems, []);
+    });
+
+    it('reports what it cannot resolve instead of guessing', () => {
+        const draft = draftFromParsed(parsed({
+            groups: [{ name: 'approvers', members: ['carol', '@alice'], required: 3 }],
+            deadline: '2024-12-01',
+            action: { type: 'token_transfer', amount: '1.5', from: '0.0.4004', to: '0.0.999', tokenId: '0.0.7', topicId: null, message: null },
+        }), resolve, { now: NOW });
+
+        assert.deepEqual(draft.approvers, ['0.0.101']);
+        assert.equal(draft.deadline, null);
+        assert.equal(draft.action, null);
+        assert.equal(draft.problems.length, 3);
+        assert.match(draft.problems[0], /"carol" has not linked/);
+        assert.match(draft.problems[1], /not a future date/);
+        assert.match(draft.problems[2], /^Action:/);
+    });
+
+    it('validates the resulting proposal', () => {
+        const draft = draftFromParsed(parsed({ groups: [{ name: 'approvers', members: ['bob'], required: 2 }] }), resolve, { now: NOW });
+        assert.equal(draft.problems.length, 1);
+    });
+});
+
+describe('formatDraft and draftToCreateCommand', () => {
+    it('show the draft and the equivalent /create command', () => {
+        const draft = draftFromParsed(parsed({
+            groups: [
+                { name: 'founders', members: ['@alice', 'bob'], required: 2 },
+                { name: 'leads', members: ['0.0.301'], required: 1 },
+            ],
+            action: { type: 'topic_message', amount: null, from: null, to: null, tokenId: null, topicId: '0.0.55', message: 'audit paid' },
+        }), resolve, { now: NOW });
+
+        const text = formatDraft(draft);
+        assert.match(text, /Group founders: 0\.0\.101, 0\.0\.102/);
+        assert.match(text, /Approval rule: founders ≥ 2 AND leads ≥ 1/);
+        assert.match(text, /Nothing is on-chain yet/);
+
+        assert.equal(draftToCreateCommand(draft),
+            '/create Pay 500 HBAR to 0.0.999 for the audit | founders: 0.0.101, 0.0.102; leads: 0.0.301 | founders>=2 AND leads>=1 | action=message:0.0.55:audit%20paid');
+    });
+
+    it('list the problems of an incomplete draft', () => {
+        const draft = draftFromParsed(parsed({ groups: [{ name: 'approvers', members: [], required: 1 }] }), resolve, { now: NOW });
+        assert.match(formatDraft(draft), /⚠️ Before this can be created:\n- Who is in "approvers"\?/);
+    });
+
+    it('refuse a "|" in the description, which would add fields to /create', () => {
+        const draft = draftFromParsed(parsed({ description: 'Pay the audit | 0.0.666 | 1' }), resolve, { now: NOW });
+        assert.deepEqual(draft.problems, ['The description can\'t contain "|", which separates the fields of /create.']);
+        assert.equal(draftToCreateCommand(draft), '/create Pay the audit | 0.0.666 | 1 | 0.0.101,0.0.102,0.0.103 | 2');
+    });
+});
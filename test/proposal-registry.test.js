@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    sealOrigin, openOrigin, recordFromProposal, matchesFilter, paginate, formatProposalList, listKeyboard, registrySecret,
+} from '../proposal-registry.js';
+import { encodeProposal, decodeProposal } from '../approvr-protocol.js';
+
+describe('sealOrigin / openOrigin', () => {
+    it('round-trips the chat and creator', () => {
+        const sealed = sealOrigin({ chatId: '-100123', creatorId: 42 }, 'secret');
+        assert.match(sealed, /^o1:[A-Za-z0-9_-]+$/);
+        assert.doesNotMatch(sealed, /100123/);
+        assert.deepEqual(openOrigin(sealed, 'secret'), { chatId: '-100123', creatorId: 42 });
+    });
+
+    it('returns null for another secret or garbage', () => {
+        const sealed = sealOrigin({ chatId: '-100123', creatorId: 42 }, 'secret');
+        assert.equal(openOrigin(sealed, 'other'), null);
+        assert.equal(openOrigin('o1:AAAA', 'secret'), null);
+        assert.equal(openOrigin(undefined, 'secret'), null);
+    });
+});
+
+describe('recordFromProposal', () => {
+    it('restores a registry record from the proposal envelope', () => {
+        const origin = sealOrigin({ chatId: '-5', creatorId: 7 }, 'secret');
+        const proposal = decodeProposal(encodeProposal({
+            description: 'Pay vendor', approvers: ['0.0.1', '0.0.2'], threshold: 2, deadline: '2026-01-02T00:00:00.000Z',
+            origin, createdAt: '2026-01-01T00:00:00.000Z',
+        }));
+        assert.deepEqual(recordFromProposal('0.0.9', proposal, 'secret'), {
+            topicId: '0.0.9',
+            description: 'Pay vendor',
+            approvers: ['0.0.1', '0.0.2'],
+            threshold: 2,
+            policy: null,
+            action: null,
+            rejectThreshold: null,
+            deadline: '2026-01-02T00:00:00.000Z',
+            chatId: '-5',
+            creatorId: 7,
+            createdAt: '2026-01-01T00:00:00.000Z',
+        });
+        assert.equal(recordFromProposal('0.0.9', proposal, 'wrong').chatId, null);
+    });
+});
+
+describe('matchesFilter', () => {
+    const viewer = { chatId: '-5', userId: 7 };
+
+    it('limits chat filters to the chat and matches outcomes', () => {
+        assert.equal(matchesFilter({ chatId: '-5' }, 'open', viewer), true);
+        assert.equal(matchesFilter({ chatId: '-6' }, 'open', viewer), false);
+        assert.equal(matchesFilter({ chatId: '-5', outcome: 'approved' }, 'open', viewer), false);
+        assert.equal(matchesFilter({ chatId: '-5', outcome: 'approved' }, 'approved', viewer), true);
+        assert.equal(matchesFilter({ chatId: '-5', outcome: 'expired' }, 'all', viewer), true);
+    });
+
+    it('lists the creator\'s proposals from every chat', () => {
+        assert.equal(matchesFilter({ chatId: '-6', creatorId: 7 }, 'mine', viewer), true);
+        assert.equal(matchesFilter({ chatId: '-5', creatorId: 8 }, 'mine', viewer), false);
+    });
+});
+
+describe('paginate and formatProposalList', () => {
+    const records = Array.from({ length: 7 }, (_, i) => ({
+        topicId: `0.0.${100 + i}`,
+        description: `Proposal ${i}`,
+        createdAt: `2026-01-0${i + 1}T00:00:00.000Z`,
+        outcome: i === 0 ? 'approved' : undefined,
+    }));
+
+    it('pages newest first and clamps the page', () => {
+        const first = paginate(records, 0);
+        assert.deepEqual(first.items.map(r => r.topicId), ['0.0.106', '0.0.105', '0.0.104', '0.0.103', '0.0.102']);
+        assert.equal(first.pages, 2);
+        const last = paginate(records, 9);
+        assert.equal(last.page, 1);
+        assert.deepEqual(last.items.map(r => r.topicId), ['0.0.101', '0.0.100']);
+    });
+
+    it('formats a page', () => {
+        const text = formatProposalList('Proposals in this chat', paginate(records, 1));
+        assert.match(text, /^📋 Proposals in this chat \(7\) - page 2\/2/);
+        assert.match(text, /✅ 0\.0\.100 - Proposal 0\n {4}approved · created 2026-01-01/);
+        assert.match(text, /🗳 0\.0\.101 - Proposal 1\n {4}open · created 2026-01-02/);
+        assert.equal(formatProposalList('Open proposals in this chat', paginate([], 0)), 'Open proposals in this chat: none.');
+    });
+
+    it('builds previous/next buttons', () => {
+        assert.deepEqual(listKeyboard('open', 0, 2).inline_keyboard, [[{ text: 'Next ▶️', callback_data: 'list:open:1' }]]);
+        assert.deepEqual(listKeyboard('pending.7', 1, 2).inline_keyboard, [[{ text: '◀️ Previous', callback_data: 'list:pending.7:0' }]]);
+        assert.deepEqual(listKeyboard('open', 0, 1).inline_keyboard, []);
+    });
+});
+
+describe('registrySecret', () => {
+    it('prefers APPROVR_REGISTRY_SECRET over the bot token', () => {
+        assert.equal(registrySecret({ APPROVR_REGISTRY_SECRET: 'a', TELEGRAM_BOT_TOKEN: 'b' }), 'a');
+        assert.equal(registrySecret({ TELEGRAM_BOT_TOKEN: 'b' }), 'b');
+        assert.equal(registrySecret({}), null);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProposalView } from '../proposal-view.js';
+import { computeTally } from '../tally.js';
+
+const proposal = {
+    description: 'Pay vendor',
+    approvers: ['0.0.1', '0.0.2', '0.0.3'],
+    threshold: 2,
+    deadline: '2026-02-01T00:00:00.000Z',
+    createdAt: '2026-01-01T00:00:00.000Z',
+};
+
+describe('buildProposalView', () => {
+    const tally = computeTally(proposal, [
+        { accountId: '0.0.1', decision: 'APPROVE', consensusAt: Date.parse('2026-01-02T00:00:00.000Z'), comment: 'Looks right' },
+        { accountId: '0.0.2', decision: 'REJECT', consensusAt: Date.parse('2026-01-03T00:00:00.000Z') },
+    ], { now: Date.parse('2026-01-04T00:00:00.000Z') });
+
+    it('lists every approver with their decision and vote history', () => {
+        const view = buildProposalView('0.0.500', proposal, tally, { topicUrl: 'https://hashscan.io/testnet/topic/0.0.500' });
+        assert.equal(view.description, 'Pay vendor');
+        assert.equal(view.threshold, 2);
+        assert.equal(view.rule, null);
+        assert.equal(view.deadline, '2026-02-01T00:00:00.000Z');
+        assert.equal(view.outcome, 'pending');
+        assert.equal(view.topicUrl, 'https://hashscan.io/testnet/topic/0.0.500');
+        assert.deepEqual(view.approvers.map(a => a.decision), ['APPROVE', 'REJECT', null]);
+        assert.deepEqual(view.approvers[0].history, [{ decision: 'APPROVE', at: '2026-01-02T00:00:00.000Z', counted: true, comment: 'Looks right' }]);
+        assert.deepEqual(view.approvers[2].history, []);
+    });
+
+    it('describes what the viewer can do', () => {
+        assert.deepEqual(buildProposalView('0.0.500', proposal, tally, { viewerAccountId: '0.0.3' }).viewer,
+            { accountId: '0.0.3', isApprover: true, decision: null, canVote: true });
+        assert.deepEqual(buildProposalView('0.0.500', proposal, tally, { viewerAccountId: '0.0.9' }).viewer,
+            { accountId: '0.0.9', isApprover: false, decision: null, canVote: false });
+        assert.equal(buildProposalView('0.0.500', proposal, tally).viewer.isApprover, false);
+    });
+
+    it('hands the sealed content of a confidential proposal to approvers only', () => {
+        const { description, ...rules } = proposal;
+        const confidential = { ...rules, confidential: { commitment: '0'.repeat(64), hasAction: false } };
+        const sealed = { algorithm: 'approvr-seal/1', recipients: [] };
+        const forApprover = buildProposalView('0.0.500', confidential, tally, { viewerAccountId: '0.0.1', sealed });
+        assert.equal(forApprover.description, null);
+        assert.deepEqual(forApprover.confidential, confidential.confidential);
+        assert.deepEqual(forApprover.sealed, sealed);
+        assert.equal(buildProposalView('0.0.500', confidential, tally, { viewerAccountId: '0.0.9', sealed }).sealed, null);
+        assert.equal(buildProposalView('0.0.500', proposal, tally, { viewerAccountId: '0.0.1', sealed }).sealed, null);
+    });
+
+    it('shows the policy rule and action instead of a plain threshold', () => {
+        const withPolicy = {
+            ...proposal,
+            policy: { groups: { finance: ['0.0.1', '0.0.2'] }, rule: { group: 'finance', min: 1 } },
+            action: { type: 'hbar_transfer', to: '0.0.77', amount: 5 },
+        };
+        const view = buildProposalView('0.0.500', withPolicy, computeTally(withPolicy, []));
+        assert.equal(view.threshold, null);
+        assert.equal(view.rule, 'finance ≥ 1');
+        assert.equal(typeof view.actionSummary, 'string');
+        assert.deepEqual(view.approvers[0].groups, ['finance']);
+    });
+});
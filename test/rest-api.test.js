@@ -0,0 +1,295 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createRestApi, restApiErrorHandler, parseApiKeys, authenticateApiKey, proposalFieldsFromBody } from '../rest-api.js';
+import { computeTally } from '../tally.js';
+import { createWebhookDispatcher } from '../webhooks.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+const proposal = { description: 'Pay vendor', approvers: ['0.0.1', '0.0.2'], threshold: 2, createdAt: '2026-01-01T00:00:00.000Z' };
+
+function fakeDeps(overrides = {}) {
+    const calls = { created: [], votes: [] };
+    const tallyResult = {
+        status: 'success', outcome: 'pending', proposal, tally: computeTally(proposal, []),
+        execution: null, lastSequenceNumber: 1, topicUrl: 'https://hashscan.io/testnet/topic/0.0.500',
+    };
+    const deps = {
+        apiKeys: parseApiKeys('tools:secret-key,ops:ops-key,reader:reader-key'),
+        webhookClients: ['tools', 'ops'],
+        createProposal: async (fields, client) => {
+            calls.created.push({ fields, client });
+            return {
+                status: 'success', topicId: '0.0.500', topicUrl: 'https://hashscan.io/testnet/topic/0.0.500',
+                ...(fields.confidential ? { confidential: { commitment: 'c'.repeat(64), hasAction: true } } : {}),
+            };
+        },
+        getProposal: async (topicId) => topicId === '0.0.500'
+            ? { status: 'success', proposal }
+            : { status: 'error', code: 'not_found', message: `Topic ${topicId} does not contain an Approvr proposal.` },
+        tallyApprovals: async (topicId) => topicId === '0.0.500'
+            ? tallyResult
+            : { status: 'error', code: 'not_found', message: 'Failed to tally approvals: no proposal.' },
+        submitVote: async (topicId, accountId, decision, signedVote) => {
+            calls.votes.push({ topicId, accountId, decision, signedVote });
+            if (signedVote.signature === 'replayed') {
+                return { status: 'error', code: 'stale_vote', message: `Failed to submit vote: ${accountId} already has this vote or a newer one on the topic.` };
+            }
+            if (signedVote.signature === 'late') {
+                return { status: 'error', code: 'voting_closed', message: 'Failed to submit vote: Voting on this proposal is closed, it is approved.' };
+            }
+            return { status: 'success', sequenceNumber: 2, transactionUrl: 'https://hashscan.io/testnet/transaction/x' };
+        },
+        listProposals: async () => [
+            { topicId: '0.0.500', ...proposal, chatId: '-5', card: { chatId: '-5', messageId: 1 } },
+            { topicId: '0.0.501', ...proposal, approvers: ['0.0.3'], threshold: 1, outcome: 'approved', createdAt: '2026-01-02T00:00:00.000Z' },
+        ],
+        exportProposalAudit: async (topicId) => topicId === '0.0.500'
+            ? { status: 'success', bundle: { format: 'approvr-audit/1', topicId, messages: [{ sequenceNumber: 1, consensusTimestamp: '1.000000001', kind: 'proposal', message: '{"a":1}' }] } }
+            : { status: 'error', code: 'not_found', message: 'Failed to export the proposal: no proposal.' },
+        afterVote: async () => 'pending',
+        webhooks: (() => {
+            const store = createStorageFromBackend(createMemoryBackend());
+            return createWebhookDispatcher({ webhooks: store.webhooks, deliveries: store.webhookDeliveries, fetch: async () => ({ ok: true, status: 200 }) });
+        })(),
+        ...overrides,
+    };
+    return { deps, calls };
+}
+
+describe('REST API', () => {
+    let server;
+    let baseUrl;
+    let calls;
+
+    before(async () => {
+        // The routes log every request; on Node 20 that stdout output can garble the test runner's own stream.
+        mock.method(console, 'log', () => {});
+        const fake = fakeDeps();
+        calls = fake.calls;
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1', createRestApi(fake.deps), restApiErrorHandler);
+        server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        mock.restoreAll();
+    });
+
+    const request = async (method, path, { body, key = 'secret-key', headers = {} } = {}) => {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: { ...(key ? { 'X-API-Key': key } : {}), ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('serves the OpenAPI document without a key', async () => {
+        const { status, body } = await request('GET', '/openapi.json', { key: null });
+        assert.equal(status, 200);
+        assert.equal(body.openapi, '3.1.0');
+        assert.ok(body.paths['/proposals/{topicId}/votes'].post);
+    });
+
+    it('requires an API key, as X-API-Key or bearer token', async () => {
+        assert.deepEqual(await request('GET', '/proposals', { key: null }),
+            { status: 401, body: { error: { code: 'unauthorized', message: 'Missing or unknown API key.' } } });
+        assert.equal((await request('GET', '/proposals', { key: 'wrong' })).status, 401);
+        assert.equal((await request('GET', '/proposals', { key: null, headers: { Authorization: 'Bearer secret-key' } })).status, 200);
+    });
+
+    it('creates a proposal', async () => {
+        const { status, body } = await request('POST', '/proposals', {
+            body: { description: 'Pay vendor', approvers: ['0.0.1', '0.0.2'], threshold: 2, deadline: '48h' },
+        });
+        assert.equal(status, 201);
+        assert.equal(body.topicId, '0.0.500');
+        assert.equal(body.outcome, 'pending');
+        assert.equal(body.topicUrl, 'https://hashscan.io/testnet/topic/0.0.500');
+        assert.equal(calls.created.at(-1).client, 'tools');
+        assert.match(calls.created.at(-1).fields.deadline, /^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('creates a confidential proposal without echoing its content', async () => {
+        const { status, body } = await request('POST', '/proposals', {
+            body: { description: 'Raise for Bob', approvers: ['0.0.1'], threshold: 1, confidential: true, action: { type: 'hbar_transfer', to: '0.0.7', amount: '5', from: '0.0.4004' } },
+        });
+        assert.equal(status, 201);
+        assert.equal(calls.created.at(-1).fields.confidential, true);
+        assert.equal(calls.created.at(-1).fields.description, 'Raise for Bob');
+        assert.deepEqual(body.confidential, { commitment: 'c'.repeat(64), hasAction: true });
+        assert.equal(body.action, null);
+        assert.doesNotMatch(JSON.stringify(body), /Raise for Bob/);
+        assert.doesNotMatch(JSON.stringify(console.log.mock.calls.map(call => call.arguments)), /Raise for Bob/);
+    });
+
+    it('answers invalid bodies with the error envelope', async () => {
+        const invalid = await request('POST', '/proposals', { body: { description: 'x', approvers: ['alice'], extra: 1 } });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.code, 'invalid_request');
+        assert.ok(invalid.body.error.details.some(detail => detail.path === 'approvers.0'));
+
+        const unsatisfiable = await request('POST', '/proposals', { body: { description: 'x', approvers: ['0.0.1'], threshold: 3 } });
+        assert.equal(unsatisfiable.status, 422);
+        assert.equal(unsatisfiable.body.error.code, 'invalid_proposal');
+
+        const malformed = await request('POST', '/proposals', { body: '{"description":' });
+        assert.deepEqual(malformed.body, { error: { code: 'invalid_request', message: 'The request body is not valid JSON.' } });
+    });
+
+    it('lists proposals without Telegram details', async () => {
+        const { body } = await request('GET', '/proposals?status=open');
+        assert.deepEqual(body.items.map(item => item.topicId), ['0.0.500']);
+        assert.equal('chatId' in body.items[0], false);
+        assert.equal('card' in body.items[0], false);
+
+        const byApprover = await request('GET', '/proposals?approver=0.0.3&pageSize=1');
+        assert.deepEqual(byApprover.body, { items: [byApprover.body.items[0]], page: 1, pages: 1, total: 1 });
+        assert.equal(byApprover.body.items[0].outcome, 'approved');
+    });
+
+    it('gets a proposal and its tally', async () => {
+        const detail = await request('GET', '/proposals/0.0.500');
+        assert.equal(detail.status, 200);
+        assert.equal(detail.body.description, 'Pay vendor');
+        assert.equal('viewer' in detail.body, false);
+
+        const tally = await request('GET', '/proposals/0.0.500/tally');
+        assert.deepEqual(tally.body.outstanding, ['0.0.1', '0.0.2']);
+        assert.equal(tally.body.lastSequenceNumber, 1);
+
+        assert.equal((await request('GET', '/proposals/0.0.999/tally')).body.error.code, 'not_found');
+        assert.equal((await request('GET', '/proposals/abc')).status, 400);
+    });
+
+    it('exports the audit bundle as JSON or CSV', async () => {
+        const json = await fetch(`${baseUrl}/proposals/0.0.500/export`, { headers: { 'X-API-Key': 'secret-key' } });
+        assert.equal(json.headers.get('content-disposition'), 'attachment; filename="approvr-0.0.500.json"');
+        assert.equal((await json.json()).format, 'approvr-audit/1');
+
+        const csv = await fetch(`${baseUrl}/proposals/0.0.500/export?format=csv`, { headers: { 'X-API-Key': 'secret-key' } });
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(await csv.text(), /^sequence_number,.*\r\n1,1\.000000001,,,,proposal,,,,,"\{""a"":1\}"\r\n$/);
+
+        assert.equal((await request('GET', '/proposals/0.0.500/export?format=xml')).status, 400);
+        assert.equal((await request('GET', '/proposals/0.0.999/export')).status, 404);
+    });
+
+    it('relays signed votes from approvers only', async () => {
+        const vote = { accountId: '0.0.1', decision: 'APPROVE', timestamp: new Date().toISOString(), signature: 'abcd', comment: 'ok' };
+        const cast = await request('POST', '/proposals/0.0.500/votes', { body: vote });
+        assert.equal(cast.status, 201);
+        assert.equal(cast.body.sequenceNumber, 2);
+        assert.equal(cast.body.outcome, 'pending');
+        assert.deepEqual(calls.votes.at(-1).signedVote, { timestamp: vote.timestamp, signature: 'abcd', comment: 'ok' });
+
+        const outsider = await request('POST', '/proposals/0.0.500/votes', { body: { ...vote, accountId: '0.0.9' } });
+        assert.equal(outsider.status, 403);
+        assert.equal(outsider.body.error.code, 'not_an_approver');
+
+        const longComment = await request('POST', '/proposals/0.0.500/votes', { body: { ...vote, comment: 'x'.repeat(300) } });
+        assert.equal(longComment.body.error.code, 'invalid_request');
+
+        const replayed = await request('POST', '/proposals/0.0.500/votes', { body: { ...vote, signature: 'replayed' } });
+        assert.equal(replayed.status, 409);
+        assert.equal(replayed.body.error.code, 'stale_vote');
+
+        const late = await request('POST', '/proposals/0.0.500/votes', { body: { ...vote, signature: 'late' } });
+        assert.equal(late.status, 409);
+        assert.equal(late.body.error.code, 'voting_closed');
+    });
+
+    it('registers, lists and removes webhooks', async () => {
+        const invalid = await request('POST', '/webhooks', { body: { url: 'ftp://ci.example', events: ['proposal.merged'] } });
+        assert.deepEqual(invalid.body.error.details.map(detail => detail.path), ['url', 'events.0']);
+
+        const created = await request('POST', '/webhooks', { body: { url: 'https://ci.example/hook', events: ['proposal.approved'] } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.client, 'tools');
+        assert.ok(created.body.secret);
+
+        const listed = await request('GET', '/webhooks');
+        assert.deepEqual(listed.body.items.map(w => [w.id, w.secret]), [[created.body.id, undefined]]);
+        assert.deepEqual((await request('GET', `/webhooks/${created.body.id}/deliveries`)).body, { items: [] });
+
+        const removed = await fetch(`${baseUrl}/webhooks/${created.body.id}`, { method: 'DELETE', headers: { 'X-API-Key': 'secret-key' } });
+        assert.equal(removed.status, 204);
+        assert.equal((await request('DELETE', `/webhooks/${created.body.id}`)).body.error.code, 'not_found');
+        assert.equal((await request('GET', `/webhooks/${created.body.id}/deliveries`)).status, 404);
+    });
+
+    it('only accepts https webhooks on public hosts', async () => {
+        for (const url of ['http://ci.example/hook', 'https://169.254.169.254/latest/meta-data', 'https://localhost:8080/', 'https://[::1]/', 'https://10.0.0.7/']) {
+            const refused = await request('POST', '/webhooks', { body: { url, events: ['proposal.approved'] } });
+            assert.equal(refused.status, 400, url);
+            assert.deepEqual(refused.body.error.details.map(detail => detail.path), ['url']);
+        }
+    });
+
+    it('keeps each API key to its own webhooks', async () => {
+        const mine = await request('POST', '/webhooks', { body: { url: 'https://ci.example/hook', events: ['proposal.approved'] } });
+        const theirs = await request('POST', '/webhooks', { key: 'ops-key', body: { url: 'https://ops.example/hook', events: ['vote.cast'] } });
+
+        assert.deepEqual((await request('GET', '/webhooks')).body.items.map(webhook => webhook.id), [mine.body.id]);
+        assert.equal((await request('GET', `/webhooks/${theirs.body.id}/deliveries`)).status, 404);
+        assert.equal((await request('DELETE', `/webhooks/${theirs.body.id}`)).status, 404);
+        assert.deepEqual((await request('GET', '/webhooks', { key: 'ops-key' })).body.items.map(webhook => webhook.id), [theirs.body.id]);
+
+        const refused = await request('POST', '/webhooks', { key: 'reader-key', body: { url: 'https://reader.example/hook', events: ['vote.cast'] } });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.error.code, 'forbidden');
+    });
+
+    it('answers unknown routes with the error envelope', async () => {
+        assert.equal((await request('GET', '/nothing')).body.error.code, 'not_found');
+    });
+});
+
+describe('REST API without keys', () => {
+    it('is disabled', async () => {
+        const app = express();
+        app.use('/api/v1', createRestApi(fakeDeps({ apiKeys: [] }).deps), restApiErrorHandler);
+        const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/proposals`);
+            assert.equal(response.status, 503);
+            assert.equal((await response.json()).error.code, 'api_disabled');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('parseApiKeys / authenticateApiKey', () => {
+    it('names keys and matches them', () => {
+        const keys = parseApiKeys('ci:abc, def');
+        assert.deepEqual(keys.map(key => key.name), ['ci', 'client2']);
+        assert.equal(authenticateApiKey(keys, 'abc'), 'ci');
+        assert.equal(authenticateApiKey(keys, 'def'), 'client2');
+        assert.equal(authenticateApiKey(keys, 'ci:abc'), null);
+        assert.equal(authenticateApiKey(keys, undefined), null);
+    });
+});
+
+describe('proposalFieldsFromBody', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+    it('parses a rule expression into a policy', () => {
+        const fields = proposalFieldsFromBody({
+            description: 'Pay', approvers: ['0.0.1', '0.0.2'], policy: { groups: { finance: ['0.0.1', '0.0.2'] }, rule: 'finance>=2' },
+        }, now);
+        assert.equal(fields.threshold, null);
+        assert.deepEqual(fields.policy, { groups: { finance: ['0.0.1', '0.0.2'] }, rule: { group: 'finance', min: 2 } });
+    });
+
+    it('rejects past or unreadable deadlines', () => {
+        const body = { description: 'Pay', approvers: ['0.0.1'], threshold: 1 };
+        assert.throws(() => proposalFieldsFromBody({ ...body, deadline: '2025-01-01' }, now), { apiCode: 'invalid_proposal', message: /future/ });
+        assert.throws(() => proposalFieldsFromBody({ ...body, deadline: 'soon' }, now), { apiCode: 'invalid_proposal' });
+        assert.equal(proposalFieldsFromBody({ ...body, deadline: '2d' }, now).deadline, '2026-01-03T00:00:00.000Z');
+    });
+});
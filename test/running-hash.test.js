@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import { nextRunningHash, verifyRunningHashChain, RUNNING_HASH_VERSION } from '../running-hash.js';
+import { createMemoryGateway, toTopicMessage } from '../hedera-gateway.js';
+
+// Real messages as the mirror node returned them; written by scripts/capture-topic-fixture.js.
+const TESTNET_FIXTURE = new URL('./fixtures/testnet-topic-messages.json', import.meta.url);
+
+async function topicWithMessages(texts) {
+    const gateway = createMemoryGateway({ operatorAccountId: '0.0.42', now: () => 1700000000000 });
+    const { topicId } = await gateway.createTopic();
+    for (const text of texts) await gateway.submitMessage(topicId, text);
+    return (await gateway.getTopicMessages(topicId)).map(message => ({ ...message, contents: Buffer.from(message.contents, 'base64') }));
+}
+
+describe('nextRunningHash', () => {
+    it('hashes the previous hash, metadata and message into 48 bytes', () => {
+        const message = { topicId: '0.0.5', payerAccountId: '0.0.42', consensusTimestamp: '1700000000.000000001', sequenceNumber: 1, contents: Buffer.from('hello') };
+        const first = nextRunningHash(null, message);
+        assert.equal(first.length, 48);
+        assert.equal(first.toString('hex'), nextRunningHash(Buffer.alloc(48), message).toString('hex'));
+        assert.notEqual(nextRunningHash(first, message).toString('hex'), first.toString('hex'));
+        assert.notEqual(nextRunningHash(null, { ...message, payerAccountId: '0.0.43' }).toString('hex'), first.toString('hex'));
+        assert.notEqual(nextRunningHash(null, { ...message, consensusTimestamp: '1700000000.000000002' }).toString('hex'), first.toString('hex'));
+    });
+});
+
+describe('verifyRunningHashChain', () => {
+    it('accepts real testnet messages', { skip: !existsSync(TESTNET_FIXTURE) && 'no fixture: run node scripts/capture-topic-fixture.js <topic_id>' }, () => {
+        const fixture = JSON.parse(readFileSync(TESTNET_FIXTURE, 'utf8'));
+        const messages = fixture.messages.map(raw => toTopicMessage(raw, fixture.topicId))
+            .map(message => ({ ...message, contents: Buffer.from(message.contents, 'base64') }));
+        assert.ok(messages.length >= 2);
+        assert.deepEqual(verifyRunningHashChain(messages), { valid: true, checked: messages.length });
+
+        const altered = messages.map((m, index) => index === 1 ? { ...m, consensusTimestamp: m.consensusTimestamp.replace(/\d$/, d => (Number(d) + 1) % 10) } : m);
+        assert.equal(verifyRunningHashChain(altered).checked, 1);
+    });
+
+    it('accepts the chain of the memory gateway', async () => {
+        const messages = await topicWithMessages(['one', 'two', 'three']);
+        assert.equal(messages[0].runningHashVersion, RUNNING_HASH_VERSION);
+        assert.deepEqual(verifyRunningHashChain(messages), { valid: true, checked: 3 });
+    });
+
+    it('detects altered, missing and reordered messages', async () => {
+        const messages = await topicWithMessages(['one', 'two', 'three']);
+
+        const altered = messages.map(m => m.sequenceNumber === 2 ? { ...m, contents: Buffer.from('TWO') } : m);
+        assert.deepEqual(verifyRunningHashChain(altered), {
+            valid: false, checked: 1, error: 'Message 2 does not match its running hash: it was altered, or a message before it is missing.',
+        });
+        assert.match(verifyRunningHashChain([messages[0], messages[2]]).error, /Message 3 is out of place/);
+        assert.match(verifyRunningHashChain([messages[1], messages[0]]).error, /Message 2 is out of place/);
+        assert.match(verifyRunningHashChain([{ ...messages[0], runningHash: null }]).error, /has no running hash/);
+        assert.match(verifyRunningHashChain([{ ...messages[0], runningHashVersion: 2 }]).error, /version 2/);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    sealProposal, openSealedProposal, commitmentOf, checkDisclosure, validateEncryptionKey, encryptionKeyStatement,
+    publicDescription, hasAction, SEAL_ALGORITHM, CONFIDENTIAL_LABEL,
+} from '../sealed-proposals.js';
+
+function encryptionKey() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return { privateKey: ecdh.getPrivateKey(), publicKey: ecdh.getPublicKey('base64') };
+}
+
+describe('sealed proposals', () => {
+    const alice = encryptionKey();
+    const bob = encryptionKey();
+    const action = { type: 'hbar_transfer', to: '0.0.7', amount: '5' };
+    const recipients = [
+        { accountId: '0.0.1', publicKey: alice.publicKey, signature: 'aa' },
+        { accountId: '0.0.2', publicKey: bob.publicKey, signature: 'bb' },
+    ];
+
+    it('opens for every approver and matches the commitment', () => {
+        const { commitment, disclosure, sealed } = sealProposal({ description: 'Raise for Bob', action }, recipients);
+        assert.equal(sealed.algorithm, SEAL_ALGORITHM);
+        assert.deepEqual(sealed.recipients.map(r => [r.accountId, r.encryptionKey, r.keySignature]),
+            [['0.0.1', alice.publicKey, 'aa'], ['0.0.2', bob.publicKey, 'bb']]);
+        assert.doesNotMatch(JSON.stringify(sealed), /Raise|hbar_transfer/);
+
+        for (const [accountId, key] of [['0.0.1', alice], ['0.0.2', bob]]) {
+            const opened = openSealedProposal(sealed, accountId, key.privateKey);
+            assert.deepEqual(opened, disclosure);
+            assert.equal(commitmentOf(opened), commitment);
+        }
+    });
+
+    it('refuses the wrong key and non-recipients', () => {
+        const { sealed } = sealProposal({ description: 'Raise for Bob' }, recipients);
+        assert.throws(() => openSealedProposal(sealed, '0.0.1', bob.privateKey));
+        assert.throws(() => openSealedProposal(sealed, '0.0.3', alice.privateKey), /not sealed to 0\.0\.3/);
+    });
+
+    it('salts the commitment and detects altered content', () => {
+        const first = sealProposal({ description: 'Raise for Bob', action }, recipients);
+        const second = sealProposal({ description: 'Raise for Bob', action }, recipients);
+        assert.notEqual(first.commitment, second.commitment);
+        assert.equal(checkDisclosure(first.disclosure, first.commitment), null);
+        assert.match(checkDisclosure({ ...first.disclosure, action: { ...action, amount: '500' } }, first.commitment), /does not match/);
+        assert.match(checkDisclosure({ description: 'Raise for Bob' }, first.commitment), /salt/);
+    });
+
+    it('accepts only uncompressed P-256 public keys', () => {
+        assert.equal(validateEncryptionKey(alice.publicKey), null);
+        assert.match(validateEncryptionKey(''), /missing/);
+        assert.match(validateEncryptionKey(Buffer.alloc(65, 4).toString('base64')), /P-256/);
+        assert.match(validateEncryptionKey(crypto.randomBytes(32).toString('base64')), /P-256/);
+        assert.equal(encryptionKeyStatement('0.0.1', alice.publicKey), `approvr-encryption-key:0.0.1:${alice.publicKey}`);
+    });
+
+    it('labels confidential proposals and tells whether they have an action', () => {
+        const confidential = { commitment: '0'.repeat(64), hasAction: true };
+        assert.equal(publicDescription({ confidential }), CONFIDENTIAL_LABEL);
+        assert.equal(publicDescription({ description: 'Pay vendor' }), 'Pay vendor');
+        assert.equal(hasAction({ confidential }), true);
+        assert.equal(hasAction({ confidential: { ...confidential, hasAction: false } }), false);
+        assert.equal(hasAction({ description: 'x', action }), true);
+    });
+});
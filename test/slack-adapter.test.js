@@ -0,0 +1,157 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import express from 'express';
+import { createSlackCommands, verifySlackSignature, chatMessageFromSlack, slackResponse, SLACK_PLATFORM } from '../slack-adapter.js';
+import { createBotCore } from '../bot-core.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+// Slash command forms as Slack posts them.
+const commands = JSON.parse(readFileSync(new URL('./fixtures/slack-commands.json', import.meta.url), 'utf8'));
+const SIGNING_SECRET = '8f742231b10e8888abcd99yyyzzz85a5';
+
+function sign(body, timestamp = String(Math.floor(Date.now() / 1000)), secret = SIGNING_SECRET) {
+    return { timestamp, signature: 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex') };
+}
+
+describe('verifySlackSignature', () => {
+    it('accepts what Slack signs and rejects tampering or stale requests', () => {
+        const now = Date.parse('2026-01-01T00:00:00.000Z');
+        const rawBody = new URLSearchParams(commands.tally).toString();
+        const { timestamp, signature } = sign(rawBody, String(now / 1000));
+        assert.equal(verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature, rawBody, now }), null);
+        assert.equal(verifySlackSignature({ signingSecret: 'other', timestamp, signature, rawBody, now }), 'Slack signature does not match.');
+        assert.equal(verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature, rawBody: rawBody + '1', now }), 'Slack signature does not match.');
+        assert.equal(verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, signature, rawBody, now: now + 10 * 60 * 1000 }), 'Slack request timestamp is too old.');
+        assert.equal(verifySlackSignature({ signingSecret: SIGNING_SECRET, timestamp, rawBody, now }), 'Missing Slack signature.');
+    });
+});
+
+describe('chatMessageFromSlack', () => {
+    it('splits the text into command and arguments and keys users by team', () => {
+        const { platform, ...message } = chatMessageFromSlack(commands.create);
+        assert.equal(platform, SLACK_PLATFORM);
+        assert.deepEqual(message, {
+            command: 'create',
+            args: 'Pay vendor invoice | 0.0.1001,0.0.1002 | 2',
+            user: { id: 'slack:T0001:U2147483697', username: 'ada' },
+            chat: { id: 'slack:T0001:C2147483705', isGroup: true },
+        });
+        assert.equal(chatMessageFromSlack(commands.empty).command, 'help');
+        assert.equal(chatMessageFromSlack(commands.approveInDm).chat.isGroup, false);
+        assert.equal(chatMessageFromSlack({ ...commands.tally, text: '/TALLY  0.0.500' }).command, 'tally');
+    });
+});
+
+describe('slackResponse', () => {
+    it('joins replies, escapes markup and shares them only when asked', () => {
+        assert.deepEqual(slackResponse([{ text: 'Send `/approvr verify <signature_hex>` & wait' }]), {
+            response_type: 'ephemeral',
+            text: 'Send `/approvr verify &lt;signature_hex&gt;` &amp; wait',
+        });
+        assert.deepEqual(slackResponse([{ text: 'Note' }, { text: 'Tally', shared: true, buttons: [{ text: 'Topic', url: 'https://hashscan.io/x' }] }]), {
+            response_type: 'in_channel',
+            text: 'Note\n\nTally\n<https://hashscan.io/x|Topic>',
+        });
+    });
+});
+
+describe('Slack slash commands', () => {
+    let server;
+    let baseUrl;
+    let store;
+    let posted;
+    let tallyDelayMs;
+
+    function post(fields, { secret = SIGNING_SECRET, path = '/slack' } = {}) {
+        const body = new URLSearchParams(fields).toString();
+        const { timestamp, signature } = sign(body, undefined, secret);
+        return fetch(baseUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Slack-Request-Timestamp': timestamp, 'X-Slack-Signature': signature },
+            body,
+        });
+    }
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        store = createStorageFromBackend(createMemoryBackend());
+        const core = createBotCore({
+            store,
+            createProposal: async (fields, origin) => ({
+                result: { status: 'success', topicId: '0.0.500' },
+                reply: `Proposal created successfully! Topic ID: 0.0.500. Created by ${origin.creatorId} in ${origin.chatId}.`,
+            }),
+            getProposal: async () => ({ status: 'success', proposal: { approvers: ['0.0.1001', '0.0.1002'], threshold: 2 } }),
+            tallyApprovals: async () => {
+                await new Promise(resolve => setTimeout(resolve, tallyDelayMs));
+                return { status: 'success', message: 'Current tally: 0/2 approvals.' };
+            },
+            submitVote: async () => ({ status: 'success', message: 'Signed approval recorded for 0.0.1001.' }),
+            miniAppUrl: () => assert.fail('Slack has no Mini App'),
+        });
+        const app = express();
+        app.use('/slack', createSlackCommands({
+            core,
+            signingSecret: SIGNING_SECRET,
+            responseDeadlineMs: 100,
+            fetch: async (url, init) => { posted.push({ url, body: JSON.parse(init.body) }); return { ok: true, status: 200 }; },
+        }));
+        app.use('/disabled', createSlackCommands({ core }));
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    beforeEach(() => {
+        posted = [];
+        tallyDelayMs = 0;
+    });
+
+    it('refuses unsigned requests and answers 503 without a signing secret', async () => {
+        assert.equal((await post(commands.empty, { secret: 'wrong' })).status, 401);
+        assert.equal((await post(commands.empty, { path: '/disabled' })).status, 503);
+    });
+
+    it('shows the help to the sender only', async () => {
+        const response = await post(commands.empty);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.equal(body.response_type, 'ephemeral');
+        assert.match(body.text, /\/approvr linkaccount &lt;account_id&gt;/);
+    });
+
+    it('shares a created proposal with the channel', async () => {
+        const body = await (await post(commands.create)).json();
+        assert.deepEqual(body, {
+            response_type: 'in_channel',
+            text: 'Proposal created successfully! Topic ID: 0.0.500. Created by slack:T0001:U2147483697 in slack:T0001:C2147483705.',
+        });
+    });
+
+    it('asks a linked approver to sign the vote text', async () => {
+        await store.accountLinks.set('slack:T0001:U2147483697', { hederaAccountId: '0.0.1001' });
+        const body = await (await post(commands.approveInDm)).json();
+        assert.equal(body.response_type, 'ephemeral');
+        assert.match(body.text, /sign this exact text with the key of `0.0.1001`/);
+        assert.match(body.text, /Then send: `\/approvr approve 0.0.500 &lt;signature_hex&gt;`/);
+    });
+
+    it('answers slow commands later through the response_url', async () => {
+        tallyDelayMs = 300;
+        const body = await (await post(commands.tally)).json();
+        assert.deepEqual(body, { response_type: 'ephemeral', text: '⏳ Working on it…' });
+        for (let i = 0; i < 50 && posted.length === 0; i++) await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual(posted, [{
+            url: commands.tally.response_url,
+            body: { response_type: 'in_channel', text: 'Current tally: 0/2 approvals.' },
+        }]);
+    });
+});
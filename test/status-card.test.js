@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTally } from '../tally.js';
+import { formatStatusCard, statusCardKeyboard, escapeHtml } from '../status-card.js';
+
+const proposal = { description: 'Pay <vendor> & co', approvers: ['0.0.1', '0.0.2', '0.0.3'], threshold: 2 };
+const vote = (accountId, decision) => ({ accountId, decision });
+const members = new Map([
+    ['0.0.1', { telegramId: 11, username: 'alice' }],
+    ['0.0.2', { telegramId: 22, username: null }],
+]);
+
+describe('formatStatusCard', () => {
+    it('shows who voted, who is missing and what is needed', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE')]);
+        const card = formatStatusCard('0.0.9', proposal, tally, { members, explorerUrl: 'https://hashscan.io/testnet/topic/0.0.9' });
+
+        assert.match(card, /^<b>🗳 Open for votes<\/b>\nPay &lt;vendor&gt; &amp; co\n/);
+        assert.match(card, /✅ Approved: @alice \(<code>0\.0\.1<\/code>\)/);
+        assert.match(card, /⏳ Waiting for: <a href="tg:\/\/user\?id=22">0\.0\.2<\/a>, <code>0\.0\.3<\/code>/);
+        assert.match(card, /Approvals: 1\/2 - 1 more needed\./);
+        assert.match(card, /<a href="https:\/\/hashscan\.io\/testnet\/topic\/0\.0\.9">View on HashScan<\/a>/);
+    });
+
+    it('shows the final outcome', () => {
+        const approved = computeTally(proposal, [vote('0.0.1', 'APPROVE'), vote('0.0.2', 'APPROVE')]);
+        const card = formatStatusCard('0.0.9', proposal, approved, { members });
+        assert.match(card, /^<b>✅ Approved<\/b>/);
+        assert.match(card, /2\/2 approvals reached\./);
+        assert.doesNotMatch(card, /Waiting for/);
+
+        const rejected = computeTally(proposal, [vote('0.0.1', 'REJECT'), vote('0.0.2', 'REJECT')]);
+        assert.match(formatStatusCard('0.0.9', proposal, rejected), /^<b>❌ Rejected<\/b>[\s\S]*Approval is no longer possible\./);
+    });
+
+    it('explains approval rules', () => {
+        const policyProposal = {
+            ...proposal,
+            threshold: undefined,
+            policy: { groups: { finance: ['0.0.1', '0.0.2'], eng: ['0.0.3'] }, weights: {}, rule: { all: [{ group: 'finance', min: 1 }, { group: 'eng', min: 1 }] } },
+        };
+        const card = formatStatusCard('0.0.9', policyProposal, computeTally(policyProposal, [vote('0.0.1', 'APPROVE')]));
+        assert.match(card, /Approval rule: finance ≥ 1 AND eng ≥ 1/);
+        assert.match(card, /❌ eng ≥ 1 \(0\/1\) - missing 1 approval\(s\)/);
+    });
+});
+
+describe('statusCardKeyboard', () => {
+    it('offers voting buttons only while the proposal is open', () => {
+        const [[approve, reject], [refresh]] = statusCardKeyboard('0.0.9', 'pending').inline_keyboard;
+        assert.equal(approve.callback_data, 'vote:approve:0.0.9');
+        assert.equal(reject.callback_data, 'vote:reject:0.0.9');
+        assert.equal(refresh.callback_data, 'card:refresh:0.0.9');
+        assert.deepEqual(statusCardKeyboard('0.0.9', 'approved'), { inline_keyboard: [] });
+    });
+});
+
+describe('escapeHtml', () => {
+    it('escapes the characters Telegram HTML cares about', () => {
+        assert.equal(escapeHtml('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+    });
+});
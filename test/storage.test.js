@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMemoryBackend, createFileBackend, createStorageFromBackend, createStorage } from '../storage.js';
+
+// Every backend must honour the same contract, so the same cases run against each local backend.
+const backends = {
+    memory: async () => ({ backend: createMemoryBackend(), cleanup: async () => {} }),
+    file: async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'approvr-storage-'));
+        return {
+            backend: createFileBackend(path.join(dir, 'nested', 'approvr.json')),
+            dir,
+            cleanup: () => fs.rm(dir, { recursive: true, force: true }),
+        };
+    },
+};
+
+for (const [name, setup] of Object.entries(backends)) {
+    describe(`${name} storage`, () => {
+        let context;
+        let store;
+
+        beforeEach(async () => {
+            context = await setup();
+            store = createStorageFromBackend(context.backend);
+        });
+
+        afterEach(async () => {
+            await context.cleanup();
+        });
+
+        it('stores and reads account links', async () => {
+            assert.equal(await store.accountLinks.get(42), null);
+            await store.accountLinks.set(42, { hederaAccountId: '0.0.1001', linkedAt: '2026-01-01T00:00:00.000Z' });
+            assert.deepEqual(await store.accountLinks.get(42), { hederaAccountId: '0.0.1001', linkedAt: '2026-01-01T00:00:00.000Z' });
+            // Numeric and string IDs address the same record.
+            assert.equal((await store.accountLinks.get('42')).hederaAccountId, '0.0.1001');
+        });
+
+        it('keeps collections separate', async () => {
+            await store.accountLinks.set('7', { hederaAccountId: '0.0.7' });
+            await store.challenges.set('7', { nonce: 'abc' });
+            assert.equal((await store.accountLinks.get('7')).hederaAccountId, '0.0.7');
+            assert.equal((await store.challenges.get('7')).nonce, 'abc');
+            assert.deepEqual((await store.proposals.list()), []);
+        });
+
+        it('lists and deletes proposals', async () => {
+            await store.proposals.set('0.0.500', { topicId: '0.0.500', threshold: 1 });
+            await store.proposals.set('0.0.501', { topicId: '0.0.501', threshold: 2 });
+            const ids = (await store.proposals.list()).map(entry => entry.id).sort();
+            assert.deepEqual(ids, ['0.0.500', '0.0.501']);
+
+            await store.proposals.delete('0.0.500');
+            assert.equal(await store.proposals.get('0.0.500'), null);
+            assert.deepEqual((await store.proposals.list()).map(entry => entry.id), ['0.0.501']);
+        });
+
+        it('returns copies rather than live references', async () => {
+            const record = { approvers: ['0.0.1'] };
+            await store.proposals.set('0.0.9', record);
+            record.approvers.push('0.0.2');
+            const loaded = await store.proposals.get('0.0.9');
+            loaded.approvers.push('0.0.3');
+            assert.deepEqual((await store.proposals.get('0.0.9')).approvers, ['0.0.1']);
+        });
+
+        it('expires records stored with a TTL', async () => {
+            await store.challenges.set('1', { nonce: 'short' }, 0.05);
+            await store.challenges.set('2', { nonce: 'long' }, 60);
+            assert.equal((await store.challenges.get('1')).nonce, 'short');
+            await new Promise(resolve => setTimeout(resolve, 80));
+            assert.equal(await store.challenges.get('1'), null);
+            assert.deepEqual((await store.challenges.list()).map(entry => entry.id), ['2']);
+        });
+    });
+}
+
+describe('file storage persistence', () => {
+    it('survives a new backend instance on the same file', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'approvr-storage-'));
+        const file = path.join(dir, 'approvr.json');
+        try {
+            await createStorageFromBackend(createFileBackend(file)).accountLinks.set(5, { hederaAccountId: '0.0.55' });
+            const reopened = createStorageFromBackend(createFileBackend(file));
+            assert.equal((await reopened.accountLinks.get(5)).hederaAccountId, '0.0.55');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps writing after a failed write', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'approvr-storage-'));
+        // A file where the data directory should be makes the first write (but not the read before it) fail.
+        const blocker = path.join(dir, 'data');
+        const file = path.join(blocker, 'approvr.json');
+        try {
+            const store = createStorageFromBackend(createFileBackend(file));
+            assert.equal(await store.accountLinks.get(5), null);
+            await fs.writeFile(blocker, '');
+            await assert.rejects(store.accountLinks.set(5, { hederaAccountId: '0.0.55' }));
+
+            await fs.rm(blocker);
+            await store.accountLinks.set(6, { hederaAccountId: '0.0.66' });
+            const reopened = createStorageFromBackend(createFileBackend(file));
+            assert.equal((await reopened.accountLinks.get(5)).hederaAccountId, '0.0.55');
+            assert.equal((await reopened.accountLinks.get(6)).hederaAccountId, '0.0.66');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('createStorage', () => {
+    it('selects the backend from the environment', async () => {
+        const store = createStorage({ APPROVR_STORAGE: 'memory' });
+        await store.accountLinks.set(1, { hederaAccountId: '0.0.1' });
+        assert.equal((await store.accountLinks.get(1)).hederaAccountId, '0.0.1');
+    });
+
+    it('falls back to memory when the data directory is not writable', async (t) => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'approvr-storage-'));
+        const warn = t.mock.method(console, 'warn', () => {});
+        try {
+            // A regular file can't hold the data directory, which fails for any user, unlike file permissions.
+            await fs.writeFile(path.join(dir, 'readonly'), '');
+            const store = createStorage({ APPROVR_DATA_FILE: path.join(dir, 'readonly', 'data', 'approvr.json') });
+            assert.match(warn.mock.calls[0].arguments[0], /using in-memory storage instead/);
+            await store.accountLinks.set(1, { hederaAccountId: '0.0.1' });
+            assert.equal((await store.accountLinks.get(1)).hederaAccountId, '0.0.1');
+
+            t.mock.method(console, 'log', () => {});
+            createStorage({ APPROVR_STORAGE: 'file', APPROVR_DATA_FILE: path.join(dir, 'data', 'approvr.json') });
+            assert.equal(warn.mock.callCount(), 1);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('requires credentials for redis', () => {
+        assert.throws(() => createStorage({ APPROVR_STORAGE: 'redis' }), /REDIS_REST_URL/);
+    });
+
+    it('rejects unknown backends', () => {
+        assert.throws(() => createStorage({ APPROVR_STORAGE: 'mongo' }), /Unknown APPROVR_STORAGE/);
+    });
+});
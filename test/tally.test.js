@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTally, formatTally } from '../tally.js';
+
+const proposal = { description: 'Pay vendor', approvers: ['0.0.1', '0.0.2', '0.0.3'], threshold: 2 };
+const vote = (accountId, decision) => ({ accountId, decision });
+
+describe('computeTally', () => {
+    it('approves once the threshold is met', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE'), vote('0.0.3', 'APPROVE')]);
+        assert.equal(tally.outcome, 'approved');
+        assert.equal(tally.decidedBy, '0.0.3');
+        assert.deepEqual(tally.approvals, ['0.0.1', '0.0.3']);
+        assert.deepEqual(tally.outstanding, ['0.0.2']);
+    });
+
+    it('stays pending while approval is still possible', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'REJECT')]);
+        assert.equal(tally.outcome, 'pending');
+        assert.deepEqual(tally.rejections, ['0.0.1']);
+    });
+
+    it('rejects when approval becomes impossible', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'REJECT'), vote('0.0.2', 'ABSTAIN')]);
+        assert.equal(tally.outcome, 'rejected');
+        assert.deepEqual(tally.abstentions, ['0.0.2']);
+    });
+
+    it('rejects when the rejection threshold is reached', () => {
+        const tally = computeTally({ ...proposal, rejectThreshold: 1 }, [vote('0.0.2', 'REJECT')]);
+        assert.equal(tally.outcome, 'rejected');
+    });
+
+    it('keeps the first decisive outcome', () => {
+        const tally = computeTally({ ...proposal, rejectThreshold: 1 }, [
+            vote('0.0.1', 'APPROVE'), vote('0.0.2', 'APPROVE'), vote('0.0.3', 'REJECT'),
+        ]);
+        assert.equal(tally.outcome, 'approved');
+    });
+
+    it('counts repeated votes once and ignores outsiders', () => {
+        const tally = computeTally(proposal, [
+            vote('0.0.1', 'APPROVE'), vote('0.0.1', 'APPROVE'), vote('0.0.9', 'APPROVE'),
+        ]);
+        assert.equal(tally.outcome, 'pending');
+        assert.deepEqual(tally.approvals, ['0.0.1']);
+    });
+});
+
+describe('vote changes', () => {
+    const at = (accountId, decision, consensusAt) => ({ accountId, decision, consensusAt });
+
+    it('lets the latest vote win', () => {
+        const tally = computeTally(proposal, [at('0.0.1', 'REJECT', 1), at('0.0.1', 'APPROVE', 2)]);
+        assert.deepEqual(tally.approvals, ['0.0.1']);
+        assert.deepEqual(tally.rejections, []);
+        assert.deepEqual(tally.history['0.0.1'].map(entry => entry.decision), ['REJECT', 'APPROVE']);
+    });
+
+    it('keeps vote comments in the history', () => {
+        const tally = computeTally(proposal, [{ ...at('0.0.1', 'REJECT', 1), comment: 'Wrong amount' }, at('0.0.1', 'APPROVE', 2)]);
+        assert.equal(tally.history['0.0.1'][0].comment, 'Wrong amount');
+        assert.equal('comment' in tally.history['0.0.1'][1], false);
+        assert.match(formatTally('0.0.500', proposal, tally), /0\.0\.1: REJECT \(.+\) "Wrong amount" → APPROVE/);
+    });
+
+    it('flags messages posted outside the allowed path', () => {
+        const tally = computeTally(proposal, []);
+        const outside = Array.from({ length: 6 }, (_, i) => ({ sequenceNumber: i + 2, payerAccountId: '0.0.666' }));
+        assert.match(formatTally('0.0.500', proposal, tally, { outside }),
+            /🚩 6 message\(s\) were posted by accounts this topic does not allow: #2 by 0\.0\.666, .*#6 by 0\.0\.666, \.\.\./);
+        assert.doesNotMatch(formatTally('0.0.500', proposal, tally, { outside: [] }), /🚩/);
+    });
+
+    it('shows the commitment instead of a confidential description', () => {
+        const confidential = { ...proposal, description: undefined, confidential: { commitment: 'ab'.repeat(32), hasAction: true } };
+        const tally = computeTally(confidential, [at('0.0.1', 'APPROVE', 1), at('0.0.2', 'APPROVE', 2)]);
+        const message = formatTally('0.0.500', confidential, tally);
+        assert.match(message, /🔒 Confidential proposal .*\nCommitment \(SHA-256\): (ab){32}/);
+        assert.match(message, /confidential action once an approver releases it/);
+    });
+
+    it('keeps the sequence number of each vote in the history', () => {
+        const tally = computeTally(proposal, [{ ...at('0.0.1', 'REJECT', 1), sequenceNumber: 4 }, at('0.0.1', 'APPROVE', 2)]);
+        assert.equal(tally.history['0.0.1'][0].sequenceNumber, 4);
+        assert.equal('sequenceNumber' in tally.history['0.0.1'][1], false);
+    });
+
+    it('withdraws a vote on REVOKE', () => {
+        const tally = computeTally(proposal, [at('0.0.1', 'APPROVE', 1), at('0.0.1', 'REVOKE', 2)]);
+        assert.deepEqual(tally.approvals, []);
+        assert.deepEqual(tally.outstanding, ['0.0.1', '0.0.2', '0.0.3']);
+    });
+
+    it('replays in consensus-timestamp order regardless of input order', () => {
+        const tally = computeTally(proposal, [at('0.0.1', 'REVOKE', 2), at('0.0.1', 'APPROVE', 1)]);
+        assert.deepEqual(tally.approvals, []);
+    });
+
+    it('does not count a signed vote replayed after a newer one', () => {
+        const signed = (accountId, decision, minute, signature) =>
+            ({ ...at(accountId, decision, minute), timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString(), signature });
+        const approval = signed('0.0.1', 'APPROVE', 1, 'aa01');
+        const tally = computeTally(proposal, [approval, signed('0.0.1', 'REVOKE', 2, 'aa02'), { ...approval, consensusAt: approval.consensusAt + 5 * 60000 }]);
+        assert.deepEqual(tally.approvals, []);
+        assert.deepEqual(tally.history['0.0.1'].map(entry => [entry.decision, entry.counted, entry.note]), [
+            ['APPROVE', true, undefined], ['REVOKE', true, undefined], ['APPROVE', false, 'replayed'],
+        ]);
+
+        // The same signature again, even for another approver's record, and a vote signed earlier than the one counted.
+        const again = computeTally(proposal, [approval, signed('0.0.2', 'APPROVE', 3, 'aa01'), { ...signed('0.0.1', 'REJECT', 0, 'aa03'), consensusAt: 4 }]);
+        assert.deepEqual(again.approvals, ['0.0.1']);
+        assert.deepEqual(again.rejections, []);
+    });
+
+    it('records but does not apply changes after the decision', () => {
+        const tally = computeTally(proposal, [
+            at('0.0.1', 'APPROVE', 1), at('0.0.2', 'APPROVE', 2), at('0.0.2', 'REVOKE', 3),
+        ]);
+        assert.equal(tally.outcome, 'approved');
+        assert.deepEqual(tally.approvals, ['0.0.1', '0.0.2']);
+        assert.deepEqual(tally.history['0.0.2'].map(entry => entry.counted), [true, false]);
+        assert.match(formatTally('0.0.500', proposal, tally), /0\.0\.2: APPROVE \(.+\) → REVOKE \(.+\) \[after decision, not counted\]/);
+    });
+});
+
+describe('formatTally', () => {
+    it('lists every group separately', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE'), vote('0.0.2', 'ABSTAIN')]);
+        const message = formatTally('0.0.500', proposal, tally);
+        assert.match(message, /Approvals \(1\/2\): 0\.0\.1/);
+        assert.match(message, /Rejections \(0\): -/);
+        assert.match(message, /Abstentions \(1\): 0\.0\.2/);
+        assert.match(message, /Not voted yet \(1\): 0\.0\.3/);
+    });
+});
+
+describe('deadlines', () => {
+    const deadline = '2026-01-10T00:00:00.000Z';
+    const before = Date.parse(deadline) - 1000;
+    const after = Date.parse(deadline) + 1000;
+    const timed = (accountId, decision, consensusAt) => ({ accountId, decision, consensusAt });
+
+    it('ignores votes that reach consensus after the deadline', () => {
+        const tally = computeTally({ ...proposal, deadline }, [
+            timed('0.0.1', 'APPROVE', before), timed('0.0.2', 'APPROVE', after),
+        ], { now: after });
+        assert.deepEqual(tally.approvals, ['0.0.1']);
+        assert.equal(tally.lateVotes, 1);
+        assert.equal(tally.outcome, 'expired');
+    });
+
+    it('keeps an outcome reached before the deadline', () => {
+        const tally = computeTally({ ...proposal, deadline }, [
+            timed('0.0.1', 'APPROVE', before), timed('0.0.2', 'APPROVE', before),
+        ], { now: after });
+        assert.equal(tally.outcome, 'approved');
+    });
+
+    it('stays pending until the deadline passes', () => {
+        const tally = computeTally({ ...proposal, deadline }, [timed('0.0.1', 'APPROVE', before)], { now: before });
+        assert.equal(tally.outcome, 'pending');
+        assert.match(formatTally('0.0.500', proposal, tally), /Deadline: 2026-01-10T00:00:00\.000Z/);
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { Telegraf, Telegram } from 'telegraf';
+import { registerCoreCommands, telegramMessage, TELEGRAM_PLATFORM } from '../telegram-adapter.js';
+import { createBotCore } from '../bot-core.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+// Updates as Telegram delivers them to /api/webhook.
+const updates = JSON.parse(readFileSync(new URL('./fixtures/telegram-updates.json', import.meta.url), 'utf8'));
+
+// A bot that never reaches Telegram: API calls are recorded and answered like Telegram would. `handleUpdate`
+// makes a Telegram client per update, so the client's prototype is mocked (and restored after each test).
+function offlineBot() {
+    const bot = new Telegraf('123456:TEST');
+    bot.botInfo = { id: 123456, is_bot: true, first_name: 'Approvr', username: 'approvr_bot' };
+    const calls = [];
+    mock.method(Telegram.prototype, 'callApi', async (method, payload) => {
+        calls.push({ method, payload });
+        return method === 'sendMessage' ? { message_id: calls.length, chat: { id: payload.chat_id }, text: payload.text } : true;
+    });
+    return { bot, calls };
+}
+
+describe('telegramMessage', () => {
+    it('maps Markdown and buttons to Telegram options', () => {
+        assert.deepEqual(telegramMessage({ text: 'plain' }), ['plain', {}]);
+        assert.deepEqual(telegramMessage({
+            text: '`0.0.1`', markdown: true,
+            buttons: [{ text: 'Sign', url: 'https://approvr.test/approve', miniApp: true }, { text: 'HashScan', url: 'https://hashscan.io' }],
+        }), ['`0.0.1`', {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: [[{ text: 'Sign', web_app: { url: 'https://approvr.test/approve' } }, { text: 'HashScan', url: 'https://hashscan.io' }]] },
+        }]);
+    });
+});
+
+describe('registerCoreCommands', () => {
+    let bot;
+    let calls;
+    let store;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        ({ bot, calls } = offlineBot());
+        store = createStorageFromBackend(createMemoryBackend());
+        await store.accountLinks.set(4242, { hederaAccountId: '0.0.1001', username: 'ada' });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('hands the core what the update says', async () => {
+        const seen = [];
+        registerCoreCommands(bot, { handle: async (message, channel) => { seen.push(message); await channel.working(); } });
+        await bot.handleUpdate(updates.createInGroup);
+        await bot.handleUpdate(updates.createForOtherBot);
+        await bot.handleUpdate(updates.help);
+
+        assert.deepEqual(seen.map(({ platform, ...message }) => message), [
+            {
+                command: 'create',
+                args: 'Pay vendor invoice | 0.0.1001,0.0.1002 | 2',
+                user: { id: 4242, username: 'ada' },
+                chat: { id: '-1001234567890', isGroup: true },
+            },
+            { command: 'help', args: '', user: { id: 4242, username: 'ada' }, chat: { id: '4242', isGroup: false } },
+        ]);
+        assert.equal(seen[0].platform, TELEGRAM_PLATFORM);
+        assert.deepEqual(calls.map(call => call.payload.action), ['typing', 'typing']);
+    });
+
+    it('replies in the chat the command came from', async () => {
+        const created = [];
+        const core = createBotCore({
+            store,
+            createProposal: async (fields, origin) => {
+                created.push({ fields, origin });
+                return { result: { status: 'success', topicId: '0.0.500' }, reply: 'Proposal created successfully! Topic ID: 0.0.500.' };
+            },
+            getProposal: async () => ({ status: 'success', proposal: { approvers: ['0.0.1001', '0.0.1002'], threshold: 2 } }),
+            tallyApprovals: async () => ({ status: 'success', message: 'Current tally: 0/2 approvals.' }),
+            submitVote: async () => assert.fail('Telegram votes are signed in the Mini App'),
+            miniAppUrl: ({ topicId, decision, accountId }) => `https://approvr.test/approve?topic_id=${topicId}&decision=${decision}&user_account=${accountId}`,
+        });
+        registerCoreCommands(bot, core);
+
+        for (const name of ['linkaccount', 'createInGroup', 'approve', 'tally']) {
+            await bot.handleUpdate(updates[name]);
+        }
+        const sent = calls.filter(call => call.method === 'sendMessage').map(call => call.payload);
+
+        assert.equal(sent[0].chat_id, 4242);
+        assert.equal(sent[0].parse_mode, 'Markdown');
+        assert.match(sent[0].text, /To prove you own `0.0.1001`/);
+
+        assert.equal(created[0].origin.chatId, '-1001234567890');
+        assert.equal(created[0].fields.threshold, 2);
+        assert.deepEqual([sent[1].chat_id, sent[1].text], [-1001234567890, 'Proposal created successfully! Topic ID: 0.0.500.']);
+
+        assert.deepEqual(sent[2].reply_markup, {
+            inline_keyboard: [[{ text: '🔐 Approve in Mini App', web_app: { url: 'https://approvr.test/approve?topic_id=0.0.500&decision=APPROVE&user_account=0.0.1001' } }]],
+        });
+        assert.deepEqual([sent[3].chat_id, sent[3].text], [-1001234567890, 'Current tally: 0/2 approvals.']);
+    });
+});
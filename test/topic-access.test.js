@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyList, PrivateKey } from '@hashgraph/sdk';
+import { topicAccessFromEnv, buildTopicKeys, allowedPayers, findOutsideMessages } from '../topic-access.js';
+
+describe('topicAccessFromEnv', () => {
+    it('defaults to operator keys and rejects unknown policies', () => {
+        assert.deepEqual(topicAccessFromEnv({}), { submit: 'operator', admin: 'operator' });
+        assert.deepEqual(topicAccessFromEnv({ APPROVR_TOPIC_SUBMIT_KEY: 'Approvers', APPROVR_TOPIC_ADMIN_KEY: 'none' }), { submit: 'approvers', admin: 'none' });
+        assert.throws(() => topicAccessFromEnv({ APPROVR_TOPIC_SUBMIT_KEY: 'anyone' }), /Unknown APPROVR_TOPIC_SUBMIT_KEY "anyone"/);
+        assert.throws(() => topicAccessFromEnv({ APPROVR_TOPIC_ADMIN_KEY: 'approvers' }), /Unknown APPROVR_TOPIC_ADMIN_KEY/);
+    });
+});
+
+describe('buildTopicKeys', () => {
+    const operatorPublicKey = PrivateKey.generateED25519().publicKey;
+    const approverKeys = [PrivateKey.generateED25519().publicKey, PrivateKey.generateECDSA().publicKey];
+
+    it('gives the operator both keys by default', () => {
+        assert.deepEqual(buildTopicKeys({ submit: 'operator', admin: 'operator' }, { operatorPublicKey }),
+            { submitKey: operatorPublicKey, adminKey: operatorPublicKey });
+        assert.deepEqual(buildTopicKeys({ submit: 'open', admin: 'none' }, { operatorPublicKey }), { submitKey: null, adminKey: null });
+    });
+
+    it('lets the operator or any one approver submit', () => {
+        const { submitKey } = buildTopicKeys({ submit: 'approvers', admin: 'none' }, { operatorPublicKey, approverKeys });
+        assert.ok(submitKey instanceof KeyList);
+        assert.equal(submitKey.threshold, 1);
+        const [operator, approvers] = submitKey.toArray();
+        assert.equal(operator.toString(), operatorPublicKey.toString());
+        assert.equal(approvers.threshold, 1);
+        assert.deepEqual(approvers.toArray().map(String), approverKeys.map(String));
+    });
+});
+
+describe('findOutsideMessages', () => {
+    const proposal = { approvers: ['0.0.1', '0.0.2'] };
+    const messages = [
+        { sequenceNumber: 1, payerAccountId: '0.0.42' },
+        { sequenceNumber: 2, payerAccountId: '0.0.1' },
+        { sequenceNumber: 3, payerAccountId: '0.0.666' },
+    ];
+
+    it('only allows the operator when it holds the submit key', () => {
+        const operatorOnly = { ...proposal, access: { submit: 'operator', admin: 'operator' } };
+        assert.deepEqual(allowedPayers(operatorOnly, '0.0.42'), ['0.0.42']);
+        assert.deepEqual(findOutsideMessages(messages, operatorOnly, '0.0.42'),
+            [{ sequenceNumber: 2, payerAccountId: '0.0.1' }, { sequenceNumber: 3, payerAccountId: '0.0.666' }]);
+    });
+
+    it('also allows approvers on approver-writable and older open topics', () => {
+        const approverTopic = { ...proposal, access: { submit: 'approvers', admin: 'none' } };
+        assert.deepEqual(findOutsideMessages(messages, approverTopic, '0.0.42'), [{ sequenceNumber: 3, payerAccountId: '0.0.666' }]);
+        assert.deepEqual(findOutsideMessages(messages, proposal, '0.0.42'), [{ sequenceNumber: 3, payerAccountId: '0.0.666' }]);
+    });
+});
@@ -0,0 +1,174 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PrivateKey } from '@hashgraph/sdk';
+import { emptyTopicState, applyTopicMessages, syncTopicState, verifyVoteMessages } from '../topic-state.js';
+import { createMemoryGateway } from '../hedera-gateway.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+import { encodeProposal, encodeExecution, encodeVote, createVotePayload, votePayloadToSign } from '../approvr-protocol.js';
+
+const PROPOSAL = { description: 'Spend 100 HBAR', approvers: ['0.0.1', '0.0.2'], threshold: 2 };
+
+// Stands in for signature verification: every "VOTE:<account>:<decision>" message is a valid vote.
+function fakeCollector() {
+    const batches = [];
+    const collectVotes = async (proposal, messages) => {
+        batches.push(messages.map(m => m.sequenceNumber));
+        const votes = messages
+            .map(m => [...m.message.split(':'), m.sequenceNumber])
+            .filter(parts => parts[0] === 'VOTE')
+            .map(([, accountId, decision, sequenceNumber]) => ({ accountId, decision, sequenceNumber }));
+        return { votes, ignored: 0 };
+    };
+    return { batches, collectVotes };
+}
+
+describe('syncTopicState', () => {
+    it('only reads and verifies messages after the stored cursor', async () => {
+        const gateway = createMemoryGateway({ operatorAccountId: '0.0.42' });
+        const states = createStorageFromBackend(createMemoryBackend()).topicStates;
+        const { batches, collectVotes } = fakeCollector();
+        const { topicId } = await gateway.createTopic();
+        await gateway.submitMessage(topicId, encodeProposal(PROPOSAL));
+        await gateway.submitMessage(topicId, 'VOTE:0.0.1:APPROVE');
+
+        const first = await syncTopicState(topicId, { gateway, states, collectVotes });
+        assert.equal(first.lastSequenceNumber, 2);
+        assert.equal(first.proposal.threshold, 2);
+
+        await gateway.submitMessage(topicId, 'VOTE:0.0.2:APPROVE');
+        const second = await syncTopicState(topicId, { gateway, states, collectVotes });
+        const third = await syncTopicState(topicId, { gateway, states, collectVotes });
+
+        assert.deepEqual(batches, [[1, 2], [3]]);
+        assert.deepEqual(second.votes.map(v => v.accountId), ['0.0.1', '0.0.2']);
+        assert.deepEqual(third, second);
+        assert.deepEqual(await states.get(topicId), second);
+    });
+
+    it('does not store topics without a proposal', async () => {
+        const gateway = createMemoryGateway();
+        const states = createStorageFromBackend(createMemoryBackend()).topicStates;
+        const { topicId } = await gateway.createTopic();
+        await gateway.submitMessage(topicId, 'hello');
+
+        const state = await syncTopicState(topicId, { gateway, states, ...fakeCollector() });
+        assert.equal(state.proposal, null);
+        assert.equal(await states.get(topicId), null);
+    });
+});
+
+describe('applyTopicMessages', () => {
+    const message = (sequenceNumber, text, payerAccountId = '0.0.9') => ({ sequenceNumber, message: text, payerAccountId });
+
+    it('skips messages at or before the cursor', async () => {
+        const { batches, collectVotes } = fakeCollector();
+        const options = { operatorAccountId: '0.0.42', collectVotes };
+        const state = await applyTopicMessages(emptyTopicState('0.0.5'), [message(1, encodeProposal(PROPOSAL), '0.0.42'), message(2, 'VOTE:0.0.1:APPROVE')], options);
+        const again = await applyTopicMessages(state, [message(2, 'VOTE:0.0.1:APPROVE')], options);
+
+        assert.equal(again, state);
+        assert.equal(batches.length, 1);
+    });
+
+    it('only takes a proposal paid by the operator', async () => {
+        const options = { operatorAccountId: '0.0.42', ...fakeCollector() };
+        const foreign = { ...PROPOSAL, approvers: ['0.0.9'], threshold: 1 };
+        const ignored = await applyTopicMessages(emptyTopicState('0.0.5'), [message(1, encodeProposal(foreign)), message(2, 'VOTE:0.0.9:APPROVE')], options);
+        assert.equal(ignored.proposal, null);
+        assert.equal(ignored.lastSequenceNumber, 0);
+
+        const state = await applyTopicMessages(emptyTopicState('0.0.5'), [message(1, encodeProposal(foreign)), message(2, encodeProposal(PROPOSAL), '0.0.42')], options);
+        assert.deepEqual(state.proposal.approvers, PROPOSAL.approvers);
+    });
+
+    it('flags messages paid by accounts the topic does not allow', async () => {
+        const proposal = { ...PROPOSAL, access: { submit: 'operator', admin: 'operator' } };
+        const options = { operatorAccountId: '0.0.42', ...fakeCollector() };
+        const state = await applyTopicMessages(emptyTopicState('0.0.5'), [message(1, encodeProposal(proposal), '0.0.42'), message(2, 'gm')], options);
+        const next = await applyTopicMessages(state, [message(3, 'VOTE:0.0.1:APPROVE', '0.0.42'), message(4, 'VOTE:0.0.1:APPROVE', '0.0.1')], options);
+
+        assert.deepEqual(next.outside, [{ sequenceNumber: 2, payerAccountId: '0.0.9' }, { sequenceNumber: 4, payerAccountId: '0.0.1' }]);
+
+        const declaredOpen = await applyTopicMessages(emptyTopicState('0.0.5'), [
+            message(1, encodeProposal({ ...PROPOSAL, access: { submit: 'open', admin: 'none' } })),
+            message(2, encodeProposal(proposal), '0.0.42'),
+            message(3, 'gm'),
+        ], options);
+        assert.deepEqual(declaredOpen.outside, [{ sequenceNumber: 1, payerAccountId: '0.0.9' }, { sequenceNumber: 3, payerAccountId: '0.0.9' }]);
+    });
+
+    it('keeps the latest execution record paid by the operator', async () => {
+        const execution = { scheduleId: '0.0.77', scheduledTransactionId: '0.0.42@1.1', status: 'executed' };
+        const state = await applyTopicMessages(emptyTopicState('0.0.5'), [
+            message(1, encodeProposal(PROPOSAL), '0.0.42'),
+            message(2, encodeExecution({ ...execution, scheduleId: '0.0.66' })),
+            message(3, encodeExecution(execution), '0.0.42'),
+        ], { operatorAccountId: '0.0.42', ...fakeCollector() });
+
+        assert.equal(state.execution.scheduleId, '0.0.77');
+    });
+});
+
+describe('verifyVoteMessages', () => {
+    it('keeps signed votes of approvers on this topic only', async (t) => {
+        t.after(() => mock.restoreAll());
+        mock.method(console, 'warn', () => {});
+        const key = PrivateKey.generateED25519();
+        const vote = (sequenceNumber, fields, signingKey = key) => {
+            const payload = createVotePayload({ topicId: '0.0.5', accountId: '0.0.1', decision: 'APPROVE', timestamp: '2026-01-01T00:00:00.000Z', ...fields });
+            const signature = Buffer.from(signingKey.sign(Buffer.from(votePayloadToSign(payload)))).toString('hex');
+            return { sequenceNumber, consensusTimestamp: '1767225600.000000001', message: encodeVote(payload, signature) };
+        };
+        const lookups = [];
+        const { votes, ignored } = await verifyVoteMessages('0.0.5', PROPOSAL, [
+            { sequenceNumber: 1, message: encodeProposal(PROPOSAL) },
+            vote(2, { comment: 'fine' }),
+            vote(3, { topicId: '0.0.6' }),
+            vote(4, { accountId: '0.0.3' }),
+            vote(5, { decision: 'REJECT' }, PrivateKey.generateED25519()),
+            vote(6, { accountId: '0.0.2' }),
+            { sequenceNumber: 7, message: 'APPROVE:0.0.1' },
+        ], {
+            publicKeyOf: async (accountId) => {
+                lookups.push(accountId);
+                if (accountId !== '0.0.1') throw Object.assign(new Error('Account 0.0.2 does not exist on the network.'), { code: 'ACCOUNT_KEY_NOT_FOUND' });
+                return key.publicKey;
+            },
+        });
+
+        assert.deepEqual(votes.map(({ signature, publicKey, ...verified }) => verified), [{
+            accountId: '0.0.1', decision: 'APPROVE', timestamp: '2026-01-01T00:00:00.000Z', consensusAt: 1767225600000, sequenceNumber: 2, comment: 'fine',
+        }]);
+        assert.match(votes[0].signature, /^[0-9a-f]{128}$/);
+        assert.equal(votes[0].publicKey, key.publicKey.toStringDer());
+        assert.equal(ignored, 5);
+        assert.deepEqual(lookups, ['0.0.1', '0.0.2']);
+    });
+
+    it('leaves votes unread when the key lookup fails for another reason', async (t) => {
+        t.after(() => mock.restoreAll());
+        mock.method(console, 'warn', () => {});
+        const key = PrivateKey.generateED25519();
+        const gateway = createMemoryGateway({ operatorAccountId: '0.0.42' });
+        const states = createStorageFromBackend(createMemoryBackend()).topicStates;
+        const { topicId } = await gateway.createTopic();
+        const payload = createVotePayload({ topicId, accountId: '0.0.1', decision: 'APPROVE', timestamp: '2026-01-01T00:00:00.000Z' });
+        await gateway.submitMessage(topicId, encodeProposal(PROPOSAL));
+        await gateway.submitMessage(topicId, encodeVote(payload, Buffer.from(key.sign(Buffer.from(votePayloadToSign(payload)))).toString('hex')));
+
+        let mirrorNodeUp = false;
+        const collectVotes = (proposal, messages) => verifyVoteMessages(topicId, proposal, messages, {
+            publicKeyOf: async () => {
+                if (!mirrorNodeUp) throw new Error('Mirror node returned 503 for account 0.0.1.');
+                return key.publicKey;
+            },
+        });
+        await assert.rejects(syncTopicState(topicId, { gateway, states, collectVotes }), /503/);
+        assert.equal(await states.get(topicId), null);
+
+        mirrorNodeUp = true;
+        const state = await syncTopicState(topicId, { gateway, states, collectVotes });
+        assert.deepEqual(state.votes.map(vote => vote.accountId), ['0.0.1']);
+        assert.equal(state.ignored, 0);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTopicWatcher, votesAfter, formatVoteNotice, formatOutcomeNotice } from '../topic-watcher.js';
+import { computeTally } from '../tally.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+const proposal = { description: 'Pay vendor', approvers: ['0.0.1', '0.0.2', '0.0.3'], threshold: 2 };
+const vote = (accountId, decision, sequenceNumber, extra = {}) => ({ accountId, decision, sequenceNumber, ...extra });
+
+describe('votesAfter', () => {
+    it('lists newer votes across approvers in topic order', () => {
+        const tally = computeTally(proposal, [vote('0.0.2', 'REJECT', 2), vote('0.0.1', 'APPROVE', 3), vote('0.0.2', 'APPROVE', 4)]);
+        assert.deepEqual(votesAfter(tally, 2).map(v => [v.accountId, v.decision, v.sequenceNumber]),
+            [['0.0.1', 'APPROVE', 3], ['0.0.2', 'APPROVE', 4]]);
+        assert.deepEqual(votesAfter(tally, 4), []);
+    });
+});
+
+describe('notices', () => {
+    const record = { description: 'Pay vendor' };
+
+    it('describes new votes and what is outstanding', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE', 2, { comment: 'looks right' })]);
+        assert.equal(formatVoteNotice('0.0.500', record, votesAfter(tally, 1), tally),
+            '🗳 New vote on proposal 0.0.500: Pay vendor\n- 0.0.1 approved: "looks right"\nApprovals: 1/2. Still waiting on: 0.0.2, 0.0.3');
+    });
+
+    it('names the deciding vote', () => {
+        const tally = computeTally(proposal, [vote('0.0.1', 'APPROVE', 2), vote('0.0.3', 'APPROVE', 3)]);
+        assert.equal(formatOutcomeNotice('0.0.500', record, tally),
+            '✅ Proposal 0.0.500 is approved: the approval threshold is met.\nPay vendor\nDecided by the vote of 0.0.3.\n' +
+            'Use /tally 0.0.500 for the full record.');
+    });
+});
+
+describe('createTopicWatcher', () => {
+    let clock;
+    let store;
+    let records;
+    let votes;
+    let sent;
+    let failingChats;
+
+    // Stands in for the agent: tallies whatever votes the test has put on each topic.
+    const tallyApprovals = async (topicId) => {
+        const record = records.find(r => r.topicId === topicId);
+        const topicVotes = votes[topicId] || [];
+        const tally = computeTally(record, topicVotes, { now: clock });
+        return {
+            status: 'success', outcome: tally.outcome, tally, proposal: record,
+            lastSequenceNumber: topicVotes.length ? topicVotes.at(-1).sequenceNumber : 1,
+        };
+    };
+
+    const watcher = () => createTopicWatcher({
+        cursors: store.watchCursors,
+        listProposals: async () => records,
+        tallyApprovals,
+        notify: async (chatId, text) => {
+            if (failingChats.includes(chatId)) throw new Error('Forbidden: bot can\'t initiate conversation with a user');
+            sent.push({ chatId, text });
+        },
+        afterTally: async (topicId, result) => { records.find(r => r.topicId === topicId).outcome = result.outcome; },
+        now: () => clock,
+    });
+
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => mock.restoreAll());
+
+    beforeEach(() => {
+        clock = Date.parse('2026-01-01T00:00:00.000Z');
+        store = createStorageFromBackend(createMemoryBackend());
+        records = [{ topicId: '0.0.500', ...proposal, chatId: '-5', creatorId: 7, outcome: 'pending', createdAt: '2025-12-31T00:00:00.000Z' }];
+        votes = { '0.0.500': [vote('0.0.1', 'APPROVE', 2)] };
+        sent = [];
+        failingChats = [];
+    });
+
+    it('starts silently from proposals that existed before it', async () => {
+        assert.deepEqual(await watcher().pollOnce(), { checked: 1, notified: 0 });
+        assert.deepEqual(await store.watchCursors.get('0.0.500'), { lastSequenceNumber: 2, outcome: 'pending', updatedAt: '2026-01-01T00:00:00.000Z' });
+    });
+
+    it('reports votes on proposals created while it runs', async () => {
+        const w = watcher();
+        records[0].createdAt = '2026-01-01T00:00:00.000Z';
+        await w.pollOnce();
+        assert.deepEqual(sent.map(m => m.chatId), ['-5', '7']);
+        assert.match(sent[0].text, /0\.0\.1 approved/);
+    });
+
+    it('reports each new vote and the outcome once, across restarts', async () => {
+        await watcher().pollOnce();
+        votes['0.0.500'].push(vote('0.0.2', 'APPROVE', 3));
+        assert.deepEqual(await watcher().pollOnce(), { checked: 1, notified: 4 });
+        assert.match(sent[0].text, /^🗳 New vote on proposal 0\.0\.500: Pay vendor\n- 0\.0\.2 approved$/);
+        assert.match(sent[2].text, /^✅ Proposal 0\.0\.500 is approved/);
+
+        sent = [];
+        assert.deepEqual(await watcher().pollOnce(), { checked: 0, notified: 0 });
+        assert.deepEqual(sent, []);
+    });
+
+    it('reports a passed deadline', async () => {
+        records[0].deadline = '2026-01-02T00:00:00.000Z';
+        const w = watcher();
+        await w.pollOnce();
+        clock = Date.parse('2026-01-02T00:00:01.000Z');
+        await w.pollOnce();
+        assert.deepEqual(sent.map(m => m.text.split('\n')[0]), Array(2).fill('⌛ Proposal 0.0.500 expired: its deadline passed before it was decided.'));
+    });
+
+    it('reports an outcome reached by another tally', async () => {
+        await watcher().pollOnce();
+        votes['0.0.500'].push(vote('0.0.2', 'REJECT', 3), vote('0.0.3', 'REJECT', 4));
+        records[0].outcome = 'rejected';
+        await watcher().pollOnce();
+        assert.deepEqual(sent.map(m => m.text.split('\n')[0]), [
+            '🗳 New votes on proposal 0.0.500: Pay vendor', '🗳 New votes on proposal 0.0.500: Pay vendor',
+            '❌ Proposal 0.0.500 is rejected.', '❌ Proposal 0.0.500 is rejected.',
+        ]);
+    });
+
+    it('notifies a private proposal once and keeps going when a chat cannot be reached', async () => {
+        const w = watcher();
+        Object.assign(records[0], { chatId: '7', createdAt: '2026-01-01T00:00:00.000Z' });
+        records.push({ topicId: '0.0.501', ...proposal, chatId: '-6', creatorId: 8, outcome: 'pending', createdAt: '2026-01-01T00:00:00.000Z' });
+        votes['0.0.501'] = [vote('0.0.3', 'ABSTAIN', 2)];
+        failingChats = ['-6'];
+        assert.deepEqual(await w.pollOnce(), { checked: 2, notified: 2 });
+        assert.deepEqual(sent.map(m => m.chatId), ['7', '8']);
+        assert.equal((await store.watchCursors.get('0.0.501')).lastSequenceNumber, 2);
+    });
+
+    it('polls until stopped', async () => {
+        const w = createTopicWatcher({
+            cursors: store.watchCursors, listProposals: async () => records, tallyApprovals, notify: async () => {}, intervalMs: 1, now: () => clock,
+        });
+        w.start();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await w.stop();
+        assert.ok(await store.watchCursors.get('0.0.500'));
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOptionParts, parseDeadline, consensusTimestampToMs } from '../utils.js';
+
+describe('parseOptionParts', () => {
+    it('collects key=value pairs across parts', () => {
+        assert.deepEqual(parseOptionParts(['reject=1 Deadline=48h']).options, { reject: '1', deadline: '48h' });
+        assert.match(parseOptionParts(['reject']).error, /key=value/);
+    });
+});
+
+describe('parseDeadline', () => {
+    const now = Date.parse('2026-01-01T00:00:00.000Z');
+
+    it('accepts relative durations', () => {
+        assert.equal(parseDeadline('48h', now), '2026-01-03T00:00:00.000Z');
+        assert.equal(parseDeadline('90m', now), '2026-01-01T01:30:00.000Z');
+        assert.equal(parseDeadline('1w', now), '2026-01-08T00:00:00.000Z');
+    });
+
+    it('accepts ISO dates', () => {
+        assert.equal(parseDeadline('2026-02-01', now), '2026-02-01T00:00:00.000Z');
+        assert.equal(parseDeadline('2026-02-01T17:00:00Z', now), '2026-02-01T17:00:00.000Z');
+    });
+
+    it('rejects anything else', () => {
+        assert.equal(parseDeadline('friday', now), null);
+        assert.equal(parseDeadline('0h', now), null);
+    });
+});
+
+describe('consensusTimestampToMs', () => {
+    it('converts mirror node timestamps', () => {
+        assert.equal(consensusTimestampToMs('1767225600.123456789'), 1767225600123);
+        assert.ok(isNaN(consensusTimestampToMs(undefined)));
+    });
+});
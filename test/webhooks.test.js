@@ -0,0 +1,159 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebhookDispatcher, signWebhookPayload, verifyWebhookSignature, webhookUrlProblem, retryDelayMs, MAX_DELIVERY_ATTEMPTS } from '../webhooks.js';
+import { createStorageFromBackend, createMemoryBackend } from '../storage.js';
+
+describe('webhook signatures', () => {
+    it('verifies what it signs and rejects tampering or stale timestamps', () => {
+        const now = Date.parse('2026-01-01T00:00:00.000Z');
+        const timestamp = String(now / 1000);
+        const body = '{"type":"proposal.approved"}';
+        const signature = signWebhookPayload('secret', timestamp, body);
+        assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+        assert.equal(verifyWebhookSignature('secret', { timestamp, body, signature }, { now }), true);
+        assert.equal(verifyWebhookSignature('other', { timestamp, body, signature }, { now }), false);
+        assert.equal(verifyWebhookSignature('secret', { timestamp, body: body + ' ', signature }, { now }), false);
+        assert.equal(verifyWebhookSignature('secret', { timestamp, body, signature }, { now: now + 10 * 60 * 1000 }), false);
+        assert.equal(verifyWebhookSignature('secret', { timestamp, body, signature: 'sha256=00' }, { now }), false);
+    });
+
+    it('backs off exponentially', () => {
+        assert.deepEqual([1, 2, 3, 4, 5].map(retryDelayMs), [60000, 120000, 240000, 480000, 960000]);
+    });
+});
+
+describe('webhookUrlProblem', () => {
+    it('accepts https URLs on public hosts only', () => {
+        assert.equal(webhookUrlProblem('https://ci.example/hook'), null);
+        assert.equal(webhookUrlProblem('https://93.184.216.34/hook'), null);
+        assert.equal(webhookUrlProblem('http://ci.example/hook'), 'Must be an https URL.');
+        assert.equal(webhookUrlProblem('not a url'), 'Must be a valid URL.');
+        for (const url of ['https://localhost/', 'https://api.localhost/', 'https://127.0.0.1/', 'https://2130706433/', 'https://169.254.169.254/',
+            'https://192.168.1.10/', 'https://172.20.0.1/', 'https://[::1]/', 'https://[fe80::1]/', 'https://[fd00::1]/', 'https://[::ffff:10.0.0.1]/']) {
+            assert.match(webhookUrlProblem(url), /public host/, url);
+        }
+    });
+});
+
+describe('createWebhookDispatcher', () => {
+    let clock;
+    let addresses;
+    let requests;
+    let answers;
+    let store;
+    let dispatcher;
+
+    beforeEach(() => {
+        clock = Date.parse('2026-01-01T00:00:00.000Z');
+        requests = [];
+        answers = [];
+        addresses = { 'ci.example': '93.184.216.34', 'pay.example': '93.184.216.35' };
+        store = createStorageFromBackend(createMemoryBackend());
+        dispatcher = createWebhookDispatcher({
+            webhooks: store.webhooks,
+            deliveries: store.webhookDeliveries,
+            now: () => clock,
+            lookup: async (hostname) => [{ address: addresses[hostname] }],
+            fetch: async (url, init) => {
+                requests.push({ url, ...init });
+                const answer = answers.shift() ?? 200;
+                if (answer instanceof Error) throw answer;
+                return { ok: answer >= 200 && answer < 300, status: answer };
+            },
+        });
+    });
+
+    it('delivers signed events to subscribed webhooks only', async () => {
+        const webhook = await dispatcher.register({ url: 'https://ci.example/hook', events: ['proposal.approved'], client: 'ci' });
+        await dispatcher.register({ url: 'https://pay.example/hook', events: ['vote.cast'] });
+        assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+
+        const [delivery] = await dispatcher.emit('proposal.approved', { topicId: '0.0.500' }, { id: '0.0.500.approved' });
+        assert.equal(requests.length, 1);
+        const [request] = requests;
+        assert.equal(request.url, 'https://ci.example/hook');
+        assert.equal(request.headers['X-Approvr-Event'], 'proposal.approved');
+        assert.equal(request.headers['X-Approvr-Delivery'], delivery.id);
+        assert.equal(verifyWebhookSignature(webhook.secret, {
+            timestamp: request.headers['X-Approvr-Timestamp'], body: request.body, signature: request.headers['X-Approvr-Signature'],
+        }, { now: clock }), true);
+        assert.deepEqual(JSON.parse(request.body), {
+            id: '0.0.500.approved', type: 'proposal.approved', createdAt: '2026-01-01T00:00:00.000Z', data: { topicId: '0.0.500' },
+        });
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts[0].statusCode, 200);
+    });
+
+    it('retries failed deliveries with backoff and gives up after the last attempt', async () => {
+        const webhook = await dispatcher.register({ url: 'https://ci.example/hook', events: ['vote.cast'] });
+        answers = [500, new Error('connect ECONNREFUSED')];
+        const [first] = await dispatcher.emit('vote.cast', { topicId: '0.0.500' });
+        assert.equal(first.status, 'pending');
+        assert.equal(first.nextAttemptAt, '2026-01-01T00:01:00.000Z');
+
+        assert.deepEqual(await dispatcher.retryDue(), { attempted: 0, delivered: 0 });
+        clock += 60 * 1000;
+        assert.deepEqual(await dispatcher.retryDue(), { attempted: 1, delivered: 0 });
+        let [logged] = await dispatcher.deliveriesOf(webhook.id);
+        assert.equal(logged.attempts[1].error, 'connect ECONNREFUSED');
+        assert.equal(logged.nextAttemptAt, '2026-01-01T00:03:00.000Z');
+
+        answers = Array(MAX_DELIVERY_ATTEMPTS).fill(503);
+        for (let i = 2; i < MAX_DELIVERY_ATTEMPTS; i++) {
+            clock += retryDelayMs(i);
+            await dispatcher.retryDue();
+        }
+        [logged] = await dispatcher.deliveriesOf(webhook.id);
+        assert.equal(logged.status, 'failed');
+        assert.equal(logged.attempts.length, MAX_DELIVERY_ATTEMPTS);
+        assert.equal(requests.length, MAX_DELIVERY_ATTEMPTS);
+    });
+
+    it('drops retries to removed webhooks and hides secrets in listings', async () => {
+        const webhook = await dispatcher.register({ url: 'https://ci.example/hook', events: ['proposal.expired'], secret: 'a-long-enough-secret' });
+        assert.deepEqual((await dispatcher.list()).map(w => Object.keys(w).sort()), [['client', 'createdAt', 'events', 'id', 'url']]);
+
+        answers = [500];
+        await dispatcher.emit('proposal.expired', { topicId: '0.0.500' });
+        assert.equal(await dispatcher.remove(webhook.id), true);
+        assert.equal(await dispatcher.remove(webhook.id), false);
+        clock += 60 * 1000;
+        assert.deepEqual(await dispatcher.retryDue(), { attempted: 0, delivered: 0 });
+        const [delivery] = (await store.webhookDeliveries.list()).map(entry => entry.value);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(requests.length, 1);
+    });
+
+    it('refuses to register or call webhooks on internal addresses', async () => {
+        await assert.rejects(dispatcher.register({ url: 'https://169.254.169.254/latest', events: ['vote.cast'] }), /Invalid webhook URL/);
+
+        await dispatcher.register({ url: 'https://ci.example/hook', events: ['vote.cast'] });
+        addresses['ci.example'] = '10.0.0.7';
+        const [delivery] = await dispatcher.emit('vote.cast', { topicId: '0.0.500' });
+        assert.equal(requests.length, 0);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts[0].error, 'ci.example resolves to 10.0.0.7, which is not a public address.');
+    });
+
+    it('does not follow redirects and connects only to the checked addresses', async () => {
+        await dispatcher.register({ url: 'https://ci.example/hook', events: ['vote.cast'] });
+        answers = [307];
+        const [delivery] = await dispatcher.emit('vote.cast', { topicId: '0.0.500' });
+        assert.equal(requests[0].redirect, 'manual');
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts[0].statusCode, 307);
+        assert.equal(delivery.attempts[0].error, 'Redirects are not followed.');
+
+        const resolved = await new Promise((resolve, reject) => requests[0].lookup('ci.example', { all: true },
+            (error, addresses) => error ? reject(error) : resolve(addresses)));
+        assert.deepEqual(resolved, [{ address: '93.184.216.34', family: 4 }]);
+    });
+
+    it('lists and removes webhooks of one client', async () => {
+        const ci = await dispatcher.register({ url: 'https://ci.example/hook', events: ['vote.cast'], client: 'ci' });
+        const pay = await dispatcher.register({ url: 'https://pay.example/hook', events: ['vote.cast'], client: 'pay' });
+        assert.deepEqual((await dispatcher.list({ client: 'ci' })).map(w => w.id), [ci.id]);
+        assert.equal(await dispatcher.remove(pay.id, { client: 'ci' }), false);
+        assert.equal(await dispatcher.remove(pay.id, { client: 'pay' }), true);
+    });
+});
@@ -0,0 +1,79 @@
+import { KeyList } from '@hashgraph/sdk';
+
+// --- Topic Access ---
+// Who may write to a proposal topic. Topics are created with a submit key, so only Approvr (which checks
+// vote signatures before relaying them) or, if configured, the approvers themselves can post; and with
+// an admin key held by Approvr, so the topic can be closed once the outcome is final. The policy is
+// recorded in the proposal envelope as `access`; HashScan and the mirror node show the actual keys. The envelope
+// is only read when the operator paid for it (see topic-state.js), so the policy is the one Approvr wrote.
+//   submit: operator  - only the operator key (default)
+//           approvers - the operator key or any one approver's key (1-of-n threshold key)
+//           open      - no submit key, anyone can post (how topics were created before submit keys)
+//   admin:  operator  - the operator key; Approvr closes the topic once the proposal is final (default)
+//           none      - no admin key; the topic can never be changed or closed
+
+export const SUBMIT_POLICIES = ['operator', 'approvers', 'open'];
+export const ADMIN_POLICIES = ['operator', 'none'];
+
+/**
+ * Reads the topic access policy from APPROVR_TOPIC_SUBMIT_KEY and APPROVR_TOPIC_ADMIN_KEY.
+ * @param {object} [env] Environment to read settings from (defaults to process.env).
+ * @returns {{submit: string, admin: string}} The policy.
+ */
+export function topicAccessFromEnv(env = process.env) {
+    const submit = (env.APPROVR_TOPIC_SUBMIT_KEY || 'operator').trim().toLowerCase();
+    const admin = (env.APPROVR_TOPIC_ADMIN_KEY || 'operator').trim().toLowerCase();
+    if (!SUBMIT_POLICIES.includes(submit)) {
+        throw new Error(`Unknown APPROVR_TOPIC_SUBMIT_KEY "${submit}". Use ${SUBMIT_POLICIES.join(', ')}.`);
+    }
+    if (!ADMIN_POLICIES.includes(admin)) {
+        throw new Error(`Unknown APPROVR_TOPIC_ADMIN_KEY "${admin}". Use ${ADMIN_POLICIES.join(', ')}.`);
+    }
+    return { submit, admin };
+}
+
+/**
+ * Builds the keys a proposal topic is created with.
+ * @param {{submit: string, admin: string}} access The topic access policy.
+ * @param {{operatorPublicKey: object, approverKeys?: Array<object>}} keys The operator's public key, and the approvers'
+ *        public keys when approvers may submit.
+ * @returns {{submitKey: object|null, adminKey: object|null}} SDK keys; null leaves the key unset.
+ */
+export function buildTopicKeys(access, { operatorPublicKey, approverKeys = [] }) {
+    let submitKey = null;
+    if (access.submit === 'operator') {
+        submitKey = operatorPublicKey;
+    } else if (access.submit === 'approvers') {
+        submitKey = new KeyList([operatorPublicKey, new KeyList(approverKeys, 1)], 1);
+    }
+    return { submitKey, adminKey: access.admin === 'operator' ? operatorPublicKey : null };
+}
+
+/**
+ * Lists the accounts allowed to pay for messages on a proposal topic: the operator, and the approvers unless
+ * only the operator may submit. Proposals without a recorded policy are treated as open topics.
+ * @param {{approvers: Array<string>, access?: {submit: string}}} proposal The proposal.
+ * @param {string} operatorAccountId The operator account.
+ * @returns {Array<string>} Account IDs.
+ */
+export function allowedPayers(proposal, operatorAccountId) {
+    const submit = proposal.access ? proposal.access.submit : 'open';
+    return submit === 'operator' ? [operatorAccountId] : [operatorAccountId, ...proposal.approvers];
+}
+
+/**
+ * Finds the messages of a proposal topic that were not posted through the allowed path, i.e. paid by an account
+ * that is neither Approvr's operator nor (where allowed) an approver. They are reported, not counted differently:
+ * votes are still only counted when their signature verifies. The flag is only as good as the proposal's `access`,
+ * so pass a proposal paid for by the operator, never one whose author could declare the topic open.
+ * @param {Array<{sequenceNumber: number, payerAccountId: string|null}>} messages Topic messages.
+ * @param {object} proposal The proposal.
+ * @param {string} operatorAccountId The operator account.
+ * @returns {Array<{sequenceNumber: number, payerAccountId: string|null}>} The flagged messages.
+ */
+export function findOutsideMessages(messages, proposal, operatorAccountId) {
+    const allowed = allowedPayers(proposal, operatorAccountId);
+    return messages
+        .filter(message => !allowed.includes(message.payerAccountId))
+        .map(({ sequenceNumber, payerAccountId }) => ({ sequenceNumber, payerAccountId }));
+}
@@ -0,0 +1,161 @@
+import { decodeProposal, decodeExecution, decodeVote, votePayloadToSign } from './approvr-protocol.js';
+import { verifySignature } from './account-verification.js';
+import { consensusTimestampToMs } from './utils.js';
+import { findOutsideMessages } from './topic-access.js';
+
+// --- Incremental Topic State ---
+// Reading and verifying every message of a busy topic on each tally gets slow, so Approvr keeps what it
+// has learned about each proposal topic: the proposal, the verified votes, the latest execution record
+// and a cursor (the last sequence number read). Each sync only fetches and verifies messages after the
+// cursor. Votes are verified once, against the approver's key at the time they were first read, and keep
+// that key (DER hex) so an audit export can show what each vote was checked against.
+//
+// TopicState: { topicId, lastSequenceNumber, proposal, votes, ignored, outside, execution, updatedAt }
+// `outside` lists the messages paid by accounts the topic's access policy doesn't allow (see topic-access.js).
+
+/**
+ * Creates the state of a topic nothing has been read from yet.
+ * @param {string} topicId The proposal topic.
+ * @returns {object} Empty TopicState.
+ */
+export function emptyTopicState(topicId) {
+    return { topicId, lastSequenceNumber: 0, proposal: null, votes: [], ignored: 0, outside: [], execution: null, updatedAt: null };
+}
+
+/**
+ * Picks the votes that count out of a batch of topic messages.
+ * A vote counts only if it names this topic, comes from a listed approver and its signature
+ * verifies against that account's public key.
+ * @param {string} topicId The Hedera Consensus Service Topic ID.
+ * @param {object} proposal The proposal rules read from the topic.
+ * @param {Array<{message: string, consensusTimestamp: string, sequenceNumber: number}>} messages Topic messages in sequence order.
+ * @param {{publicKeyOf: (accountId: string) => Promise<object>}} options Looks up an account's PublicKey. A lookup that fails
+ *        with code 'ACCOUNT_KEY_NOT_FOUND' makes the account's votes invalid; any other failure rejects the whole batch, so
+ *        the cursor stays before it and the next sync reads it again instead of losing valid votes to a network error.
+ *        `voteKeys` maps the sequence numbers of votes checked before to the PublicKey used then; those votes are checked
+ *        against that key instead of a fresh lookup. `warn` receives a line for each ignored message (default console.warn).
+ * @returns {Promise<{votes: Array<{accountId: string, decision: string, timestamp: string, signature: string, publicKey: string, consensusAt: number, sequenceNumber: number}>, ignored: number}>}
+ *          Verified votes and the number of ignored messages.
+ */
+export async function verifyVoteMessages(topicId, proposal, messages, { publicKeyOf, voteKeys = new Map(), warn = console.warn }) {
+    const votes = [];
+    const publicKeys = new Map(); // accountId -> PublicKey | null, looked up once per batch
+    let ignored = 0;
+
+    for (const msgObj of messages) {
+        const messageContent = msgObj.message;
+        if (messageContent.startsWith("APPROVE:")) {
+            // Unsigned approvals from earlier versions prove nothing about who approved.
+            warn(`Unsigned legacy approval ignored: ${messageContent}`);
+            ignored++;
+            continue;
+        }
+
+        const vote = decodeVote(messageContent);
+        if (!vote) continue; // Proposal envelope or unrelated message
+
+        const { payload, signature } = vote;
+        if (payload.topicId !== topicId || !proposal.approvers.includes(payload.accountId)) {
+            warn(`Vote for ${payload.topicId} by ${payload.accountId} does not belong to this proposal, ignored.`);
+            ignored++;
+            continue;
+        }
+
+        if (!voteKeys.has(msgObj.sequenceNumber) && !publicKeys.has(payload.accountId)) {
+            try {
+                publicKeys.set(payload.accountId, await publicKeyOf(payload.accountId));
+            } catch (error) {
+                if (error.code !== 'ACCOUNT_KEY_NOT_FOUND') throw error;
+                warn(`Could not load public key for ${payload.accountId}: ${error.message}`);
+                publicKeys.set(payload.accountId, null);
+            }
+        }
+        const publicKey = voteKeys.get(msgObj.sequenceNumber) ?? publicKeys.get(payload.accountId);
+        if (!publicKey || !verifySignature(publicKey, votePayloadToSign(payload), signature)) {
+            warn(`Vote by ${payload.accountId} has an invalid signature, ignored.`);
+            ignored++;
+            continue;
+        }
+
+        const verified = {
+            accountId: payload.accountId,
+            decision: payload.decision,
+            timestamp: payload.timestamp,
+            // Normalised, so the same signature resubmitted as 0x… or in capitals is still recognised (see computeTally).
+            signature: signature.trim().replace(/^0x/i, '').toLowerCase(),
+            publicKey: publicKey.toStringDer(),
+            consensusAt: consensusTimestampToMs(msgObj.consensusTimestamp),
+            sequenceNumber: msgObj.sequenceNumber,
+        };
+        if (payload.comment) verified.comment = payload.comment;
+        votes.push(verified);
+    }
+
+    return { votes, ignored };
+}
+
+/**
+ * Folds new topic messages into a topic state. Messages at or before the cursor are skipped, so
+ * applying the same batch twice changes nothing.
+ * The proposal is the earliest message paid by the operator that decodes as one; until it is found nothing else
+ * is kept, because votes can only be checked against its approver list. Anyone can post a proposal envelope to a
+ * topic, so one paid by another account is ignored: its approvers and access policy are whatever its author chose.
+ * Execution records also only count when paid by the operator, and messages paid by accounts outside the proposal's
+ * access policy are flagged.
+ * @param {object} state Current TopicState.
+ * @param {Array<object>} messages TopicMessages, oldest first.
+ * @param {{operatorAccountId: string, collectVotes: Function}} options The operator account and
+ *        `collectVotes(proposal, messages)`, which resolves to the verified `{ votes, ignored }` of a batch.
+ * @returns {Promise<object>} The new TopicState.
+ */
+export async function applyTopicMessages(state, messages, { operatorAccountId, collectVotes }) {
+    const fresh = messages.filter(msgObj => msgObj.sequenceNumber > state.lastSequenceNumber);
+    if (fresh.length === 0) return state;
+
+    let proposal = state.proposal;
+    if (!proposal) {
+        for (const msgObj of fresh) {
+            if (msgObj.payerAccountId !== operatorAccountId) continue;
+            proposal = decodeProposal(msgObj.message);
+            if (proposal) break;
+        }
+        if (!proposal) return state;
+    }
+
+    const { votes, ignored } = await collectVotes(proposal, fresh);
+    let execution = state.execution;
+    for (const msgObj of fresh) {
+        if (msgObj.payerAccountId !== operatorAccountId) continue;
+        execution = decodeExecution(msgObj.message) || execution;
+    }
+
+    return {
+        ...state,
+        lastSequenceNumber: fresh[fresh.length - 1].sequenceNumber,
+        proposal,
+        votes: [...state.votes, ...votes],
+        ignored: state.ignored + ignored,
+        // States stored before messages were flagged have no list yet.
+        outside: [...(state.outside || []), ...findOutsideMessages(fresh, proposal, operatorAccountId)],
+        execution,
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Brings the stored state of a topic up to date by reading the messages after its cursor.
+ * The state is only stored once the proposal has been found; before that every sync starts over.
+ * @param {string} topicId The proposal topic.
+ * @param {{gateway: object, states: object, collectVotes: Function}} options Hedera gateway, storage
+ *        collection of TopicStates and the vote verifier passed to `applyTopicMessages`.
+ * @returns {Promise<object>} The up-to-date TopicState (`proposal` is null if the topic has none).
+ */
+export async function syncTopicState(topicId, { gateway, states, collectVotes }) {
+    const state = (await states.get(topicId)) || emptyTopicState(topicId);
+    const messages = await gateway.getTopicMessages(topicId, { afterSequenceNumber: state.lastSequenceNumber });
+    const next = await applyTopicMessages(state, messages, { operatorAccountId: gateway.operatorAccountId, collectVotes });
+    if (next !== state && next.proposal) {
+        await states.set(topicId, next);
+    }
+    return next;
+}
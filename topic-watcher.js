@@ -0,0 +1,189 @@
+import { FINAL_OUTCOMES } from './proposal-registry.js';
+
+// --- Topic Watcher ---
+// In watcher mode (scripts/watch.js) Approvr polls the topics of open proposals instead of waiting for
+// someone to run /tally. Each poll tallies the proposal, which only reads messages after the stored
+// topic-state cursor, and reports what changed since the last poll to the chat the proposal came from
+// and to its creator: new votes, the proposal being approved or rejected, and the deadline passing.
+// What has been reported is kept per topic (WatchCursor: { lastSequenceNumber, outcome, updatedAt }),
+// so a restarted watcher carries on where it stopped instead of repeating itself.
+
+const OUTCOME_HEADLINES = {
+    approved: '✅ Proposal {topic} is approved: the approval threshold is met.',
+    rejected: '❌ Proposal {topic} is rejected.',
+    expired: '⌛ Proposal {topic} expired: its deadline passed before it was decided.',
+};
+const DECISION_VERBS = { APPROVE: 'approved', REJECT: 'rejected', ABSTAIN: 'abstained', REVOKE: 'revoked their vote' };
+
+/**
+ * Lists the votes of a tally that reached the topic after a sequence number, oldest first.
+ * @param {object} tally Result of `computeTally`; its history entries carry sequence numbers.
+ * @param {number} afterSequenceNumber Last topic message already reported.
+ * @returns {Array<object>} History entries with their `accountId`.
+ */
+export function votesAfter(tally, afterSequenceNumber) {
+    return Object.entries(tally.history || {})
+        .flatMap(([accountId, entries]) => entries.map(entry => ({ accountId, ...entry })))
+        .filter(vote => vote.sequenceNumber > afterSequenceNumber)
+        .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+}
+
+function progressLine(tally) {
+    const outstanding = tally.outstanding.join(', ') || '-';
+    return tally.rule
+        ? `Approvals: ${tally.approvals.length} (rule: ${tally.rule}). Still waiting on: ${outstanding}`
+        : `Approvals: ${tally.approvals.length}/${tally.threshold}. Still waiting on: ${outstanding}`;
+}
+
+/**
+ * Formats the notification about new votes on a proposal.
+ * @param {string} topicId The proposal topic.
+ * @param {{description: string}} record Registry record of the proposal.
+ * @param {Array<object>} votes New votes from `votesAfter`.
+ * @param {object} tally The tally including them.
+ * @returns {string} Chat message.
+ */
+export function formatVoteNotice(topicId, record, votes, tally) {
+    const lines = [`🗳 New vote${votes.length > 1 ? 's' : ''} on proposal ${topicId}: ${record.description}`];
+    for (const vote of votes) {
+        let line = `- ${vote.accountId} ${DECISION_VERBS[vote.decision] || vote.decision}`;
+        if (vote.note) line += ` (${vote.note}, not counted)`;
+        if (vote.comment) line += `: "${vote.comment}"`;
+        lines.push(line);
+    }
+    if (tally.outcome === 'pending') lines.push(progressLine(tally));
+    return lines.join('\n');
+}
+
+/**
+ * Formats the notification that a proposal was decided or expired.
+ * @param {string} topicId The proposal topic.
+ * @param {{description: string}} record Registry record of the proposal.
+ * @param {object} tally The final tally.
+ * @returns {string} Chat message.
+ */
+export function formatOutcomeNotice(topicId, record, tally) {
+    const lines = [OUTCOME_HEADLINES[tally.outcome].replace('{topic}', topicId), record.description];
+    if (tally.decidedBy) lines.push(`Decided by the vote of ${tally.decidedBy}.`);
+    if (tally.outcome === 'expired') lines.push(progressLine(tally));
+    lines.push(`Use /tally ${topicId} for the full record.`);
+    return lines.join('\n');
+}
+
+// The originating chat and the creator's private chat; the same chat when the proposal was made in private.
+function recipientsOf(record) {
+    return [...new Set([record.chatId, record.creatorId].filter(id => id !== null && id !== undefined).map(String))];
+}
+
+/**
+ * Creates the watcher.
+ *   pollOnce() -> {checked, notified}, after one pass over the watched proposals
+ *   start()    -> polls every `intervalMs` until stopped; a pass never overlaps the previous one
+ *   stop()     -> resolves once the pass in progress has finished
+ * A proposal is watched while it is open, and until its outcome has been reported. A proposal the watcher
+ * has no cursor for is taken as it is, without reporting its past, unless it was created after the watcher started.
+ * @param {object} options What the watcher runs on.
+ * @param {object} options.cursors Storage collection of WatchCursors (topic ID -> cursor).
+ * @param {() => Promise<Array<object>>} options.listProposals All registry records, with their `topicId`.
+ * @param {(topicId: string) => Promise<object>} options.tallyApprovals The agent's `tallyApprovals`.
+ * @param {(chatId: string, text: string) => Promise<void>} options.notify Sends a message to a chat.
+ * @param {(topicId: string, tallyResult: object) => Promise<void>} [options.afterTally] Called with every successful tally,
+ *        e.g. to update the registry, status card and webhooks.
+ * @param {() => Promise<void>} [options.afterPoll] Called after every pass, e.g. to retry webhook deliveries.
+ * @param {number} [options.intervalMs] Pause between passes.
+ * @param {() => number} [options.now] Clock in ms, replaceable in tests.
+ * @returns {{pollOnce: Function, start: Function, stop: Function}} The watcher.
+ */
+export function createTopicWatcher({ cursors, listProposals, tallyApprovals, notify, afterTally = async () => {}, afterPoll = async () => {},
+    intervalMs = 15000, now = Date.now }) {
+    const startedAt = now();
+    let timer = null;
+    let running = null;
+    let stopped = true;
+
+    async function send(record, text) {
+        let sent = 0;
+        for (const chatId of recipientsOf(record)) {
+            try {
+                await notify(chatId, text);
+                sent++;
+            } catch (error) {
+                // e.g. the creator never opened a private chat with the bot
+                console.warn(`Could not notify ${chatId} about ${record.topicId}: ${error.message}`);
+            }
+        }
+        return sent;
+    }
+
+    async function watchTopic(record, cursor) {
+        const result = await tallyApprovals(record.topicId);
+        if (result.status !== 'success') {
+            console.warn(`Watcher could not tally ${record.topicId}: ${result.message}`);
+            return 0;
+        }
+        const createdSinceStart = record.createdAt && Date.parse(record.createdAt) >= startedAt;
+        const reported = cursor || (createdSinceStart
+            ? { lastSequenceNumber: 0, outcome: 'pending' }
+            : { lastSequenceNumber: result.lastSequenceNumber, outcome: result.outcome });
+
+        await afterTally(record.topicId, result);
+        let notified = 0;
+        const votes = votesAfter(result.tally, reported.lastSequenceNumber);
+        if (votes.length > 0) {
+            notified += await send(record, formatVoteNotice(record.topicId, record, votes, result.tally));
+        }
+        if (FINAL_OUTCOMES.includes(result.outcome) && result.outcome !== reported.outcome) {
+            notified += await send(record, formatOutcomeNotice(record.topicId, record, result.tally));
+        }
+        await cursors.set(record.topicId, {
+            lastSequenceNumber: Math.max(reported.lastSequenceNumber, result.lastSequenceNumber || 0),
+            outcome: result.outcome,
+            updatedAt: new Date(now()).toISOString(),
+        });
+        return notified;
+    }
+
+    async function pollOnce() {
+        let checked = 0;
+        let notified = 0;
+        for (const record of await listProposals()) {
+            const cursor = await cursors.get(record.topicId);
+            const open = !FINAL_OUTCOMES.includes(record.outcome);
+            // A proposal decided by someone else's /tally is still reported once.
+            if (!open && (!cursor || cursor.outcome === record.outcome)) continue;
+            checked++;
+            try {
+                notified += await watchTopic(record, cursor);
+            } catch (error) {
+                console.error(`Watcher failed on ${record.topicId}:`, error);
+            }
+        }
+        try {
+            await afterPoll();
+        } catch (error) {
+            console.error('Watcher follow-up failed:', error);
+        }
+        return { checked, notified };
+    }
+
+    async function loop() {
+        running = pollOnce().catch(error => console.error('Watcher pass failed:', error));
+        await running;
+        running = null;
+        if (!stopped) timer = setTimeout(loop, intervalMs);
+    }
+
+    return {
+        pollOnce,
+        start() {
+            if (!stopped) return;
+            stopped = false;
+            loop();
+        },
+        async stop() {
+            stopped = true;
+            clearTimeout(timer);
+            if (running) await running;
+        },
+    };
+}
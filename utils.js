@@ -0,0 +1,57 @@
+// --- Shared Helpers ---
+
+/**
+ * Parses optional `key=value` settings given after the required parts of a command,
+ * e.g. the `reject=2` in `/create desc | approvers | 2 | reject=2`.
+ * Keys are case-insensitive; each part may hold several space-separated pairs.
+ * @param {Array<string>} parts Command parts after the required ones.
+ * @returns {{options: Object<string, string>, error?: string}} Parsed options, or an error for malformed input.
+ */
+export function parseOptionParts(parts) {
+    const options = {};
+    for (const part of parts) {
+        for (const token of part.trim().split(/\s+/).filter(t => t)) {
+            const match = token.match(/^([a-zA-Z_]+)=(.+)$/);
+            if (!match) {
+                return { options, error: `Could not understand option "${token}". Use key=value.` };
+            }
+            options[match[1].toLowerCase()] = match[2];
+        }
+    }
+    return { options };
+}
+
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a deadline given either as a relative duration (`90m`, `48h`, `7d`, `2w`) or as an
+ * ISO 8601 date/time (`2025-03-01` or `2025-03-01T17:00:00Z`).
+ * @param {string} value The user's input.
+ * @param {number} [now] Current time in ms, for relative durations.
+ * @returns {string|null} The deadline as an ISO string, or null if the input can't be understood.
+ */
+export function parseDeadline(value, now = Date.now()) {
+    const trimmed = (value || '').trim();
+    const relative = trimmed.match(/^(\d+)\s*([mhdw])$/i);
+    if (relative) {
+        const amount = parseInt(relative[1], 10);
+        if (amount <= 0) return null;
+        return new Date(now + amount * DURATION_UNITS_MS[relative[2].toLowerCase()]).toISOString();
+    }
+    if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) {
+        const parsed = Date.parse(trimmed);
+        return isNaN(parsed) ? null : new Date(parsed).toISOString();
+    }
+    return null;
+}
+
+/**
+ * Converts a mirror node consensus timestamp ("seconds.nanoseconds") to milliseconds.
+ * @param {string} consensusTimestamp The consensus timestamp.
+ * @returns {number} Milliseconds since the epoch, or NaN if the timestamp is malformed.
+ */
+export function consensusTimestampToMs(consensusTimestamp) {
+    const match = /^(\d+)\.(\d{1,9})$/.exec(String(consensusTimestamp || ''));
+    if (!match) return NaN;
+    return parseInt(match[1], 10) * 1000 + Math.floor(parseInt(match[2].padEnd(9, '0'), 10) / 1e6);
+}
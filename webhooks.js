@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import https from 'https';
+import net from 'net';
+
+// --- Outbound Webhooks ---
+// Other systems (CI/CD, payments) subscribe to proposal lifecycle events instead of polling. Each event
+// is POSTed as JSON to every webhook subscribed to it, signed with the webhook's secret:
+//   X-Approvr-Signature: sha256=HMAC_SHA256(secret, "<X-Approvr-Timestamp>.<body>")
+// A delivery that fails (network error, timeout or non-2xx answer) is retried with exponential backoff by
+// `retryDue`, which a scheduled job calls. Every attempt is kept in the delivery log.
+// Webhooks are posted from inside the deployment, so they must be https URLs on public hosts: a webhook can't
+// point Approvr at the cloud metadata endpoint or a service on the internal network. The host is checked when
+// the webhook is registered and its addresses again before every attempt, in case the name moved. The request
+// then connects to exactly the addresses that were checked, so a second DNS answer can't swap in an internal one,
+// and redirects are not followed: a 3xx answer is a failed delivery.
+
+export const WEBHOOK_EVENTS = ['proposal.created', 'vote.cast', 'proposal.approved', 'proposal.rejected', 'proposal.expired'];
+export const MAX_DELIVERY_ATTEMPTS = 6;
+
+const DELIVERY_TIMEOUT_MS = 5000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    NON_PUBLIC_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A `lookup` for node:net that answers with the given addresses instead of asking DNS again.
+function pinnedLookup(addresses) {
+    const entries = addresses.map(address => ({ address, family: net.isIP(address) }));
+    return (hostname, options, callback) => {
+        if (options.all) callback(null, entries);
+        else callback(null, entries[0].address, entries[0].family);
+    };
+}
+
+// The default transport. Unlike the global fetch it connects through the given `lookup`, and it never follows redirects.
+function httpsFetch(url, { method, headers, body, signal, lookup }) {
+    return new Promise((resolve, reject) => {
+        const request = https.request(url, { method, headers, signal, lookup }, (response) => {
+            response.resume();
+            resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Checks that a webhook URL may be called: https, and not a loopback, private or link-local host. Host names are
+ * not resolved here; deliveries check the addresses they resolve to.
+ * @param {string} url The webhook URL.
+ * @returns {string|null} A human-readable problem, or null if the URL is acceptable.
+ */
+export function webhookUrlProblem(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Must be a valid URL.';
+    }
+    if (parsed.protocol !== 'https:') return 'Must be an https URL.';
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+        return 'Must point to a public host, not a loopback, private or link-local address.';
+    }
+    return null;
+}
+
+/**
+ * How long to wait before the next attempt: 1, 2, 4, 8 and 16 minutes after the first five failures.
+ * @param {number} failedAttempts Attempts made so far.
+ * @returns {number} Delay in ms.
+ */
+export function retryDelayMs(failedAttempts) {
+    return RETRY_BASE_DELAY_MS * 2 ** (failedAttempts - 1);
+}
+
+/**
+ * Signs a webhook body.
+ * @param {string} secret The webhook's secret.
+ * @param {string} timestamp Unix time in seconds, sent as X-Approvr-Timestamp.
+ * @param {string} body The exact request body.
+ * @returns {string} Value of the X-Approvr-Signature header.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a webhook request on the receiving side. Rejects stale timestamps so a captured request can't be replayed later.
+ * @param {string} secret The webhook's secret.
+ * @param {{timestamp: string, body: string, signature: string}} request Headers and raw body of the received request.
+ * @param {{now?: number, toleranceMs?: number}} [options] Current time in ms and the accepted clock difference.
+ * @returns {boolean} Whether the request was signed with the secret and is recent.
+ */
+export function verifyWebhookSignature(secret, { timestamp, body, signature }, { now = Date.now(), toleranceMs = SIGNATURE_TOLERANCE_MS } = {}) {
+    if (!timestamp || !signature || Math.abs(now - Number(timestamp) * 1000) > toleranceMs) return false;
+    const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Secrets stay in storage; listings and the delivery log never show them.
+function publicWebhook({ secret, ...webhook }) {
+    return webhook;
+}
+
+/**
+ * Creates the webhook registry and dispatcher:
+ *   register({url, events, secret?, client?}) -> webhook, including its secret (generated if not given; only returned here);
+ *                                               throws if the URL fails `webhookUrlProblem`
+ *   list({client?}) -> webhooks without secrets, oldest first; only the client's own if a client is given
+ *   remove(id, {client?}) -> whether it existed (and belonged to the client, if given); pending retries to it are dropped
+ *                            when they come up
+ *   emit(type, data, {id?}) -> deliveries after their first attempt; never throws, so a receiver being down can't break the bot.
+ *                             Give a stable event ID (e.g. topic and outcome) so receivers can drop duplicates.
+ *   retryDue() -> {attempted, delivered}, after retrying the failed deliveries whose backoff has passed
+ *   deliveriesOf(webhookId) -> the webhook's deliveries from the last 30 days, newest first
+ * @param {object} options Where webhooks live and how they are delivered.
+ * @param {object} options.webhooks Storage collection of subscriptions (webhook ID -> {url, events, secret, client, createdAt}).
+ * @param {object} options.deliveries Storage collection of the delivery log (delivery ID -> delivery).
+ * @param {Function} [options.fetch] fetch-like transport, replaceable in tests. It is called with `redirect: 'manual'` and a
+ *        `lookup` that resolves the host to the checked addresses only; the default (node:https) honours both.
+ * @param {(hostname: string) => Promise<Array<{address: string}>>} [options.lookup] Resolves a webhook's host before each attempt
+ *        (defaults to DNS), replaceable in tests.
+ * @param {() => number} [options.now] Clock in ms, replaceable in tests.
+ * @returns {object} The dispatcher.
+ */
+export function createWebhookDispatcher({
+    webhooks, deliveries, fetch = httpsFetch, now = Date.now, lookup = (hostname) => dns.lookup(hostname, { all: true }),
+}) {
+    // Resolves the webhook's host to the addresses the delivery may connect to; throws if any of them may not be reached.
+    async function checkDestination(url) {
+        const problem = webhookUrlProblem(url);
+        if (problem) throw new Error(problem);
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host)) return [host];
+        const addresses = (await lookup(host)).map(({ address }) => address);
+        if (addresses.length === 0) throw new Error(`${host} does not resolve to any address.`);
+        const blocked = addresses.find(address => !isPublicAddress(address));
+        if (blocked) throw new Error(`${host} resolves to ${blocked}, which is not a public address.`);
+        return addresses;
+    }
+
+    async function attempt(delivery, webhook) {
+        const body = JSON.stringify(delivery.event);
+        const timestamp = String(Math.floor(now() / 1000));
+        const startedAt = now();
+        const record = { at: new Date(startedAt).toISOString() };
+        let delivered = false;
+        try {
+            const addresses = await checkDestination(webhook.url);
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Approvr-Webhooks/1',
+                    'X-Approvr-Event': delivery.event.type,
+                    'X-Approvr-Delivery': delivery.id,
+                    'X-Approvr-Timestamp': timestamp,
+                    'X-Approvr-Signature': signWebhookPayload(webhook.secret, timestamp, body),
+                },
+                body,
+                redirect: 'manual',
+                lookup: pinnedLookup(addresses),
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            });
+            record.statusCode = response.status;
+            delivered = response.ok;
+            if (response.status >= 300 && response.status < 400) record.error = 'Redirects are not followed.';
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError';
+            record.error = timedOut ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000}s.` : error.message;
+        }
+        record.durationMs = now() - startedAt;
+
+        const attempts = [...delivery.attempts, record];
+        const updated = { ...delivery, attempts };
+        if (delivered) {
+            Object.assign(updated, { status: 'delivered', nextAttemptAt: null });
+        } else if (attempts.length >= MAX_DELIVERY_ATTEMPTS) {
+            Object.assign(updated, { status: 'failed', nextAttemptAt: null });
+            console.error(`Webhook delivery ${delivery.id} (${delivery.event.type}) to ${webhook.url} failed ${attempts.length} times; giving up.`);
+        } else {
+            updated.nextAttemptAt = new Date(now() + retryDelayMs(attempts.length)).toISOString();
+        }
+        await deliveries.set(delivery.id, updated, DELIVERY_LOG_TTL_SECONDS);
+        return updated;
+    }
+
+    return {
+        async register({ url, events, secret, client }) {
+            const problem = webhookUrlProblem(url);
+            if (problem) throw new Error(`Invalid webhook URL: ${problem}`);
+            const webhook = {
+                id: crypto.randomUUID(),
+                url,
+                events: [...new Set(events)],
+                secret: secret || crypto.randomBytes(32).toString('hex'),
+                client: client || null,
+                createdAt: new Date(now()).toISOString(),
+            };
+            await webhooks.set(webhook.id, webhook);
+            return webhook;
+        },
+
+        async list({ client } = {}) {
+            return (await webhooks.list())
+                .map(({ value }) => publicWebhook(value))
+                .filter(webhook => client === undefined || webhook.client === client)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        },
+
+        async remove(id, { client } = {}) {
+            const webhook = await webhooks.get(id);
+            if (!webhook || (client !== undefined && webhook.client !== client)) return false;
+            await webhooks.delete(id);
+            return true;
+        },
+
+        async emit(type, data, { id } = {}) {
+            try {
+                const event = { id: id || crypto.randomUUID(), type, createdAt: new Date(now()).toISOString(), data };
+                const subscribers = (await webhooks.list()).map(({ value }) => value).filter(webhook => webhook.events.includes(type));
+                return await Promise.all(subscribers.map(webhook => attempt({
+                    id: crypto.randomUUID(),
+                    webhookId: webhook.id,
+                    event,
+                    status: 'pending',
+                    attempts: [],
+                    nextAttemptAt: null,
+                    createdAt: event.createdAt,
+                }, webhook)));
+            } catch (error) {
+                console.error(`Error sending ${type} webhooks:`, error);
+                return [];
+            }
+        },
+
+        async retryDue() {
+            let attempted = 0;
+            let delivered = 0;
+            for (const { value: delivery } of await deliveries.list()) {
+                if (delivery.status !== 'pending' || !delivery.nextAttemptAt || Date.parse(delivery.nextAttemptAt) > now()) continue;
+                const webhook = await webhooks.get(delivery.webhookId);
+                if (!webhook) {
+                    await deliveries.set(delivery.id, { ...delivery, status: 'failed', nextAttemptAt: null, note: 'Webhook was removed.' }, DELIVERY_LOG_TTL_SECONDS);
+                    continue;
+                }
+                attempted++;
+                if ((await attempt(delivery, webhook)).status === 'delivered') delivered++;
+            }
+            return { attempted, delivered };
+        },
+
+        async deliveriesOf(webhookId) {
+            return (await deliveries.list())
+                .map(({ value }) => value)
+                .filter(delivery => delivery.webhookId === webhookId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+    };
+}